@@ -0,0 +1,173 @@
+/**
+ * Artwork Cache
+ * Cover art is extracted once - from a track's embedded picture, or a folder.jpg/cover.png next to
+ * it - and stored under the SHA1 of the image, so all the tracks of an album share one copy.
+ * Sized JPEG variants are made with sharp the first time they're asked for and kept on disk.
+ * An index maps each source (e.g. "local/Artist/01.flac") and its version (size and mtime) to an
+ * artwork id, so a file is only parsed for its picture again once it has changed.
+ */
+import {promises} from 'fs';
+import {createHash} from 'crypto';
+import {join} from 'path';
+import sharp from 'sharp';
+
+// Edge lengths of the square variants served at /artwork/<id>/<size>
+export const ARTWORK_SIZES = [96, 200, 512];
+export const DEFAULT_ARTWORK_SIZE = 200;
+
+// Cover image names looked for in a track's folder, best first (any supported image extension)
+const SIDECAR_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const SIDECAR_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const INDEX_NAME = 'index.json';
+// Index changes are written at most this often
+const INDEX_SAVE_DELAY_MS = 5000;
+
+/**
+ * The best cover image among a folder's image files (objects with a fileName), or null
+ */
+export function findSidecarCover(imageFiles) {
+    let best = null;
+    let bestRank = SIDECAR_NAMES.length;
+    for (const file of imageFiles) {
+        const lowerName = file.fileName.toLowerCase();
+        const extension = SIDECAR_EXTENSIONS.find(ext => lowerName.endsWith(ext));
+        if (!extension) continue;
+        const rank = SIDECAR_NAMES.indexOf(lowerName.slice(0, -extension.length));
+        if (rank !== -1 && rank < bestRank) {
+            best = file;
+            bestRank = rank;
+        }
+    }
+    return best;
+}
+
+export class ArtworkCache {
+    constructor({ cacheDir }) {
+        this.cacheDir = cacheDir;
+        // source key -> { version, id } (id is null for files without embedded artwork)
+        this.index = {};
+        this.saveTimer = null;
+        // Variants being generated, so concurrent requests share one sharp run
+        this.pendingVariants = new Map();
+    }
+
+    async load() {
+        try {
+            this.index = JSON.parse(await promises.readFile(join(this.cacheDir, INDEX_NAME), 'utf8'));
+            console.log(`Loaded artwork index (${Object.keys(this.index).length} sources)`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Failed to read artwork index:', err.message);
+            }
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            const path = join(this.cacheDir, INDEX_NAME);
+            const tempPath = `${path}.${process.pid}.tmp`;
+            try {
+                await promises.mkdir(this.cacheDir, { recursive: true });
+                await promises.writeFile(tempPath, JSON.stringify(this.index));
+                await promises.rename(tempPath, path);
+            } catch (err) {
+                console.error('Failed to save artwork index:', err.message);
+            }
+        }, INDEX_SAVE_DELAY_MS);
+    }
+
+    /**
+     * Artwork id recorded for a source at this version - null when it has none, undefined when
+     * it hasn't been looked at yet (or has changed since)
+     */
+    lookup(key, version) {
+        const entry = this.index[key];
+        return entry && version !== null && entry.version === version ? entry.id : undefined;
+    }
+
+    /**
+     * Record a source's artwork id (null for none) - returns the id
+     */
+    remember(key, version, id) {
+        if (version !== null) {
+            this.index[key] = { version, id };
+            this.scheduleSave();
+        }
+        return id;
+    }
+
+    originalPath(id) {
+        return join(this.cacheDir, 'original', id);
+    }
+
+    variantPath(id, size) {
+        return join(this.cacheDir, String(size), `${id}.jpg`);
+    }
+
+    /**
+     * Store a source's image (once per distinct image) and return its artwork id
+     */
+    async store(key, version, data) {
+        const image = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const id = createHash('sha1').update(image).digest('hex');
+        const path = this.originalPath(id);
+        try {
+            await promises.access(path);
+        } catch {
+            await promises.mkdir(join(this.cacheDir, 'original'), { recursive: true });
+            const tempPath = `${path}.${process.pid}.${Date.now()}.part`;
+            await promises.writeFile(tempPath, image);
+            await promises.rename(tempPath, path);
+        }
+        return this.remember(key, version, id);
+    }
+
+    /**
+     * Path of a sized variant, generating it on first use - null for unknown or unreadable artwork
+     */
+    async getVariant(id, size) {
+        const path = this.variantPath(id, size);
+        try {
+            await promises.access(path);
+            return path;
+        } catch {
+            // Not generated yet
+        }
+
+        if (!this.pendingVariants.has(path)) {
+            this.pendingVariants.set(path, this.generateVariant(id, size, path).finally(() => {
+                this.pendingVariants.delete(path);
+            }));
+        }
+        return this.pendingVariants.get(path);
+    }
+
+    async generateVariant(id, size, path) {
+        try {
+            await promises.access(this.originalPath(id));
+        } catch {
+            return null;
+        }
+
+        const tempPath = `${path}.${process.pid}.${Date.now()}.part`;
+        try {
+            await promises.mkdir(join(this.cacheDir, String(size)), { recursive: true });
+            await sharp(this.originalPath(id))
+                .resize(size, size, {
+                    fit: 'cover',
+                    position: 'center'
+                })
+                .jpeg({ quality: 85 })
+                .toFile(tempPath);
+            await promises.rename(tempPath, path);
+            return path;
+        } catch (err) {
+            console.error(`Error generating ${size}px artwork for ${id}:`, err.message);
+            await promises.unlink(tempPath).catch(() => {});
+            return null;
+        }
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Audio Formats
+ * The audio formats the library lists, by extension. mimeType is what files are served with and
+ * the hint music-metadata gets for which parser to use (it ignores an "x-" prefix). browserType is
+ * what the player asks the browser's canPlayType() about, naming the codec where the container
+ * doesn't settle it. Monkey's Audio and WavPack aren't decoded by any browser and always play
+ * through a transcode; for the rest the player falls back to one when the browser can't play the
+ * file (AIFF outside Safari, or ALAC in an .m4a, which is only found out when decoding fails).
+ */
+import {extname} from 'path';
+
+export const AUDIO_FORMATS = {
+    '.mp3': { label: 'MP3', mimeType: 'audio/mpeg' },
+    '.flac': { label: 'FLAC', mimeType: 'audio/flac' },
+    '.m4a': { label: 'AAC / ALAC', mimeType: 'audio/mp4' },
+    '.m4b': { label: 'Audiobook', mimeType: 'audio/mp4' },
+    '.ogg': { label: 'Ogg Vorbis', mimeType: 'audio/ogg', browserType: 'audio/ogg; codecs="vorbis"' },
+    '.oga': { label: 'Ogg Vorbis', mimeType: 'audio/ogg', browserType: 'audio/ogg; codecs="vorbis"' },
+    '.opus': { label: 'Opus', mimeType: 'audio/ogg', browserType: 'audio/ogg; codecs="opus"' },
+    '.wav': { label: 'WAV', mimeType: 'audio/wav' },
+    '.aif': { label: 'AIFF', mimeType: 'audio/aiff' },
+    '.aiff': { label: 'AIFF', mimeType: 'audio/aiff' },
+    '.ape': { label: "Monkey's Audio", mimeType: 'audio/x-ape', transcode: true },
+    '.wv': { label: 'WavPack', mimeType: 'audio/x-wavpack', transcode: true }
+};
+
+export const AUDIO_EXTENSIONS = Object.keys(AUDIO_FORMATS);
+
+/**
+ * Format of an audio file by its name or path, or null when it isn't a supported audio file
+ */
+export function audioFormatOf(fileName) {
+    return AUDIO_FORMATS[extname(fileName).toLowerCase()] || null;
+}
+
+export function isAudioFile(fileName) {
+    return audioFormatOf(fileName) !== null;
+}
+
+/**
+ * MIME type of an audio file, for serving it and as music-metadata's parser hint (MP3 when unknown)
+ */
+export function audioMimeType(fileName) {
+    return audioFormatOf(fileName)?.mimeType || 'audio/mpeg';
+}
+
+/**
+ * The formats as the player needs them - [{ extension, label, browserType, transcode }]
+ */
+export function listAudioFormats() {
+    return Object.entries(AUDIO_FORMATS).map(([extension, format]) => ({
+        extension,
+        label: format.label,
+        browserType: format.browserType || format.mimeType,
+        transcode: !!format.transcode
+    }));
+}
@@ -8,20 +8,124 @@ class AudioHandler {
         this.metadataCache = new Map();
         // Search functionality
         this.allLinks = [];
-        this.searchIndex = new Map();
         this.isSearchActive = false;
+        // Current server search ({ query, words, loaded, total }) and its in-flight request
+        this.searchState = null;
+        this.searchController = null;
         // Store the original page title to restore later
         this.originalPageTitle = document.title;
         // Sticky player
         this.stickyPlayerContainer = null;
         this.currentPlaylist = []; // Track visible songs at time of play
         this.currentTrackIndex = -1; // Current position in playlist
+        // Up-next queue - played before continuing in page order, kept across pages in sessionStorage
+        this.queue = this.loadQueue();
+        this.queuePanel = null;
+        this.draggedQueueIndex = null;
+        // Playback modes (saved with the player state)
+        this.shuffleEnabled = false;
+        this.repeatMode = 'off'; // 'off', 'all' or 'one'
+        // Shuffled playlist indexes and the position in them - earlier positions are the history for "previous"
+        this.shuffleOrder = null;
+        this.shuffleOrderPlaylist = null;
+        this.shufflePosition = -1;
+        // Set while playing a "Shuffle folder" playlist ({ source, dir }) instead of the page's songs
+        this.folderPlaylist = null;
+        // Stream quality - 'original' or a transcode profile id (see /api/transcode/profiles)
+        this.quality = localStorage.getItem('audioQuality') || 'original';
+        this.transcodeProfiles = [];
+        this.qualitySelect = null;
+        // Untranscoded source of the current track, the profile it's streamed with ('original' or a
+        // transcode profile id) and where its transcoded stream started (seconds)
+        this.currentAudioSrc = null;
+        this.streamProfile = 'original';
+        this.transcodeOffset = 0;
+        // Audio formats by extension (see /api/formats) and the transcode profile originals the
+        // browser can't decode are played through - null when the server has no ffmpeg
+        this.audioFormats = {};
+        this.fallbackProfile = null;
+        this.audioFormatsLoaded = null;
+        // Originals that failed to decode (ALAC in an .m4a looks like any other .m4a) - played through
+        // the fallback profile from then on
+        this.fallbackSources = new Set();
+        // Volume normalization - 'off', 'track' or 'album' gain from /api/loudness, applied with Web Audio
+        this.normalization = localStorage.getItem('volumeNormalization') || 'off';
+        this.audioContext = null;
+        this.normalizationGain = null;
+        this.connectedAudioElements = new WeakSet();
+        // Equalizer - the settings in use, the manual ones for tracks without a preset (kept in this
+        // browser), the presets, and where the current track's preset comes from (from /api/dsp)
+        this.dspNodes = null;
+        this.manualDspSettings = this.loadManualDspSettings();
+        this.dspSettings = this.manualDspSettings;
+        this.dspPresets = [];
+        this.dspPresetId = null; // Preset shown in the panel, null for the manual settings
+        this.dspPresetEdited = false;
+        this.dspAssignment = null;
+        this.dspRequestId = 0;
+        this.dspPanel = null;
+        this.dspPresetBar = null;
+        this.dspToggle = null;
+        // Loudness of the current track ({ trackGain, trackPeak, albumGain, albumPeak }) and the latest lookup
+        this.currentLoudness = null;
+        this.loudnessRequestId = 0;
+        // Waveform seek bar - the current track's peaks ({ duration, peaks }) from /api/waveform
+        this.waveformCanvas = null;
+        this.waveform = null;
+        this.waveformRequestId = 0;
+        // Position (seconds) shown while the seek bar is being dragged
+        this.waveformDragPosition = null;
+        // Virtual tracks of the current recording (a vinyl side split on its silences) from /api/splits
+        // - [{ title, start }] or null - and the index of the one playing
+        this.virtualTracks = null;
+        this.virtualTrackIndex = -1;
+        this.virtualTrackList = null;
+        this.splitRequestId = 0;
+        this.virtualTracksLoaded = null;
+        // Discogs release matched for the current track ({ metadata, release }) - prefills the split editor
+        this.discogsMatch = null;
+        // Audiobook (.m4b) being played - { source, path, audioSrc, bookmarks, lastPosition, savedPosition,
+        // duration } - whose chapters are the virtual tracks and whose position is kept on the server
+        this.book = null;
+        this.bookmarkList = null;
+        this.bookPositionSavedAt = 0;
+        // Gapless playback - the player's audio elements (the playing one and a second one the next
+        // track is preloaded in, which takes over when the current track ends) and the listeners
+        // registered for them with onAudioEvent()
+        this.audioElements = [];
+        this.audioEventHandlers = [];
+        // Next track loaded in the second element - { link, audio, audioSrc, cueStart, streamProfile,
+        // transcodeOffset, ready } - and the timer that starts it
+        this.preloadedTrack = null;
+        this.transitionTimer = null;
+        // Fade (seconds) of the transition being made - read by advanceToTrack()
+        this.transitionFade = 0;
+        // Encoder delay and padding ({ delay, padding, duration } or null) by source, from /api/gapless
+        this.gaplessInfo = new Map();
+        // Seconds the next track fades in over the end of the current one - 0 starts it when the current
+        // track ends - and the fade in progress ({ from, to, volume, timer })
+        this.crossfade = parseFloat(localStorage.getItem('crossfadeSeconds')) || 0;
+        this.crossfadeState = null;
+        // Set when the browser won't start a second element without a user gesture (iOS) - the next
+        // track is loaded into the playing element instead
+        this.gaplessBlocked = false;
+        // Listening speed of the speed slider, and the current track's speed correction from
+        // /api/speed ({ rpmFrom, rpmTo, pitch } or null) - corrections are cached by track, so a
+        // preloaded track starts at its speed
+        this.playbackSpeed = 1;
+        this.speedCorrection = null;
+        this.speedCorrections = new Map();
+        this.speedCorrectionControl = null;
+        this.preservePitch = localStorage.getItem('preservePitch') !== 'false';
+        this.preservePitchCheckbox = null;
         // Track if the next action has user gesture (for autoplay policy)
         this.hasUserGesture = false;
         // Discogs integration
         this.discogsService = null;
         // Track folder navigation fetch to prevent race conditions
         this.folderNavigationController = null;
+        // Library changes reported by the server since the page was last refreshed
+        this.pendingLibraryChanges = { changed: 0, removed: 0 };
     }
 
     // Initialize pages with search functionality
@@ -31,28 +135,24 @@ class AudioHandler {
         this.indexAllLinks();
         this.setupClickHandlers();
         this.setupFolderNavigation();
+        // Formats are needed before a restored track is given its source
+        this.audioFormatsLoaded = this.loadAudioFormats();
         this.restorePlayerState();
         this.setupVideoPlaylist();
+
+        // Keep the playback position when leaving the page (e.g. switching to another collection)
+        window.addEventListener('pagehide', () => this.savePlayerState());
         this.generateVideoThumbnails();
 
         // Initialize Discogs service
         this.initializeDiscogs();
 
-        // Determine current endpoint and load appropriate file index for search
-        const pathname = window.location.pathname;
+        // Offer transcoded streams when the server has ffmpeg
+        this.loadTranscodeProfiles();
 
-        if (pathname === '/') {
-            // Local music endpoint - load all local files
-            this.loadAllFilesForSearch();
-        } else if (pathname === '/analog') {
-            // B2 analog endpoint - load all analog files
-            this.loadAllB2FilesForSearch('analog');
-        } else if (pathname === '/live') {
-            // B2 live endpoint - load all live files
-            this.loadAllB2FilesForSearch('live');
-        } else if (pathname === '/digital') {
-            // B2 digital endpoint - load all digital files
-            this.loadAllB2FilesForSearch('digital');
+        // Get notified when the server's filesystem watcher picks up new or removed files
+        if (window.location.pathname === '/') {
+            this.subscribeToLibraryEvents();
         }
 
         // DON'T preload metadata for B2 pages - only index filenames
@@ -133,92 +233,95 @@ class AudioHandler {
         }
     }
 
-    // Load all files from all folders for comprehensive search
-    async loadAllFilesForSearch() {
-        try {
-            const response = await fetch('/api/all-files');
-            const data = await response.json();
+    // Listen for library changes pushed by the server's filesystem watcher
+    subscribeToLibraryEvents() {
+        if (typeof EventSource === 'undefined') return;
 
-            if (data.success && data.files) {
-                console.log(`Loaded ${data.files.length} files for search across all folders`);
-                this.allFilesData = data.files;
-                // Index these files for search
-                this.indexAllFiles(data.files);
-            }
-        } catch (error) {
-            console.error('Failed to load all files for search:', error);
-        }
+        const events = new EventSource('/api/library-events');
+        events.addEventListener('library-changed', (e) => {
+            const data = JSON.parse(e.data);
+            this.pendingLibraryChanges.changed += data.changed;
+            this.pendingLibraryChanges.removed += data.removed;
+            this.showLibraryUpdateNotice();
+        });
     }
 
-    // Load all B2 files from a specific folder for comprehensive search
-    async loadAllB2FilesForSearch(folderName) {
-        try {
-            console.log(`Loading B2 files for search from ${folderName}...`);
-            const response = await fetch(`/api/all-b2-files/${folderName}`);
-            const data = await response.json();
-
-            console.log(`API response:`, data);
+    // Show (or update) the "library changed" notice under the top nav
+    showLibraryUpdateNotice() {
+        let notice = document.getElementById('libraryUpdateNotice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'libraryUpdateNotice';
+            notice.className = 'library-update-notice';
+            notice.innerHTML = `
+                <span class="library-update-text"></span>
+                <button class="library-update-refresh">&#x21bb; Refresh</button>
+                <button class="library-update-dismiss" title="Dismiss">&#x2715;</button>
+            `;
+            notice.querySelector('.library-update-refresh').addEventListener('click', () => {
+                this.refreshCurrentFolder();
+            });
+            notice.querySelector('.library-update-dismiss').addEventListener('click', () => {
+                this.hideLibraryUpdateNotice();
+            });
 
-            if (data.success && data.files) {
-                console.log(`Loaded ${data.files.length} B2 files for search from ${folderName} folder`);
-                this.allFilesData = data.files;
-                // Index these files for search with B2-specific type
-                this.indexAllB2Files(data.files, folderName);
+            const topNav = document.querySelector('.top-nav');
+            if (topNav) {
+                topNav.insertAdjacentElement('afterend', notice);
             } else {
-                console.error(`Failed to load B2 files: ${data.error || 'Unknown error'}`);
+                document.body.prepend(notice);
             }
-        } catch (error) {
-            console.error(`Failed to load B2 files for search from ${folderName}:`, error);
         }
+
+        const { changed, removed } = this.pendingLibraryChanges;
+        const parts = [];
+        if (changed > 0) parts.push(`${changed} added or changed`);
+        if (removed > 0) parts.push(`${removed} removed`);
+        notice.querySelector('.library-update-text').textContent = `Library updated: ${parts.join(', ')}`;
     }
 
-    // Index all files from all folders for search
-    indexAllFiles(filesData) {
-        filesData.forEach((fileInfo, index) => {
-            const searchData = {
-                filename: fileInfo.fileName,
-                folder: fileInfo.folderPath || '',
-                combined: `${fileInfo.fileName} ${fileInfo.folderPath || ''}`
-            };
+    hideLibraryUpdateNotice() {
+        const notice = document.getElementById('libraryUpdateNotice');
+        if (notice) {
+            notice.remove();
+        }
+        this.pendingLibraryChanges = { changed: 0, removed: 0 };
+    }
 
-            this.searchIndex.set(`all-file-${index}`, {
-                fileInfo: fileInfo,
-                searchText: searchData.combined.toLowerCase(),
-                data: searchData,
-                type: 'all-file'
-            });
-        });
+    // Re-render the current folder in place (keeps playback and scroll position)
+    async refreshCurrentFolder() {
+        this.hideLibraryUpdateNotice();
+        const scrollY = window.scrollY;
 
-        console.log(`Indexed ${filesData.length} files from all folders for search`);
-    }
+        try {
+            const response = await fetch(window.location.href);
+            const html = await response.text();
+            const doc = new DOMParser().parseFromString(html, 'text/html');
 
-    // Index all B2 files from a specific folder for search
-    indexAllB2Files(filesData, folderName) {
-        console.log(`Indexing ${filesData.length} B2 files...`);
-        filesData.forEach((fileInfo, index) => {
-            const searchData = {
-                filename: fileInfo.fileName,
-                folder: fileInfo.folderPath || '',
-                combined: `${fileInfo.fileName} ${fileInfo.folderPath || ''}`
-            };
+            const newContainer = doc.querySelector('.container');
+            const currentContainer = document.querySelector('.container');
+            if (!newContainer || !currentContainer) return;
+            currentContainer.innerHTML = newContainer.innerHTML;
 
-            this.searchIndex.set(`all-b2-file-${index}`, {
-                fileInfo: fileInfo,
-                searchText: searchData.combined.toLowerCase(),
-                data: searchData,
-                type: 'all-b2-file',
-                folderName: folderName  // Store the root folder (analog/live)
-            });
-        });
+            this.clearSearch();
+            this.indexAllLinks();
+            this.updatePlaylistToCurrentPage();
+            this.setupVideoPlaylist();
+            this.generateVideoThumbnails();
+            window.scrollTo(0, scrollY);
 
-        console.log(`Indexed ${filesData.length} B2 files from ${folderName} folder for search`);
-        console.log(`Total search index size: ${this.searchIndex.size}`);
+            // Reload ID3 info for the new rows (these helpers live in the page's inline script)
+            if (typeof loadLocalSongMetadata === 'function') loadLocalSongMetadata();
+            if (typeof loadRecentSongsMetadata === 'function') loadRecentSongsMetadata();
+        } catch (error) {
+            console.error('Failed to refresh folder:', error);
+        }
     }
 
     // Setup folder navigation to avoid page reloads when player is active
     setupFolderNavigation() {
         document.addEventListener('click', (e) => {
-            const folderLink = e.target.closest('.folder-link, .breadcrumb-link');
+            const folderLink = e.target.closest('.folder-link, .breadcrumb-link, .browse-tab');
             if (!folderLink) return;
 
             const href = folderLink.getAttribute('href');
@@ -229,29 +332,18 @@ class AudioHandler {
             const targetEndpoint = this.getEndpointFromHref(href);
 
             if (currentEndpoint !== targetEndpoint) {
-                // Crossing endpoints - stop player and allow normal navigation
-                if (this.currentAudio) {
-                    this.hideStickyPlayer();
-                    this.clearPlayerState();
-                    if (this.currentAudio) {
-                        this.currentAudio.pause();
-                        this.currentAudio.removeAttribute('src');
-                        this.currentAudio.load();
-                    }
-                    this.currentAudio = null;
-                    this.currentLink = null;
-                }
-                // Allow normal page navigation
+                // Crossing endpoints - allow normal page navigation, the player and queue
+                // are restored from sessionStorage on the new page
+                this.savePlayerState();
                 return;
             }
 
-            // Only intercept navigation within the same endpoint (local, analog, live, or digital)
+            // Only intercept navigation within the same endpoint (local, a cloud collection, or playlists)
             const isLocalNav = href.startsWith('/?') || href === '/';
-            const isAnalogNav = href.startsWith('/analog');
-            const isLiveNav = href.startsWith('/live');
-            const isDigitalNav = href.startsWith('/digital');
+            const isCloudNav = this.getCollectionFromPath(href) !== null;
+            const isPlaylistNav = href.startsWith('/playlists');
 
-            if (!isLocalNav && !isAnalogNav && !isLiveNav && !isDigitalNav) {
+            if (!isLocalNav && !isCloudNav && !isPlaylistNav) {
                 return;
             }
 
@@ -427,29 +519,36 @@ class AudioHandler {
         }
     }
 
-    // Get the current endpoint (root, analog, live, or digital)
+    // Cloud collection ids (analog, live, ...) - the server lists them in a meta tag
+    getCloudCollections() {
+        const meta = document.querySelector('meta[name="cloud-collections"]');
+        return meta && meta.content ? meta.content.split(',') : [];
+    }
+
+    // Cloud collection a path or href belongs to (e.g. '/analog?dir=x' -> 'analog'), or null
+    getCollectionFromPath(path) {
+        const base = path.split('?')[0];
+        return this.getCloudCollections().find(id => base === `/${id}`) || null;
+    }
+
+    // Get the current endpoint (root, a cloud collection id, or playlists)
     getCurrentEndpoint() {
         const path = window.location.pathname;
         if (path === '/' || path.startsWith('/?')) {
             return 'root';
-        } else if (path.includes('/analog')) {
-            return 'analog';
-        } else if (path.includes('/live')) {
-            return 'live';
-        } else if (path.includes('/digital')) {
-            return 'digital';
+        } else if (path.startsWith('/playlists')) {
+            return 'playlists';
         }
-        return 'root';
+        return this.getCollectionFromPath(path) || 'root';
     }
 
     // Get the endpoint from a href
     getEndpointFromHref(href) {
-        if (href.startsWith('/analog')) {
-            return 'analog';
-        } else if (href.startsWith('/live')) {
-            return 'live';
-        } else if (href.startsWith('/digital')) {
-            return 'digital';
+        const collection = this.getCollectionFromPath(href);
+        if (collection) {
+            return collection;
+        } else if (href.startsWith('/playlists')) {
+            return 'playlists';
         } else if (href === '/' || href.startsWith('/?')) {
             return 'root';
         }
@@ -458,6 +557,12 @@ class AudioHandler {
 
     // Update playlist to match current page without changing playback
     updatePlaylistToCurrentPage() {
+        // A "Shuffle folder" playlist isn't tied to the page - keep it until a song is clicked
+        if (this.folderPlaylist) {
+            this.savePlayerState();
+            return;
+        }
+
         const visibleLinks = Array.from(document.querySelectorAll('.link')).filter(link => {
             const songRow = link.closest('.song-row');
             if (songRow) {
@@ -496,16 +601,21 @@ class AudioHandler {
         if (!this.currentAudio) return;
 
         const state = {
-            audioSrc: this.currentAudio.src,
-            currentTime: this.currentAudio.currentTime,
-            playbackRate: this.currentAudio.playbackRate,
+            audioSrc: this.currentAudioSrc || this.currentAudio.src,
+            currentTime: this.getPlaybackPosition(),
+            playbackSpeed: this.playbackSpeed,
             isPlaying: !this.currentAudio.paused,
-            playlist: this.currentPlaylist.map(link => ({
+            shuffle: this.shuffleEnabled,
+            repeatMode: this.repeatMode,
+            folderPlaylist: this.folderPlaylist,
+            // Folder playlists can hold a whole collection - they're fetched again on restore instead
+            playlist: this.folderPlaylist ? [] : this.currentPlaylist.map(link => ({
                 audioType: link.dataset.audioType,
                 relativePath: link.dataset.relativePath,
                 proxyUrl: link.dataset.proxyUrl,
                 filename: link.dataset.filename,
-                folder: link.dataset.folder
+                folder: link.dataset.folder,
+                cueStart: link.dataset.cueStart
             })),
             currentTrackIndex: this.currentTrackIndex,
             currentLinkData: this.currentLink ? {
@@ -513,7 +623,8 @@ class AudioHandler {
                 relativePath: this.currentLink.dataset.relativePath,
                 proxyUrl: this.currentLink.dataset.proxyUrl,
                 filename: this.currentLink.dataset.filename,
-                folder: this.currentLink.dataset.folder
+                folder: this.currentLink.dataset.folder,
+                cueStart: this.currentLink.dataset.cueStart
             } : null,
             metadata: this._currentMetadata || null,
             metadataEndpoint: this._currentMetadataEndpoint || null,
@@ -530,64 +641,56 @@ class AudioHandler {
 
         try {
             const state = JSON.parse(stateJson);
+            await this.audioFormatsLoaded;
 
-            // Check if we're on the same endpoint - if not, clear state
+            // Playback continues across endpoints (audioSrc is absolute, so /music and /b2proxy
+            // streams play from any page)
             const savedEndpoint = state.endpoint || 'root';
-            const currentEndpoint = this.getCurrentEndpoint();
-
-            if (savedEndpoint !== currentEndpoint) {
-                console.log(`Endpoint changed from ${savedEndpoint} to ${currentEndpoint}, clearing player state`);
-                this.clearPlayerState();
-                return;
+            if (savedEndpoint !== this.getCurrentEndpoint()) {
+                console.log(`Continuing playback from ${savedEndpoint} on ${this.getCurrentEndpoint()}`);
             }
 
+            this.shuffleEnabled = !!state.shuffle;
+            this.repeatMode = state.repeatMode || 'off';
+
             // Create audio element and restore playback first (without clicking any link)
-            const audio = new Audio();
+            const audio = this.createAudioElement();
             audio.controls = true;
-            audio.src = state.audioSrc;
-            audio.currentTime = state.currentTime;
-            audio.playbackRate = state.playbackRate;
+            // Transcoded streams restart at the saved position instead of seeking into it
+            this.setAudioSource(audio, state.audioSrc, Math.floor(state.currentTime));
+            if (this.streamProfile === 'original') {
+                audio.currentTime = state.currentTime;
+            }
+            // The track's speed correction follows once it's known
+            this.playbackSpeed = state.playbackSpeed ?? state.playbackRate ?? 1;
+            this.applyPlaybackSpeed(audio, null);
 
             // Create metadata display from saved state
             const metadataDiv = this.createMetadataDiv();
 
             // Create speed control
-            const speedControlDiv = this.createSpeedControl(audio);
+            const speedControlDiv = this.createSpeedControl();
 
             // Setup event listeners
-            audio.addEventListener('play', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPlaybackState('playing');
-            });
-            audio.addEventListener('pause', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPlaybackState('paused');
-            });
-            audio.addEventListener('timeupdate', () => {
-                if (!this._lastSaveTime || Date.now() - this._lastSaveTime > 2000) {
-                    this.savePlayerState();
-                    this._lastSaveTime = Date.now();
-                }
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('ratechange', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('loadedmetadata', () => {
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('ended', () => {
-                this.playNextTrack();
-            });
+            this.addPlayerListeners();
 
             // Add to sticky player
             const container = document.createElement('div');
             container.appendChild(metadataDiv);
+            container.appendChild(this.createWaveformSeekBar());
+            container.appendChild(this.createVirtualTrackList());
+            container.appendChild(this.createBookmarkList());
+            container.appendChild(this.createDspPanel());
             const audioWrapper = document.createElement('div');
             audioWrapper.className = 'audio-player-wrapper';
             audioWrapper.appendChild(audio);
             audioWrapper.appendChild(speedControlDiv);
+            audioWrapper.appendChild(this.createSpeedCorrectionControl());
+            audioWrapper.appendChild(this.createPlaybackModeControl());
+            audioWrapper.appendChild(this.createQualityControl());
+            audioWrapper.appendChild(this.createNormalizationControl());
+            audioWrapper.appendChild(this.createDspControl());
+            audioWrapper.appendChild(this.createCrossfadeControl());
             container.appendChild(audioWrapper);
 
             // Clear placeholder and append to content wrapper
@@ -626,7 +729,7 @@ class AudioHandler {
             this.currentPlaylist = visibleLinks;
 
             // Find if the currently playing track is on this page
-            const currentLinkOnPage = visibleLinks.find(link => {
+            const currentLinkOnPage = state.currentLinkData && visibleLinks.find(link => {
                 if (state.currentLinkData.audioType === 'local') {
                     return link.dataset.relativePath === state.currentLinkData.relativePath;
                 } else {
@@ -640,11 +743,23 @@ class AudioHandler {
                 this.currentLink = currentLinkOnPage;
             } else {
                 // Current track not on this page, when it ends, start from beginning of new page
+                // Keep a detached link for it so the current song is still saved with the player state
                 this.currentTrackIndex = -1;
-                this.currentLink = null;
+                this.currentLink = state.currentLinkData ? this.linkForTrack(state.currentLinkData) : null;
             }
 
             console.log(`Player restored: ${visibleLinks.length} tracks in new playlist, current track at index ${this.currentTrackIndex}`);
+            this.loadTrackLoudness();
+            this.loadTrackDsp();
+            this.loadTrackSpeed();
+            this.loadWaveform();
+            this.loadVirtualTracks();
+
+            // A "Shuffle folder" playlist continues instead of the page's songs
+            if (state.folderPlaylist) {
+                this.folderPlaylist = state.folderPlaylist;
+                this.restoreFolderPlaylist(state.folderPlaylist, state.currentLinkData);
+            }
 
             // Resume playback if it was playing
             if (state.isPlaying) {
@@ -710,6 +825,26 @@ class AudioHandler {
         });
 
         playerContainer.appendChild(toggleButton);
+
+        // Queue button and panel - lists the up-next tracks
+        const queueButton = document.createElement('button');
+        queueButton.className = 'player-queue-button';
+        queueButton.title = 'Show play queue';
+        queueButton.setAttribute('aria-label', 'Toggle play queue');
+        queueButton.addEventListener('click', () => this.toggleQueuePanel());
+        playerContainer.appendChild(queueButton);
+
+        const queuePanel = document.createElement('div');
+        queuePanel.className = 'queue-panel';
+        if (sessionStorage.getItem('queuePanelOpen') === 'true') {
+            queuePanel.classList.add('open');
+        }
+        playerContainer.appendChild(queuePanel);
+        this.queueButton = queueButton;
+        this.queuePanel = queuePanel;
+        this.setupQueuePanel();
+        this.renderQueuePanel();
+
         document.body.appendChild(playerContainer);
         this.stickyPlayerContainer = playerContainer;
         this.playerContentWrapper = contentWrapper; // Store reference to content wrapper
@@ -772,6 +907,14 @@ class AudioHandler {
         if (!container) return;
 
         container.addEventListener('click', (e) => {
+            const shuffleFolderButton = e.target.closest('.shuffle-folder-button');
+            if (shuffleFolderButton) {
+                e.preventDefault();
+                this.hasUserGesture = true;
+                this.shuffleFolder(shuffleFolderButton.dataset.source, shuffleFolderButton.dataset.dir);
+                return;
+            }
+
             const link = e.target.closest('.link');
             if (!link) return;
 
@@ -779,6 +922,8 @@ class AudioHandler {
 
             // User clicked, so we have a gesture
             this.hasUserGesture = true;
+            // Clicking a song goes back to playing the page's songs
+            this.folderPlaylist = null;
 
             const audioType = link.dataset.audioType;
             const relativePath = link.dataset.relativePath;
@@ -804,10 +949,8 @@ class AudioHandler {
         // Determine if we're on a page that supports rescanning
         const pathname = window.location.pathname;
         const isLocalPage = pathname === '/';
-        const isAnalogPage = pathname === '/analog';
-        const isLivePage = pathname === '/live';
-        const isDigitalPage = pathname === '/digital';
-        const showRescanButton = isLocalPage || isAnalogPage || isLivePage || isDigitalPage;
+        const isCloudPage = this.getCollectionFromPath(pathname) !== null;
+        const showRescanButton = isLocalPage || isCloudPage;
         const rescanButton = showRescanButton ? '<button class="rescan-button" id="rescanButton">&#128257; Rescan</button>' : '';
 
         const searchHTML = `
@@ -817,7 +960,7 @@ class AudioHandler {
                         <input type="text"
                                class="search-input"
                                id="musicSearch"
-                               placeholder="Search songs, artists, albums, or filenames..."
+                               placeholder="Search songs, artists, albums (artist:, year:1978..1985)..."
                                autocomplete="off">
                         <span class="search-icon">&#128269;</span>
                     </div>
@@ -874,16 +1017,12 @@ class AudioHandler {
             button.textContent = '\u23F3 Scanning...';
 
             // Determine which endpoint to call based on current page
-            const pathname = window.location.pathname;
-            let rescanUrl = '/rescan'; // default for local files
-
-            if (pathname === '/analog') {
-                rescanUrl = '/rescan-b2/analog';
-            } else if (pathname === '/live') {
-                rescanUrl = '/rescan-b2/live';
-            } else if (pathname === '/digital') {
-                rescanUrl = '/rescan-b2/digital';
-            }
+            // (in a B2 subfolder only that folder is listed again)
+            const collection = this.getCollectionFromPath(window.location.pathname);
+            const dir = new URLSearchParams(window.location.search).get('dir');
+            const rescanUrl = collection
+                ? `/rescan-b2/${collection}${dir ? `?dir=${encodeURIComponent(dir)}` : ''}`
+                : '/rescan'; // default for local files
 
             const response = await fetch(rescanUrl);
             const result = await response.json();
@@ -911,117 +1050,24 @@ class AudioHandler {
         }
     }
 
-    // Index all links for searching (include folder links)
+    // Collect the current page's links (shown again when a search is cleared)
     indexAllLinks() {
         this.allLinks = Array.from(document.querySelectorAll('.link'));
-        // Also include folder links in search
         this.folderLinks = Array.from(document.querySelectorAll('.folder-link'));
 
-        // Clear only the current page links from search index, preserve all-file and all-b2-file entries
-        const keysToDelete = [];
-        this.searchIndex.forEach((item, key) => {
-            if (item.type !== 'all-file' && item.type !== 'all-b2-file') {
-                keysToDelete.push(key);
-            }
-        });
-        keysToDelete.forEach(key => this.searchIndex.delete(key));
-
-        // Index audio links
-        this.allLinks.forEach((link, index) => {
-            const searchData = this.extractSearchableData(link);
-            const songRow = link.closest('.song-row');
-            this.searchIndex.set(`link-${index}`, {
-                link: link,
-                songRow: songRow,
-                searchText: searchData.combined.toLowerCase(),
-                data: searchData,
-                type: 'audio'
-            });
-        });
-
-        // Index folder links
-        this.folderLinks.forEach((link, index) => {
-            const folderName = link.textContent.trim();
-            const folderRow = link.closest('.folder-row');
-            this.searchIndex.set(`folder-${index}`, {
-                link: link,
-                songRow: folderRow,
-                searchText: folderName.toLowerCase(),
-                data: { combined: folderName },
-                type: 'folder'
-            });
-        });
-
         const totalItems = this.allLinks.length + this.folderLinks.length;
         this.updateResultsCount(totalItems, totalItems);
     }
 
-    // Extract searchable data from a link
-    extractSearchableData(link) {
-        let filename = '';
-        let artist = '';
-        let album = '';
-        let title = '';
-        let folder = '';
-
-        // Extract folder path from data attribute
-        if (link.dataset && link.dataset.folder) {
-            folder = link.dataset.folder;
-        }
-
-        // For B2 files with data attributes
-        if (link.dataset && link.dataset.filename) {
-            filename = link.dataset.filename;
-        }
-
-        // For LOCAL files (root endpoint) - extract from text content since metadata is already loaded
-        const textContent = link.textContent.trim();
-        if (link.dataset && link.dataset.artist) {
-            // Local files have metadata in data attributes
-            artist = link.dataset.artist || '';
-            album = link.dataset.album || '';
-            title = link.dataset.title || '';
-        } else if (textContent) {
-            // For B2 files, ONLY use filename - don't load metadata until played
-            if (link.dataset && link.dataset.folder) {
-                // This is a B2 file - only search by filename
-                filename = link.dataset.filename || textContent;
-                title = filename; // Use filename as title for search
-            } else {
-                // Try to parse local file text content if no data attributes
-                const parts = textContent.split(/\s+/).filter(part => part.length > 0);
-                if (parts.length >= 3) {
-                    artist = parts[0] || '';
-                    album = parts[1] || '';
-                    title = parts.slice(2).join(' ') || '';
-                } else {
-                    title = textContent;
-                }
-            }
-        }
-
-        // If still no filename, try to extract from onclick
-        if (!filename && link.getAttribute('onclick')) {
-            const onclickMatch = link.getAttribute('onclick').match(/'([^']+)'/);
-            if (onclickMatch) {
-                filename = onclickMatch[1].split('/').pop().replace(/\.[^.]+$/, '');
-            }
-        }
-
-        const combined = [filename, artist, album, title, folder].filter(Boolean).join(' ');
-
-        return {
-            filename,
-            artist,
-            album,
-            title,
-            folder,
-            combined
-        };
+    // Source searched by /api/search for the current page (local library or a B2 folder)
+    getSearchSource() {
+        const endpoint = this.getCurrentEndpoint();
+        return endpoint === 'root' ? 'local' : endpoint;
     }
 
-    // Perform search with highlighting
-    performSearch(query) {
+    // Search the whole collection on the server - ranked by tags and file names,
+    // with prefix matching and field filters such as artist:pixies or year:1978..1985
+    async performSearch(query) {
         const searchLoading = document.getElementById('searchLoading');
 
         if (!query || query.trim().length === 0) {
@@ -1039,100 +1085,103 @@ class AudioHandler {
             recentSongsSection.style.display = 'none';
         }
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
+        // Abort a search that is still in flight
+        if (this.searchController) {
+            this.searchController.abort();
+        }
+        const controller = new AbortController();
+        this.searchController = controller;
+
+        try {
+            const data = await this.fetchSearchResults(query.trim(), 0, controller.signal);
             this.isSearchActive = true;
-            const searchTerms = query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
-            let visibleCount = 0;
-            const matchedAllFiles = [];
-
-            // Convert searchIndex to array for batch processing
-            const items = Array.from(this.searchIndex.values());
-            const BATCH_SIZE = 500;
-            let currentIndex = 0;
-
-            const processBatch = () => {
-                const endIndex = Math.min(currentIndex + BATCH_SIZE, items.length);
-
-                for (let i = currentIndex; i < endIndex; i++) {
-                    const item = items[i];
-                    const { link, searchText, type, fileInfo } = item;
-
-                    // Check if all search terms are found
-                    const matches = searchTerms.every(term => searchText.includes(term));
-
-                    if (type === 'all-file' || type === 'all-b2-file') {
-                        // Handle all-file and all-b2-file results separately
-                        if (matches) {
-                            matchedAllFiles.push(fileInfo);
-                            visibleCount++;
-                        }
-                    } else {
-                        // Handle regular links (current page)
-                        // Re-query for parent row at search time (could be song-row or folder-row)
-                        const parentRow = link ? link.closest('.song-row, .folder-row') : null;
-
-                        if (matches) {
-                            // Hide/show the parent row if it exists, otherwise hide the link
-                            if (parentRow) {
-                                parentRow.classList.remove('search-hidden');
-                                // Also ensure the link itself doesn't have the class
-                                if (link) link.classList.remove('search-hidden');
-                            } else if (link) {
-                                link.classList.remove('search-hidden');
-                            }
-                            if (link) this.highlightMatches(link, searchTerms);
-                            visibleCount++;
-                        } else {
-                            if (parentRow) {
-                                parentRow.classList.add('search-hidden');
-                                // Also ensure the link itself doesn't have the class
-                                if (link) link.classList.remove('search-hidden');
-                            } else if (link) {
-                                link.classList.add('search-hidden');
-                            }
-                        }
-                    }
-                }
+            this.searchState = {
+                query: query.trim(),
+                words: data.words,
+                loaded: data.results.length,
+                total: data.total
+            };
 
-                currentIndex = endIndex;
+            // Results cover the whole collection, so the current folder's rows are hidden while searching
+            this.setPageRowsHidden(true);
+            this.displayAllFileResults(data.results, data.words);
 
-                if (currentIndex < items.length) {
-                    // More items to process, schedule next batch
-                    setTimeout(processBatch, 0);
-                } else {
-                    // All items processed, finalize search
-                    // Add matched files from other folders to the DOM
-                    if (matchedAllFiles.length > 0) {
-                        this.displayAllFileResults(matchedAllFiles, searchTerms);
-                    } else {
-                        // Remove any previously added all-file results
-                        this.removeAllFileResults();
-                    }
+            this.updateResultsCount(this.searchState.loaded, this.searchState.total);
+            this.toggleClearButton(true);
 
-                    this.updateResultsCount(visibleCount, this.searchIndex.size);
-                    this.toggleClearButton(true);
+            // Update playlist if audio is currently playing
+            if (this.currentAudio && !this.currentAudio.paused) {
+                this.updatePlaylistToCurrentPage();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Search failed:', error);
+            const resultsElement = document.getElementById('searchResults');
+            if (resultsElement) {
+                resultsElement.textContent = 'Search failed';
+            }
+        } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+                if (searchLoading) {
+                    searchLoading.classList.remove('active');
+                }
+            }
+        }
+    }
 
-                    if (searchLoading) {
-                        searchLoading.classList.remove('active');
-                    }
+    // Fetch one page of results from /api/search
+    async fetchSearchResults(query, offset, signal) {
+        const params = new URLSearchParams({
+            q: query,
+            source: this.getSearchSource(),
+            offset: offset,
+            limit: 50
+        });
+        const response = await fetch(`/api/search?${params}`, { signal });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Search failed');
+        }
+        return data;
+    }
 
-                    // Update playlist if audio is currently playing
-                    if (this.currentAudio && !this.currentAudio.paused) {
-                        this.updatePlaylistToCurrentPage();
-                    }
-                }
-            };
+    // Append the next page of results for the current search
+    async loadMoreSearchResults(button) {
+        if (!this.searchState) return;
+
+        button.disabled = true;
+        button.textContent = 'Loading...';
+        try {
+            const data = await this.fetchSearchResults(this.searchState.query, this.searchState.loaded);
+            this.searchState.loaded += data.results.length;
+            this.displayAllFileResults(data.results, this.searchState.words, true);
+            this.updateResultsCount(this.searchState.loaded, this.searchState.total);
 
-            // Start batch processing
-            processBatch();
-        }, 10);
+            if (this.currentAudio && !this.currentAudio.paused) {
+                this.updatePlaylistToCurrentPage();
+            }
+        } catch (error) {
+            console.error('Failed to load more search results:', error);
+            button.disabled = false;
+            button.textContent = 'Show more';
+        }
     }
 
-    // Display search results from all folders
-    displayAllFileResults(matchedFiles, searchTerms) {
-        // Remove any existing all-file results first
-        this.removeAllFileResults();
+    // Hide (or show again) the rows of the current folder
+    setPageRowsHidden(hidden) {
+        [...this.allLinks, ...(this.folderLinks || [])].forEach(link => {
+            const row = link.closest('.song-row, .folder-row') || link;
+            row.classList.toggle('search-hidden', hidden);
+        });
+    }
+
+    // Display search results from the whole collection (grouped by folder, best match first)
+    displayAllFileResults(matchedFiles, searchTerms, append = false) {
+        // Remove any existing results first, unless another page of results is being added
+        if (!append) {
+            this.removeAllFileResults();
+        }
 
         const container = document.querySelector('.container');
         if (!container) return;
@@ -1147,15 +1196,24 @@ class AudioHandler {
             filesByFolder.get(folder).push(fileInfo);
         });
 
-        // Create a container for all-file results
-        const resultsContainer = document.createElement('div');
-        resultsContainer.id = 'all-files-search-results';
-        resultsContainer.style.cssText = 'margin-top: 20px;';
+        // Create a container for all-file results (or reuse it when appending)
+        let resultsContainer = append ? document.getElementById('all-files-search-results') : null;
+        const isNewContainer = !resultsContainer;
+        if (isNewContainer) {
+            resultsContainer = document.createElement('div');
+            resultsContainer.id = 'all-files-search-results';
+            resultsContainer.style.cssText = 'margin-top: 20px;';
+        }
+
+        const existingShowMore = resultsContainer.querySelector('.search-show-more');
+        if (existingShowMore) {
+            existingShowMore.remove();
+        }
 
         // Determine if we're on a B2 endpoint
         const pathname = window.location.pathname;
-        const isB2Endpoint = pathname === '/analog' || pathname === '/live' || pathname === '/digital';
-        const b2FolderName = pathname === '/analog' ? 'analog' : (pathname === '/live' ? 'live' : (pathname === '/digital' ? 'digital' : null));
+        const b2FolderName = this.getCollectionFromPath(pathname);
+        const isB2Endpoint = b2FolderName !== null;
 
         filesByFolder.forEach((files, folder) => {
             // Add folder header
@@ -1201,6 +1259,10 @@ class AudioHandler {
 
                 // Highlight matching terms
                 let displayText = fileInfo.fileName;
+                const details = [fileInfo.artist, fileInfo.album].filter(Boolean).join(' - ');
+                if (details) {
+                    displayText += ` <span style="font-size: 12px; opacity: 0.7; margin-left: 8px;">${details}</span>`;
+                }
                 // Sort terms by length (longest first) to avoid partial matches
                 const sortedTerms = [...searchTerms].sort((a, b) => b.length - a.length);
                 sortedTerms.forEach(term => {
@@ -1229,12 +1291,29 @@ class AudioHandler {
                 directLink.innerHTML = '&#128279;';
                 songRow.appendChild(directLink);
 
+                const addButton = document.createElement('button');
+                addButton.className = 'add-to-playlist';
+                addButton.title = 'Add to queue or playlist';
+                addButton.innerHTML = '&#x2795;';
+                songRow.appendChild(addButton);
+
                 resultsContainer.appendChild(songRow);
             });
         });
 
+        // Offer the next page of results
+        if (this.searchState && this.searchState.loaded < this.searchState.total) {
+            const showMoreButton = document.createElement('button');
+            showMoreButton.className = 'search-show-more';
+            showMoreButton.textContent = `Show more (${this.searchState.total - this.searchState.loaded} remaining)`;
+            showMoreButton.addEventListener('click', () => this.loadMoreSearchResults(showMoreButton));
+            resultsContainer.appendChild(showMoreButton);
+        }
+
         // Insert at the top of the container
-        container.insertBefore(resultsContainer, container.firstChild);
+        if (isNewContainer) {
+            container.insertBefore(resultsContainer, container.firstChild);
+        }
     }
 
     // Remove all-file search results from DOM
@@ -1245,48 +1324,6 @@ class AudioHandler {
         }
     }
 
-    // Highlight search terms in link content
-    highlightMatches(link, searchTerms) {
-        // Store original content if not already stored
-        if (!link.dataset.originalContent) {
-            link.dataset.originalContent = link.innerHTML;
-        }
-
-        // Always start with clean original content
-        let content = link.dataset.originalContent;
-
-        // Sort terms by length (longest first) to avoid partial matches being highlighted first
-        const sortedTerms = [...searchTerms].sort((a, b) => b.length - a.length);
-
-        // Highlight each search term, but avoid re-highlighting already highlighted content
-        sortedTerms.forEach(term => {
-            // Match term only if it's not already inside a highlight span
-            const regex = new RegExp(`(?![^<]*>|[^<>]*</)(${ this.escapeRegex(term)})`, 'gi');
-            content = content.replace(regex, '<span class="search-highlight">$1</span>');
-        });
-
-        link.innerHTML = content;
-    }
-
-    // Remove search highlighting
-    removeHighlighting() {
-        this.allLinks.forEach(link => {
-            if (link.dataset.originalContent) {
-                link.innerHTML = link.dataset.originalContent;
-                delete link.dataset.originalContent;
-            }
-        });
-
-        if (this.folderLinks) {
-            this.folderLinks.forEach(link => {
-                if (link.dataset.originalContent) {
-                    link.innerHTML = link.dataset.originalContent;
-                    delete link.dataset.originalContent;
-                }
-            });
-        }
-    }
-
     // Clear search and show all items
     clearSearch() {
         const searchInput = document.getElementById('musicSearch');
@@ -1300,29 +1337,21 @@ class AudioHandler {
             recentSongsSection.style.display = '';
         }
 
-        // Remove all-file search results
-        this.removeAllFileResults();
-
-        // Clear search-hidden from both links and their parent rows
-        this.allLinks.forEach(link => {
-            link.classList.remove('search-hidden');
-            const songRow = link.closest('.song-row');
-            if (songRow) {
-                songRow.classList.remove('search-hidden');
+        // Drop any search still in flight and remove its results
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
+            const searchLoading = document.getElementById('searchLoading');
+            if (searchLoading) {
+                searchLoading.classList.remove('active');
             }
-        });
-
-        if (this.folderLinks) {
-            this.folderLinks.forEach(link => {
-                link.classList.remove('search-hidden');
-                const folderRow = link.closest('.folder-row');
-                if (folderRow) {
-                    folderRow.classList.remove('search-hidden');
-                }
-            });
         }
+        this.searchState = null;
+        this.removeAllFileResults();
+
+        // Show the current folder's rows again
+        this.setPageRowsHidden(false);
 
-        this.removeHighlighting();
         const totalItems = this.allLinks.length + (this.folderLinks ? this.folderLinks.length : 0);
         this.updateResultsCount(totalItems, totalItems);
         this.toggleClearButton(false);
@@ -1366,8 +1395,8 @@ class AudioHandler {
 
     // Update link display with metadata
     updateLinkDisplay(link, metadata) {
-        const artwork = metadata.artwork ?
-            (metadata.artwork.startsWith('data:') ? metadata.artwork : `data:image/jpeg;base64,${metadata.artwork}`) : '';
+        // An /artwork URL (or a data URI in metadata cached before artwork had its own endpoint)
+        const artwork = metadata.artwork || '';
 
         const isRecentSongLink = link.classList.contains('recent-song-link');
 
@@ -1427,6 +1456,16 @@ class AudioHandler {
         // Build playlist from currently visible songs if starting fresh or playlist changed
         this.updatePlaylist(link);
 
+        // Another CUE track of the file that's already loaded only needs a seek
+        const cueStart = this.cueStartOf(link);
+        if (this.playCueTrackInCurrentFile(audioSrc, link, autoPlay || hasGesture)) {
+            return;
+        }
+
+        // A track clicked while the next one was preloaded (or fading in) replaces both
+        this.finishCrossfade();
+        this.discardPreloadedTrack();
+
         let audio;
         let isNewAudioElement = false;
 
@@ -1441,9 +1480,8 @@ class AudioHandler {
             console.log('Creating new audio element');
             isNewAudioElement = true;
             // Create a new audio element
-            audio = new Audio();
+            audio = this.createAudioElement();
             audio.controls = true;
-            audio.preload = 'auto';
         }
 
         // Clean up artwork from previous recent song link
@@ -1462,64 +1500,29 @@ class AudioHandler {
 
         // Only add event listeners if this is a new audio element
         if (isNewAudioElement) {
-            audio.addEventListener('loadstart', () => console.log('Loading started:', audioSrc));
-            audio.addEventListener('canplay', () => console.log('Can start playing'));
-            audio.addEventListener('error', (e) => {
-                console.error('Audio error:', e);
-                console.error('Audio error details:', audio.error);
-
-                // Auto-skip to next song after error
-                setTimeout(() => {
-                    console.log('Auto-skipping to next song after error');
-                    this.playNextTrack();
-                }, 3000); // Wait 3 seconds before skipping
-            });
-
-            // Save state on various events
-            audio.addEventListener('play', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPlaybackState('playing');
-            });
-            audio.addEventListener('pause', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPlaybackState('paused');
-            });
-            audio.addEventListener('timeupdate', () => {
-                // Throttle saves - only save every 2 seconds
-                if (!this._lastSaveTime || Date.now() - this._lastSaveTime > 2000) {
-                    this.savePlayerState();
-                    this._lastSaveTime = Date.now();
-                }
-                // Update Media Session position state for lock screen progress bar
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('ratechange', () => {
-                this.savePlayerState();
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('loadedmetadata', () => {
-                // Update position state when duration becomes available
-                this.updateMediaSessionPosition();
-            });
-            audio.addEventListener('ended', () => {
-                console.log('Audio ended, advancing to next track');
-
-                // Use the shared playNextTrack logic
-                this.playNextTrack();
-            });
+            this.addPlayerListeners();
         }
 
         // Create metadata display container
         const metadataDiv = this.createMetadataDiv();
 
         // Create speed control slider (only if new element)
-        const speedControlDiv = isNewAudioElement ? this.createSpeedControl(audio) : this.currentMetadataDiv.querySelector('.audio-player-wrapper');
+        const speedControlDiv = isNewAudioElement ? this.createSpeedControl() : this.currentMetadataDiv.querySelector('.audio-player-wrapper');
 
-        // Set the new source (this works whether it's new or reused element)
-        audio.src = audioSrc;
+        // Set the new source (this works whether it's new or reused element) - a CUE track starts
+        // at its INDEX 01
+        this.setAudioSource(audio, audioSrc, Math.floor(cueStart));
+        this.loadTrackLoudness();
+        this.loadTrackDsp();
+        this.loadTrackSpeed();
+        this.loadWaveform();
+        this.loadVirtualTracks();
 
         // Force load the new source
         audio.load();
+        if (cueStart > 0 && this.streamProfile === 'original') {
+            audio.currentTime = cueStart;
+        }
 
         // Only rebuild UI if this is a new audio element
         if (isNewAudioElement) {
@@ -1532,12 +1535,22 @@ class AudioHandler {
             // Put player in sticky container
             const container = document.createElement('div');
             container.appendChild(metadataDiv);
+            container.appendChild(this.createWaveformSeekBar());
+            container.appendChild(this.createVirtualTrackList());
+            container.appendChild(this.createBookmarkList());
+            container.appendChild(this.createDspPanel());
 
             // Create audio player wrapper with controls
             const audioWrapper = document.createElement('div');
             audioWrapper.className = 'audio-player-wrapper';
             audioWrapper.appendChild(audio);
             audioWrapper.appendChild(speedControlDiv);
+            audioWrapper.appendChild(this.createSpeedCorrectionControl());
+            audioWrapper.appendChild(this.createPlaybackModeControl());
+            audioWrapper.appendChild(this.createQualityControl());
+            audioWrapper.appendChild(this.createNormalizationControl());
+            audioWrapper.appendChild(this.createDspControl());
+            audioWrapper.appendChild(this.createCrossfadeControl());
 
             container.appendChild(audioWrapper);
 
@@ -1590,8 +1603,97 @@ class AudioHandler {
         await this.loadMetadata(audioSrc, targetMetadataDiv, metadataEndpoint, link);
     }
 
+    // New audio element for the player, with the listeners registered so far
+    createAudioElement() {
+        const audio = new Audio();
+        audio.preload = 'auto';
+        this.audioElements.push(audio);
+        for (const { eventName, handler } of this.audioEventHandlers) {
+            this.addAudioEventHandler(audio, eventName, handler);
+        }
+        return audio;
+    }
+
+    // Listen to an event of the player's audio elements - only events of the element playing the
+    // current track are passed on, so a preloaded track (or one fading out) doesn't move the player
+    onAudioEvent(eventName, handler) {
+        this.audioEventHandlers.push({ eventName, handler });
+        for (const audio of this.audioElements) {
+            this.addAudioEventHandler(audio, eventName, handler);
+        }
+    }
+
+    addAudioEventHandler(audio, eventName, handler) {
+        audio.addEventListener(eventName, (event) => {
+            if (audio === this.currentAudio) handler(event);
+        });
+    }
+
+    // Playback, state saving and Media Session listeners of the player's audio elements
+    addPlayerListeners() {
+        this.onAudioEvent('loadstart', () => console.log('Loading started:', this.currentAudioSrc));
+        this.onAudioEvent('canplay', () => console.log('Can start playing'));
+        this.onAudioEvent('error', (e) => {
+            const audio = this.currentAudio;
+            console.error('Audio error:', e);
+            console.error('Audio error details:', audio.error);
+            if (this.retryWithFallback()) return;
+
+            // Auto-skip to next song after error
+            setTimeout(() => {
+                console.log('Auto-skipping to next song after error');
+                this.playNextTrack();
+            }, 3000); // Wait 3 seconds before skipping
+        });
+
+        // Save state on various events
+        this.onAudioEvent('play', () => {
+            this.resumeAudioGraph(this.currentAudio);
+            this.savePlayerState();
+            this.updateMediaSessionPlaybackState('playing');
+        });
+        this.onAudioEvent('pause', () => {
+            this.cancelTrackTransition();
+            this.finishCrossfade();
+            this.savePlayerState();
+            this.updateMediaSessionPlaybackState('paused');
+        });
+        this.onAudioEvent('timeupdate', () => {
+            // Throttle saves - only save every 2 seconds
+            if (!this._lastSaveTime || Date.now() - this._lastSaveTime > 2000) {
+                this.savePlayerState();
+                this._lastSaveTime = Date.now();
+            }
+            // Update Media Session position state for lock screen progress bar
+            this.updateMediaSessionPosition();
+            this.prepareTrackTransition();
+        });
+        this.onAudioEvent('ratechange', () => {
+            this.cancelTrackTransition();
+            this.savePlayerState();
+            this.updateMediaSessionPosition();
+        });
+        this.onAudioEvent('seeking', () => {
+            this.cancelTrackTransition();
+            this.handleTranscodeSeek();
+        });
+        this.onAudioEvent('loadedmetadata', () => {
+            // Update position state when duration becomes available
+            this.updateMediaSessionPosition();
+        });
+        this.onAudioEvent('ended', () => {
+            console.log('Audio ended, advancing to next track');
+            this.handleTrackEnded();
+        });
+    }
+
     // Update the current playlist based on visible songs
     updatePlaylist(clickedLink) {
+        if (this.folderPlaylist) {
+            this.currentTrackIndex = this.currentPlaylist.indexOf(clickedLink);
+            return;
+        }
+
         // Get all currently visible links (respects search filter and current folder)
         const visibleLinks = Array.from(document.querySelectorAll('.link')).filter(link => {
             const songRow = link.closest('.song-row');
@@ -1611,6 +1713,12 @@ class AudioHandler {
     playNextTrack() {
         console.log('playNextTrack called, playlist length:', this.currentPlaylist.length, 'current index:', this.currentTrackIndex);
 
+        // Queued tracks play before the rest of the page
+        if (this.queue.length > 0) {
+            this.playFromQueue(0);
+            return;
+        }
+
         if (this.currentPlaylist.length === 0) {
             console.log('No next song available (empty playlist) - keeping player visible');
             // Don't hide the player or clear state - just stop playback
@@ -1621,18 +1729,45 @@ class AudioHandler {
             return;
         }
 
-        this.currentTrackIndex++;
-        console.log('Advanced to index:', this.currentTrackIndex);
+        if (this.shuffleEnabled) {
+            this.ensureShuffleOrder();
+            this.shufflePosition++;
 
-        if (this.currentTrackIndex >= this.currentPlaylist.length) {
-            // End of playlist - keep player visible but stop playback
-            console.log('End of playlist reached - keeping player visible');
-            if (this.currentAudio) {
-                this.currentAudio.pause();
+            if (this.shufflePosition >= this.shuffleOrder.length) {
+                if (this.repeatMode !== 'all') {
+                    console.log('End of shuffled playlist reached - keeping player visible');
+                    if (this.currentAudio) {
+                        this.currentAudio.pause();
+                    }
+                    this.shuffleOrder = null;
+                    this.currentTrackIndex = -1;
+                    return;
+                }
+                // Repeat all - reshuffle for the next pass
+                this.currentTrackIndex = -1;
+                this.buildShuffleOrder();
+                this.shufflePosition = 0;
+            }
+
+            this.currentTrackIndex = this.shuffleOrder[this.shufflePosition];
+        } else {
+            this.currentTrackIndex++;
+
+            if (this.currentTrackIndex >= this.currentPlaylist.length) {
+                if (this.repeatMode !== 'all') {
+                    // End of playlist - keep player visible but stop playback
+                    console.log('End of playlist reached - keeping player visible');
+                    if (this.currentAudio) {
+                        this.currentAudio.pause();
+                    }
+                    this.currentTrackIndex = -1;
+                    return;
+                }
+                // Repeat all - back to the first track
+                this.currentTrackIndex = 0;
             }
-            this.currentTrackIndex = -1;
-            return;
         }
+        console.log('Advanced to index:', this.currentTrackIndex);
 
         const nextLink = this.currentPlaylist[this.currentTrackIndex];
         if (!nextLink) {
@@ -1645,19 +1780,2019 @@ class AudioHandler {
     }
 
 
-    createMetadataDiv() {
-        const metadataDiv = document.createElement('div');
-        metadataDiv.className = 'now-playing-metadata';
-        metadataDiv.style.cssText = `
-            display: flex;
-            align-items: center;
-            background: linear-gradient(135deg, #1e3c72, #2a5298);
-            color: white;
-            padding: 15px;
-            border-radius: 8px;
-            margin: 10px 0;
-            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
-        `;
+    // Load the transcode profiles for the quality selector (hidden when the server has no ffmpeg)
+    async loadTranscodeProfiles() {
+        try {
+            const response = await fetch('/api/transcode/profiles');
+            const data = await response.json();
+            this.transcodeProfiles = data.available ? data.profiles : [];
+        } catch (error) {
+            console.error('Failed to load transcode profiles:', error);
+            this.transcodeProfiles = [];
+        }
+
+        // A saved profile that is no longer offered falls back to the original files
+        if (this.quality !== 'original' && !this.transcodeProfiles.some(profile => profile.id === this.quality)) {
+            this.setQuality('original');
+        }
+        this.renderQualityOptions();
+    }
+
+    // Audio formats the library lists and the fallback transcode profile
+    async loadAudioFormats() {
+        try {
+            const response = await fetch('/api/formats');
+            const data = await response.json();
+            this.audioFormats = Object.fromEntries(data.formats.map(format => [format.extension, format]));
+            this.fallbackProfile = data.fallbackProfile;
+        } catch (error) {
+            console.error('Failed to load audio formats:', error);
+        }
+    }
+
+    // Whether the browser can decode a source's format itself (files of unknown formats are tried)
+    canDecode(audioSrc) {
+        const match = audioSrc.split('?')[0].match(/\.[^./]+$/);
+        const format = match && this.audioFormats[match[0].toLowerCase()];
+        if (!format) return true;
+        if (format.transcode) return false;
+        this.formatProbe = this.formatProbe || document.createElement('audio');
+        return this.formatProbe.canPlayType(format.browserType) !== '';
+    }
+
+    // Profile a source is streamed with - the selected quality, or the fallback transcode for an
+    // original the browser can't decode
+    streamProfileFor(audioSrc) {
+        if (this.quality !== 'original') {
+            return this.quality;
+        }
+        if (this.fallbackProfile && (this.fallbackSources.has(audioSrc) || !this.canDecode(audioSrc))) {
+            return this.fallbackProfile;
+        }
+        return 'original';
+    }
+
+    // After a decode error, play the current original through the fallback transcode from where it
+    // stopped - returns false when that isn't possible (and the player moves on)
+    retryWithFallback() {
+        const audio = this.currentAudio;
+        const error = audio && audio.error;
+        if (!error || !this.fallbackProfile || this.streamProfile !== 'original') return false;
+        if (error.code !== MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED && error.code !== MediaError.MEDIA_ERR_DECODE) return false;
+
+        console.log(`Browser can't decode ${this.currentAudioSrc} - transcoding it to ${this.fallbackProfile}`);
+        this.fallbackSources.add(this.currentAudioSrc);
+        this.setAudioSource(audio, this.currentAudioSrc, Math.floor(audio.currentTime || 0));
+        audio.play().catch(playError => console.warn('Autoplay prevented:', playError.name));
+        return true;
+    }
+
+    // URL to stream a source from with a profile - the original, or its transcode starting startTime
+    // seconds in, e.g. music/Artist/01.flac -> /transcode/opus-96/local/Artist/01.flac
+    //                  /b2proxy/live/1994/01.flac -> /transcode/opus-96/live/1994/01.flac
+    streamUrl(audioSrc, profile, startTime = 0) {
+        if (profile === 'original') {
+            return audioSrc;
+        }
+
+        const path = audioSrc.replace(/^https?:\/\/[^/]+/, '');
+        let match = path.match(/^\/?music\/(.+)$/);
+        let url = null;
+        if (match) {
+            url = `/transcode/${profile}/local/${match[1]}`;
+        } else if ((match = path.match(/^\/b2proxy\/([^/]+)\/(.+)$/))) {
+            url = `/transcode/${profile}/${match[1]}/${match[2]}`;
+        }
+        if (!url) {
+            return audioSrc;
+        }
+        return startTime > 0 ? `${url}?t=${startTime}` : url;
+    }
+
+    // Point an audio element at a track (original source path), transcoded if a profile is selected
+    // or the browser can't decode it - a transcode starts startTime seconds in
+    setAudioSource(audio, audioSrc, startTime = 0) {
+        this.currentAudioSrc = audioSrc;
+        this.streamProfile = this.streamProfileFor(audioSrc);
+        this.transcodeOffset = this.streamProfile === 'original' ? 0 : startTime;
+        audio.src = this.streamUrl(audioSrc, this.streamProfile, this.transcodeOffset);
+    }
+
+    // Position in the track, counting from the start of the file rather than the transcoded stream
+    getPlaybackPosition() {
+        return this.currentAudio ? this.transcodeOffset + this.currentAudio.currentTime : 0;
+    }
+
+    // Seeking outside what a transcoded stream can seek to restarts the transcode at the new position
+    handleTranscodeSeek() {
+        const audio = this.currentAudio;
+        if (!audio || this.streamProfile === 'original' || !this.currentAudioSrc) return;
+
+        const target = audio.currentTime;
+        for (let i = 0; i < audio.seekable.length; i++) {
+            if (target >= audio.seekable.start(i) && target <= audio.seekable.end(i)) {
+                return;
+            }
+        }
+
+        const wasPlaying = !audio.paused;
+        this.setAudioSource(audio, this.currentAudioSrc, Math.floor(this.transcodeOffset + target));
+        console.log(`Restarting transcode at ${this.transcodeOffset}s`);
+        if (wasPlaying) {
+            audio.play().catch(error => console.warn('Autoplay prevented:', error.name));
+        }
+    }
+
+    // Back to the start of the current track (a transcode that started later is requested again from 0)
+    restartTrack() {
+        if (this.transcodeOffset > 0) {
+            this.setAudioSource(this.currentAudio, this.currentAudioSrc, 0);
+        } else {
+            this.currentAudio.currentTime = 0;
+        }
+    }
+
+    // Seek to a position in the track (seconds from the start of the file) - a transcoded stream
+    // is restarted when the position is before where it started
+    seekTo(position) {
+        const audio = this.currentAudio;
+        if (!audio || !this.currentAudioSrc) return;
+
+        if (position >= this.transcodeOffset) {
+            // Outside the seekable part of a transcode, handleTranscodeSeek() takes over
+            audio.currentTime = position - this.transcodeOffset;
+            return;
+        }
+        const wasPlaying = !audio.paused;
+        this.setAudioSource(audio, this.currentAudioSrc, Math.floor(position));
+        if (wasPlaying) {
+            audio.play().catch(error => console.warn('Autoplay prevented:', error.name));
+        }
+    }
+
+    // Switch quality, continuing the current track from the same position
+    setQuality(quality) {
+        this.quality = quality;
+        localStorage.setItem('audioQuality', quality);
+        // A preloaded next track is loaded again in the new quality
+        this.discardPreloadedTrack();
+
+        const audio = this.currentAudio;
+        if (!audio || !this.currentAudioSrc) return;
+
+        const position = this.getPlaybackPosition();
+        const wasPlaying = !audio.paused;
+        this.setAudioSource(audio, this.currentAudioSrc, Math.floor(position));
+        if (this.streamProfile === 'original') {
+            audio.currentTime = position;
+        }
+        if (wasPlaying) {
+            audio.play().catch(error => console.warn('Autoplay prevented:', error.name));
+        }
+        this.savePlayerState();
+    }
+
+    // Quality selector next to the speed control
+    createQualityControl() {
+        const qualityDiv = document.createElement('div');
+        qualityDiv.className = 'quality-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'Quality: ';
+
+        const select = document.createElement('select');
+        select.className = 'quality-select';
+        select.addEventListener('change', (e) => this.setQuality(e.target.value));
+
+        qualityDiv.appendChild(label);
+        qualityDiv.appendChild(select);
+        this.qualitySelect = select;
+        this.renderQualityOptions();
+
+        return qualityDiv;
+    }
+
+    renderQualityOptions() {
+        if (!this.qualitySelect) return;
+
+        const options = [{ id: 'original', label: 'Original' }, ...this.transcodeProfiles];
+        this.qualitySelect.innerHTML = '';
+        for (const profile of options) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.label;
+            option.selected = profile.id === this.quality;
+            this.qualitySelect.appendChild(option);
+        }
+        // Nothing to choose without ffmpeg on the server
+        this.qualitySelect.parentElement.style.display = this.transcodeProfiles.length > 0 ? '' : 'none';
+    }
+
+    // Waveform of the whole track above the audio controls - click or drag to seek. Shows what has
+    // been played and what is buffered; hidden until a waveform is loaded (or if there can't be one).
+    createWaveformSeekBar() {
+        const seekBar = document.createElement('div');
+        seekBar.className = 'waveform-seek-bar';
+        seekBar.style.display = 'none';
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'waveform-canvas';
+        seekBar.appendChild(canvas);
+        this.waveformCanvas = canvas;
+
+        const positionAt = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+            return fraction * (this.waveform ? this.waveform.duration : 0);
+        };
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!this.waveform) return;
+            canvas.setPointerCapture(event.pointerId);
+            this.waveformDragPosition = positionAt(event);
+            this.drawWaveform();
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (this.waveformDragPosition !== null) {
+                this.waveformDragPosition = positionAt(event);
+                this.drawWaveform();
+            } else if (this.waveform) {
+                canvas.title = this.formatTime(positionAt(event));
+            }
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (this.waveformDragPosition === null) return;
+            this.waveformDragPosition = null;
+            this.seekTo(positionAt(event));
+            this.drawWaveform();
+        });
+        canvas.addEventListener('pointercancel', () => {
+            this.waveformDragPosition = null;
+            this.drawWaveform();
+        });
+
+        for (const eventName of ['timeupdate', 'progress', 'seeked', 'loadedmetadata']) {
+            this.onAudioEvent(eventName, () => this.drawWaveform());
+        }
+        window.addEventListener('resize', () => this.drawWaveform());
+
+        return seekBar;
+    }
+
+    // Fetch the current track's waveform - generated on first request, which can take a while for a long set
+    async loadWaveform() {
+        const requestId = ++this.waveformRequestId;
+        this.waveform = null;
+        this.drawWaveform();
+
+        const target = this.currentTrackTarget();
+        if (!target || !this.waveformCanvas) return;
+
+        // One bin per device pixel of the bar, within what the server offers
+        const width = this.waveformCanvas.parentElement.clientWidth || this.stickyPlayerContainer?.clientWidth || 0;
+        const bins = Math.min(4000, Math.max(1000, Math.round(width * (window.devicePixelRatio || 1))));
+        const params = new URLSearchParams({ source: target.source, path: target.path, bins });
+        try {
+            const response = await fetch(`/api/waveform?${params}`);
+            const data = await response.json();
+            if (requestId !== this.waveformRequestId) return;
+            if (!data.success) {
+                console.warn('No waveform:', data.error);
+                return;
+            }
+            this.waveform = { duration: data.duration, peaks: data.peaks };
+            this.drawWaveform();
+        } catch (error) {
+            console.error('Failed to load waveform:', error);
+        }
+    }
+
+    formatTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    // Draw the waveform - played part in lime, buffered part in blue, the rest dimmed
+    drawWaveform() {
+        const canvas = this.waveformCanvas;
+        if (!canvas) return;
+        const seekBar = canvas.parentElement;
+        if (!this.waveform) {
+            seekBar.style.display = 'none';
+            return;
+        }
+        seekBar.style.display = '';
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const { duration, peaks } = this.waveform;
+        const position = this.waveformDragPosition ?? this.getPlaybackPosition();
+        // Buffered ranges, in seconds from the start of the file
+        const buffered = [];
+        const audio = this.currentAudio;
+        if (audio) {
+            for (let i = 0; i < audio.buffered.length; i++) {
+                buffered.push([this.transcodeOffset + audio.buffered.start(i), this.transcodeOffset + audio.buffered.end(i)]);
+            }
+        }
+        // Scale to the loudest peak, so quiet transfers still fill the bar
+        const maxPeak = Math.max(1, ...peaks);
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        const middle = height / 2;
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor(x * peaks.length / width);
+            const last = Math.max(first + 1, Math.floor((x + 1) * peaks.length / width));
+            let peak = 0;
+            for (let i = first; i < last && i < peaks.length; i++) {
+                if (peaks[i] > peak) peak = peaks[i];
+            }
+
+            const time = (x + 0.5) / width * duration;
+            if (time <= position) {
+                context.fillStyle = 'lime';
+            } else if (buffered.some(([start, end]) => time >= start && time <= end)) {
+                context.fillStyle = 'deepskyblue';
+            } else {
+                context.fillStyle = '#444';
+            }
+            const barHeight = Math.max(ratio, peak / maxPeak * height);
+            context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+        }
+
+        // Boundaries of the virtual tracks
+        if (this.virtualTracks) {
+            context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            for (const track of this.virtualTracks.slice(1)) {
+                context.fillRect(Math.round(track.start / duration * width), 0, Math.max(1, Math.round(ratio)), height);
+            }
+        }
+    }
+
+    // List of the virtual tracks of a split recording under the seek bar - click one to play it.
+    // Hidden for recordings that haven't been split.
+    createVirtualTrackList() {
+        const list = document.createElement('div');
+        list.className = 'virtual-tracks';
+        list.style.display = 'none';
+        this.virtualTrackList = list;
+
+        for (const eventName of ['timeupdate', 'seeked']) {
+            this.onAudioEvent(eventName, () => this.updateVirtualTrack());
+        }
+        return list;
+    }
+
+    // Fetch the virtual tracks of the current recording
+    loadVirtualTracks() {
+        this.virtualTracksLoaded = this.fetchVirtualTracks();
+        return this.virtualTracksLoaded;
+    }
+
+    async fetchVirtualTracks() {
+        const requestId = ++this.splitRequestId;
+        // Leaving a book - keep where it was left
+        this.saveBookPosition(true);
+        this.book = null;
+        this.renderBookmarks();
+        this.setVirtualTracks(null);
+
+        const target = this.currentTrackTarget();
+        if (!target) return;
+
+        const params = new URLSearchParams({ source: target.source, path: target.path });
+        if (this.isAudiobook(target.path)) {
+            await this.fetchBook(params, target, requestId);
+            return;
+        }
+        try {
+            const response = await fetch(`/api/splits?${params}`);
+            const data = await response.json();
+            if (requestId !== this.splitRequestId || !data.success) return;
+            this.setVirtualTracks(data.split ? data.split.tracks : null);
+        } catch (error) {
+            console.error('Failed to load virtual tracks:', error);
+        }
+    }
+
+    isAudiobook(path) {
+        return /\.m4b$/i.test(path);
+    }
+
+    // Chapters, position and bookmarks of an audiobook - the book continues where it was left unless
+    // playback already starts further in (a restored player or a bookmark)
+    async fetchBook(params, target, requestId) {
+        try {
+            const response = await fetch(`/api/books?${params}`);
+            const data = await response.json();
+            if (requestId !== this.splitRequestId || !data.success) return;
+
+            this.book = {
+                source: target.source,
+                path: target.path,
+                audioSrc: this.currentAudioSrc,
+                bookmarks: data.bookmarks,
+                lastPosition: null,
+                savedPosition: data.position ? data.position.position : null,
+                duration: data.position ? data.position.duration : null
+            };
+            this.setVirtualTracks(data.chapters);
+            this.renderBookmarks();
+
+            const saved = data.position;
+            // A finished book starts over
+            const finished = saved && saved.duration && saved.duration - saved.position < 30;
+            if (saved && saved.position > 5 && !finished && this.getPlaybackPosition() < 5) {
+                console.log(`Resuming book at ${this.formatTime(saved.position)}`);
+                this.seekTo(saved.position);
+            }
+        } catch (error) {
+            console.error('Failed to load book:', error);
+        }
+    }
+
+    // Bookmark list under the chapters, and the listeners that keep the book's position on the server
+    createBookmarkList() {
+        const list = document.createElement('div');
+        list.className = 'virtual-tracks bookmarks';
+        list.style.display = 'none';
+        this.bookmarkList = list;
+
+        this.onAudioEvent('timeupdate', () => {
+            const book = this.book;
+            // Events of the previous source can still arrive after a track change
+            if (!book || book.audioSrc !== this.currentAudioSrc) return;
+            book.lastPosition = this.getPlaybackPosition();
+            if (this.streamProfile === 'original' && Number.isFinite(this.currentAudio.duration)) {
+                book.duration = this.currentAudio.duration;
+            }
+            this.saveBookPosition();
+        });
+        this.onAudioEvent('pause', () => this.saveBookPosition(true));
+        window.addEventListener('pagehide', () => this.saveBookPosition(true));
+        return list;
+    }
+
+    // Save the current book's position - every 15 seconds while it plays, or right away when forced
+    saveBookPosition(force = false) {
+        const book = this.book;
+        if (!book || book.lastPosition === null || book.lastPosition === book.savedPosition) return;
+        if (!force && Date.now() - this.bookPositionSavedAt < 15000) return;
+
+        this.bookPositionSavedAt = Date.now();
+        book.savedPosition = book.lastPosition;
+        fetch('/api/books/position', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: book.source, path: book.path, position: book.lastPosition, duration: book.duration }),
+            // Still sent when the page is being closed
+            keepalive: true
+        }).catch(error => console.error('Failed to save book position:', error));
+    }
+
+    renderBookmarks() {
+        const list = this.bookmarkList;
+        if (!list) return;
+        list.innerHTML = '';
+        if (!this.book) {
+            list.style.display = 'none';
+            return;
+        }
+        list.style.display = '';
+
+        const header = document.createElement('div');
+        header.className = 'virtual-tracks-header';
+        const addButton = document.createElement('button');
+        addButton.textContent = '🔖 Add bookmark';
+        addButton.addEventListener('click', () => this.addBookmark());
+        const label = document.createElement('span');
+        label.textContent = this.book.bookmarks.length === 1 ? '1 bookmark' : `${this.book.bookmarks.length} bookmarks`;
+        header.append(addButton, label);
+        list.appendChild(header);
+
+        for (const bookmark of this.book.bookmarks) {
+            const row = document.createElement('div');
+            row.className = 'virtual-track bookmark';
+            const time = document.createElement('span');
+            time.className = 'virtual-track-time';
+            time.textContent = this.formatTime(bookmark.position);
+            const name = document.createElement('span');
+            name.className = 'bookmark-name';
+            name.textContent = bookmark.name;
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'bookmark-delete';
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete bookmark';
+            deleteButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteBookmark(bookmark.id);
+            });
+            row.append(time, name, deleteButton);
+            row.addEventListener('click', () => this.seekTo(bookmark.position));
+            list.appendChild(row);
+        }
+    }
+
+    // Bookmark the current position under a name (the chapter it's in by default)
+    async addBookmark() {
+        const book = this.book;
+        if (!book) return;
+        const position = this.getPlaybackPosition();
+        const chapter = this.virtualTracks ? this.virtualTracks[this.virtualTrackAt(position)].title : null;
+        const name = prompt('Bookmark name:', chapter ? `${chapter} (${this.formatTime(position)})` : this.formatTime(position));
+        if (!name || !name.trim()) return;
+
+        try {
+            const response = await fetch('/api/books/bookmarks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ source: book.source, path: book.path, position, name })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+            book.bookmarks.push(data.bookmark);
+            book.bookmarks.sort((a, b) => a.position - b.position);
+            if (this.book === book) this.renderBookmarks();
+        } catch (error) {
+            console.error('Failed to add bookmark:', error);
+            alert(`Failed to add bookmark: ${error.message}`);
+        }
+    }
+
+    async deleteBookmark(id) {
+        const book = this.book;
+        try {
+            const response = await fetch(`/api/books/bookmarks/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+            book.bookmarks = book.bookmarks.filter(bookmark => bookmark.id !== id);
+            if (this.book === book) this.renderBookmarks();
+        } catch (error) {
+            console.error('Failed to delete bookmark:', error);
+        }
+    }
+
+    setVirtualTracks(tracks) {
+        this.virtualTracks = tracks && tracks.length > 1 ? tracks : null;
+        this.virtualTrackIndex = -1;
+        this.renderVirtualTrackList();
+        this.updateVirtualTrack();
+        this.drawWaveform();
+    }
+
+    renderVirtualTrackList() {
+        const list = this.virtualTrackList;
+        if (!list) return;
+        list.innerHTML = '';
+        if (!this.virtualTracks) {
+            list.style.display = 'none';
+            return;
+        }
+        list.style.display = '';
+        // An audiobook's virtual tracks are its chapters
+        const unit = this.book ? 'Chapter' : 'Track';
+
+        const header = document.createElement('div');
+        header.className = 'virtual-tracks-header';
+        const previousButton = document.createElement('button');
+        previousButton.textContent = '⏮';
+        previousButton.title = this.book ? 'Previous chapter' : 'Previous track on this side';
+        previousButton.addEventListener('click', () => this.skipVirtualTrack(-1));
+        const nextButton = document.createElement('button');
+        nextButton.textContent = '⏭';
+        nextButton.title = this.book ? 'Next chapter' : 'Next track on this side';
+        nextButton.addEventListener('click', () => this.skipVirtualTrack(1));
+        const label = document.createElement('span');
+        label.textContent = `${this.virtualTracks.length} ${unit.toLowerCase()}s`;
+        header.append(previousButton, nextButton, label);
+        list.appendChild(header);
+
+        this.virtualTracks.forEach((track, index) => {
+            const row = document.createElement('div');
+            row.className = 'virtual-track';
+            row.dataset.index = index;
+            const time = document.createElement('span');
+            time.className = 'virtual-track-time';
+            time.textContent = this.formatTime(track.start);
+            const title = document.createElement('span');
+            title.textContent = track.title || `${unit} ${index + 1}`;
+            row.append(time, title);
+            row.addEventListener('click', () => this.seekTo(track.start));
+            list.appendChild(row);
+        });
+    }
+
+    // Index of the virtual track at a position (seconds from the start of the file)
+    virtualTrackAt(position) {
+        let index = 0;
+        while (index + 1 < this.virtualTracks.length && this.virtualTracks[index + 1].start <= position) {
+            index++;
+        }
+        return index;
+    }
+
+    // Highlight the virtual track being played and show it on the lock screen as the current track
+    updateVirtualTrack() {
+        if (!this.virtualTracks || !this.currentAudio) return;
+        const index = this.virtualTrackAt(this.getPlaybackPosition());
+        if (index === this.virtualTrackIndex) return;
+        this.virtualTrackIndex = index;
+
+        this.virtualTrackList?.querySelectorAll('.virtual-track').forEach(row => {
+            row.classList.toggle('playing', Number(row.dataset.index) === index);
+        });
+
+        this.syncCueLink(this.getPlaybackPosition());
+
+        const metadata = this._currentMetadata;
+        const title = this.virtualTracks[index].title || `Track ${index + 1}`;
+        // CUE tracks can have their own performer (a compilation or a guest on a live set)
+        const performer = this.virtualTracks[index].performer;
+        if (metadata) {
+            document.title = `${performer || metadata.artist} - ${title}`;
+        }
+        if ('mediaSession' in navigator && navigator.mediaSession.metadata) {
+            const current = navigator.mediaSession.metadata;
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title,
+                artist: performer || current.artist,
+                // The recording's own title (e.g. "Side A") is the closest thing to an album when there isn't one
+                album: metadata && metadata.album !== 'Unknown Album' ? metadata.album : (metadata?.title || current.album),
+                artwork: current.artwork
+            });
+        }
+    }
+
+    // Move to the next (1) or previous (-1) virtual track - previous restarts the current one when
+    // it has been playing for a few seconds. Returns false at either end, where the player moves
+    // to another file instead.
+    skipVirtualTrack(direction) {
+        if (!this.virtualTracks || !this.currentAudio) return false;
+        const position = this.getPlaybackPosition();
+        const index = this.virtualTrackAt(position);
+
+        let targetIndex = index + direction;
+        if (direction < 0 && position - this.virtualTracks[index].start > 3) {
+            targetIndex = index;
+        }
+        if (targetIndex < 0 || targetIndex >= this.virtualTracks.length) {
+            return false;
+        }
+        this.seekTo(this.virtualTracks[targetIndex].start);
+        return true;
+    }
+
+    // Route an audio element through Web Audio - the normalization gain, then the equalizer's DSP
+    // chain - only once normalization or the equalizer is used, since a connected element plays
+    // through the AudioContext for good. Called from the play event (and the normalization and
+    // equalizer controls) so the context starts with a user gesture rather than suspended.
+    resumeAudioGraph(audio) {
+        if ((this.normalization !== 'off' || this.isDspActive(this.dspSettings)) && !this.normalizationGain) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            try {
+                this.audioContext = new AudioContextClass();
+                this.normalizationGain = this.audioContext.createGain();
+                this.createDspChain();
+            } catch (error) {
+                console.error('Web Audio processing unavailable:', error);
+                this.audioContext = null;
+                this.normalizationGain = null;
+                this.dspNodes = null;
+                return;
+            }
+            this.applyNormalizationGain();
+            this.applyDspSettings();
+        }
+        // Both of the player's elements play through the graph - an element can only be connected once
+        if (this.normalizationGain && !this.connectedAudioElements.has(audio)) {
+            try {
+                this.audioContext.createMediaElementSource(audio).connect(this.normalizationGain);
+                this.connectedAudioElements.add(audio);
+            } catch (error) {
+                console.error('Could not route audio element through Web Audio:', error);
+            }
+        }
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(error => console.warn('Could not resume audio context:', error.name));
+        }
+    }
+
+    // Look up the current track's loudness, checking back while the server analyzes it
+    async loadTrackLoudness() {
+        const requestId = ++this.loudnessRequestId;
+        const target = this.currentTrackTarget();
+        if (this.normalization === 'off' || !target) {
+            this.currentLoudness = null;
+            this.applyNormalizationGain();
+            return;
+        }
+
+        // The previous track's gain stays until this one's is known - closer than unity for the
+        // next track of the same album
+        const params = new URLSearchParams({ source: target.source, path: target.path });
+        for (let attempt = 0; attempt < 12; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, 5000));
+            }
+            if (requestId !== this.loudnessRequestId) return;
+
+            let data;
+            try {
+                const response = await fetch(`/api/loudness?${params}`);
+                data = await response.json();
+            } catch (error) {
+                console.error('Failed to load loudness:', error);
+                return;
+            }
+            if (requestId !== this.loudnessRequestId) return;
+
+            if (data.status === 'ready') {
+                this.currentLoudness = data;
+                this.applyNormalizationGain();
+                // Album gain follows once the rest of the folder has been analyzed
+                if (this.normalization !== 'album' || data.albumGain !== null) return;
+            } else if (data.status !== 'pending') {
+                this.currentLoudness = null;
+                this.applyNormalizationGain();
+                return;
+            }
+        }
+    }
+
+    // Linear gain for the current track - track or album gain (track gain until the album's is
+    // known), lowered where needed so the peak doesn't clip
+    normalizationGainValue() {
+        const loudness = this.currentLoudness;
+        if (this.normalization === 'off' || !loudness) {
+            return 1;
+        }
+        const useAlbum = this.normalization === 'album' && loudness.albumGain !== null;
+        const gainDb = useAlbum ? loudness.albumGain : loudness.trackGain;
+        const peak = useAlbum ? loudness.albumPeak : loudness.trackPeak;
+        const gain = Math.pow(10, gainDb / 20);
+        return peak > 0 ? Math.min(gain, 1 / peak) : gain;
+    }
+
+    // Ramp to the current track's gain (a short ramp avoids clicks when it changes mid-track)
+    applyNormalizationGain() {
+        if (!this.normalizationGain) return;
+        const now = this.audioContext.currentTime;
+        this.normalizationGain.gain.cancelScheduledValues(now);
+        this.normalizationGain.gain.setTargetAtTime(this.normalizationGainValue(), now, 0.1);
+    }
+
+    setNormalization(mode) {
+        this.normalization = mode;
+        localStorage.setItem('volumeNormalization', mode);
+        if (this.currentAudio) {
+            this.resumeAudioGraph(this.currentAudio);
+        }
+        this.loadTrackLoudness();
+    }
+
+    // Volume normalization selector next to the quality selector
+    createNormalizationControl() {
+        const normalizationDiv = document.createElement('div');
+        normalizationDiv.className = 'normalization-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'Normalize: ';
+
+        const select = document.createElement('select');
+        select.className = 'normalization-select';
+        select.title = 'Even out the volume between tracks (ReplayGain / EBU R128)';
+        for (const [mode, text] of [['off', 'Off'], ['track', 'Track'], ['album', 'Album']]) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = text;
+            option.selected = mode === this.normalization;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', (e) => this.setNormalization(e.target.value));
+
+        normalizationDiv.appendChild(label);
+        normalizationDiv.appendChild(select);
+        return normalizationDiv;
+    }
+
+    // Flat equalizer - ten bands an octave apart from 31 Hz to 16 kHz, with shelves at either end
+    defaultDspSettings() {
+        const frequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+        return {
+            preamp: 0,
+            bands: frequencies.map((frequency, i) => ({
+                type: i === 0 ? 'lowshelf' : (i === frequencies.length - 1 ? 'highshelf' : 'peaking'),
+                frequency,
+                gain: 0,
+                q: 1.41
+            })),
+            mono: false,
+            balance: 0,
+            limiter: false
+        };
+    }
+
+    // Settings with all ten bands - a preset can have fewer, the rest stay flat
+    completeDspSettings(settings) {
+        const defaults = this.defaultDspSettings();
+        const bands = (settings && settings.bands) || [];
+        return { ...defaults, ...settings, bands: defaults.bands.map((band, i) => ({ ...band, ...bands[i] })) };
+    }
+
+    // Equalizer settings for tracks without a preset, kept in this browser
+    loadManualDspSettings() {
+        try {
+            return this.completeDspSettings(JSON.parse(localStorage.getItem('dspSettings')));
+        } catch (error) {
+            return this.defaultDspSettings();
+        }
+    }
+
+    // Whether settings change the sound at all - flat settings don't need Web Audio
+    isDspActive(settings) {
+        return settings.preamp !== 0 || settings.mono || settings.balance !== 0 || settings.limiter ||
+            settings.bands.some(band => band.gain !== 0 || ['highpass', 'lowpass', 'notch'].includes(band.type));
+    }
+
+    // Equalizer chain after the normalization gain: preamp -> ten biquad filters -> mono downmix ->
+    // balance -> limiter -> output. The limiter is left out of the chain while it's off.
+    createDspChain() {
+        const context = this.audioContext;
+        const nodes = {
+            preamp: context.createGain(),
+            filters: Array.from({ length: 10 }, () => context.createBiquadFilter()),
+            downmix: context.createGain(),
+            upmix: context.createGain(),
+            splitter: context.createChannelSplitter(2),
+            left: context.createGain(),
+            right: context.createGain(),
+            merger: context.createChannelMerger(2),
+            limiter: context.createDynamicsCompressor(),
+            limiterConnected: false
+        };
+        // Mono downmixes to one channel and is spread back over both speakers at full level
+        nodes.upmix.channelCount = 2;
+        nodes.upmix.channelCountMode = 'explicit';
+        // Hard and fast, only catching the peaks that EQ boosts push over full scale
+        nodes.limiter.threshold.value = -1;
+        nodes.limiter.knee.value = 0;
+        nodes.limiter.ratio.value = 20;
+        nodes.limiter.attack.value = 0.002;
+        nodes.limiter.release.value = 0.1;
+
+        let previous = this.normalizationGain;
+        for (const node of [nodes.preamp, ...nodes.filters, nodes.downmix, nodes.upmix, nodes.splitter]) {
+            previous.connect(node);
+            previous = node;
+        }
+        // Balance turns one side down rather than panning the other side's channel across
+        nodes.splitter.connect(nodes.left, 0);
+        nodes.splitter.connect(nodes.right, 1);
+        nodes.left.connect(nodes.merger, 0, 0);
+        nodes.right.connect(nodes.merger, 0, 1);
+        nodes.merger.connect(context.destination);
+        nodes.limiter.connect(context.destination);
+        this.dspNodes = nodes;
+    }
+
+    // Set the chain to this.dspSettings (short ramps, so changes don't click)
+    applyDspSettings() {
+        const nodes = this.dspNodes;
+        if (!nodes) return;
+        const settings = this.dspSettings;
+        const now = this.audioContext.currentTime;
+
+        nodes.preamp.gain.setTargetAtTime(Math.pow(10, settings.preamp / 20), now, 0.02);
+        nodes.filters.forEach((filter, i) => {
+            const band = settings.bands[i];
+            filter.type = band.type;
+            filter.frequency.setTargetAtTime(band.frequency, now, 0.02);
+            filter.gain.setTargetAtTime(band.gain, now, 0.02);
+            filter.Q.setTargetAtTime(band.q, now, 0.02);
+        });
+        nodes.downmix.channelCount = settings.mono ? 1 : 2;
+        nodes.downmix.channelCountMode = settings.mono ? 'explicit' : 'max';
+        nodes.left.gain.setTargetAtTime(Math.min(1, 1 - settings.balance), now, 0.02);
+        nodes.right.gain.setTargetAtTime(Math.min(1, 1 + settings.balance), now, 0.02);
+
+        if (settings.limiter !== nodes.limiterConnected) {
+            nodes.merger.disconnect();
+            nodes.merger.connect(settings.limiter ? nodes.limiter : this.audioContext.destination);
+            nodes.limiterConnected = settings.limiter;
+        }
+    }
+
+    // Use settings for the current track. The graph is only created for a playing track - otherwise
+    // the play event creates it, with the user's gesture.
+    setDspSettings(settings) {
+        this.dspSettings = settings;
+        if (this.currentAudio && !this.currentAudio.paused && this.isDspActive(settings)) {
+            this.resumeAudioGraph(this.currentAudio);
+        }
+        this.applyDspSettings();
+        this.updateDspToggle();
+    }
+
+    // Look up the current track's preset - its own, its folder's or its collection's - falling back
+    // to the manual settings
+    async loadTrackDsp() {
+        const requestId = ++this.dspRequestId;
+        const target = this.currentTrackTarget();
+        let data = null;
+        if (target) {
+            try {
+                const params = new URLSearchParams({ source: target.source, path: target.path });
+                const response = await fetch(`/api/dsp?${params}`);
+                data = await response.json();
+            } catch (error) {
+                console.error('Failed to load equalizer preset:', error);
+            }
+        }
+        if (requestId !== this.dspRequestId) return;
+
+        this.dspAssignment = data && data.success ? { target, applied: data.applied, assignments: data.assignments } : null;
+        const applied = this.dspAssignment && this.dspAssignment.applied;
+        this.dspPresetId = applied ? applied.preset.id : null;
+        this.dspPresetEdited = false;
+        this.setDspSettings(applied ? this.completeDspSettings(applied.preset.settings) : this.manualDspSettings);
+        this.renderDspPanel();
+    }
+
+    async loadDspPresets() {
+        try {
+            const response = await fetch('/api/dsp/presets');
+            const data = await response.json();
+            if (data.success) {
+                this.dspPresets = data.presets;
+            }
+        } catch (error) {
+            console.error('Failed to load equalizer presets:', error);
+        }
+        this.renderDspPanel();
+    }
+
+    // A change from the equalizer panel - kept as the manual settings, or as unsaved edits of the
+    // selected preset
+    updateDspSettings(changes) {
+        const settings = { ...this.dspSettings, ...changes };
+        if (this.dspPresetId === null) {
+            this.manualDspSettings = settings;
+            localStorage.setItem('dspSettings', JSON.stringify(settings));
+        } else if (!this.dspPresetEdited) {
+            this.dspPresetEdited = true;
+            this.renderDspPresetBar();
+        }
+        if (this.currentAudio && this.isDspActive(settings)) {
+            this.resumeAudioGraph(this.currentAudio);
+        }
+        this.setDspSettings(settings);
+    }
+
+    updateDspBand(index, changes) {
+        const bands = this.dspSettings.bands.map((band, i) => i === index ? { ...band, ...changes } : band);
+        this.updateDspSettings({ bands });
+    }
+
+    // Pick a preset (or the manual settings, for null) in the panel
+    selectDspPreset(presetId) {
+        const preset = this.dspPresets.find(p => p.id === presetId);
+        this.dspPresetId = preset ? preset.id : null;
+        this.dspPresetEdited = false;
+        if (this.currentAudio) {
+            this.resumeAudioGraph(this.currentAudio);
+        }
+        this.setDspSettings(preset ? this.completeDspSettings(preset.settings) : this.manualDspSettings);
+        this.renderDspPanel();
+    }
+
+    // Send a preset request - resolves to the response's data, or null after telling the user why not
+    async sendDspRequest(url, method, body) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!data.success) {
+                alert(`Equalizer preset not saved: ${data.error}`);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Equalizer preset request failed:', error);
+            alert('Equalizer preset not saved - the server could not be reached');
+            return null;
+        }
+    }
+
+    async saveDspPreset() {
+        const data = await this.sendDspRequest(`/api/dsp/presets/${this.dspPresetId}`, 'PUT', { settings: this.dspSettings });
+        if (!data) return;
+        this.dspPresetEdited = false;
+        await this.loadDspPresets();
+    }
+
+    async saveDspPresetAs() {
+        const name = prompt('Preset name:');
+        if (!name || !name.trim()) return;
+        const data = await this.sendDspRequest('/api/dsp/presets', 'POST', { name: name.trim(), settings: this.dspSettings });
+        if (!data) return;
+        this.dspPresetId = data.preset.id;
+        this.dspPresetEdited = false;
+        await this.loadDspPresets();
+    }
+
+    async deleteDspPreset() {
+        const preset = this.dspPresets.find(p => p.id === this.dspPresetId);
+        if (!preset || !confirm(`Delete the preset "${preset.name}"? Tracks and folders using it go back to the manual settings.`)) return;
+        const data = await this.sendDspRequest(`/api/dsp/presets/${preset.id}`, 'DELETE');
+        if (!data) return;
+        await this.loadDspPresets();
+        this.loadTrackDsp();
+    }
+
+    // Use the selected preset for the current track, its folder or its collection - or stop using it
+    async toggleDspAssignment(scope) {
+        const assignment = this.dspAssignment;
+        if (!assignment || this.dspPresetId === null) return;
+        const { source, path, dir } = assignment.target;
+        const assigned = assignment.assignments[scope] === this.dspPresetId;
+        const data = await this.sendDspRequest('/api/dsp/assignments', 'PUT', {
+            scope,
+            source,
+            path: scope === 'track' ? path : (scope === 'folder' ? dir : ''),
+            presetId: assigned ? null : this.dspPresetId
+        });
+        if (data) this.loadTrackDsp();
+    }
+
+    // EQ button next to the other player controls - opens the equalizer panel
+    createDspControl() {
+        const dspDiv = document.createElement('div');
+        dspDiv.className = 'dsp-control';
+
+        const button = document.createElement('button');
+        button.className = 'dsp-toggle';
+        button.textContent = 'EQ';
+        button.title = 'Equalizer, mono, balance and limiter';
+        button.addEventListener('click', () => {
+            if (!this.dspPanel) return;
+            const opening = this.dspPanel.style.display === 'none';
+            this.dspPanel.style.display = opening ? '' : 'none';
+            if (opening) this.loadDspPresets();
+        });
+        this.dspToggle = button;
+        this.updateDspToggle();
+
+        dspDiv.appendChild(button);
+        return dspDiv;
+    }
+
+    // Highlight the EQ button while the settings change the sound
+    updateDspToggle() {
+        if (this.dspToggle) {
+            this.dspToggle.classList.toggle('active', this.isDspActive(this.dspSettings));
+        }
+    }
+
+    createDspPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'dsp-panel';
+        panel.style.display = 'none';
+        this.dspPanel = panel;
+        this.renderDspPanel();
+        return panel;
+    }
+
+    renderDspPanel() {
+        const panel = this.dspPanel;
+        if (!panel) return;
+        panel.innerHTML = '';
+
+        this.dspPresetBar = document.createElement('div');
+        this.dspPresetBar.className = 'dsp-presets';
+        panel.appendChild(this.dspPresetBar);
+        this.renderDspPresetBar();
+
+        const settings = this.dspSettings;
+        panel.appendChild(this.createDspSlider('Preamp', settings.preamp, -24, 24, 0.5,
+            value => `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`,
+            value => this.updateDspSettings({ preamp: value })));
+
+        const bands = document.createElement('div');
+        bands.className = 'dsp-bands';
+        settings.bands.forEach((band, i) => bands.appendChild(this.createDspBandRow(band, i)));
+        panel.appendChild(bands);
+
+        const output = document.createElement('div');
+        output.className = 'dsp-output';
+        output.appendChild(this.createDspCheckbox('Mono', settings.mono, checked => this.updateDspSettings({ mono: checked })));
+        output.appendChild(this.createDspSlider('Balance', settings.balance, -1, 1, 0.05,
+            value => value === 0 ? 'C' : `${Math.round(Math.abs(value) * 100)}% ${value < 0 ? 'L' : 'R'}`,
+            value => this.updateDspSettings({ balance: value })));
+        output.appendChild(this.createDspCheckbox('Limiter', settings.limiter, checked => this.updateDspSettings({ limiter: checked })));
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset';
+        resetButton.title = 'Flat equalizer, stereo, centered, no limiter';
+        resetButton.addEventListener('click', () => {
+            this.updateDspSettings(this.defaultDspSettings());
+            this.renderDspPanel();
+        });
+        output.appendChild(resetButton);
+        panel.appendChild(output);
+    }
+
+    // Preset selector, its buttons, and where the current track's preset comes from
+    renderDspPresetBar() {
+        const bar = this.dspPresetBar;
+        if (!bar) return;
+        bar.innerHTML = '';
+
+        const select = document.createElement('select');
+        select.className = 'dsp-preset-select';
+        const manual = document.createElement('option');
+        manual.value = '';
+        manual.textContent = 'Manual';
+        select.appendChild(manual);
+        for (const preset of this.dspPresets) {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        }
+        // The track's preset can come from the server before the list does
+        const applied = this.dspAssignment && this.dspAssignment.applied;
+        if (applied && !this.dspPresets.some(p => p.id === applied.preset.id)) {
+            const option = document.createElement('option');
+            option.value = applied.preset.id;
+            option.textContent = applied.preset.name;
+            select.appendChild(option);
+        }
+        select.value = this.dspPresetId === null ? '' : String(this.dspPresetId);
+        select.addEventListener('change', (e) => this.selectDspPreset(e.target.value ? Number(e.target.value) : null));
+        bar.appendChild(select);
+        if (this.dspPresetEdited) {
+            const edited = document.createElement('span');
+            edited.className = 'dsp-edited';
+            edited.textContent = 'edited';
+            bar.appendChild(edited);
+        }
+
+        const hasPreset = this.dspPresetId !== null;
+        const addButton = (text, title, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            bar.appendChild(button);
+            return button;
+        };
+        addButton('Save', 'Save the changes to this preset', !hasPreset || !this.dspPresetEdited, () => this.saveDspPreset());
+        addButton('Save as…', 'Save these settings as a new preset', false, () => this.saveDspPresetAs());
+        addButton('Delete', 'Delete this preset', !hasPreset, () => this.deleteDspPreset());
+
+        // Assignments need a saved preset and a track
+        const assignment = this.dspAssignment;
+        const useFor = document.createElement('div');
+        useFor.className = 'dsp-use-for';
+        useFor.appendChild(document.createTextNode('Use for: '));
+        for (const [scope, text] of [['track', 'This track'], ['folder', 'This folder'], ['collection', 'Collection']]) {
+            const assigned = !!assignment && hasPreset && assignment.assignments[scope] === this.dspPresetId;
+            const button = addButton(text, assigned ? `Stop using this preset for the ${scope}` : `Use this preset for the ${scope}`,
+                !assignment || !hasPreset || this.dspPresetEdited || (scope === 'folder' && !assignment.target.dir),
+                () => this.toggleDspAssignment(scope));
+            button.classList.toggle('active', assigned);
+            useFor.appendChild(button);
+        }
+        bar.appendChild(useFor);
+
+        const status = document.createElement('div');
+        status.className = 'dsp-status';
+        if (applied) {
+            const from = applied.scope === 'track' ? 'this track'
+                : applied.scope === 'folder' ? `folder "${applied.path}"` : 'the collection';
+            status.textContent = `Playing with "${applied.preset.name}", set for ${from}`;
+        } else {
+            status.textContent = 'No preset set for this track - playing with the manual settings';
+        }
+        bar.appendChild(status);
+    }
+
+    // One EQ band: filter type, frequency, gain and Q
+    createDspBandRow(band, index) {
+        const row = document.createElement('div');
+        row.className = 'dsp-band';
+
+        const type = document.createElement('select');
+        for (const [value, text] of [['peaking', 'Peak'], ['lowshelf', 'Low shelf'], ['highshelf', 'High shelf'],
+            ['highpass', 'High-pass'], ['lowpass', 'Low-pass'], ['notch', 'Notch']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            type.appendChild(option);
+        }
+        type.value = band.type;
+        type.addEventListener('change', (e) => this.updateDspBand(index, { type: e.target.value }));
+
+        const frequency = document.createElement('input');
+        frequency.type = 'number';
+        frequency.min = 10;
+        frequency.max = 22000;
+        frequency.value = band.frequency;
+        frequency.title = 'Frequency (Hz)';
+        frequency.addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value >= 10 && value <= 22000) this.updateDspBand(index, { frequency: value });
+        });
+
+        const q = document.createElement('input');
+        q.type = 'number';
+        q.min = 0.1;
+        q.max = 30;
+        q.step = 0.1;
+        q.value = band.q;
+        q.title = 'Q (band width - higher is narrower)';
+        q.addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value >= 0.1 && value <= 30) this.updateDspBand(index, { q: value });
+        });
+
+        row.append(type, frequency,
+            this.createDspSlider('', band.gain, -24, 24, 0.5, value => `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`,
+                value => this.updateDspBand(index, { gain: value })),
+            q);
+        return row;
+    }
+
+    createDspSlider(labelText, value, min, max, step, format, onInput) {
+        const label = document.createElement('label');
+        label.className = 'dsp-slider';
+        if (labelText) label.appendChild(document.createTextNode(`${labelText} `));
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = value;
+        const display = document.createElement('span');
+        display.className = 'dsp-value';
+        display.textContent = format(value);
+        slider.addEventListener('input', (e) => {
+            const newValue = parseFloat(e.target.value);
+            display.textContent = format(newValue);
+            onInput(newValue);
+        });
+        label.append(slider, display);
+        return label;
+    }
+
+    createDspCheckbox(labelText, checked, onChange) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', (e) => onChange(e.target.checked));
+        label.append(checkbox, document.createTextNode(` ${labelText}`));
+        return label;
+    }
+
+    // End of a track - repeat it in repeat-one mode, otherwise move on
+    handleTrackEnded() {
+        if (this.repeatMode === 'one' && this.currentAudio) {
+            this.restartTrack();
+            this.currentAudio.play().catch(error => {
+                console.warn('Autoplay prevented:', error.name);
+            });
+            return;
+        }
+        this.playNextTrack();
+    }
+
+    // Link of the track that follows the current one, without moving through the playlist - null
+    // at the end of the playlist, in repeat-one mode and when a repeated shuffle starts over
+    upcomingLink() {
+        if (this.repeatMode === 'one') return null;
+        if (this.queue.length > 0) return this.linkForTrack(this.queue[0]);
+        if (this.currentPlaylist.length === 0) return null;
+
+        if (this.shuffleEnabled) {
+            this.ensureShuffleOrder();
+            const index = this.shuffleOrder[this.shufflePosition + 1];
+            return index === undefined ? null : this.currentPlaylist[index];
+        }
+        const index = this.currentTrackIndex + 1;
+        if (index < this.currentPlaylist.length) return this.currentPlaylist[index];
+        return this.repeatMode === 'all' ? this.currentPlaylist[0] : null;
+    }
+
+    // Encoder delay and padding of a source ({ delay, padding, duration } or null), looked up once
+    loadGaplessInfo(link, audioSrc) {
+        let entry = this.gaplessInfo.get(audioSrc);
+        if (entry) return entry.loaded;
+
+        entry = { info: null, loaded: Promise.resolve(null) };
+        const target = link ? this.trackTarget(link, audioSrc) : null;
+        if (target) {
+            const params = new URLSearchParams({ source: target.source, path: target.path });
+            entry.loaded = fetch(`/api/gapless?${params}`)
+                .then(response => response.json())
+                .then(data => {
+                    entry.info = data.success && data.duration ? { delay: data.delay, padding: data.padding, duration: data.duration } : null;
+                    return entry.info;
+                })
+                .catch(error => {
+                    console.error('Failed to load gapless info:', error);
+                    return null;
+                });
+        }
+        this.gaplessInfo.set(audioSrc, entry);
+        return entry.loaded;
+    }
+
+    // Whether the browser leaves out the encoder delay and padding itself - its duration is then
+    // closer to the music's than to the whole decoded stream's
+    browserTrimsGaps(audio, info) {
+        return Math.abs(audio.duration - info.duration) < (info.delay + info.padding) / 2;
+    }
+
+    // Where the music of the current track ends (element time) - before the encoder padding, when
+    // the browser plays it - or null while that isn't known
+    currentTrackEnd() {
+        const audio = this.currentAudio;
+        if (!Number.isFinite(audio.duration)) {
+            // A transcode that is still running has no duration yet - the waveform has the file's
+            return this.waveform ? this.waveform.duration - this.transcodeOffset : null;
+        }
+        const entry = this.streamProfile === 'original' ? this.gaplessInfo.get(this.currentAudioSrc) : null;
+        const info = entry && entry.info;
+        return info && !this.browserTrimsGaps(audio, info) ? info.delay + info.duration : audio.duration;
+    }
+
+    // In the last 30 seconds of a track, preload the next one in the player's other element and time
+    // its start - called on timeupdate, every quarter second or so. The next track can change until
+    // the end (the queue, shuffle or a search), so it's looked up again each time.
+    prepareTrackTransition() {
+        const audio = this.currentAudio;
+        if (!audio || audio.paused || this.gaplessBlocked || !this.currentAudioSrc) return;
+        if (this.streamProfile === 'original') {
+            this.loadGaplessInfo(this.currentLink, this.currentAudioSrc);
+        }
+
+        const end = this.currentTrackEnd();
+        if (end === null) return;
+        const remaining = (end - audio.currentTime) / audio.playbackRate;
+        if (remaining > 30) return;
+
+        const link = this.upcomingLink();
+        if (!this.preloadedTrack || !this.isPreloadedLink(link, this.preloadedTrack)) {
+            this.discardPreloadedTrack();
+            if (link) this.preloadTrack(link);
+        }
+        const preloaded = this.preloadedTrack;
+        if (!preloaded || !preloaded.ready || this.transitionTimer !== null) return;
+
+        // A timer is more precise than the next timeupdate - the crossfade starts its length before
+        // the end, but never takes more than half the track (or a book's next part)
+        const fade = this.book ? 0 : Math.min(this.crossfade, end / 2, Math.max(0, remaining));
+        if (remaining - fade > 1) return;
+        this.transitionTimer = setTimeout(() => {
+            this.transitionTimer = null;
+            this.startTransition(fade);
+        }, Math.max(0, (remaining - fade) * 1000));
+    }
+
+    // Whether a link plays the preloaded track
+    isPreloadedLink(link, preloaded) {
+        return !!link && this.getLinkSource(link).audioSrc === preloaded.audioSrc && this.cueStartOf(link) === preloaded.cueStart;
+    }
+
+    // Load a track into the element that isn't playing, ready at the start of its music
+    async preloadTrack(link) {
+        const { audioSrc } = this.getLinkSource(link);
+        // The next CUE track of the same file just keeps playing
+        if (!audioSrc || audioSrc === this.currentAudioSrc) return;
+
+        const audio = this.audioElements.find(element => element !== this.currentAudio) || this.createAudioElement();
+        const cueStart = this.cueStartOf(link);
+        const streamProfile = this.streamProfileFor(audioSrc);
+        const transcodeOffset = streamProfile === 'original' ? 0 : Math.floor(cueStart);
+        const preloaded = { link, audio, audioSrc, cueStart, streamProfile, transcodeOffset, ready: false };
+        this.preloadedTrack = preloaded;
+
+        console.log('Preloading next track:', audioSrc);
+        audio.src = this.streamUrl(audioSrc, streamProfile, transcodeOffset);
+        audio.load();
+        const target = this.trackTarget(link, audioSrc);
+        const [info] = await Promise.all([
+            streamProfile === 'original' ? this.loadGaplessInfo(link, audioSrc) : null,
+            target ? this.loadSpeedCorrection(target) : null,
+            new Promise(resolve => {
+                audio.addEventListener('loadedmetadata', resolve, { once: true });
+                audio.addEventListener('error', resolve, { once: true });
+            })
+        ]);
+        // Replaced in the meantime, or it can't be played - the track is loaded as usual when it's due
+        if (this.preloadedTrack !== preloaded || audio.error) return;
+
+        // Skip the encoder delay (unless the browser does) - a CUE track starts at its INDEX 01
+        if (streamProfile === 'original') {
+            const start = Math.max(cueStart, info && !this.browserTrimsGaps(audio, info) ? info.delay : 0);
+            if (start > 0) audio.currentTime = start;
+        }
+        preloaded.ready = true;
+    }
+
+    // The preloaded track if a link plays it (and it could be loaded) - otherwise it's dropped
+    takePreloadedTrack(audioSrc, link) {
+        const preloaded = this.preloadedTrack;
+        if (preloaded && preloaded.audioSrc === audioSrc && preloaded.cueStart === this.cueStartOf(link) && !preloaded.audio.error) {
+            this.cancelTrackTransition();
+            this.preloadedTrack = null;
+            return preloaded;
+        }
+        this.discardPreloadedTrack();
+        return null;
+    }
+
+    discardPreloadedTrack() {
+        this.cancelTrackTransition();
+        if (this.preloadedTrack) {
+            this.releaseAudioElement(this.preloadedTrack.audio);
+            this.preloadedTrack = null;
+        }
+    }
+
+    cancelTrackTransition() {
+        clearTimeout(this.transitionTimer);
+        this.transitionTimer = null;
+    }
+
+    // Stop an element that no longer plays anything, so it doesn't keep downloading
+    releaseAudioElement(audio) {
+        audio.pause();
+        audio.removeAttribute('src');
+        audio.load();
+    }
+
+    // Timed end of the current track - move on to the preloaded track if it's still the next one
+    // (otherwise the ended event moves on as usual)
+    startTransition(fade) {
+        const preloaded = this.preloadedTrack;
+        if (!preloaded || !this.isPreloadedLink(this.upcomingLink(), preloaded)) return;
+
+        console.log(fade > 0 ? `Crossfading into the next track over ${fade.toFixed(1)}s` : 'Starting the next track gaplessly');
+        this.transitionFade = fade;
+        this.playNextTrack();
+        this.transitionFade = 0;
+    }
+
+    // Put the preloaded track's element in the player and start it - the current track stops, or
+    // fades out over fade seconds while the next one fades in
+    startPreloadedTrack(preloaded, fade) {
+        const previous = this.currentAudio;
+        const audio = preloaded.audio;
+        const volume = previous.volume;
+        audio.controls = true;
+        audio.muted = previous.muted;
+        const target = this.trackTarget(preloaded.link, preloaded.audioSrc);
+        const entry = target && this.speedCorrections.get(this.speedCorrectionKey(target));
+        this.applyPlaybackSpeed(audio, entry ? entry.correction : null);
+        audio.volume = fade > 0 ? 0 : volume;
+        // iOS doesn't let pages set the volume - cut over rather than play both tracks at full volume
+        if (audio.volume !== (fade > 0 ? 0 : volume)) fade = 0;
+
+        this.currentAudio = audio;
+        this.currentAudioSrc = preloaded.audioSrc;
+        this.streamProfile = preloaded.streamProfile;
+        this.transcodeOffset = preloaded.transcodeOffset;
+        previous.replaceWith(audio);
+        this.resumeAudioGraph(audio);
+
+        audio.play().catch(error => {
+            console.warn('Autoplay prevented:', error.name);
+            if (error.name !== 'NotAllowedError' || this.currentAudio !== audio) return;
+
+            // A browser that only lets an element play after a user gesture (iOS) - play the track
+            // in the element that was playing instead, and stop preloading into the other one
+            this.gaplessBlocked = true;
+            this.finishCrossfade();
+            audio.replaceWith(previous);
+            this.currentAudio = previous;
+            previous.volume = volume;
+            this.setAudioSource(previous, preloaded.audioSrc, Math.floor(preloaded.cueStart));
+            if (preloaded.cueStart > 0 && this.streamProfile === 'original') {
+                previous.currentTime = preloaded.cueStart;
+            }
+            previous.play().catch(playError => console.warn('Autoplay prevented:', playError.name));
+            this.releaseAudioElement(audio);
+        });
+
+        if (fade > 0) {
+            this.startCrossfade(previous, audio, volume, fade);
+        } else {
+            this.releaseAudioElement(previous);
+        }
+    }
+
+    // Fade from one element to the other with equal-power curves, so the loudness holds through the fade
+    startCrossfade(from, to, volume, seconds) {
+        const started = performance.now();
+        const state = { from, to, volume };
+        state.timer = setInterval(() => {
+            const progress = Math.min(1, (performance.now() - started) / (seconds * 1000));
+            from.volume = volume * Math.cos(progress * Math.PI / 2);
+            to.volume = volume * Math.sin(progress * Math.PI / 2);
+            if (progress >= 1) this.finishCrossfade();
+        }, 50);
+        this.crossfadeState = state;
+    }
+
+    // End the crossfade in progress - the track fading out stops and the other plays at full volume
+    finishCrossfade() {
+        const state = this.crossfadeState;
+        if (!state) return;
+        clearInterval(state.timer);
+        this.crossfadeState = null;
+        this.releaseAudioElement(state.from);
+        state.from.volume = state.volume;
+        state.to.volume = state.volume;
+    }
+
+    setCrossfade(seconds) {
+        this.crossfade = seconds;
+        localStorage.setItem('crossfadeSeconds', String(seconds));
+        // Timed again with the new length on the next timeupdate
+        this.cancelTrackTransition();
+    }
+
+    // Crossfade selector next to the normalization selector - off plays tracks back to back, gaplessly
+    createCrossfadeControl() {
+        const crossfadeDiv = document.createElement('div');
+        crossfadeDiv.className = 'crossfade-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'Crossfade: ';
+
+        const select = document.createElement('select');
+        select.className = 'crossfade-select';
+        select.title = 'Fade each track into the next - off plays them back to back without a gap';
+        const lengths = [0, 1, 2, 3, 5, 8, 12];
+        // Keep a length that isn't offered (set in another version of the page)
+        if (!lengths.includes(this.crossfade)) {
+            lengths.push(this.crossfade);
+            lengths.sort((a, b) => a - b);
+        }
+        for (const seconds of lengths) {
+            const option = document.createElement('option');
+            option.value = String(seconds);
+            option.textContent = seconds > 0 ? `${seconds} s` : 'Off';
+            option.selected = seconds === this.crossfade;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', (e) => this.setCrossfade(parseFloat(e.target.value)));
+
+        crossfadeDiv.appendChild(label);
+        crossfadeDiv.appendChild(select);
+        return crossfadeDiv;
+    }
+
+    // Fisher-Yates shuffle of the playlist indexes, starting with the current track so it isn't played twice
+    buildShuffleOrder() {
+        const order = this.currentPlaylist.map((link, index) => index)
+            .filter(index => index !== this.currentTrackIndex);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        if (this.currentTrackIndex >= 0) {
+            order.unshift(this.currentTrackIndex);
+            this.shufflePosition = 0;
+        } else {
+            this.shufflePosition = -1;
+        }
+        this.shuffleOrder = order;
+        this.shuffleOrderPlaylist = this.currentPlaylist;
+    }
+
+    // Build a new shuffle order when shuffle was just turned on or the playlist changed
+    ensureShuffleOrder() {
+        if (!this.shuffleOrder || this.shuffleOrderPlaylist !== this.currentPlaylist) {
+            this.buildShuffleOrder();
+        }
+    }
+
+    setShuffle(enabled) {
+        this.shuffleEnabled = enabled;
+        this.shuffleOrder = null;
+        this.updatePlaybackModeButtons();
+        this.savePlayerState();
+    }
+
+    // Repeat off -> all -> one
+    cycleRepeatMode() {
+        const modes = ['off', 'all', 'one'];
+        this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+        this.updatePlaybackModeButtons();
+        this.savePlayerState();
+    }
+
+    // Shuffle and repeat buttons next to the speed control
+    createPlaybackModeControl() {
+        const modeDiv = document.createElement('div');
+        modeDiv.className = 'playback-mode-control';
+
+        const shuffleButton = document.createElement('button');
+        shuffleButton.className = 'playback-mode-button shuffle-button';
+        shuffleButton.innerHTML = '&#x1F500;';
+        shuffleButton.addEventListener('click', () => this.setShuffle(!this.shuffleEnabled));
+
+        const repeatButton = document.createElement('button');
+        repeatButton.className = 'playback-mode-button repeat-button';
+        repeatButton.addEventListener('click', () => this.cycleRepeatMode());
+
+        modeDiv.appendChild(shuffleButton);
+        modeDiv.appendChild(repeatButton);
+        this.shuffleButton = shuffleButton;
+        this.repeatButton = repeatButton;
+        this.updatePlaybackModeButtons();
+
+        return modeDiv;
+    }
+
+    updatePlaybackModeButtons() {
+        if (this.shuffleButton) {
+            this.shuffleButton.classList.toggle('active', this.shuffleEnabled);
+            this.shuffleButton.title = this.shuffleEnabled ? 'Shuffle: on' : 'Shuffle: off';
+        }
+        if (this.repeatButton) {
+            this.repeatButton.classList.toggle('active', this.repeatMode !== 'off');
+            this.repeatButton.innerHTML = this.repeatMode === 'one' ? '&#x1F502;' : '&#x1F501;';
+            this.repeatButton.title = `Repeat: ${this.repeatMode}`;
+        }
+    }
+
+    // Detached song links for the files returned by /api/tracks
+    folderTrackLinks(source, files) {
+        return files.map(file => {
+            const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+            return this.createTrackLink({
+                audioType: source === 'local' ? 'local' : 'b2',
+                relativePath: file.relativePath,
+                proxyUrl: source === 'local' ? undefined : `/b2proxy/${source}/${encodedPath}`,
+                filename: file.fileName,
+                folder: file.folderPath
+            });
+        });
+    }
+
+    // "Shuffle folder" - play every audio file under a folder, subfolders included, in random order
+    async shuffleFolder(source, dir) {
+        try {
+            const params = new URLSearchParams({ source, dir: dir || '' });
+            const response = await fetch(`/api/tracks?${params}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            if (data.tracks.length === 0) {
+                console.log(`No songs under ${dir || source}`);
+                return;
+            }
+
+            this.folderPlaylist = { source, dir: dir || '' };
+            this.currentPlaylist = this.folderTrackLinks(source, data.tracks);
+            this.currentTrackIndex = -1;
+            this.shuffleEnabled = true;
+            this.buildShuffleOrder();
+            this.updatePlaybackModeButtons();
+            console.log(`Shuffling ${data.tracks.length} songs under ${dir || source}`);
+
+            this.shufflePosition = 0;
+            this.currentTrackIndex = this.shuffleOrder[0];
+            const link = this.currentPlaylist[this.currentTrackIndex];
+            if (this.currentAudio) {
+                this.advanceToTrack(link);
+            } else {
+                const { audioSrc, metadataEndpoint } = this.getLinkSource(link);
+                this.playAudio(audioSrc, link, metadataEndpoint);
+            }
+        } catch (error) {
+            console.error('Failed to shuffle folder:', error);
+            alert(`Could not shuffle this folder: ${error.message}`);
+        }
+    }
+
+    // Fetch a saved "Shuffle folder" playlist again after a page load, continuing from the current song
+    async restoreFolderPlaylist(folderPlaylist, currentLinkData) {
+        try {
+            const params = new URLSearchParams(folderPlaylist);
+            const response = await fetch(`/api/tracks?${params}`);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+
+            this.folderPlaylist = folderPlaylist;
+            this.currentPlaylist = this.folderTrackLinks(folderPlaylist.source, data.tracks);
+            this.currentTrackIndex = currentLinkData
+                ? data.tracks.findIndex(file => file.relativePath === currentLinkData.relativePath)
+                : -1;
+            if (this.currentTrackIndex >= 0) {
+                this.currentLink = this.currentPlaylist[this.currentTrackIndex];
+            }
+            this.shuffleOrder = null;
+            console.log(`Restored folder playlist: ${data.tracks.length} songs under ${folderPlaylist.dir || folderPlaylist.source}`);
+        } catch (error) {
+            // Fall back to the page's songs
+            console.error('Failed to restore folder playlist:', error);
+            this.folderPlaylist = null;
+        }
+    }
+
+    // Audio source and metadata endpoint for a song link
+    getLinkSource(link) {
+        if (link.dataset.audioType === 'local' && link.dataset.relativePath) {
+            const encodedPath = link.dataset.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+            return { audioSrc: `music/${encodedPath}`, metadataEndpoint: 'local' };
+        }
+        if (link.dataset.audioType === 'b2' && link.dataset.proxyUrl) {
+            return { audioSrc: link.dataset.proxyUrl, metadataEndpoint: 'b2' };
+        }
+        return { audioSrc: '', metadataEndpoint: '' };
+    }
+
+    // Start (seconds) of the CUE track a song link plays - 0 for a link to a whole file
+    cueStartOf(link) {
+        return link && link.dataset.cueStart ? parseFloat(link.dataset.cueStart) || 0 : 0;
+    }
+
+    // Play a CUE track of the file that's already loaded by seeking to it - returns false when the
+    // link is for another file (or a whole file), which has to be loaded
+    playCueTrackInCurrentFile(audioSrc, link, play) {
+        if (!link || link.dataset.cueStart === undefined || !this.currentAudio || this.currentAudioSrc !== audioSrc) {
+            return false;
+        }
+        this.currentLink = link;
+        this.seekTo(this.cueStartOf(link));
+        if (play) {
+            this.currentAudio.play().catch(error => console.warn('Autoplay prevented:', error.name));
+        }
+        this.savePlayerState();
+        return true;
+    }
+
+    // Rows of the current file's CUE tracks each have their own link - keep the current link (and
+    // the playlist position, so the next file follows the last track) on the track being played
+    syncCueLink(position) {
+        let playingLink = null;
+        for (const link of this.currentPlaylist) {
+            if (link.dataset.cueStart === undefined || this.getLinkSource(link).audioSrc !== this.currentAudioSrc) continue;
+            if (this.cueStartOf(link) <= position && (!playingLink || this.cueStartOf(link) > this.cueStartOf(playingLink))) {
+                playingLink = link;
+            }
+        }
+        if (playingLink && playingLink !== this.currentLink) {
+            this.currentLink = playingLink;
+            this.currentTrackIndex = this.currentPlaylist.indexOf(playingLink);
+        }
+    }
+
+    // Load the queue saved by a previous page
+    loadQueue() {
+        try {
+            return JSON.parse(sessionStorage.getItem('audioPlayerQueue')) || [];
+        } catch (error) {
+            console.error('Failed to load play queue:', error);
+            return [];
+        }
+    }
+
+    // Save the queue and refresh the queue panel
+    saveQueue() {
+        sessionStorage.setItem('audioPlayerQueue', JSON.stringify(this.queue));
+        this.renderQueuePanel();
+    }
+
+    // Plain description of a song link that can be stored and played from any page
+    trackFromLink(link) {
+        const titleElement = link.querySelector('.local-song-title, .b2-song-title, .cue-song-title, .playlist-track-title');
+        return {
+            audioType: link.dataset.audioType,
+            relativePath: link.dataset.relativePath,
+            proxyUrl: link.dataset.proxyUrl,
+            filename: link.dataset.filename,
+            folder: link.dataset.folder,
+            cueStart: link.dataset.cueStart,
+            title: (titleElement ? titleElement.textContent : link.dataset.filename || '').trim()
+        };
+    }
+
+    // Song link for a stored track - the one on this page if it's listed here, otherwise a detached link
+    linkForTrack(track) {
+        const linkOnPage = Array.from(document.querySelectorAll('.link')).find(link =>
+            link.dataset.audioType === track.audioType &&
+            (track.audioType === 'b2'
+                ? link.dataset.proxyUrl === track.proxyUrl
+                : link.dataset.relativePath === track.relativePath) &&
+            link.dataset.cueStart === track.cueStart);
+        if (linkOnPage) return linkOnPage;
+        return this.createTrackLink(track);
+    }
+
+    // Detached song link carrying a track's data attributes
+    createTrackLink(track) {
+        const link = document.createElement('a');
+        link.className = 'link';
+        for (const key of ['audioType', 'relativePath', 'proxyUrl', 'filename', 'folder', 'cueStart']) {
+            if (track[key]) link.dataset[key] = track[key];
+        }
+        link.textContent = track.title || track.filename || '';
+        return link;
+    }
+
+    // Add a song link to the queue - "play next" puts it at the front
+    addToQueue(link, playNext = false) {
+        const track = this.trackFromLink(link);
+        if (playNext) {
+            this.queue.unshift(track);
+        } else {
+            this.queue.push(track);
+        }
+        this.saveQueue();
+        console.log(`Queued ${track.filename} (${playNext ? 'next' : 'at end'}), ${this.queue.length} in queue`);
+
+        // Nothing playing yet - start with the queue
+        if (!this.currentAudio) {
+            this.hasUserGesture = true;
+            this.playFromQueue(0);
+        }
+    }
+
+    // Take a track out of the queue and play it now
+    playFromQueue(index) {
+        const [track] = this.queue.splice(index, 1);
+        this.saveQueue();
+        if (!track) return;
+
+        const link = this.linkForTrack(track);
+        if (this.currentAudio) {
+            this.advanceToTrack(link);
+        } else {
+            const { audioSrc, metadataEndpoint } = this.getLinkSource(link);
+            this.playAudio(audioSrc, link, metadataEndpoint);
+        }
+    }
+
+    removeFromQueue(index) {
+        this.queue.splice(index, 1);
+        this.saveQueue();
+    }
+
+    moveInQueue(fromIndex, toIndex) {
+        if (fromIndex === toIndex) return;
+        const [track] = this.queue.splice(fromIndex, 1);
+        this.queue.splice(toIndex, 0, track);
+        this.saveQueue();
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    toggleQueuePanel() {
+        if (!this.queuePanel) return;
+        const isOpen = this.queuePanel.classList.toggle('open');
+        sessionStorage.setItem('queuePanelOpen', isOpen ? 'true' : 'false');
+    }
+
+    // Queue panel actions (play, remove, clear, drag to reorder) - delegated so re-rendering keeps them
+    setupQueuePanel() {
+        const panel = this.queuePanel;
+
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('.queue-clear-button')) {
+                this.clearQueue();
+                return;
+            }
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+
+            if (e.target.closest('.queue-item-remove')) {
+                this.removeFromQueue(index);
+            } else if (e.target.closest('.queue-item-title')) {
+                this.hasUserGesture = true;
+                this.playFromQueue(index);
+            }
+        });
+
+        panel.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            this.draggedQueueIndex = parseInt(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+        });
+        panel.addEventListener('dragover', (e) => {
+            if (this.draggedQueueIndex !== null && e.target.closest('.queue-item')) {
+                e.preventDefault();
+            }
+        });
+        panel.addEventListener('drop', (e) => {
+            const item = e.target.closest('.queue-item');
+            if (this.draggedQueueIndex === null || !item) return;
+            e.preventDefault();
+            this.moveInQueue(this.draggedQueueIndex, parseInt(item.dataset.index));
+        });
+        panel.addEventListener('dragend', () => {
+            this.draggedQueueIndex = null;
+            panel.querySelectorAll('.queue-item.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+    }
+
+    // Redraw the queue panel and the count on the queue button
+    renderQueuePanel() {
+        if (!this.queuePanel) return;
+
+        this.queueButton.textContent = this.queue.length > 0 ? `Queue (${this.queue.length})` : 'Queue';
+
+        const header = document.createElement('div');
+        header.className = 'queue-header';
+        header.innerHTML = '<span class="queue-heading">Up Next</span>';
+        if (this.queue.length > 0) {
+            const clearButton = document.createElement('button');
+            clearButton.className = 'queue-clear-button';
+            clearButton.textContent = 'Clear';
+            header.appendChild(clearButton);
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'queue-list';
+        this.queue.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'queue-item';
+            item.draggable = true;
+            item.dataset.index = index;
+
+            const title = document.createElement('span');
+            title.className = 'queue-item-title';
+            title.textContent = track.title || track.filename;
+            title.title = 'Play now';
+
+            // Collection the track comes from (B2 folder from /b2proxy/:folder/...)
+            const source = document.createElement('span');
+            source.className = 'queue-item-source';
+            source.textContent = track.audioType === 'b2' ? (track.proxyUrl || '').split('/')[2] : 'local';
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'queue-item-remove';
+            removeButton.title = 'Remove from queue';
+            removeButton.innerHTML = '&#x2715;';
+
+            item.append(title, source, removeButton);
+            list.appendChild(item);
+        });
+
+        this.queuePanel.innerHTML = '';
+        this.queuePanel.appendChild(header);
+        if (this.queue.length > 0) {
+            this.queuePanel.appendChild(list);
+        } else {
+            const empty = document.createElement('div');
+            empty.className = 'queue-empty';
+            empty.textContent = 'The queue is empty - use "Play next" or "Add to queue" on any song. After the queue, playback continues with the current page.';
+            this.queuePanel.appendChild(empty);
+        }
+    }
+
+
+    createMetadataDiv() {
+        const metadataDiv = document.createElement('div');
+        metadataDiv.className = 'now-playing-metadata';
+        metadataDiv.style.cssText = `
+            display: flex;
+            align-items: center;
+            background: linear-gradient(135deg, #1e3c72, #2a5298);
+            color: white;
+            padding: 15px;
+            border-radius: 8px;
+            margin: 10px 0;
+            box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+        `;
 
         metadataDiv.innerHTML = `
             <div style="width: 80px; height: 80px; background: #444; border-radius: 4px; display: flex; align-items: center; justify-content: center; margin-right: 15px;">
@@ -1672,7 +3807,7 @@ class AudioHandler {
         return metadataDiv;
     }
 
-    createSpeedControl(audio) {
+    createSpeedControl() {
         const speedDiv = document.createElement('div');
         speedDiv.className = 'speed-control';
 
@@ -1682,29 +3817,218 @@ class AudioHandler {
 
         const speedValue = document.createElement('span');
         speedValue.className = 'speed-value';
-        speedValue.textContent = `${audio.playbackRate.toFixed(1)}x`;
+        speedValue.textContent = `${this.playbackSpeed.toFixed(2)}x`;
 
         const slider = document.createElement('input');
         slider.type = 'range';
         slider.min = '0.5';
         slider.max = '2.5';
-        slider.step = '0.1';
-        slider.value = audio.playbackRate.toString();
+        slider.step = '0.05';
+        slider.value = this.playbackSpeed.toString();
         slider.className = 'speed-slider';
-
-        slider.addEventListener('input', (e) => {
-            const speed = parseFloat(e.target.value);
-            audio.playbackRate = speed;
-            speedValue.textContent = `${speed.toFixed(1)}x`;
-        });
+        slider.title = 'Listening speed (double-click to reset)';
+
+        const setSpeed = (speed) => {
+            this.playbackSpeed = speed;
+            slider.value = speed.toString();
+            speedValue.textContent = `${speed.toFixed(2)}x`;
+            // The element playing now - the next track takes the speed over when it starts
+            this.applyPlaybackSpeed();
+            this.savePlayerState();
+        };
+        slider.addEventListener('input', (e) => setSpeed(parseFloat(e.target.value)));
+        slider.addEventListener('dblclick', () => setSpeed(1));
+
+        const preserveLabel = document.createElement('label');
+        preserveLabel.className = 'preserve-pitch';
+        const preserveCheckbox = document.createElement('input');
+        preserveCheckbox.type = 'checkbox';
+        preserveCheckbox.checked = this.preservePitch;
+        preserveCheckbox.addEventListener('change', (e) => this.setPreservePitch(e.target.checked));
+        preserveLabel.append(preserveCheckbox, document.createTextNode(' Keep pitch'));
+        this.preservePitchCheckbox = preserveCheckbox;
 
         speedDiv.appendChild(label);
         speedDiv.appendChild(slider);
         speedDiv.appendChild(speedValue);
+        speedDiv.appendChild(preserveLabel);
+        this.updateSpeedCorrectionControl();
 
         return speedDiv;
     }
 
+    // Playback rate for the listening speed and a track's speed correction - its RPM conversion
+    // times its fine pitch
+    playbackRateFor(correction) {
+        if (!correction) return this.playbackSpeed;
+        const rpm = { '33': 100 / 3, '45': 45, '78': 78 };
+        const conversion = correction.rpmFrom ? rpm[correction.rpmTo] / rpm[correction.rpmFrom] : 1;
+        return this.playbackSpeed * conversion * (1 + correction.pitch / 100);
+    }
+
+    // Set an element's rate - the default rate too, which a reload of the element resets it to. A
+    // corrected track always changes pitch with its speed, as the right turntable speed would.
+    applyPlaybackSpeed(audio = this.currentAudio, correction = this.speedCorrection) {
+        if (!audio) return;
+        const rate = this.playbackRateFor(correction);
+        audio.defaultPlaybackRate = rate;
+        audio.playbackRate = rate;
+        const preservePitch = this.preservePitch && !correction;
+        // Older Safari and Firefox only have the prefixed property
+        for (const property of ['preservesPitch', 'webkitPreservesPitch', 'mozPreservesPitch']) {
+            if (property in audio) audio[property] = preservePitch;
+        }
+    }
+
+    speedCorrectionKey(target) {
+        return `${target.source}:${target.path}`;
+    }
+
+    // Speed correction of a track - fetched once (the preloaded track's before it starts), resolving
+    // to null when it plays as recorded
+    loadSpeedCorrection(target) {
+        const key = this.speedCorrectionKey(target);
+        let entry = this.speedCorrections.get(key);
+        if (entry) return entry.loaded;
+
+        entry = { correction: null };
+        const params = new URLSearchParams({ source: target.source, path: target.path });
+        entry.loaded = fetch(`/api/speed?${params}`)
+            .then(response => response.json())
+            .then(data => {
+                entry.correction = data.success ? data.correction : null;
+                return entry.correction;
+            })
+            .catch(error => {
+                console.error('Failed to load speed correction:', error);
+                // Tried again for the next track that needs it
+                this.speedCorrections.delete(key);
+                return null;
+            });
+        this.speedCorrections.set(key, entry);
+        return entry.loaded;
+    }
+
+    // Play the current track at its speed - right away when its correction is known already
+    async loadTrackSpeed() {
+        const target = this.currentTrackTarget();
+        const entry = target && this.speedCorrections.get(this.speedCorrectionKey(target));
+        this.speedCorrection = entry ? entry.correction : null;
+        this.applyPlaybackSpeed();
+        this.updateSpeedCorrectionControl();
+        if (!target) return;
+
+        const correction = await this.loadSpeedCorrection(target);
+        const current = this.currentTrackTarget();
+        if (!current || this.speedCorrectionKey(current) !== this.speedCorrectionKey(target)) return;
+        this.speedCorrection = correction;
+        this.applyPlaybackSpeed();
+        this.updateSpeedCorrectionControl();
+    }
+
+    // Change the current track's speed correction - played straight away, and saved on the server
+    // unless save is false (while the pitch slider is dragged)
+    async setSpeedCorrection(changes, save = true) {
+        const target = this.currentTrackTarget();
+        if (!target) return;
+        const correction = { rpmFrom: null, rpmTo: null, pitch: 0, ...this.speedCorrection, ...changes };
+        const corrected = correction.rpmFrom !== correction.rpmTo || correction.pitch !== 0;
+        this.speedCorrection = corrected ? correction : null;
+        this.applyPlaybackSpeed();
+        this.updateSpeedCorrectionControl();
+        if (!save) return;
+
+        const key = this.speedCorrectionKey(target);
+        try {
+            const response = await fetch('/api/speed', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ source: target.source, path: target.path, rpmFrom: correction.rpmFrom, rpmTo: correction.rpmTo, pitch: correction.pitch })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            this.speedCorrections.set(key, { correction: data.correction, loaded: Promise.resolve(data.correction) });
+        } catch (error) {
+            console.error('Failed to save speed correction:', error);
+            alert('The speed correction could not be saved - it only applies until the track changes');
+        }
+    }
+
+    setPreservePitch(preserve) {
+        this.preservePitch = preserve;
+        localStorage.setItem('preservePitch', String(preserve));
+        this.applyPlaybackSpeed();
+    }
+
+    // RPM conversions and a turntable-style pitch fader (±8% in 0.1% steps) for the current track -
+    // for needle-drops recorded at the wrong speed or with a drifting turntable. Saved per track.
+    createSpeedCorrectionControl() {
+        const correctionDiv = document.createElement('div');
+        correctionDiv.className = 'speed-control speed-correction-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'RPM: ';
+        correctionDiv.appendChild(label);
+
+        const buttons = [];
+        for (const [rpmFrom, rpmTo] of [['33', '45'], ['45', '33'], ['45', '78'], ['78', '45']]) {
+            const button = document.createElement('button');
+            button.className = 'rpm-button';
+            button.textContent = `${rpmFrom === '33' ? '33⅓' : rpmFrom}→${rpmTo === '33' ? '33⅓' : rpmTo}`;
+            button.title = `Recorded at ${rpmFrom} rpm, play at ${rpmTo} rpm (click again to play as recorded)`;
+            button.addEventListener('click', () => {
+                const active = this.speedCorrection && this.speedCorrection.rpmFrom === rpmFrom && this.speedCorrection.rpmTo === rpmTo;
+                this.setSpeedCorrection(active ? { rpmFrom: null, rpmTo: null } : { rpmFrom, rpmTo });
+            });
+            button.dataset.rpmFrom = rpmFrom;
+            button.dataset.rpmTo = rpmTo;
+            buttons.push(button);
+            correctionDiv.appendChild(button);
+        }
+
+        const pitchLabel = document.createElement('label');
+        pitchLabel.textContent = 'Pitch: ';
+        const pitchSlider = document.createElement('input');
+        pitchSlider.type = 'range';
+        pitchSlider.min = '-8';
+        pitchSlider.max = '8';
+        pitchSlider.step = '0.1';
+        pitchSlider.className = 'speed-slider pitch-slider';
+        pitchSlider.title = 'Fine speed correction for this track (double-click to reset)';
+        const pitchValue = document.createElement('span');
+        pitchValue.className = 'speed-value';
+        pitchSlider.addEventListener('input', (e) => this.setSpeedCorrection({ pitch: parseFloat(e.target.value) }, false));
+        pitchSlider.addEventListener('change', (e) => this.setSpeedCorrection({ pitch: parseFloat(e.target.value) }));
+        pitchSlider.addEventListener('dblclick', () => this.setSpeedCorrection({ pitch: 0 }));
+        correctionDiv.append(pitchLabel, pitchSlider, pitchValue);
+
+        this.speedCorrectionControl = { buttons, pitchSlider, pitchValue };
+        this.updateSpeedCorrectionControl();
+        return correctionDiv;
+    }
+
+    // Show the current track's correction in the controls
+    updateSpeedCorrectionControl() {
+        const control = this.speedCorrectionControl;
+        if (control) {
+            const correction = this.speedCorrection;
+            for (const button of control.buttons) {
+                button.classList.toggle('active', !!correction && correction.rpmFrom === button.dataset.rpmFrom && correction.rpmTo === button.dataset.rpmTo);
+            }
+            const pitch = correction ? correction.pitch : 0;
+            control.pitchSlider.value = String(pitch);
+            control.pitchValue.textContent = `${pitch > 0 ? '+' : ''}${pitch.toFixed(1)}%`;
+        }
+        if (this.preservePitchCheckbox) {
+            this.preservePitchCheckbox.disabled = !!this.speedCorrection;
+            this.preservePitchCheckbox.parentElement.title = this.speedCorrection
+                ? 'This track has a speed correction, which changes its pitch like the right turntable speed would'
+                : 'Keep the pitch when changing the speed';
+        }
+    }
+
     async loadMetadata(audioSrc, metadataDiv, metadataEndpoint = null, link = null) {
         try {
             let metadataUrl;
@@ -1752,8 +4076,11 @@ class AudioHandler {
                 this.metadataCache.set(cacheKey, metadata);
                 console.log('Cached metadata for:', cacheKey);
 
-                // Update the original link's display for when it returns
-                this.updateLinkDisplay(link, metadata);
+                // Update the original link's display for when it returns (a CUE track keeps its
+                // title from the sheet)
+                if (link.dataset.cueStart === undefined) {
+                    this.updateLinkDisplay(link, metadata);
+                }
             }
 
             await this.displayMetadata(metadataDiv, metadata, metadataEndpoint);
@@ -1780,11 +4107,8 @@ class AudioHandler {
         this._currentMetadata = metadata;
         this._currentMetadataEndpoint = metadataEndpoint;
 
-        const imageFormat = metadataEndpoint === 'local' ? 'png' : 'jpeg';
         const defaultArtwork = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent('<svg width="80" height="80" viewBox="0 0 80 80" xmlns="http://www.w3.org/2000/svg"><rect width="80" height="80" fill="#444"/><text x="40" y="45" text-anchor="middle" fill="#888" font-size="20">&#9834;</text></svg>');
-        const artworkSrc = metadata.artwork ?
-            (metadata.artwork.startsWith('data:') ? metadata.artwork : `data:image/${imageFormat};base64,${metadata.artwork}`) :
-            defaultArtwork;
+        const artworkSrc = metadata.artwork || defaultArtwork;
 
         // Get folder information for navigation link
         let folderLink = '';
@@ -1899,11 +4223,457 @@ class AudioHandler {
         // Update the page title with artist and song title
         document.title = `${metadata.artist} - ${metadata.title}`;
 
-        // Update Media Session API with metadata
+        // Update Media Session API with metadata (showing the virtual track, for a split recording)
         this.updateMediaSession(metadata, artworkSrc);
+        this.virtualTrackIndex = -1;
+        this.updateVirtualTrack();
 
         // Fetch and display Discogs info
         this.updateDiscogsInfo(metadata);
+
+        // Offer tag editing for local files (the library, or collections on local storage)
+        this.addTagEditButton(metadataDiv, metadata, metadataEndpoint);
+
+        // Offer splitting for what looks like a whole vinyl side
+        this.addSplitButton(metadataDiv, metadata, metadataEndpoint);
+    }
+
+    // Source and path of the current track for the tag and loudness APIs - { source: 'local' | collection id, path, dir }
+    currentTrackTarget() {
+        if (!this.currentLink || !this.currentAudioSrc) return null;
+        return this.trackTarget(this.currentLink, this.currentAudioSrc);
+    }
+
+    // Source, path and folder of the track a link plays from audioSrc
+    trackTarget(link, audioSrc) {
+        let source;
+        let path;
+        if (link.dataset.audioType === 'local') {
+            source = 'local';
+            path = link.dataset.relativePath;
+        } else {
+            // /b2proxy/:collection/:encodedPath
+            const match = audioSrc.replace(/^https?:\/\/[^/]+/, '').match(/^\/b2proxy\/([^/]+)\/(.+)$/);
+            if (!match) return null;
+            source = match[1];
+            path = decodeURIComponent(match[2]);
+        }
+        if (!path) return null;
+        const dir = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+        return { source, path, dir };
+    }
+
+    // Whether tags can be written for a source - local files, and collections on local storage
+    async canEditTags(source) {
+        if (source === 'local') return true;
+        if (!this.tagEditableCollections) {
+            this.tagEditableCollections = fetch('/api/collections')
+                .then(response => response.json())
+                .then(data => new Set(data.collections.filter(collection => collection.tagsEditable).map(collection => collection.id)))
+                .catch(() => new Set());
+        }
+        return (await this.tagEditableCollections).has(source);
+    }
+
+    async addTagEditButton(metadataDiv, metadata, metadataEndpoint) {
+        const target = this.currentTrackTarget();
+        if (!target || !await this.canEditTags(target.source)) return;
+        // Another track may have been loaded while the collections were fetched
+        if (this._currentMetadata !== metadata) return;
+
+        const button = document.createElement('button');
+        button.className = 'tag-edit-button';
+        button.textContent = 'Edit tags';
+        button.title = 'Edit the tags stored in this file';
+        button.addEventListener('click', () => this.showTagEditor(metadataDiv, metadata, metadataEndpoint, target));
+        metadataDiv.querySelector('#discogs-info')?.before(button);
+    }
+
+    // Replace the metadata view with a form that writes the tags back into the file
+    showTagEditor(metadataDiv, metadata, metadataEndpoint, target) {
+        const fields = [
+            { name: 'title', label: 'Title' },
+            { name: 'artist', label: 'Artist' },
+            { name: 'album', label: 'Album', album: true },
+            { name: 'albumArtist', label: 'Album artist', album: true },
+            { name: 'year', label: 'Year', album: true },
+            { name: 'genre', label: 'Genre', album: true },
+            { name: 'trackNumber', label: 'Track' },
+            { name: 'discNumber', label: 'Disc' },
+            { name: 'composer', label: 'Composer' },
+            { name: 'comment', label: 'Comment' }
+        ];
+        // The metadata endpoints fill in placeholders for missing tags - start those fields empty
+        const placeholders = { artist: 'Unknown Artist', album: 'Unknown Album', title: target.path.split('/').pop() };
+        const initialValue = (name) => {
+            const value = metadata[name];
+            if (value === undefined || value === null || value === placeholders[name]) return '';
+            return typeof value === 'object' ? (value.text || '') : String(value);
+        };
+
+        const form = document.createElement('form');
+        form.className = 'tag-editor';
+        const grid = document.createElement('div');
+        grid.className = 'tag-editor-fields';
+        for (const field of fields) {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            const input = document.createElement('input');
+            input.name = field.name;
+            input.value = initialValue(field.name);
+            input.dataset.initial = input.value;
+            if (field.album) input.dataset.album = 'true';
+            if (field.name === 'year' || field.name === 'trackNumber' || field.name === 'discNumber') {
+                input.inputMode = 'numeric';
+            }
+            label.appendChild(input);
+            grid.appendChild(label);
+        }
+
+        const folderOption = document.createElement('label');
+        folderOption.className = 'tag-editor-folder';
+        const folderCheckbox = document.createElement('input');
+        folderCheckbox.type = 'checkbox';
+        folderOption.append(folderCheckbox, ` Also set album, album artist, year and genre on every track in ${target.dir ? target.dir.split('/').pop() : 'this folder'}`);
+
+        const actions = document.createElement('div');
+        actions.className = 'tag-editor-actions';
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        const status = document.createElement('span');
+        status.className = 'tag-editor-status';
+        actions.append(saveButton, cancelButton, status);
+
+        form.append(grid, folderOption, actions);
+        metadataDiv.innerHTML = '';
+        metadataDiv.appendChild(form);
+
+        cancelButton.addEventListener('click', () => this.displayMetadata(metadataDiv, metadata, metadataEndpoint));
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const inputs = Array.from(form.querySelectorAll('input[name]'));
+            // Only changed fields are sent, so tags the form can't show are never overwritten
+            const changed = inputs.filter(input => input.value.trim() !== input.dataset.initial);
+            const tags = Object.fromEntries(changed.map(input => [input.name, input.value.trim()]));
+            const folderTags = folderCheckbox.checked
+                ? Object.fromEntries(inputs.filter(input => input.dataset.album).map(input => [input.name, input.value.trim()]))
+                : null;
+
+            if (changed.length === 0 && !folderTags) {
+                this.displayMetadata(metadataDiv, metadata, metadataEndpoint);
+                return;
+            }
+
+            saveButton.disabled = true;
+            status.textContent = 'Saving...';
+            try {
+                await this.saveTags(target, tags, folderTags);
+                await this.reloadMetadataAfterTagEdit(metadataDiv, metadataEndpoint, target);
+            } catch (err) {
+                console.error('Failed to save tags:', err);
+                status.textContent = err.message;
+                saveButton.disabled = false;
+            }
+        });
+    }
+
+    // Write tags for the track (and album-level tags for its folder) - throws with the server's error
+    async saveTags(target, tags, folderTags) {
+        const send = async (url, body) => {
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Saving tags failed');
+            }
+            return result;
+        };
+
+        if (Object.keys(tags).length > 0) {
+            await send('/api/tags', { source: target.source, path: target.path, tags });
+        }
+        if (folderTags) {
+            const result = await send('/api/tags/folder', { source: target.source, dir: target.dir, tags: folderTags });
+            if (result.failed.length > 0) {
+                throw new Error(`${result.failed.length} files in the folder could not be updated: ${result.failed[0].path} (${result.failed[0].error})`);
+            }
+        }
+    }
+
+    // Show the tags that were just written (the server has already dropped its cached copies)
+    async reloadMetadataAfterTagEdit(metadataDiv, metadataEndpoint, target) {
+        if (metadataEndpoint === 'b2') {
+            // loadMetadata() caches by folder path - drop the folder, which a bulk edit may have changed
+            for (const key of Array.from(this.metadataCache.keys())) {
+                if (key.startsWith(`${target.dir}/`)) {
+                    this.metadataCache.delete(key);
+                }
+            }
+        }
+        await this.loadMetadata(this.currentAudioSrc, metadataDiv, metadataEndpoint, this.currentLink);
+    }
+
+    // Whether a recording looks like a whole side rather than a single song - a generic side
+    // title ("Side A") or at least ten minutes long
+    looksLikeSide(metadata) {
+        const genericTitle = this.discogsService ? this.discogsService.isGenericSideTitle(metadata.title) : /^side\s*[a-d12]$/i.test(metadata.title || '');
+        return genericTitle || Number(metadata.duration) >= 600;
+    }
+
+    async addSplitButton(metadataDiv, metadata, metadataEndpoint) {
+        const target = this.currentTrackTarget();
+        if (!target) return;
+        // The split of a recording that has one is loaded with the track - wait for it
+        await this.virtualTracksLoaded;
+        if (this._currentMetadata !== metadata) return;
+        if (!this.virtualTracks && !this.looksLikeSide(metadata)) return;
+
+        const button = document.createElement('button');
+        button.className = 'tag-edit-button split-button';
+        button.textContent = this.virtualTracks ? 'Edit tracks' : 'Split into tracks';
+        button.title = 'Find the tracks in this recording from its silences (and the Discogs tracklist)';
+        button.addEventListener('click', () => this.showSplitEditor(metadataDiv, metadata, metadataEndpoint, target));
+        metadataDiv.querySelector('#discogs-info')?.before(button);
+    }
+
+    // Seconds from "m:ss", "h:mm:ss" or plain seconds (fractions allowed) - NaN when it can't be read
+    parseTime(text) {
+        const parts = String(text).trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    // Time with tenths, for the split editor's start fields
+    formatPreciseTime(seconds) {
+        const tenths = Math.round(seconds * 10) % 10;
+        return `${this.formatTime(seconds)}.${tenths}`;
+    }
+
+    // Replace the metadata view with the split editor - detect the tracks in the recording, adjust
+    // them, save them as virtual tracks and export them as a CUE sheet or chapter markers
+    async showSplitEditor(metadataDiv, metadata, metadataEndpoint, target) {
+        const canWrite = await this.canEditTags(target.source);
+        const match = this.discogsMatch?.metadata === metadata ? this.discogsMatch.release : null;
+        const sideMatch = (metadata.title || '').trim().match(/^side\s*([a-d1-4]|one|two)$/i);
+        const side = sideMatch ? ({ 1: 'A', 2: 'B', 3: 'C', 4: 'D', ONE: 'A', TWO: 'B' }[sideMatch[1].toUpperCase()] || sideMatch[1].toUpperCase()) : '';
+        let origin = 'manual';
+        let releaseId = null;
+
+        const form = document.createElement('form');
+        form.className = 'tag-editor split-editor';
+
+        // Detection settings
+        const settings = document.createElement('div');
+        settings.className = 'tag-editor-fields';
+        const field = (labelText, name, value, title) => {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.title = title;
+            const input = document.createElement('input');
+            input.name = name;
+            input.value = value;
+            label.appendChild(input);
+            settings.appendChild(label);
+            return input;
+        };
+        const releaseInput = field('Discogs release', 'releaseId', match ? match.id : '', 'Release number - the tracks are aligned to its tracklist');
+        const sideInput = field('Side', 'side', side, 'Side letter (A, B...) of the tracklist in this recording - empty for the whole release');
+        const noiseInput = field('Silence below (dB)', 'noiseDb', '-45', 'Quieter than this counts as silence - raise it for noisy vinyl');
+        const minSilenceInput = field('Gap (seconds)', 'minSilence', '1.5', 'Shortest silence between two tracks');
+        [releaseInput, noiseInput, minSilenceInput].forEach(input => { input.inputMode = 'decimal'; });
+
+        const rows = document.createElement('div');
+        rows.className = 'split-editor-tracks';
+        const addRow = (track) => {
+            const row = document.createElement('div');
+            row.className = 'split-editor-track';
+            const start = document.createElement('input');
+            start.className = 'split-editor-start';
+            start.value = this.formatPreciseTime(track.start);
+            const title = document.createElement('input');
+            title.className = 'split-editor-title';
+            title.value = track.title || '';
+            title.placeholder = 'Title';
+            const playButton = document.createElement('button');
+            playButton.type = 'button';
+            playButton.textContent = '▶';
+            playButton.title = 'Play from here';
+            playButton.addEventListener('click', () => {
+                const seconds = this.parseTime(start.value);
+                if (!isNaN(seconds)) this.seekTo(seconds);
+            });
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove this boundary';
+            removeButton.addEventListener('click', () => {
+                row.remove();
+                origin = 'manual';
+            });
+            if (track.matched === false) {
+                // Aligned to the tracklist without a silence nearby - worth checking by ear
+                row.classList.add('unmatched');
+                row.title = 'No silence found near where the tracklist puts this track';
+            }
+            row.append(start, title, playButton, removeButton);
+            rows.appendChild(row);
+        };
+        const setRows = (tracks) => {
+            rows.innerHTML = '';
+            tracks.forEach(addRow);
+        };
+        const readRows = () => Array.from(rows.querySelectorAll('.split-editor-track')).map(row => ({
+            title: row.querySelector('.split-editor-title').value.trim(),
+            start: this.parseTime(row.querySelector('.split-editor-start').value)
+        }));
+        setRows(this.virtualTracks || []);
+
+        const actions = document.createElement('div');
+        actions.className = 'tag-editor-actions';
+        const button = (text, title, type = 'button') => {
+            const element = document.createElement('button');
+            element.type = type;
+            element.textContent = text;
+            element.title = title;
+            actions.appendChild(element);
+            return element;
+        };
+        const analyzeButton = button('Detect', 'Find the silences in the recording and propose tracks');
+        const addButton = button('Add here', 'Add a track starting at the current position');
+        const saveButton = button('Save', 'Keep these tracks for the player', 'submit');
+        const cueButton = button('CUE sheet', 'Download a CUE sheet of the saved tracks');
+        const writeCueButton = canWrite ? button('Write .cue', 'Save a CUE sheet next to the file') : null;
+        const chaptersButton = canWrite ? button('Write chapters', 'Store the saved tracks in the file as chapter markers') : null;
+        const removeButton = button('Remove', 'Forget the tracks of this recording');
+        const closeButton = button('Close', 'Back to the track');
+        const status = document.createElement('span');
+        status.className = 'tag-editor-status';
+        actions.appendChild(status);
+
+        form.append(settings, rows, actions);
+        metadataDiv.innerHTML = '';
+        metadataDiv.appendChild(form);
+
+        const request = async (url, method, body) => {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                const error = new Error(result.error || 'Request failed');
+                error.status = response.status;
+                throw error;
+            }
+            return result;
+        };
+        const run = async (element, message, action) => {
+            element.disabled = true;
+            status.textContent = message;
+            try {
+                status.textContent = await action() || '';
+            } catch (err) {
+                console.error('Split editor:', err);
+                status.textContent = err.message;
+            } finally {
+                element.disabled = false;
+            }
+        };
+        const cueParams = () => new URLSearchParams({
+            source: target.source,
+            path: target.path,
+            performer: metadata.artist && metadata.artist !== 'Unknown Artist' ? metadata.artist : '',
+            title: metadata.album && metadata.album !== 'Unknown Album' ? metadata.album : ''
+        });
+
+        analyzeButton.addEventListener('click', () => run(analyzeButton, 'Listening for silences...', async () => {
+            const result = await request('/api/splits/analyze', 'POST', {
+                source: target.source,
+                path: target.path,
+                releaseId: releaseInput.value.trim() || undefined,
+                side: sideInput.value.trim() || undefined,
+                noiseDb: parseFloat(noiseInput.value),
+                minSilence: parseFloat(minSilenceInput.value)
+            });
+            origin = result.origin;
+            releaseId = result.release ? result.release.id : null;
+            setRows(result.tracks);
+            const unmatched = result.tracks.filter(track => track.matched === false).length;
+            return `${result.tracks.length} tracks from ${result.silences.length} silences` +
+                (result.release ? ` - aligned to ${result.release.title}` : '') +
+                (unmatched > 0 ? ` (${unmatched} without a silence nearby)` : '');
+        }));
+
+        addButton.addEventListener('click', () => {
+            addRow({ start: this.getPlaybackPosition(), title: '' });
+            origin = 'manual';
+        });
+        rows.addEventListener('change', () => {
+            if (origin === 'silence') origin = 'manual';
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(saveButton, 'Saving...', async () => {
+                const tracks = readRows();
+                if (tracks.length < 2) throw new Error('A split needs at least two tracks');
+                if (tracks.some(track => isNaN(track.start))) throw new Error('Start times are m:ss (or h:mm:ss)');
+                const duration = this.waveform?.duration || metadata.duration;
+                const result = await request('/api/splits', 'PUT', { source: target.source, path: target.path, tracks, duration, origin, releaseId });
+                if (this.currentTrackTarget()?.path === target.path) {
+                    this.setVirtualTracks(result.split.tracks);
+                }
+                setRows(result.split.tracks);
+                return `Saved ${result.split.tracks.length} tracks`;
+            });
+        });
+
+        cueButton.addEventListener('click', () => {
+            window.location.href = `/api/splits/cue?${cueParams()}`;
+        });
+        const exportSplit = (element, format, message) => run(element, message, async () => {
+            const params = Object.fromEntries(cueParams());
+            let result;
+            try {
+                result = await request('/api/splits/export', 'POST', { ...params, format });
+            } catch (err) {
+                // The file may already have a CUE sheet from the rip - only replace it when asked to
+                if (err.status !== 409 || !confirm(`${err.message}. Replace it?`)) throw err;
+                result = await request('/api/splits/export', 'POST', { ...params, format, overwrite: true });
+            }
+            return format === 'cue' ? `Wrote ${result.path.split('/').pop()}` : 'Wrote chapters';
+        });
+        writeCueButton?.addEventListener('click', () => exportSplit(writeCueButton, 'cue', 'Writing CUE sheet...'));
+        chaptersButton?.addEventListener('click', () => exportSplit(chaptersButton, 'chapters', 'Writing chapters...'));
+
+        removeButton.addEventListener('click', () => run(removeButton, 'Removing...', async () => {
+            const params = new URLSearchParams({ source: target.source, path: target.path });
+            await request(`/api/splits?${params}`, 'DELETE');
+            if (this.currentTrackTarget()?.path === target.path) {
+                this.setVirtualTracks(null);
+            }
+            setRows([]);
+            return 'Removed';
+        }));
+
+        closeButton.addEventListener('click', () => this.displayMetadata(metadataDiv, metadata, metadataEndpoint));
+    }
+
+    // Artwork list for the Media Session - /artwork URLs come in real sizes (/artwork/<id>/<size>)
+    mediaSessionArtwork(artworkSrc) {
+        const match = artworkSrc.match(/^(\/artwork\/[0-9a-f]+)\/\d+$/);
+        if (match) {
+            return [96, 200, 512].map(size => ({ src: `${match[1]}/${size}`, sizes: `${size}x${size}`, type: 'image/jpeg' }));
+        }
+        return [96, 128, 192, 256, 384, 512].map(size => ({ src: artworkSrc, sizes: `${size}x${size}`, type: 'image/png' }));
     }
 
     // Media Session API integration for lock screen controls and background playback
@@ -1916,14 +4686,7 @@ class AudioHandler {
                 title: metadata.title || 'Unknown Title',
                 artist: metadata.artist || 'Unknown Artist',
                 album: metadata.album || 'Unknown Album',
-                artwork: [
-                    { src: artworkSrc, sizes: '96x96', type: 'image/png' },
-                    { src: artworkSrc, sizes: '128x128', type: 'image/png' },
-                    { src: artworkSrc, sizes: '192x192', type: 'image/png' },
-                    { src: artworkSrc, sizes: '256x256', type: 'image/png' },
-                    { src: artworkSrc, sizes: '384x384', type: 'image/png' },
-                    { src: artworkSrc, sizes: '512x512', type: 'image/png' }
-                ]
+                artwork: this.mediaSessionArtwork(artworkSrc)
             });
 
             // Set up action handlers for lock screen controls
@@ -1950,12 +4713,14 @@ class AudioHandler {
 
             navigator.mediaSession.setActionHandler('previoustrack', () => {
                 console.log('Media Session: Previous Track (user gesture)');
+                if (this.skipVirtualTrack(-1)) return;
                 this.hasUserGesture = true;
                 this.playPreviousTrack();
             });
 
             navigator.mediaSession.setActionHandler('nexttrack', () => {
                 console.log('Media Session: Next Track (user gesture)');
+                if (this.skipVirtualTrack(1)) return;
                 this.hasUserGesture = true;
                 this.playNextTrack();
             });
@@ -2009,6 +4774,21 @@ class AudioHandler {
             return;
         }
 
+        // Shuffle - step back through the tracks already played, or restart the first one
+        if (this.shuffleEnabled) {
+            this.ensureShuffleOrder();
+            if (this.shufflePosition <= 0) {
+                if (this.currentAudio) {
+                    this.restartTrack();
+                }
+                return;
+            }
+            this.shufflePosition--;
+            this.currentTrackIndex = this.shuffleOrder[this.shufflePosition];
+            this.advanceToTrack(this.currentPlaylist[this.currentTrackIndex]);
+            return;
+        }
+
         this.currentTrackIndex--;
 
         if (this.currentTrackIndex < 0) {
@@ -2033,42 +4813,53 @@ class AudioHandler {
         console.log('Advancing to track:', link);
 
         // Get the audio source info
-        const audioType = link.dataset.audioType;
-        let audioSrc = '';
-        let metadataEndpoint = '';
-
-        if (audioType === 'local') {
-            const relativePath = link.dataset.relativePath;
-            if (relativePath) {
-                const encodedPath = relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
-                audioSrc = `music/${encodedPath}`;
-                metadataEndpoint = 'local';
-            }
-        } else if (audioType === 'b2') {
-            audioSrc = link.dataset.proxyUrl;
-            metadataEndpoint = 'b2';
-        }
+        const { audioSrc, metadataEndpoint } = this.getLinkSource(link);
 
         if (!audioSrc) {
             console.error('Could not determine audio source');
             return;
         }
 
+        if (this.playCueTrackInCurrentFile(audioSrc, link, true)) {
+            return;
+        }
+
         console.log('Loading track:', audioSrc);
+        this.finishCrossfade();
         this.currentLink = link;
 
-        // Change the source
-        this.currentAudio.src = audioSrc;
-        this.currentAudio.load();
+        // The track was preloaded in the other element (near the end of the previous one)
+        const preloaded = this.takePreloadedTrack(audioSrc, link);
+        if (preloaded) {
+            this.startPreloadedTrack(preloaded, this.transitionFade);
+            this.loadTrackLoudness();
+            this.loadTrackDsp();
+            this.loadTrackSpeed();
+            this.loadWaveform();
+            this.loadVirtualTracks();
+        } else {
+            // Change the source
+            const cueStart = this.cueStartOf(link);
+            this.setAudioSource(this.currentAudio, audioSrc, Math.floor(cueStart));
+            this.loadTrackLoudness();
+            this.loadTrackDsp();
+            this.loadTrackSpeed();
+            this.loadWaveform();
+            this.loadVirtualTracks();
+            this.currentAudio.load();
+            if (cueStart > 0 && this.streamProfile === 'original') {
+                this.currentAudio.currentTime = cueStart;
+            }
 
-        // Start playing immediately
-        const playPromise = this.currentAudio.play();
-        if (playPromise !== undefined) {
-            playPromise.then(() => {
-                console.log('Track playing successfully');
-            }).catch(error => {
-                console.warn('Autoplay prevented:', error.name);
-            });
+            // Start playing immediately
+            const playPromise = this.currentAudio.play();
+            if (playPromise !== undefined) {
+                playPromise.then(() => {
+                    console.log('Track playing successfully');
+                }).catch(error => {
+                    console.warn('Autoplay prevented:', error.name);
+                });
+            }
         }
 
         // Update metadata asynchronously
@@ -2141,6 +4932,7 @@ class AudioHandler {
 
             // Show the best match
             const release = info.release;
+            this.discogsMatch = { metadata, release };
             const confidenceBadge = info.confidence === 'high' ? '✓' :
                                    info.confidence === 'medium' ? '~' : '?';
             const confidenceTitle = info.confidence === 'high' ? 'High confidence match' :
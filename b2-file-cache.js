@@ -0,0 +1,171 @@
+/**
+ * B2 File Cache
+ * Keeps recently streamed B2 files on local disk so replays and seeks don't go back to B2
+ * (and keep working while B2 is unreachable). A file is written while it streams to the
+ * player and only kept once every byte has arrived. The cache is trimmed least recently
+ * played first to its size limit; a limit of 0 disables it.
+ */
+import {createWriteStream, mkdirSync, promises} from 'fs';
+import {createHash} from 'crypto';
+import {extname, join} from 'path';
+
+export class B2FileCache {
+    constructor({ cacheDir, maxCacheBytes = 0 } = {}) {
+        this.cacheDir = cacheDir;
+        this.maxCacheBytes = maxCacheBytes;
+        // B2 paths currently being written, so a file is only downloaded into the cache once
+        this.pending = new Set();
+        // Trims run one at a time
+        this.trimChain = Promise.resolve();
+    }
+
+    get enabled() {
+        return this.maxCacheBytes > 0;
+    }
+
+    /**
+     * Disk path of a cached file - b2Path is the collection id and the path in it (e.g. "analog/Artist/side-a.flac")
+     */
+    filePath(b2Path) {
+        const hash = createHash('sha1').update(b2Path).digest('hex');
+        return join(this.cacheDir, `${hash}${extname(b2Path).toLowerCase()}`);
+    }
+
+    /**
+     * Path of a completely cached file, or null when it isn't cached (or its size no longer matches B2)
+     */
+    async getCachedFile(b2Path, expectedSize = null) {
+        if (!this.enabled) return null;
+
+        const path = this.filePath(b2Path);
+        try {
+            const stats = await promises.stat(path);
+            if (expectedSize !== null && stats.size !== expectedSize) {
+                // The file was replaced on B2 - drop the stale copy
+                await promises.unlink(path).catch(() => {});
+                return null;
+            }
+            // Touch it so trimming removes the least recently played files first
+            const now = new Date();
+            await promises.utimes(path, now, now);
+            return path;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Drop a cached file, e.g. after the original was changed without its size changing
+     */
+    async remove(b2Path) {
+        await promises.unlink(this.filePath(b2Path)).catch(() => {});
+    }
+
+    /**
+     * Whether a download of size bytes should be written to the cache
+     */
+    canStore(b2Path, size) {
+        return this.enabled && !this.pending.has(b2Path) && size > 0 && size <= this.maxCacheBytes;
+    }
+
+    /**
+     * Write a full-file download stream into the cache. The file is kept once the stream has ended
+     * with exactly size bytes; anything shorter (an aborted download) is thrown away and onDiscard
+     * is called. The cache is listening when this returns, so other consumers (the response) must
+     * be piped afterwards - the stream keeps flowing into the cache after they go away.
+     * Returns whether the stream is being cached.
+     */
+    store(b2Path, stream, size, onDiscard = () => {}) {
+        if (!this.canStore(b2Path, size)) return false;
+
+        const path = this.filePath(b2Path);
+        const tempPath = `${path}.${process.pid}.${Date.now()}.part`;
+        let file;
+        try {
+            mkdirSync(this.cacheDir, { recursive: true });
+            file = createWriteStream(tempPath);
+        } catch (err) {
+            console.error(`Failed to write B2 cache file for ${b2Path}:`, err.message);
+            return false;
+        }
+        this.pending.add(b2Path);
+        let written = 0;
+        let finished = false;
+
+        const discard = () => {
+            if (finished) return;
+            finished = true;
+            this.pending.delete(b2Path);
+            stream.unpipe(file);
+            file.destroy();
+            promises.unlink(tempPath).catch(() => {});
+            onDiscard();
+        };
+
+        stream.on('data', (chunk) => {
+            written += chunk.length;
+        });
+        stream.pipe(file);
+
+        stream.on('error', (err) => {
+            console.error(`B2 cache download failed for ${b2Path}:`, err.message);
+            discard();
+        });
+        stream.on('close', () => {
+            if (written !== size) discard();
+        });
+        file.on('error', (err) => {
+            console.error(`Failed to write B2 cache file for ${b2Path}:`, err.message);
+            discard();
+        });
+
+        file.on('finish', async () => {
+            if (finished) return;
+            if (written !== size) {
+                discard();
+                return;
+            }
+            finished = true;
+            this.pending.delete(b2Path);
+            try {
+                await promises.rename(tempPath, path);
+                console.log(`Cached B2 file ${b2Path} (${size} bytes)`);
+                this.trimCache();
+            } catch (err) {
+                console.error('Failed to keep B2 cache file:', err.message);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Delete the least recently used files until the cache fits in maxCacheBytes
+     */
+    trimCache() {
+        this.trimChain = this.trimChain.then(async () => {
+            let names;
+            try {
+                names = await promises.readdir(this.cacheDir);
+            } catch (err) {
+                return;
+            }
+
+            const files = [];
+            for (const name of names) {
+                if (name.endsWith('.part')) continue;
+                const path = join(this.cacheDir, name);
+                const stats = await promises.stat(path).catch(() => null);
+                if (stats) files.push({ path, size: stats.size, mtime: stats.mtimeMs });
+            }
+
+            let total = files.reduce((sum, file) => sum + file.size, 0);
+            files.sort((a, b) => a.mtime - b.mtime);
+            for (const file of files) {
+                if (total <= this.maxCacheBytes) break;
+                await promises.unlink(file.path).catch(() => {});
+                total -= file.size;
+            }
+        }).catch((err) => console.error('Failed to trim B2 file cache:', err.message));
+        return this.trimChain;
+    }
+}
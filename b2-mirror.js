@@ -0,0 +1,359 @@
+/**
+ * B2 Mirror
+ * Mirrors selected cloud collections to a local directory so they keep playing when there's no
+ * internet gateway. Each sync lists the collection, downloads new or changed files (checked by
+ * size, and SHA1 where the storage reports one), resumes interrupted downloads and removes
+ * files deleted from the collection.
+ * Files are stored and keyed as <collection id>/<relative path>. What has been mirrored is
+ * recorded in a manifest next to the files, so startup and up-to-date checks don't need to
+ * re-hash anything.
+ */
+import {createReadStream, createWriteStream, promises} from 'fs';
+import {createHash} from 'crypto';
+import {dirname, join, resolve, sep} from 'path';
+
+const MANIFEST_NAME = '.mirror-manifest.json';
+
+// Feed a file that's already on disk into a hash
+function hashFile(path, hash) {
+    return new Promise((resolvePromise, reject) => {
+        createReadStream(path)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', resolvePromise)
+            .on('error', reject);
+    });
+}
+
+export class B2Mirror {
+    constructor({ collections = [], mirrorDir, intervalMinutes = 360, includeFile = () => true } = {}) {
+        // CloudCollection instances (see collections.js)
+        this.collections = collections;
+        this.folders = collections.map(collection => collection.id);
+        this.mirrorDir = resolve(mirrorDir);
+        this.intervalMs = intervalMinutes * 60 * 1000;
+        this.includeFile = includeFile;
+
+        // { files: { key: { version, size, sha1, uploadTimestamp, mtimeMs } }, partials: { key: version }, lastSynced }
+        this.manifest = { files: {}, partials: {}, lastSynced: null };
+        this.timer = null;
+        this.running = null;
+        this.status = {
+            state: 'idle',
+            lastRunStart: null,
+            lastRunEnd: null,
+            lastError: null,
+            nextRun: null,
+            current: null,
+            run: null
+        };
+    }
+
+    get enabled() {
+        return this.folders.length > 0;
+    }
+
+    /**
+     * Load the manifest and schedule syncs - the first one runs straight away
+     */
+    async start() {
+        if (!this.enabled) return;
+        await this.loadManifest();
+        this.scheduleSync(0);
+    }
+
+    scheduleSync(delayMs) {
+        clearTimeout(this.timer);
+        this.status.nextRun = new Date(Date.now() + delayMs);
+        this.timer = setTimeout(async () => {
+            await this.sync();
+            this.scheduleSync(this.intervalMs);
+        }, delayMs);
+    }
+
+    async loadManifest() {
+        try {
+            const data = JSON.parse(await promises.readFile(join(this.mirrorDir, MANIFEST_NAME), 'utf8'));
+            this.manifest = { files: data.files || {}, partials: data.partials || {}, lastSynced: data.lastSynced || null };
+            console.log(`Loaded B2 mirror manifest (${Object.keys(this.manifest.files).length} files)`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Failed to read B2 mirror manifest:', err.message);
+            }
+        }
+    }
+
+    async saveManifest() {
+        const path = join(this.mirrorDir, MANIFEST_NAME);
+        const tempPath = `${path}.${process.pid}.tmp`;
+        await promises.mkdir(this.mirrorDir, { recursive: true });
+        await promises.writeFile(tempPath, JSON.stringify(this.manifest));
+        await promises.rename(tempPath, path);
+    }
+
+    /**
+     * Local path for a key (null for names that would escape the mirror directory)
+     */
+    localPath(key) {
+        const path = resolve(this.mirrorDir, key);
+        return path.startsWith(this.mirrorDir + sep) ? path : null;
+    }
+
+    /**
+     * The mirrored copy of a file (key is "<collection id>/<relative path>") - { path, size } -
+     * or null when it hasn't been mirrored
+     */
+    getMirroredFile(key) {
+        const entry = this.manifest.files[key];
+        const path = entry ? this.localPath(key) : null;
+        return path ? { path, size: entry.size } : null;
+    }
+
+    hasFolder(folderName) {
+        return this.folders.includes(folderName) &&
+            Object.keys(this.manifest.files).some(name => name.startsWith(`${folderName}/`));
+    }
+
+    /**
+     * Mirrored files of a collection as { fileName (its key), size, uploadTimestamp }
+     */
+    listFolder(folderName) {
+        return Object.entries(this.manifest.files)
+            .filter(([name]) => name.startsWith(`${folderName}/`))
+            .map(([name, entry]) => ({ fileName: name, size: entry.size, uploadTimestamp: entry.uploadTimestamp }));
+    }
+
+    /**
+     * Read the first bytes of a mirrored file (used for metadata extraction)
+     */
+    async readStart(key, length) {
+        const mirrored = this.getMirroredFile(key);
+        const handle = await promises.open(mirrored.path, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.min(length, mirrored.size));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    getStatus() {
+        const folders = {};
+        for (const folderName of this.folders) {
+            const files = this.listFolder(folderName);
+            folders[folderName] = {
+                files: files.length,
+                bytes: files.reduce((sum, file) => sum + file.size, 0)
+            };
+        }
+        return {
+            enabled: this.enabled,
+            mirrorDir: this.mirrorDir,
+            intervalMinutes: this.intervalMs / 60000,
+            lastSynced: this.manifest.lastSynced,
+            ...this.status,
+            folders
+        };
+    }
+
+    /**
+     * Sync every configured folder (a sync that's already running is returned instead of starting another)
+     */
+    sync() {
+        if (!this.running) {
+            this.running = this.runSync().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runSync() {
+        const run = {
+            files: 0,
+            bytes: 0,
+            checkedFiles: 0,
+            downloadedFiles: 0,
+            downloadedBytes: 0,
+            removedFiles: 0,
+            failedFiles: []
+        };
+        Object.assign(this.status, { state: 'listing', lastRunStart: new Date(), lastError: null, current: null, run });
+        console.log(`B2 mirror sync started (${this.folders.join(', ')})`);
+
+        try {
+            // List everything first so progress can be reported against a total
+            const listings = [];
+            for (const collection of this.collections) {
+                const files = await this.listFiles(collection);
+                listings.push({ folderName: collection.id, files });
+                run.files += files.length;
+                run.bytes += files.reduce((sum, file) => sum + file.size, 0);
+            }
+
+            this.status.state = 'syncing';
+            for (const { folderName, files } of listings) {
+                for (const file of files) {
+                    try {
+                        await this.syncFile(file, run);
+                    } catch (err) {
+                        console.error(`B2 mirror failed for ${file.fileName}:`, err.message);
+                        run.failedFiles.push({ fileName: file.fileName, error: err.message });
+                    }
+                    run.checkedFiles++;
+                }
+                await this.removeDeleted(folderName, files, run);
+            }
+            this.manifest.lastSynced = new Date().toISOString();
+            console.log(`B2 mirror sync finished - ${run.downloadedFiles} downloaded, ${run.removedFiles} removed, ${run.failedFiles.length} failed`);
+        } catch (err) {
+            console.error('B2 mirror sync failed:', err.message);
+            this.status.lastError = err.message;
+        } finally {
+            await this.saveManifest().catch((err) => console.error('Failed to save B2 mirror manifest:', err.message));
+            Object.assign(this.status, { state: 'idle', lastRunEnd: new Date(), current: null });
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Every file of a collection, following the storage's pagination. fileName is the file's key
+     * and storage the driver to download it with.
+     */
+    async listFiles(collection) {
+        const files = [];
+        let cursor = null;
+        do {
+            const response = await collection.storage.list(collection.listPrefix, { cursor, limit: 10000 });
+            for (const file of response.files) {
+                const relativePath = collection.relativePathOf(file.name);
+                const key = `${collection.id}/${relativePath}`;
+                if (relativePath && !relativePath.endsWith('/') && this.includeFile(file.name) && this.localPath(key)) {
+                    files.push({ ...file, fileName: key, storage: collection.storage });
+                }
+            }
+            cursor = response.nextCursor;
+        } while (cursor);
+        return files;
+    }
+
+    async syncFile(file, run) {
+        const path = this.localPath(file.fileName);
+        const sha1 = file.sha1;
+        const entry = this.manifest.files[file.fileName];
+        const stats = await promises.stat(path).catch(() => null);
+
+        // Unchanged since the last sync - same version in storage and the local file hasn't been touched
+        if (entry && stats && entry.version === file.version && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+            return;
+        }
+
+        // A matching file is already there (e.g. copied over by hand, or a lost manifest)
+        if (stats && stats.size === file.size && sha1) {
+            const hash = createHash('sha1');
+            await hashFile(path, hash);
+            if (hash.digest('hex') === sha1) {
+                this.recordFile(file, sha1, stats);
+                return;
+            }
+        }
+
+        await this.download(file, path, sha1, run);
+    }
+
+    recordFile(file, sha1, stats) {
+        this.manifest.files[file.fileName] = {
+            version: file.version,
+            size: file.size,
+            sha1: sha1,
+            uploadTimestamp: file.modified,
+            mtimeMs: stats.mtimeMs
+        };
+    }
+
+    /**
+     * Download a file into a .part file next to it, carrying on from an earlier partial download
+     * of the same version. The size (and SHA1, when known) is checked before the file replaces the
+     * mirrored copy.
+     */
+    async download(file, path, sha1, run) {
+        const partPath = `${path}.part`;
+        await promises.mkdir(dirname(path), { recursive: true });
+
+        let offset = 0;
+        if (this.manifest.partials[file.fileName] === file.version) {
+            const partStats = await promises.stat(partPath).catch(() => null);
+            offset = partStats && partStats.size <= file.size ? partStats.size : 0;
+        }
+        if (offset === 0) {
+            await promises.unlink(partPath).catch(() => {});
+        }
+        this.manifest.partials[file.fileName] = file.version;
+        await this.saveManifest();
+
+        const hash = createHash('sha1');
+        if (offset > 0) {
+            console.log(`Resuming B2 mirror download of ${file.fileName} at ${offset} bytes`);
+            await hashFile(partPath, hash);
+        }
+
+        this.status.current = { fileName: file.fileName, bytesDone: offset, bytesTotal: file.size };
+
+        if (offset < file.size) {
+            const fileData = {
+                data: await file.storage.read(file.name, offset > 0 ? { start: offset } : {})
+            };
+
+            await new Promise((resolvePromise, reject) => {
+                const output = createWriteStream(partPath, { flags: 'a' });
+                fileData.data.on('data', (chunk) => {
+                    hash.update(chunk);
+                    this.status.current.bytesDone += chunk.length;
+                    run.downloadedBytes += chunk.length;
+                });
+                fileData.data.on('error', (err) => {
+                    output.destroy();
+                    reject(err);
+                });
+                output.on('error', (err) => {
+                    fileData.data.destroy();
+                    reject(err);
+                });
+                output.on('finish', resolvePromise);
+                fileData.data.pipe(output);
+            });
+        }
+
+        const partStats = await promises.stat(partPath);
+        if (partStats.size !== file.size || (sha1 && hash.digest('hex') !== sha1)) {
+            // Corrupt or from a different version - start over on the next sync
+            await promises.unlink(partPath).catch(() => {});
+            delete this.manifest.partials[file.fileName];
+            throw new Error('Downloaded file does not match its size/SHA1 in storage');
+        }
+
+        await promises.rename(partPath, path);
+        delete this.manifest.partials[file.fileName];
+        this.recordFile(file, sha1, await promises.stat(path));
+        await this.saveManifest();
+        run.downloadedFiles++;
+        console.log(`Mirrored ${file.fileName} (${file.size} bytes)`);
+    }
+
+    /**
+     * Remove mirrored files that are no longer in the collection
+     */
+    async removeDeleted(folderName, files, run) {
+        const current = new Set(files.map(file => file.fileName));
+        for (const name of Object.keys(this.manifest.files)) {
+            if (!name.startsWith(`${folderName}/`) || current.has(name)) continue;
+            const path = this.localPath(name);
+            if (path) {
+                await promises.unlink(path).catch(() => {});
+            }
+            delete this.manifest.files[name];
+            run.removedFiles++;
+            console.log(`Removed ${name} from the B2 mirror`);
+        }
+    }
+}
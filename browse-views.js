@@ -0,0 +1,160 @@
+/**
+ * Tag-based browse views
+ * Groups tracks by artist, album (album artist aware), genre and year/decade.
+ * Tracks are { fileName, relativePath, folderPath, tags } - tags may be null when a file
+ * hasn't been parsed yet, in which case it lands in the "Unknown" group.
+ */
+
+export const BROWSE_VIEWS = {
+    artists: { label: 'Artists', param: 'artist', unknown: 'Unknown Artist' },
+    albums: { label: 'Albums', param: 'album', unknown: 'Unknown Album' },
+    genres: { label: 'Genres', param: 'genre', unknown: 'Unknown Genre' },
+    years: { label: 'Years', param: 'year', unknown: 'Unknown Year' }
+};
+
+function clean(value) {
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+// A repeated query parameter (?artist=a&artist=b) arrives as an array - the first one wins,
+// and anything else that isn't a string (?artist[x]=a) counts as not given
+function queryValue(value) {
+    if (Array.isArray(value)) value = value[0];
+    return typeof value === 'string' ? value : undefined;
+}
+
+// Album artist when tagged, otherwise the track artist
+function albumArtistOf(tags) {
+    return clean(tags?.albumArtist) || clean(tags?.artist) || BROWSE_VIEWS.artists.unknown;
+}
+
+function decadeOf(year) {
+    return `${Math.floor(year / 10) * 10}s`;
+}
+
+// Group a track belongs to in a view: { key, label, sublabel, params }
+function groupOf(track, view) {
+    const tags = track.tags || {};
+
+    if (view === 'artists') {
+        const artist = clean(tags.artist) || BROWSE_VIEWS.artists.unknown;
+        return { key: artist.toLowerCase(), label: artist, params: { artist } };
+    }
+    if (view === 'albums') {
+        const album = clean(tags.album) || BROWSE_VIEWS.albums.unknown;
+        const albumArtist = albumArtistOf(tags);
+        return {
+            key: `${albumArtist.toLowerCase()}\u0000${album.toLowerCase()}`,
+            label: album,
+            sublabel: albumArtist,
+            params: { album, albumArtist }
+        };
+    }
+    if (view === 'genres') {
+        const genre = clean(tags.genre) || BROWSE_VIEWS.genres.unknown;
+        return { key: genre.toLowerCase(), label: genre, params: { genre } };
+    }
+    if (view === 'years') {
+        const year = parseInt(tags.year);
+        if (!year) {
+            return { key: 'unknown', label: BROWSE_VIEWS.years.unknown, sublabel: '', params: { year: 'unknown' } };
+        }
+        return { key: String(year), label: String(year), sublabel: decadeOf(year), params: { year: String(year) } };
+    }
+    return null;
+}
+
+/**
+ * List the groups of a view, sorted by label (years newest first, grouped by decade)
+ * Returns [{ label, sublabel, count, params }]
+ */
+export function listBrowseGroups(tracks, view) {
+    if (!BROWSE_VIEWS[view]) return [];
+
+    const groups = new Map();
+    for (const track of tracks) {
+        const group = groupOf(track, view);
+        if (!groups.has(group.key)) {
+            groups.set(group.key, { ...group, count: 0 });
+        }
+        groups.get(group.key).count++;
+    }
+
+    const unknownLabel = BROWSE_VIEWS[view].unknown;
+    return Array.from(groups.values()).sort((a, b) => {
+        // "Unknown" groups always go last
+        if (a.label === unknownLabel) return 1;
+        if (b.label === unknownLabel) return -1;
+        if (view === 'years') return parseInt(b.label) - parseInt(a.label);
+        return a.label.localeCompare(b.label, undefined, { sensitivity: 'base' }) ||
+            (a.sublabel || '').localeCompare(b.sublabel || '');
+    });
+}
+
+/**
+ * Selection parameters of a browse query as single strings (or undefined when not given)
+ */
+export function browseSelection(query) {
+    return {
+        artist: queryValue(query.artist),
+        album: queryValue(query.album),
+        albumArtist: queryValue(query.albumArtist),
+        genre: queryValue(query.genre),
+        year: queryValue(query.year),
+        decade: queryValue(query.decade)
+    };
+}
+
+/**
+ * Tracks matching the selection in the query (e.g. { artist: 'Pixies' } or { decade: '1970s' }),
+ * sorted in album order. Returns null when the query doesn't select a group.
+ */
+export function filterBrowseTracks(tracks, view, query) {
+    const config = BROWSE_VIEWS[view];
+    if (!config) return null;
+    query = browseSelection(query);
+
+    let matches;
+    if (view === 'years' && query.decade) {
+        matches = (track) => {
+            const year = parseInt(track.tags?.year);
+            return year && decadeOf(year) === query.decade;
+        };
+    } else if (query[config.param] !== undefined) {
+        // Selected group key is built the same way as the track keys, so "Unknown ..." selects untagged tracks
+        const wanted = groupOf({
+            tags: {
+                artist: query.artist,
+                album: query.album,
+                albumArtist: query.albumArtist,
+                genre: query.genre,
+                year: query.year
+            }
+        }, view).key;
+        matches = (track) => groupOf(track, view).key === wanted;
+    } else {
+        return null;
+    }
+
+    return tracks.filter(matches).sort((a, b) => {
+        const ta = a.tags || {};
+        const tb = b.tags || {};
+        return (clean(ta.album) || '').localeCompare(clean(tb.album) || '') ||
+            (ta.discNumber || 0) - (tb.discNumber || 0) ||
+            (ta.trackNumber || 0) - (tb.trackNumber || 0) ||
+            a.fileName.localeCompare(b.fileName);
+    });
+}
+
+/**
+ * Decades present in a list of year groups, newest first
+ */
+export function listDecades(yearGroups) {
+    const decades = new Map();
+    for (const group of yearGroups) {
+        if (!group.sublabel) continue;
+        decades.set(group.sublabel, (decades.get(group.sublabel) || 0) + group.count);
+    }
+    return Array.from(decades, ([label, count]) => ({ label, count }))
+        .sort((a, b) => parseInt(b.label) - parseInt(a.label));
+}
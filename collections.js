@@ -0,0 +1,136 @@
+/**
+ * Cloud Collections
+ * The cloud collections served next to the local music (each one at /<id>). They are declared
+ * in collections.json (or the file named by COLLECTIONS_CONFIG) - an id, a display name, a
+ * storage driver with its bucket (or directory) and a prefix inside it. Without a config file
+ * the analog, live and digital folders of B2_BUCKET_NAME are used.
+ */
+import B2 from 'backblaze-b2';
+import {existsSync, readFileSync} from 'fs';
+import {dirname, resolve} from 'path';
+import {B2Storage, LocalStorage, S3Storage} from './storage-drivers.js';
+
+// First path segments already used by other routes
+const RESERVED_IDS = [
+    'local', 'playlists', 'api', 'music', 'thumb', 'b2proxy', 'b2metadata', 'transcode',
+    'rescan', 'rescan-b2', 'localmetadata', 'styles.css', 'favicon.ico'
+];
+
+const DEFAULT_COLLECTIONS = [
+    { id: 'analog', name: 'Analog' },
+    { id: 'live', name: 'Live' },
+    { id: 'digital', name: 'Digital' }
+];
+
+export class CloudCollection {
+    constructor({ id, name, prefix, storage }) {
+        this.id = id;
+        this.name = name;
+        // Folder inside the bucket without slashes ('' for the whole bucket)
+        this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+        // Storage driver (see storage-drivers.js)
+        this.storage = storage;
+    }
+
+    /**
+     * Whether the driver's bucket and credentials are all set
+     */
+    get configured() {
+        return this.storage.configured;
+    }
+
+    /**
+     * Prefix to list the collection's files with ('' for the whole bucket)
+     */
+    get listPrefix() {
+        return this.prefix ? `${this.prefix}/` : '';
+    }
+
+    /**
+     * File name in the store of a path relative to the collection
+     */
+    objectName(relativePath) {
+        return `${this.listPrefix}${relativePath}`;
+    }
+
+    /**
+     * Path relative to the collection for a file name in the store
+     */
+    relativePathOf(objectName) {
+        return objectName.substring(this.listPrefix.length);
+    }
+}
+
+/**
+ * Read the collection list - throws when the config file is invalid, so a typo stops the server
+ * instead of silently hiding a collection
+ */
+export function loadCollections(configPath, env = process.env) {
+    let declared = DEFAULT_COLLECTIONS;
+    if (existsSync(configPath)) {
+        declared = JSON.parse(readFileSync(configPath, 'utf8'));
+        if (!Array.isArray(declared)) {
+            throw new Error(`${configPath} must contain an array of collections`);
+        }
+    }
+
+    // Collections in the same bucket share a driver, and B2 collections with the same key a client
+    // (and its authorization)
+    const clients = new Map();
+    const drivers = new Map();
+    const collections = [];
+    for (const entry of declared) {
+        const id = String(entry.id || '');
+        if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+            throw new Error(`Invalid collection id "${id}" - use lowercase letters, digits, "-" and "_"`);
+        }
+        if (RESERVED_IDS.includes(id) || collections.some(collection => collection.id === id)) {
+            throw new Error(`Collection id "${id}" is reserved or used twice`);
+        }
+
+        const driver = entry.driver || 'b2';
+        let storage;
+        if (driver === 'b2') {
+            const applicationKeyId = entry.applicationKeyId || env.B2_APPLICATION_KEY_ID;
+            const applicationKey = entry.applicationKey || env.B2_APPLICATION_KEY;
+            const bucketName = entry.bucket || env.B2_BUCKET_NAME;
+            const clientKey = `${applicationKeyId}\u0000${applicationKey}`;
+            if (!clients.has(clientKey)) {
+                clients.set(clientKey, new B2({ applicationKeyId, applicationKey }));
+            }
+            const driverKey = `b2\u0000${clientKey}\u0000${bucketName}`;
+            if (!drivers.has(driverKey)) {
+                drivers.set(driverKey, new B2Storage({ client: clients.get(clientKey), bucketName, applicationKeyId, applicationKey }));
+            }
+            storage = drivers.get(driverKey);
+        } else if (driver === 's3') {
+            const options = {
+                endpoint: entry.endpoint || env.S3_ENDPOINT,
+                region: entry.region || env.S3_REGION || 'us-east-1',
+                bucketName: entry.bucket || env.S3_BUCKET_NAME,
+                accessKeyId: entry.accessKeyId || env.S3_ACCESS_KEY_ID,
+                secretAccessKey: entry.secretAccessKey || env.S3_SECRET_ACCESS_KEY,
+                pathStyle: entry.pathStyle !== false
+            };
+            const driverKey = `s3\u0000${JSON.stringify(options)}`;
+            if (!drivers.has(driverKey)) {
+                drivers.set(driverKey, new S3Storage(options));
+            }
+            storage = drivers.get(driverKey);
+        } else if (driver === 'local') {
+            // Relative paths are resolved against the config file's directory
+            storage = new LocalStorage({ path: entry.path && resolve(dirname(configPath), entry.path) });
+        } else {
+            throw new Error(`Unknown driver "${driver}" for collection "${id}" - use "b2", "s3" or "local"`);
+        }
+
+        collections.push(new CloudCollection({
+            id,
+            name: entry.name || id.charAt(0).toUpperCase() + id.slice(1),
+            // A local collection is the whole directory unless a prefix is given
+            prefix: entry.prefix !== undefined ? String(entry.prefix) : (driver === 'local' ? '' : id),
+            storage
+        }));
+    }
+    return collections;
+}
@@ -0,0 +1,152 @@
+/**
+ * CUE Sheets
+ * Reads and writes CUE sheets describing the tracks inside one audio file - a live show or album
+ * rip kept as one big file, or a vinyl side split on its silences. Times are in seconds; CUE
+ * positions are minutes:seconds:frames at 75 frames per second.
+ */
+import {extname} from 'path';
+
+const FRAMES_PER_SECOND = 75;
+
+// CUE FILE types by extension - everything that isn't MP3 or AIFF is declared as WAVE, which is
+// what other players expect for FLAC too
+const CUE_FILE_TYPES = { '.mp3': 'MP3', '.aif': 'AIFF', '.aiff': 'AIFF' };
+
+/**
+ * CUE position (mm:ss:ff) of a time in seconds
+ */
+export function formatCueTime(seconds) {
+    const totalFrames = Math.max(0, Math.round(seconds * FRAMES_PER_SECOND));
+    const frames = totalFrames % FRAMES_PER_SECOND;
+    const totalSeconds = Math.floor(totalFrames / FRAMES_PER_SECOND);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}:${pad(frames)}`;
+}
+
+/**
+ * Seconds from a CUE position (mm:ss:ff - minutes can go past 99), or null when it can't be read
+ */
+export function parseCueTime(text) {
+    const match = String(text).trim().match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+    if (!match) return null;
+    const seconds = parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + parseInt(match[3], 10) / FRAMES_PER_SECOND;
+    return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Text of a CUE sheet file - UTF-8 (with or without a byte order mark), or Windows-1252 for the
+ * many sheets written by older rippers
+ */
+export function decodeCueSheet(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+// Value of a CUE command - a quoted string, or the rest of the line
+function cueValue(rest) {
+    const quoted = rest.match(/^"([^"]*)"/);
+    return (quoted ? quoted[1] : rest).trim();
+}
+
+/**
+ * Parse a CUE sheet - { performer, title, files: [{ name, tracks: [{ number, title, performer, start }] }] }
+ * Tracks without an INDEX 01 are left out; REM lines and unknown commands are ignored
+ */
+export function parseCueSheet(text) {
+    const sheet = { performer: null, title: null, files: [] };
+    let file = null;
+    let track = null;
+
+    for (const line of text.split(/\r?\n|\r/)) {
+        const match = line.trim().match(/^(\S+)\s*(.*)$/);
+        if (!match) continue;
+        const command = match[1].toUpperCase();
+        const rest = match[2];
+
+        if (command === 'FILE') {
+            // The type (WAVE, MP3...) follows the name
+            const name = rest.match(/^"([^"]*)"/) ? cueValue(rest) : rest.replace(/\s+\S+$/, '').trim();
+            file = { name, tracks: [] };
+            sheet.files.push(file);
+            track = null;
+        } else if (command === 'TRACK' && file) {
+            track = { number: parseInt(rest, 10) || file.tracks.length + 1, title: null, performer: null, start: null };
+            file.tracks.push(track);
+        } else if (command === 'TITLE' || command === 'PERFORMER') {
+            const key = command === 'TITLE' ? 'title' : 'performer';
+            if (track) track[key] = cueValue(rest);
+            else sheet[key] = cueValue(rest);
+        } else if (command === 'INDEX' && track) {
+            const index = rest.match(/^(\d+)\s+(\S+)/);
+            if (index && parseInt(index[1], 10) === 1) {
+                track.start = parseCueTime(index[2]);
+            }
+        }
+    }
+
+    for (const sheetFile of sheet.files) {
+        sheetFile.tracks = sheetFile.tracks.filter(sheetTrack => sheetTrack.start !== null);
+    }
+    return sheet;
+}
+
+// File name without its extension, for matching sheets whose FILE names another format (a .wav
+// that was later encoded to FLAC)
+function baseName(fileName) {
+    return fileName.toLowerCase().replace(/\.[^.]*$/, '');
+}
+
+/**
+ * Virtual tracks of the audio files a sheet describes - a Map of audio file name to
+ * [{ title, performer, start }]. FILE names are matched to the audio files in the sheet's folder by
+ * name, then by name without the extension; a sheet with a single FILE also matches the audio file
+ * named like the sheet. Files with only one track are left out - there is nothing to split.
+ */
+export function cueTracksByAudioFile(sheet, cueFileName, audioFileNames) {
+    const matches = new Map();
+    const findAudioFile = (name) => {
+        const fileName = name.split(/[\\/]/).pop().toLowerCase();
+        return audioFileNames.find(audioFileName => audioFileName.toLowerCase() === fileName) ||
+            audioFileNames.find(audioFileName => baseName(audioFileName) === baseName(fileName));
+    };
+
+    for (const sheetFile of sheet.files) {
+        let audioFileName = findAudioFile(sheetFile.name);
+        if (!audioFileName && sheet.files.length === 1) {
+            audioFileName = audioFileNames.find(name => baseName(name) === baseName(cueFileName));
+        }
+        if (!audioFileName || sheetFile.tracks.length < 2 || matches.has(audioFileName)) continue;
+
+        matches.set(audioFileName, sheetFile.tracks.map(track => ({
+            title: track.title || `Track ${track.number}`,
+            performer: track.performer || sheet.performer,
+            start: track.start
+        })));
+    }
+    return matches;
+}
+
+// Quoted CUE string - CUE has no escaping, so double quotes become single ones
+function quote(text) {
+    return `"${String(text).replace(/"/g, "'").replace(/[\r\n]+/g, ' ')}"`;
+}
+
+/**
+ * CUE sheet for a file - { fileName, performer, title, tracks: [{ title, performer, start }] }
+ */
+export function formatCueSheet({ fileName, performer, title, tracks }) {
+    const lines = [];
+    if (performer) lines.push(`PERFORMER ${quote(performer)}`);
+    if (title) lines.push(`TITLE ${quote(title)}`);
+    lines.push(`FILE ${quote(fileName)} ${CUE_FILE_TYPES[extname(fileName).toLowerCase()] || 'WAVE'}`);
+    tracks.forEach((track, i) => {
+        lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+        if (track.title) lines.push(`    TITLE ${quote(track.title)}`);
+        if (track.performer || performer) lines.push(`    PERFORMER ${quote(track.performer || performer)}`);
+        lines.push(`    INDEX 01 ${formatCueTime(track.start)}`);
+    });
+    return lines.join('\r\n') + '\r\n';
+}
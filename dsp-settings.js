@@ -0,0 +1,61 @@
+/**
+ * DSP Settings
+ * Settings of the player's Web Audio processing chain - a preamp, ten parametric EQ bands, a mono
+ * downmix, channel balance and a limiter - as stored in presets. Vinyl transfers mostly need the
+ * outer bands: a high-pass or low shelf against rumble and a high shelf against hiss. Gains are in
+ * dB, frequencies in Hz; Q is the band's width (higher is narrower).
+ */
+
+// Filter types of Web Audio's BiquadFilterNode that make sense in an equalizer
+export const EQ_BAND_TYPES = ['peaking', 'lowshelf', 'highshelf', 'highpass', 'lowpass', 'notch'];
+export const EQ_BAND_COUNT = 10;
+// Where a preset can be used - a track, a folder (and its subfolders) or a whole collection
+export const DSP_SCOPES = ['track', 'folder', 'collection'];
+
+const MAX_GAIN_DB = 24;
+const MIN_FREQUENCY = 10;
+const MAX_FREQUENCY = 22000;
+const MIN_Q = 0.1;
+const MAX_Q = 30;
+
+// A number within limits - throws with the setting's name otherwise
+function numberIn(value, min, max, name) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${name} must be a number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Checked copy of DSP settings - { preamp, bands: [{ type, frequency, gain, q }], mono, balance,
+ * limiter } - missing values take their defaults, and invalid ones throw
+ */
+export function normalizeDspSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('settings must be an object');
+    }
+    const bands = settings.bands ?? [];
+    if (!Array.isArray(bands) || bands.length > EQ_BAND_COUNT) {
+        throw new Error(`bands must be a list of up to ${EQ_BAND_COUNT} EQ bands`);
+    }
+
+    return {
+        preamp: numberIn(settings.preamp ?? 0, -MAX_GAIN_DB, MAX_GAIN_DB, 'preamp'),
+        bands: bands.map((band, i) => {
+            const type = band?.type ?? 'peaking';
+            if (!EQ_BAND_TYPES.includes(type)) {
+                throw new Error(`Band ${i + 1} type must be one of ${EQ_BAND_TYPES.join(', ')}`);
+            }
+            return {
+                type,
+                frequency: numberIn(band?.frequency, MIN_FREQUENCY, MAX_FREQUENCY, `Band ${i + 1} frequency`),
+                gain: numberIn(band?.gain ?? 0, -MAX_GAIN_DB, MAX_GAIN_DB, `Band ${i + 1} gain`),
+                q: numberIn(band?.q ?? 1, MIN_Q, MAX_Q, `Band ${i + 1} Q`)
+            };
+        }),
+        mono: !!settings.mono,
+        balance: numberIn(settings.balance ?? 0, -1, 1, 'balance'),
+        limiter: !!settings.limiter
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * Gapless Info
+ * Encoder delay and padding of MP3 and AAC files - the silence an encoder adds before the first
+ * and after the last sample, which leaves a gap between the tracks of a live album even when the
+ * next one is started on time. LAME (and ffmpeg) note it in the Xing/Info frame at the start of an
+ * MP3, iTunes in the iTunSMPB comment of an MP4. Both are found with a few small reads, so a file
+ * on cloud storage doesn't have to be downloaded for it. Times are in seconds.
+ */
+import {extname} from 'path';
+import {findAtom} from './mp4-chapters.js';
+
+// MP3 decoders output 529 samples of their own delay before the encoder's - LAME's padding
+// already allows for them
+const MP3_DECODER_DELAY = 529;
+// How far past the ID3v2 tag to look for the first MPEG frame
+const MP3_FRAME_SEARCH_BYTES = 4096;
+// Sample rates by MPEG version (3 MPEG 1, 2 MPEG 2, 0 MPEG 2.5) and sample rate index
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+// An iTunSMPB value is well under this
+const MAX_ITUNSMPB_BYTES = 1024;
+
+/**
+ * Encoder delay and padding of a file of a given size - read(position, length) resolves to a
+ * Buffer of the file's bytes from position, as for readNeroChapters. Resolves to
+ * { delay, padding, duration } - the silence at the start and end and the length of the music
+ * between them - or null for files without it (lossless files have none)
+ */
+export async function readGaplessInfo(read, size, fileName) {
+    const extension = extname(fileName).toLowerCase();
+    if (extension === '.mp3') {
+        return readLameInfo(read);
+    }
+    if (['.m4a', '.m4b', '.mp4'].includes(extension)) {
+        return readITunSmpb(read, size);
+    }
+    return null;
+}
+
+// Delay and padding from the LAME extension of the Xing/Info frame - the first frame of the file
+async function readLameInfo(read) {
+    let position = 0;
+    const id3 = await read(0, 10);
+    if (id3.length === 10 && id3.toString('latin1', 0, 3) === 'ID3') {
+        // Synchsafe tag size, plus a footer when the flags say there is one
+        position = 10 + ((id3[6] << 21) | (id3[7] << 14) | (id3[8] << 7) | id3[9]) + (id3[5] & 0x10 ? 10 : 0);
+    }
+    const buffer = await read(position, MP3_FRAME_SEARCH_BYTES);
+
+    // First Layer III frame header
+    let frame = -1;
+    for (let i = 0; i + 4 <= buffer.length; i++) {
+        if (buffer[i] === 0xFF && (buffer[i + 1] & 0xE6) === 0xE2 && (buffer[i + 2] & 0x0C) !== 0x0C && (buffer[i + 2] & 0xF0) !== 0xF0) {
+            frame = i;
+            break;
+        }
+    }
+    if (frame < 0) return null;
+
+    const version = (buffer[frame + 1] >> 3) & 3;
+    const sampleRate = MP3_SAMPLE_RATES[version]?.[(buffer[frame + 2] >> 2) & 3];
+    if (!sampleRate) return null;
+    const mono = (buffer[frame + 3] >> 6) === 3;
+    const sideInfoBytes = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+
+    // Xing (VBR) or Info (CBR) tag after the side information, then the fields its flags list
+    let offset = frame + 4 + sideInfoBytes;
+    if (offset + 8 > buffer.length || !['Xing', 'Info'].includes(buffer.toString('latin1', offset, offset + 4))) {
+        return null;
+    }
+    const flags = buffer.readUInt32BE(offset + 4);
+    offset += 8;
+    if (!(flags & 1)) return null;
+    const frames = buffer.readUInt32BE(offset);
+    offset += 4;
+    if (flags & 2) offset += 4;
+    if (flags & 4) offset += 100;
+    if (flags & 8) offset += 4;
+
+    // The LAME extension starts with the encoder's name and version (9 bytes); delay and padding
+    // are 12 bits each, 21 bytes in
+    if (offset + 24 > buffer.length || !/^(LAME|Lavc|Lavf)/.test(buffer.toString('latin1', offset, offset + 4))) {
+        return null;
+    }
+    const delayBytes = offset + 21;
+    const encoderDelay = (buffer[delayBytes] << 4) | (buffer[delayBytes + 1] >> 4);
+    const encoderPadding = ((buffer[delayBytes + 1] & 0x0F) << 8) | buffer[delayBytes + 2];
+    if (encoderDelay === 0 && encoderPadding === 0) return null;
+
+    const delay = encoderDelay + MP3_DECODER_DELAY;
+    const padding = Math.max(0, encoderPadding - MP3_DECODER_DELAY);
+    const samples = frames * (version === 3 ? 1152 : 576) - delay - padding;
+    if (samples <= 0) return null;
+    return { delay: delay / sampleRate, padding: padding / sampleRate, duration: samples / sampleRate };
+}
+
+// Delay, padding and sample count from the iTunSMPB freeform atom in moov/udta/meta/ilst - hex
+// words " 00000000 00000840 000001CA 00000000004A4A4E ...", at the rate of the sound track
+async function readITunSmpb(read, size) {
+    const moov = await findAtom(read, 0, size, 'moov');
+    const udta = moov && await findAtom(read, moov.contentStart, moov.end, 'udta');
+    const meta = udta && await findAtom(read, udta.contentStart, udta.end, 'meta');
+    // meta is a full atom - its version and flags come before the children
+    const ilst = meta && await findAtom(read, meta.contentStart + 4, meta.end, 'ilst');
+    if (!ilst) return null;
+
+    let value = null;
+    for (let position = ilst.contentStart, freeform; !value && (freeform = await findAtom(read, position, ilst.end, '----')); position = freeform.end) {
+        const name = await findAtom(read, freeform.contentStart, freeform.end, 'name');
+        if (!name || (await read(name.contentStart + 4, name.end - name.contentStart - 4)).toString('latin1') !== 'iTunSMPB') continue;
+        const data = await findAtom(read, freeform.contentStart, freeform.end, 'data');
+        // Type and locale come before the value
+        if (data) value = (await read(data.contentStart + 8, Math.min(data.end - data.contentStart - 8, MAX_ITUNSMPB_BYTES))).toString('latin1');
+    }
+    const words = (value || '').trim().split(/\s+/).map(word => parseInt(word, 16));
+    if (words.length < 4 || words.slice(1, 4).some(word => !Number.isFinite(word)) || words[3] === 0) {
+        return null;
+    }
+
+    const sampleRate = await soundTrackTimeScale(read, moov);
+    if (!sampleRate) return null;
+    return { delay: words[1] / sampleRate, padding: words[2] / sampleRate, duration: words[3] / sampleRate };
+}
+
+// Time scale of the sound track (its sample rate) from its mdhd - skipping chapter and other tracks
+async function soundTrackTimeScale(read, moov) {
+    for (let position = moov.contentStart, trak; (trak = await findAtom(read, position, moov.end, 'trak')); position = trak.end) {
+        const mdia = await findAtom(read, trak.contentStart, trak.end, 'mdia');
+        const hdlr = mdia && await findAtom(read, mdia.contentStart, mdia.end, 'hdlr');
+        // Version and flags, pre-defined, then the handler type
+        if (!hdlr || (await read(hdlr.contentStart + 8, 4)).toString('latin1') !== 'soun') continue;
+
+        const mdhd = await findAtom(read, mdia.contentStart, mdia.end, 'mdhd');
+        if (!mdhd) return null;
+        const header = await read(mdhd.contentStart, 24);
+        // Version 1 has 64-bit creation and modification times before the time scale
+        const timeScaleOffset = header[0] === 1 ? 20 : 12;
+        return header.length >= timeScaleOffset + 4 ? header.readUInt32BE(timeScaleOffset) : null;
+    }
+    return null;
+}
@@ -4,12 +4,32 @@ import 'dotenv/config';
 import { parseFile, parseBuffer } from 'music-metadata';
 import {createServer} from 'https';
 import {promises, readFileSync} from 'fs';
-import {join, extname} from 'path';
+import {join, relative, dirname} from 'path';
 import * as url from 'url';
 import express from 'express';
-import B2 from 'backblaze-b2';
 import {tmpdir} from 'os';
 import sharp from 'sharp';
+import {LibraryDatabase} from './library-db.js';
+import {LibraryWatcher} from './library-watcher.js';
+import {BROWSE_VIEWS, listBrowseGroups, filterBrowseTracks, listDecades, browseSelection} from './browse-views.js';
+import {SearchIndex} from './search-index.js';
+import {toM3U8, toXSPF, parsePlaylist} from './playlist-formats.js';
+import {Transcoder, TRANSCODE_PROFILES, FALLBACK_PROFILE} from './transcoder.js';
+import {B2FileCache} from './b2-file-cache.js';
+import {ArtworkCache, ARTWORK_SIZES, DEFAULT_ARTWORK_SIZE, findSidecarCover} from './artwork-cache.js';
+import {B2Mirror} from './b2-mirror.js';
+import {loadCollections} from './collections.js';
+import {readToBuffer, LocalStorage} from './storage-drivers.js';
+import {writeTags, canWriteTags, normalizeTags, ALBUM_TAG_FIELDS, writeChapters, canWriteChapters} from './tag-writer.js';
+import {measureLoudness, gainFromLoudness, replayGainFromTags, albumGainFromTracks} from './loudness.js';
+import {computeWaveform, reducePeaks, WAVEFORM_BINS, MIN_WAVEFORM_BINS} from './waveform.js';
+import {detectSilences, proposeTracks, alignToTracklist, tracklistForSide, DEFAULT_NOISE_DB, DEFAULT_MIN_SILENCE_SECONDS} from './silence-split.js';
+import {formatCueSheet, parseCueSheet, decodeCueSheet, cueTracksByAudioFile} from './cue-sheet.js';
+import {readNeroChapters, chaptersFromMetadata, normalizeChapters} from './mp4-chapters.js';
+import {readGaplessInfo} from './gapless-info.js';
+import {normalizeDspSettings, DSP_SCOPES} from './dsp-settings.js';
+import {isAudioFile, audioMimeType, listAudioFormats} from './audio-formats.js';
+import {loadMusicRoots, findMusicRoot} from './music-roots.js';
 
 const app = express();
 const port = process.env.PORT || 55557;
@@ -17,12 +37,40 @@ const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
 //use self-signed certificate for localhost development
 const options = {key: readFileSync(process.env.SSL_KEY_PATH),
     cert: readFileSync(process.env.SSL_CERT_PATH)}
-const directoryPathMusic = process.env.MUSIC_DIRECTORY || "./music";
+// Local music roots (music-roots.json - e.g. internal SD, USB drives and NAS mounts - or just MUSIC_DIRECTORY)
+const musicRoots = loadMusicRoots(process.env.MUSIC_ROOTS_CONFIG || join(__dirname, 'music-roots.json'), {
+    musicDirectory: process.env.MUSIC_DIRECTORY || './music',
+    baseDir: __dirname
+});
+// The thumbnail cache (.thumbs) lives in the first root
+const musicStaticPath = musicRoots[0].path;
+
+// Disk path of a local library path, resolved against the root it belongs to (null for unknown roots)
+function resolveLocalPath(relativePath) {
+    const root = findMusicRoot(musicRoots, relativePath);
+    return root ? root.fullPathOf(relativePath) : null;
+}
+
+// Name shown for a top-level local folder - the label of the root it is, or the folder name
+function localFolderLabel(folderName) {
+    const root = musicRoots.find(root => root.id && root.id === folderName);
+    return root ? root.label : folderName;
+}
 
-// Cache for media files - always scans fresh on startup
+// Cache for media files - loaded from the library database on startup, then reconciled with the disk
 let musicFilesCache = null;
 let imageFilesCache = null;
 let videoFilesCache = null;
+// CUE sheets in the library - their tracks are attached to the audio files they describe (see loadLocalCueSheets)
+let cueFilesCache = null;
+
+// Persistent library index (paths, sizes, mtimes and parsed tags) so restarts don't need a full rescan
+const libraryDb = new LibraryDatabase(process.env.LIBRARY_DB_PATH || join(__dirname, '.library-db', 'library.db'));
+let libraryScanPromise = null;
+let libraryTagPromise = null;
+
+// Browsers listening for library changes (Server-Sent Events)
+const libraryEventClients = new Set();
 
 // In-memory cache for B2 metadata - ephemeral, privacy-focused
 const metadataCache = new Map();
@@ -71,34 +119,67 @@ async function saveB2MetadataToDisk(b2FilePath, data) {
     }
 }
 
-// Backblaze B2 configuration
-const b2 = new B2({
-    applicationKeyId: process.env.B2_APPLICATION_KEY_ID, // Set these in your environment
-    applicationKey: process.env.B2_APPLICATION_KEY
+// On-the-fly transcoding for low-bandwidth streaming (needs ffmpeg; completed transcodes are cached on disk)
+const transcoder = new Transcoder({
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    cacheDir: process.env.TRANSCODE_CACHE_DIR || join(__dirname, '.transcode-cache'),
+    maxCacheBytes: (parseInt(process.env.TRANSCODE_CACHE_MAX_MB) || 2048) * 1024 * 1024
 });
-const bucketName = process.env.B2_BUCKET_NAME;
 
-// Cache the connectivity check result to avoid hammering B2 API
-let connectivityCache = {
-    result: null,
-    timestamp: 0
-};
+// Local disk copies of recently streamed B2 files (disabled unless B2_CACHE_MAX_MB is set)
+const b2FileCache = new B2FileCache({
+    cacheDir: process.env.B2_CACHE_DIR || join(__dirname, '.b2-file-cache'),
+    maxCacheBytes: (parseInt(process.env.B2_CACHE_MAX_MB) || 0) * 1024 * 1024
+});
+// B2 file sizes looked up by the proxy for files outside the cached folder listings
+const b2FileSizeCache = new Map();
+
+// Cover art of tracks (embedded, or folder.jpg/cover.png), stored once and served in sizes from /artwork
+const artworkCache = new ArtworkCache({
+    cacheDir: process.env.ARTWORK_CACHE_DIR || join(__dirname, '.artwork-cache')
+});
+
+// Cloud collections on B2, S3-compatible or local storage (collections.json, or analog/live/digital in B2_BUCKET_NAME)
+const cloudCollections = loadCollections(process.env.COLLECTIONS_CONFIG || join(__dirname, 'collections.json'));
+
+// Collection for an id from a route or query parameter (null for unknown ids)
+function getCollection(id) {
+    return cloudCollections.find(collection => collection.id === id) || null;
+}
+
+// Valid values of a source parameter, for error messages
+function validSourcesText() {
+    return ['local', ...cloudCollections.map(collection => collection.id)].map(id => `"${id}"`).join(', ');
+}
+
+// Scheduled local mirror of selected collections, served when there's no internet gateway
+// (B2_MIRROR_FOLDERS=analog,live - disabled when empty)
+const mirrorFolders = (process.env.B2_MIRROR_FOLDERS || '').split(',').map(folder => folder.trim()).filter(Boolean);
+const b2Mirror = new B2Mirror({
+    collections: cloudCollections.filter(collection => mirrorFolders.includes(collection.id)),
+    mirrorDir: process.env.B2_MIRROR_DIR || join(__dirname, '.b2-mirror'),
+    intervalMinutes: parseInt(process.env.B2_MIRROR_INTERVAL_MINUTES) || 360,
+    includeFile: (fileName) => !!getMediaType(fileName)
+});
+
+// Cache the connectivity check result to avoid hammering B2 API (per storage driver - collections sharing a bucket share it)
+const connectivityCache = new Map();
 const CONNECTIVITY_CACHE_MS = 5 * 60 * 1000; // 5 minutes
 
-// Helper to check if we have internet/B2 connectivity
-async function checkB2Connectivity() {
+// Helper to check if we have internet/B2 connectivity for a collection
+async function checkB2Connectivity(collection) {
     // Return cached result if still valid
-    if (connectivityCache.result &&
-        (Date.now() - connectivityCache.timestamp) < CONNECTIVITY_CACHE_MS) {
+    const cached = connectivityCache.get(collection.storage);
+    if (cached && (Date.now() - cached.timestamp) < CONNECTIVITY_CACHE_MS) {
         console.log('B2 connectivity check - using cached result');
-        return connectivityCache.result;
+        return cached.result;
     }
 
-    console.log('B2 connectivity check - performing fresh check');
+    console.log(`B2 connectivity check for ${collection.id} - performing fresh check`);
     try {
         // Set a timeout for the connection check
         await Promise.race([
-            b2.authorize(),
+            collection.storage.head(),
             new Promise((_, reject) =>
                 setTimeout(() => reject(new Error('Connection timeout')), 30000)
             )
@@ -106,10 +187,10 @@ async function checkB2Connectivity() {
         const result = { connected: true };
 
         // Cache the successful result
-        connectivityCache = {
+        connectivityCache.set(collection.storage, {
             result: result,
             timestamp: Date.now()
-        };
+        });
 
         return result;
     } catch (err) {
@@ -131,10 +212,10 @@ async function checkB2Connectivity() {
         };
 
         // Cache the failed result
-        connectivityCache = {
+        connectivityCache.set(collection.storage, {
             result: result,
             timestamp: Date.now()
-        };
+        });
 
         return result;
     }
@@ -163,7 +244,10 @@ async function getThumbnail(relativePath) {
     // Create thumbnail subdirectory structure matching original
     const thumbRelativePath = join('.thumbs', 'local', relativePath + '.thumb.jpg');
     const thumbFullPath = join(musicStaticPath, thumbRelativePath);
-    const imageFullPath = join(musicStaticPath, relativePath);
+    const imageFullPath = resolveLocalPath(relativePath);
+    if (!imageFullPath) {
+        return null;
+    }
 
     // Check if thumbnail already exists
     try {
@@ -200,21 +284,18 @@ async function getB2Thumbnail(folderName, relativePath) {
         await promises.mkdir(thumbDir, { recursive: true });
 
         try {
+            const mirroredFile = b2Mirror.getMirroredFile(`${folderName}/${relativePath}`);
+            if (mirroredFile) {
+                return await generateThumbnail(mirroredFile.path, thumbFullPath) ? thumbFullPath : null;
+            }
+
             // Download image from B2 to temporary file
-            await b2.authorize();
-            const bucket = await b2.getBucket({ bucketName });
-            const bucketId = bucket.data.buckets[0].bucketId;
-
-            const b2FilePath = `${folderName}/${relativePath}`;
-            const downloadResponse = await b2.downloadFileByName({
-                bucketName: bucketName,
-                fileName: b2FilePath,
-                responseType: 'arraybuffer'
-            });
+            const collection = getCollection(folderName);
+            const imageData = await readToBuffer(await collection.storage.read(collection.objectName(relativePath)));
 
             // Create temporary file
             const tempImagePath = join(tmpdir(), `b2-image-${Date.now()}-${Math.random().toString(36).substring(7)}`);
-            await promises.writeFile(tempImagePath, Buffer.from(downloadResponse.data));
+            await promises.writeFile(tempImagePath, imageData);
 
             // Generate thumbnail from temp file
             const success = await generateThumbnail(tempImagePath, thumbFullPath);
@@ -238,12 +319,105 @@ async function getB2Thumbnail(folderName, relativePath) {
     }
 }
 
+// Version of a library or listing entry for the artwork index - its size and modification time
+function fileVersion(file) {
+    return `${file.size}-${file.modified.getTime()}`;
+}
+
+// Version of a file in a collection, from the cached listing (null when it isn't listed yet)
+function getCollectionFileVersion(folderName, relativePath) {
+    const listing = folderListingCache.get(folderName);
+    const file = isCacheValid(listing) ? listing.data.find(f => f.relativePath === relativePath) : null;
+    return file ? fileVersion(file) : null;
+}
+
+// Artwork id of a folder's cover image (cover.jpg, folder.png, ...), or null when it has none
+async function getFolderArtworkId(source, folderPath) {
+    let images;
+    if (source === 'local') {
+        images = (imageFilesCache || []).filter(file => file.folderPath === folderPath);
+    } else {
+        const listing = folderListingCache.get(source);
+        images = isCacheValid(listing)
+            ? listing.data.filter(file => file.mediaType === 'image' && file.folderPath === folderPath)
+            : [];
+    }
+    const cover = findSidecarCover(images);
+    if (!cover) {
+        return null;
+    }
+
+    const key = `${source}/${cover.relativePath}`;
+    const version = fileVersion(cover);
+    const known = artworkCache.lookup(key, version);
+    if (known !== undefined) {
+        return known;
+    }
+
+    try {
+        let data;
+        if (source === 'local') {
+            data = await promises.readFile(cover.fullPath);
+        } else {
+            const mirroredFile = b2Mirror.getMirroredFile(key);
+            const collection = getCollection(source);
+            data = mirroredFile
+                ? await promises.readFile(mirroredFile.path)
+                : await readToBuffer(await collection.storage.read(collection.objectName(cover.relativePath)));
+        }
+        return await artworkCache.store(key, version, data);
+    } catch (err) {
+        console.error(`Error reading cover image ${key}:`, err.message);
+        return null;
+    }
+}
+
+// URL of a track's artwork - its embedded picture (pictures are the ones music-metadata parsed),
+// or else its folder's cover image - null when it has neither
+async function getTrackArtwork(source, relativePath, version, pictures) {
+    const key = `${source}/${relativePath}`;
+    let id = artworkCache.lookup(key, version);
+    if (id === undefined) {
+        id = pictures && pictures.length > 0
+            ? await artworkCache.store(key, version, pictures[0].data)
+            : artworkCache.remember(key, version, null);
+    }
+    if (!id) {
+        const folderPath = relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '';
+        id = await getFolderArtworkId(source, folderPath);
+    }
+    return id ? `/artwork/${id}/${DEFAULT_ARTWORK_SIZE}` : null;
+}
+
+// Whether a track's artwork is already known, so it can be parsed without its pictures
+function isArtworkKnown(source, relativePath, version) {
+    return artworkCache.lookup(`${source}/${relativePath}`, version) !== undefined;
+}
+
+// Sized cover art - /artwork/<id>/<size> where id is the SHA1 of the image, so a URL's content never changes
+app.get('/artwork/:id/:size', async (req, res) => {
+    const id = req.params.id;
+    const size = parseInt(req.params.size);
+    if (!/^[0-9a-f]{40}$/.test(id) || !ARTWORK_SIZES.includes(size)) {
+        return res.status(404).send('Artwork not found');
+    }
+
+    const variantPath = await artworkCache.getVariant(id, size);
+    if (!variantPath) {
+        return res.status(404).send('Artwork not found');
+    }
+    // sendFile answers a matching If-None-Match with 304
+    res.set('ETag', `"${id}-${size}"`);
+    res.set('Cache-Control', 'public, max-age=604800');
+    res.sendFile(variantPath);
+});
+
 // Generate offline error page
 function generateOfflinePage(folderName) {
     return `<!DOCTYPE html>
 <html>
 <head>
-    <title>analogarchivejs - ${folderName.charAt(0).toUpperCase() + folderName.slice(1)} (Offline)</title>
+    <title>analogarchivejs - ${getCollection(folderName).name} (Offline)</title>
     <link rel="stylesheet" href="styles.css">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <style>
@@ -356,31 +530,22 @@ function generateOfflinePage(folderName) {
         <a href="/" class="back-button">View Local Music</a>
         
         <div class="nav-links">
-            <a href="/">Local Music</a> |
-            <a href="/analog">Analog (Offline)</a> |
-            <a href="/live">Live (Offline)</a> |
-            <a href="/digital">Digital (Offline)</a>
+            <a href="/">Local Music</a>${cloudCollections.map(collection => ` |
+            <a href="/${collection.id}">${collection.name} (Offline)</a>`).join('')}
         </div>
     </div>
 </body>
 </html>`;
 }
 
-//make files available in music subdirectory
-const musicStaticPath = directoryPathMusic.startsWith('./')
-    ? join(__dirname, directoryPathMusic.substring(2))
-    : directoryPathMusic;
-app.use('/music', express.static(musicStaticPath, {
+//make files available in music subdirectory (each root under its id)
+const musicStaticOptions = {
     setHeaders: (res, path) => {
         const lowerPath = path.toLowerCase();
         // Set proper content-type headers to prevent download prompts
         // Audio files
-        if (lowerPath.endsWith('.flac')) {
-            res.set('Content-Type', 'audio/flac');
-        } else if (lowerPath.endsWith('.m4b')) {
-            res.set('Content-Type', 'audio/mp4');
-        } else if (lowerPath.endsWith('.mp3')) {
-            res.set('Content-Type', 'audio/mpeg');
+        if (isAudioFile(lowerPath)) {
+            res.set('Content-Type', audioMimeType(lowerPath));
         }
         // Image files
         else if (lowerPath.endsWith('.jpg') || lowerPath.endsWith('.jpeg')) {
@@ -421,7 +586,10 @@ app.use('/music', express.static(musicStaticPath, {
         // Allow range requests for seeking (important for audio and video)
         res.set('Accept-Ranges', 'bytes');
     }
-}));
+};
+for (const root of musicRoots) {
+    app.use(root.id ? `/music/${root.id}` : '/music', express.static(root.path, musicStaticOptions));
+}
 app.get('/favicon.ico', function(req,res){
     res.sendFile(__dirname + '/favicon.ico');
 });
@@ -437,11 +605,15 @@ app.get('/discogs-service.js', function(req, res) {
     res.set('Content-Type', 'application/javascript');
     res.sendFile(__dirname + '/discogs-service.js');
 });
+app.get('/playlist-manager.js', function(req, res) {
+    res.set('Content-Type', 'application/javascript');
+    res.sendFile(__dirname + '/playlist-manager.js');
+});
 
 // Thumbnail endpoint - generates and serves thumbnails for both local and B2 images
 app.get('/thumb/:source/:path(*)', async (req, res) => {
     try {
-        const source = req.params.source; // 'local', 'analog', 'live', or 'digital'
+        const source = req.params.source; // 'local' or a cloud collection id
         const relativePath = req.params.path;
 
         let thumbPath;
@@ -449,7 +621,7 @@ app.get('/thumb/:source/:path(*)', async (req, res) => {
         if (source === 'local') {
             // Handle local images
             thumbPath = await getThumbnail(relativePath);
-        } else if (['analog', 'live', 'digital'].includes(source)) {
+        } else if (getCollection(source)) {
             // Handle B2 images
             thumbPath = await getB2Thumbnail(source, relativePath);
         } else {
@@ -469,15 +641,54 @@ app.get('/thumb/:source/:path(*)', async (req, res) => {
     }
 });
 
-// Cloud connectivity status endpoint
+// Cloud connectivity status endpoint (overall, and for each collection)
 app.get('/api/cloud-status', async (req, res) => {
-    const connectivity = await checkB2Connectivity();
+    const results = await Promise.all(cloudCollections.map(collection => checkB2Connectivity(collection)));
+    const collections = {};
+    cloudCollections.forEach((collection, i) => {
+        collections[collection.id] = {
+            online: results[i].connected,
+            isNetworkError: results[i].isNetworkError || false
+        };
+    });
+    res.json({
+        online: results.some(connectivity => connectivity.connected),
+        isNetworkError: results.some(connectivity => connectivity.isNetworkError),
+        collections
+    });
+});
+
+// Cloud collections served at /<id>
+app.get('/api/collections', (req, res) => {
     res.json({
-        online: connectivity.connected,
-        isNetworkError: connectivity.isNetworkError || false
+        collections: cloudCollections.map(collection => ({
+            id: collection.id,
+            name: collection.name,
+            href: `/${collection.id}`,
+            mirrored: b2Mirror.folders.includes(collection.id),
+            // Files on local storage can have their tags edited
+            tagsEditable: collection.storage instanceof LocalStorage
+        }))
     });
 });
 
+// B2 mirror progress and status
+app.get('/api/mirror/status', (req, res) => {
+    res.json(b2Mirror.getStatus());
+});
+
+// Start a B2 mirror sync now (progress is reported by /api/mirror/status)
+app.post('/api/mirror/sync', (req, res) => {
+    if (!b2Mirror.enabled) {
+        return res.status(400).json({ success: false, error: 'No folders configured - set B2_MIRROR_FOLDERS' });
+    }
+    if (b2Mirror.running) {
+        return res.status(409).json({ success: false, error: 'A sync is already running' });
+    }
+    b2Mirror.sync();
+    res.status(202).json({ success: true, status: b2Mirror.getStatus() });
+});
+
 // Discogs configuration endpoint
 app.get('/api/discogs-config', function(req, res) {
     res.json({
@@ -486,6 +697,20 @@ app.get('/api/discogs-config', function(req, res) {
     });
 });
 
+// Discogs API request with the configured token - resolves to { ok, status, data }
+async function fetchDiscogs(url) {
+    const headers = {
+        'User-Agent': 'AnalogArchive/1.0'
+    };
+
+    if (process.env.DISCOGS_API_TOKEN) {
+        headers['Authorization'] = `Discogs token=${process.env.DISCOGS_API_TOKEN}`;
+    }
+
+    const response = await fetch(url, { headers });
+    return { ok: response.ok, status: response.status, data: await response.json() };
+}
+
 // Discogs API proxy endpoint
 app.get('/api/discogs-proxy', async (req, res) => {
     try {
@@ -500,19 +725,10 @@ app.get('/api/discogs-proxy', async (req, res) => {
             return res.status(400).json({ error: 'Invalid Discogs API URL' });
         }
 
-        const headers = {
-            'User-Agent': 'AnalogArchive/1.0'
-        };
-
-        if (process.env.DISCOGS_API_TOKEN) {
-            headers['Authorization'] = `Discogs token=${process.env.DISCOGS_API_TOKEN}`;
-        }
-
-        const response = await fetch(url, { headers });
-        const data = await response.json();
+        const { ok, status, data } = await fetchDiscogs(url);
 
-        if (!response.ok) {
-            return res.status(response.status).json(data);
+        if (!ok) {
+            return res.status(status).json(data);
         }
 
         res.json(data);
@@ -526,31 +742,28 @@ app.get('/api/discogs-proxy', async (req, res) => {
 app.get('/localmetadata/:filename(.*)', async (req, res) => {
     try {
         const filename = decodeURIComponent(req.params.filename);
-        const filePath = join(directoryPathMusic, filename);
+        const filePath = resolveLocalPath(filename);
+        if (!filePath) {
+            return res.status(404).json({ error: 'Unknown music root' });
+        }
 
         console.log(`Getting local metadata for: ${filePath}`);
 
         // Parse metadata from local file
-        const fileExt = extname(filePath).toLowerCase();
-        let mimeType;
-        if (fileExt === '.flac') {
-            mimeType = 'audio/flac';
-        } else if (fileExt === '.m4b') {
-            mimeType = 'audio/mp4';
-        } else {
-            mimeType = 'audio/mpeg';
-        }
-        const metadata = await parseFile(filePath, { mimeType });
-        const artwork = await extractArtwork(filePath);
+        const mimeType = audioMimeType(filePath);
+
+        // Get file stats for size and dates
+        const stats = await promises.stat(filePath);
+        const version = fileVersion({ size: stats.size, modified: stats.mtime });
+
+        const metadata = await parseFile(filePath, { mimeType, skipCovers: isArtworkKnown('local', filename, version) });
+        const artwork = await getTrackArtwork('local', filename, version, metadata.common.picture);
 
         console.log('Local metadata parsed successfully');
         console.log('Artist:', metadata.common.artist);
         console.log('Title:', metadata.common.title);
         console.log('Album:', metadata.common.album);
 
-        // Get file stats for size and dates
-        const stats = await promises.stat(filePath);
-
         // Return metadata as JSON
         res.json({
             artist: metadata.common.artist || 'Unknown Artist',
@@ -562,6 +775,8 @@ app.get('/localmetadata/:filename(.*)', async (req, res) => {
             year: metadata.common.year,
             genre: metadata.common.genre?.[0],
             trackNumber: metadata.common.track?.no,
+            discNumber: metadata.common.disk?.no,
+            albumArtist: metadata.common.albumartist,
             composer: metadata.common.composer?.[0],
             comment: metadata.common.comment?.[0],
             // Format info
@@ -583,9 +798,13 @@ app.get('/localmetadata/:filename(.*)', async (req, res) => {
 // Metadata endpoint to get song info from B2 files
 app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
     try {
-        await b2.authorize();
         const folder = req.params.folder;
+        const collection = getCollection(folder);
+        if (!collection) {
+            return res.status(404).json({ error: 'Unknown collection' });
+        }
         const filename = decodeURIComponent(req.params.filename);
+        // Cache key - collection id and path within the collection
         const fullPath = `${folder}/${filename}`;
 
         console.log(`Getting metadata for: ${fullPath}`);
@@ -614,17 +833,22 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
 
         const METADATA_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB
 
-        // Download file from B2 with range header
-        const fileData = await b2.downloadFileByName({
-            bucketName: bucketName,
-            fileName: fullPath,
-            responseType: 'arraybuffer',
-            axios: {
-                headers: {
-                    'Range': `bytes=0-${METADATA_CHUNK_SIZE - 1}`
-                }
-            }
-        });
+        let fileData;
+        const mirroredFile = b2Mirror.getMirroredFile(fullPath);
+        if (mirroredFile) {
+            // Read the start of the mirrored copy instead (works offline)
+            fileData = {
+                data: await b2Mirror.readStart(fullPath, METADATA_CHUNK_SIZE),
+                headers: { 'content-length': mirroredFile.size }
+            };
+        } else {
+            // Download the start of the file from B2 with a range read
+            const stream = await collection.storage.read(collection.objectName(filename), { start: 0, end: METADATA_CHUNK_SIZE - 1 });
+            fileData = {
+                data: await readToBuffer(stream),
+                headers: { 'content-length': getKnownB2FileSize(fullPath) }
+            };
+        }
 
         // The actual file data is in fileData.data, but we need to handle the response correctly
         const rawData = fileData.data;
@@ -655,19 +879,8 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
 
             console.log(`Buffer size: ${buffer.length} bytes`);
 
-            const lowerPath = fullPath.toLowerCase();
-            const isFlac = lowerPath.endsWith('.flac');
-            const isM4b = lowerPath.endsWith('.m4b');
-
             try {
-                let mimeType;
-                if (isFlac) {
-                    mimeType = 'audio/flac';
-                } else if (isM4b) {
-                    mimeType = 'audio/mp4';
-                } else {
-                    mimeType = 'audio/mpeg';
-                }
+                const mimeType = audioMimeType(fullPath);
                 const metadata = await parseBuffer(buffer, {
                     duration: true,
                     skipCovers: false,
@@ -680,30 +893,8 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
                 console.log('Album:', metadata.common.album);
                 // console.log('Picture array:', metadata.common.picture);
 
-                // Extract artwork with better error handling
-                let artwork = "";
-                if (metadata.common.picture && metadata.common.picture.length > 0) {
-                    const picture = metadata.common.picture[0];
-                    const mimeFormat = picture.format || 'image/jpeg';
-
-                    if (picture.data) {
-                        // Handle both Buffer and Uint8Array, return as data URI
-                        let base64Data;
-                        if (Buffer.isBuffer(picture.data)) {
-                            base64Data = picture.data.toString('base64');
-                        } else if (picture.data instanceof Uint8Array) {
-                            base64Data = Buffer.from(picture.data).toString('base64');
-                        } else {
-                            base64Data = Buffer.from(picture.data).toString('base64');
-                        }
-                        artwork = `data:${mimeFormat};base64,${base64Data}`;
-                        console.log('Artwork extracted, size:', base64Data.length);
-                    } else {
-                        console.log('Picture data is empty');
-                    }
-                } else {
-                    console.log('No artwork found in metadata');
-                }
+                // Store the embedded artwork (or find the folder's cover) and link to it
+                const artwork = await getTrackArtwork(folder, filename, getCollectionFileVersion(folder, filename), metadata.common.picture);
 
                 // Get file size from response headers
                 const contentLength = fileData.headers?.['content-length'] ||
@@ -720,6 +911,8 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
                     year: metadata.common.year,
                     genre: metadata.common.genre?.[0],
                     trackNumber: metadata.common.track?.no,
+                    discNumber: metadata.common.disk?.no,
+                    albumArtist: metadata.common.albumartist,
                     composer: metadata.common.composer?.[0],
                     comment: metadata.common.comment?.[0],
                     // Format info
@@ -741,6 +934,9 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
                 // Also save to persistent disk cache
                 saveB2MetadataToDisk(fullPath, metadataResponse);
 
+                // Make the tags searchable
+                updateB2SearchDocument(folder, filename, metadataResponse);
+
                 // Return metadata as JSON
                 res.json(metadataResponse);
             } catch (parseError) {
@@ -756,6 +952,72 @@ app.get('/b2metadata/:folder/:filename(*)', async (req, res) => {
     }
 });
 
+// Size of a B2 file ("<collection id>/<relative path>") if it's already known from a folder listing
+// or an earlier lookup (null otherwise)
+function getKnownB2FileSize(fullPath) {
+    const folder = fullPath.split('/')[0];
+    const relativePath = fullPath.substring(folder.length + 1);
+    const listing = folderListingCache.get(folder);
+    if (isCacheValid(listing)) {
+        const file = listing.data.find(f => f.relativePath === relativePath);
+        if (file && file.size) {
+            return file.size;
+        }
+    }
+    const known = b2FileSizeCache.get(fullPath);
+    return isCacheValid(known) ? known.size : null;
+}
+
+// Size of a B2 file, asking B2 when it isn't known yet - null when the file doesn't exist
+async function getB2FileSize(fullPath) {
+    const knownSize = getKnownB2FileSize(fullPath);
+    if (knownSize !== null) {
+        return knownSize;
+    }
+
+    const folder = fullPath.split('/')[0];
+    const collection = getCollection(folder);
+    const file = await collection.storage.stat(collection.objectName(fullPath.substring(folder.length + 1)));
+    if (!file) {
+        return null;
+    }
+    b2FileSizeCache.set(fullPath, { size: file.size, timestamp: Date.now() });
+    return file.size;
+}
+
+// Parse a "bytes=start-end" Range header (also "start-" and "-suffixLength")
+// Returns { start, end } (inclusive), null to send the whole file, or false when the range can't be satisfied
+function parseRangeHeader(header, size) {
+    if (!header) {
+        return null;
+    }
+    const match = header.match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+        // Multiple ranges and other units aren't supported - answer with the whole file
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Last N bytes
+        const suffixLength = parseInt(match[2]);
+        if (suffixLength === 0) {
+            return false;
+        }
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
 // Proxy endpoint to serve B2 files and avoid CORS issues
 app.get('/b2proxy/:folder/:filename(*)', async (req, res) => {
     try {
@@ -763,42 +1025,38 @@ app.get('/b2proxy/:folder/:filename(*)', async (req, res) => {
         console.log(`Folder: ${req.params.folder}`);
         console.log(`Filename param: ${req.params.filename}`);
 
-        await b2.authorize();
         const folder = req.params.folder;
+        const collection = getCollection(folder);
+        if (!collection) {
+            return res.status(404).send('Unknown collection');
+        }
         const filename = decodeURIComponent(req.params.filename);
         const fullPath = `${folder}/${filename}`;
 
         console.log(`Decoded filename: ${filename}`);
         console.log(`Full path: ${fullPath}`);
 
-        // First, get file info to know the content length
-        const bucket = await b2.getBucket({ bucketName });
-        const bucketId = bucket.data.buckets[0].bucketId;
-
-        const fileInfo = await b2.listFileNames({
-            bucketId: bucketId,
-            startFileName: fullPath,
-            maxFileCount: 1,
-            prefix: fullPath
-        });
-
-        if (!fileInfo.data.files || fileInfo.data.files.length === 0) {
-            return res.status(404).send('File not found');
+        // A mirrored copy or a complete copy in the disk cache is served without contacting B2 at all
+        let fileSize = getKnownB2FileSize(fullPath);
+        const mirroredFile = b2Mirror.getMirroredFile(fullPath);
+        const cachedFile = mirroredFile && (fileSize === null || mirroredFile.size === fileSize)
+            ? mirroredFile.path
+            : await b2FileCache.getCachedFile(fullPath, fileSize);
+
+        if (!cachedFile) {
+            fileSize = await getB2FileSize(fullPath);
+            if (fileSize === null) {
+                return res.status(404).send('File not found');
+            }
+            console.log(`File size: ${fileSize} bytes`);
         }
 
-        const fileSize = fileInfo.data.files[0].contentLength;
-        console.log(`File size: ${fileSize} bytes`);
-
         // Set appropriate headers based on file extension
         const lowerFullPath = fullPath.toLowerCase();
         let contentType;
         // Audio
-        if (lowerFullPath.endsWith('.flac')) {
-            contentType = 'audio/flac';
-        } else if (lowerFullPath.endsWith('.m4b')) {
-            contentType = 'audio/mp4';
-        } else if (lowerFullPath.endsWith('.mp3')) {
-            contentType = 'audio/mpeg';
+        if (isAudioFile(lowerFullPath)) {
+            contentType = audioMimeType(lowerFullPath);
         }
         // Images
         else if (lowerFullPath.endsWith('.jpg') || lowerFullPath.endsWith('.jpeg')) {
@@ -833,27 +1091,50 @@ app.get('/b2proxy/:folder/:filename(*)', async (req, res) => {
             contentType = 'application/octet-stream';
         }
         res.set('Content-Type', contentType);
-        res.set('Content-Length', fileSize);
         res.set('Accept-Ranges', 'bytes');
         res.set('Cache-Control', 'public, max-age=3600');
         res.set('Access-Control-Allow-Origin', '*');
 
-        // Stream the file from B2 instead of loading into memory
+        if (cachedFile) {
+            // sendFile handles Range requests itself
+            console.log(`✓ Serving ${fullPath} from local disk`);
+            res.sendFile(cachedFile, { cacheControl: false });
+            return;
+        }
+
+        const range = parseRangeHeader(req.headers.range, fileSize);
+        if (range === false) {
+            res.set('Content-Range', `bytes */${fileSize}`);
+            return res.status(416).end();
+        }
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${fileSize}`);
+            res.set('Content-Length', range.end - range.start + 1);
+            console.log(`Range request: bytes ${range.start}-${range.end}`);
+        } else {
+            res.set('Content-Length', fileSize);
+        }
+
+        // Stream the file from B2 instead of loading into memory, forwarding the requested range
         console.log('Starting B2 download stream...');
-        const fileData = await b2.downloadFileByName({
-            bucketName: bucketName,
-            fileName: fullPath,
-            responseType: 'stream'  // Stream to avoid loading entire file in memory
-        });
+        const fileData = {
+            data: await collection.storage.read(collection.objectName(filename), range || {})
+        };
 
         console.log(`Download stream initiated`);
 
         // Pipe the stream directly to the response
         if (fileData.data) {
+            // Whole-file downloads are also written to the disk cache - the download then carries on
+            // into the cache if the player disconnects, so the next play or seek is served locally
+            const fullDownload = !range || (range.start === 0 && range.end === fileSize - 1);
+            let caching = false;
+
             // CRITICAL: Clean up B2 stream if client disconnects
             let streamClosed = false;
             const cleanup = () => {
-                if (streamClosed) return;
+                if (streamClosed || caching) return;
                 streamClosed = true;
                 if (fileData.data && !fileData.data.destroyed) {
                     fileData.data.destroy();
@@ -866,6 +1147,14 @@ app.get('/b2proxy/:folder/:filename(*)', async (req, res) => {
             req.on('aborted', cleanup);
             res.on('close', cleanup);
 
+            // The cache has to be listening before the response takes the first bytes. If it gives
+            // up on the file after the player has gone, nothing needs the download any more.
+            if (fullDownload) {
+                caching = b2FileCache.store(fullPath, fileData.data, fileSize, () => {
+                    caching = false;
+                    if (res.destroyed) cleanup();
+                });
+            }
             fileData.data.pipe(res);
 
             fileData.data.on('end', () => {
@@ -908,620 +1197,3061 @@ app.get('/b2proxy/:folder/:filename(*)', async (req, res) => {
     }
 });
 
-// Helper function to recursively find all media files in a directory
-async function findMediaFiles(dir, baseDir = dir, filesByType = { audio: [], images: [], videos: [] }) {
-    const items = await promises.readdir(dir);
+// Transcode profiles for the player's quality selector
+app.get('/api/transcode/profiles', (req, res) => {
+    res.json({
+        success: true,
+        available: transcoder.available,
+        profiles: Object.entries(TRANSCODE_PROFILES)
+            .filter(([, profile]) => !profile.fallback)
+            .map(([id, profile]) => ({ id, label: profile.label }))
+    });
+});
 
-    const audioExtensions = ['.mp3', '.flac', '.m4b'];
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif', '.bmp', '.heic'];
-    const videoExtensions = ['.mp4', '.webm', '.ogv', '.mov', '.avi', '.mkv'];
+// Audio formats the library lists, and the profile the player transcodes a file through when the
+// browser can't decode it (null without ffmpeg, when such files can't be played)
+app.get('/api/formats', (req, res) => {
+    res.json({
+        success: true,
+        formats: listAudioFormats(),
+        fallbackProfile: transcoder.available ? FALLBACK_PROFILE : null
+    });
+});
 
-    for (const item of items) {
-        // Skip macOS and Windows metadata files BEFORE trying to stat them
-        if (item.startsWith('._') || item.startsWith('.__') ||
-            item === '.DS_Store' || item.toLowerCase() === 'desktop.ini' ||
-            item.toLowerCase() === 'thumbs.db') {
-            continue;
-        }
+// Transcoded stream of a local or B2 audio file, e.g. /transcode/opus-96/local/Artist/Album/01.flac?t=90
+// A live transcode has no byte ranges, so the player seeks by asking for a stream starting t seconds in.
+// Completed transcodes are served from the disk cache, with range support.
+app.get('/transcode/:profile/:source/:filename(*)', async (req, res) => {
+    const profileId = req.params.profile;
+    const profile = TRANSCODE_PROFILES[profileId];
+    const source = req.params.source;
+    const relativePath = req.params.filename;
+    const startTime = Math.max(0, Math.floor(parseFloat(req.query.t) || 0));
+
+    if (!profile) {
+        res.status(404).send('Unknown transcode profile');
+        return;
+    }
+    if (!transcoder.available) {
+        res.status(503).send('Transcoding is unavailable - ffmpeg was not found');
+        return;
+    }
 
-        const fullPath = join(dir, item);
-        const stats = await promises.stat(fullPath);
+    const key = `${source}/${relativePath}`;
+    try {
+        res.set('Content-Type', profile.contentType);
+        res.set('Cache-Control', 'public, max-age=3600');
 
-        if (stats.isDirectory()) {
-            await findMediaFiles(fullPath, baseDir, filesByType);
-        } else if (stats.isFile()) {
-            const ext = extname(fullPath).toLowerCase();
-            let mediaType = null;
-
-            if (audioExtensions.includes(ext)) {
-                mediaType = 'audio';
-            } else if (imageExtensions.includes(ext)) {
-                mediaType = 'images';
-            } else if (videoExtensions.includes(ext)) {
-                mediaType = 'videos';
-            }
-
-            if (mediaType) {
-                // Get the relative path from the base directory
-                const normalizedBaseDir = join(baseDir);
-                const relativePath = fullPath.substring(normalizedBaseDir.length + 1);
-                // Extract folder name (empty string if in root)
-                const folderPath = relativePath.includes('/')
-                    ? relativePath.substring(0, relativePath.lastIndexOf('/'))
-                    : '';
-
-                filesByType[mediaType].push({
-                    fullPath,
-                    relativePath,
-                    fileName: item,
-                    folderPath,
-                    size: stats.size,
-                    modified: stats.mtime,
-                    mediaType: mediaType
-                });
+        // The file's version is part of the segment cache key - a replaced file isn't served from
+        // the old one's transcodes
+        let localFile = null;
+        let version;
+        if (source === 'local') {
+            localFile = musicFilesCache && musicFilesCache.find(f => f.relativePath === relativePath);
+            if (!localFile) {
+                res.status(404).send('File not found');
+                return;
+            }
+            version = fileVersion(localFile);
+        } else if (getCollection(source)) {
+            const track = await findTrackRef(source, relativePath);
+            if (!track) {
+                res.status(404).send('File not found');
+                return;
             }
+            version = track.version;
+        } else {
+            res.status(404).send('Unknown source');
+            return;
         }
-    }
 
-    return filesByType;
-}
+        const cachedSegment = await transcoder.getCachedSegment(profileId, key, version, startTime);
+        if (cachedSegment) {
+            res.sendFile(cachedSegment);
+            return;
+        }
 
-// Legacy function for backward compatibility
-async function findMusicFiles(dir, baseDir = dir, files = []) {
-    const result = await findMediaFiles(dir, baseDir);
-    return result.audio;
-}
+        let input;
+        if (localFile) {
+            input = localFile.fullPath;
+        } else {
+            const collection = getCollection(source);
+            const mirroredFile = b2Mirror.getMirroredFile(key);
+            const cachedFile = mirroredFile ? mirroredFile.path : await b2FileCache.getCachedFile(key, getKnownB2FileSize(key));
+            if (cachedFile) {
+                input = cachedFile;
+            } else {
+                // Stream from B2 into ffmpeg instead of downloading the whole file first
+                input = await collection.storage.read(collection.objectName(relativePath));
+            }
+        }
 
-// Rescan endpoint
-app.get('/rescan', async (req, res) => {
-    try {
-        console.log('Manual rescan triggered');
-        await scanMusicFiles();
-        res.json({
-            success: true,
-            fileCount: musicFilesCache ? musicFilesCache.length : 0,
-            message: 'Rescan completed successfully'
+        console.log(`Transcoding ${key} to ${profileId} from ${startTime}s`);
+        res.set('Accept-Ranges', 'none');
+
+        const stop = await transcoder.transcode({
+            profileId,
+            key,
+            version,
+            startTime,
+            input,
+            output: res,
+            onError: () => {
+                if (!res.headersSent) {
+                    res.status(500).send('Transcode failed');
+                } else {
+                    res.destroy();
+                }
+            }
         });
-    } catch (err) {
-        console.error('Rescan failed:', err);
-        res.status(500).json({
-            success: false,
-            error: 'Rescan failed',
-            message: err.message
+
+        // Stop ffmpeg (and the B2 download) when the player disconnects, e.g. after a seek or skip
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                stop();
+            }
         });
+    } catch (err) {
+        console.error(`Transcode error for ${key}:`, err.message);
+        if (!res.headersSent) {
+            res.status(err.status === 404 ? 404 : 500).send('Transcode failed');
+        }
     }
 });
 
-// API endpoint for single local song metadata (for incremental loading)
-app.get('/api/song-metadata', async (req, res) => {
-    try {
-        const relativePath = req.query.path;
-        if (!relativePath) {
-            return res.status(400).json({ error: 'Missing path parameter' });
-        }
+// Track reference for the background audio jobs (loudness, waveforms) - { source, relativePath, folderPath, version, fullPath? | size? }
+function localTrackRef(file) {
+    return { source: 'local', relativePath: file.relativePath, folderPath: file.folderPath, version: fileVersion(file), fullPath: file.fullPath };
+}
 
-        // Check cache first
-        const cacheKey = `local-song-meta:${relativePath}`;
-        const cachedData = metadataCache.get(cacheKey);
-        if (isCacheValid(cachedData)) {
-            return res.json(cachedData.data);
-        }
+function collectionTrackRef(collection, file) {
+    return { source: collection.id, relativePath: file.relativePath, folderPath: file.folderPath, version: fileVersion(file), size: file.size };
+}
+
+// Local path of a track's audio when there is one (the file, or a mirrored or cached collection file)
+async function getTrackFilePath(track) {
+    if (track.source === 'local') {
+        return track.fullPath;
+    }
+    const key = `${track.source}/${track.relativePath}`;
+    const mirroredFile = b2Mirror.getMirroredFile(key);
+    return mirroredFile ? mirroredFile.path : b2FileCache.getCachedFile(key, track.size);
+}
 
-        const filePath = join(musicStaticPath, relativePath);
-        const fileExt = extname(filePath).toLowerCase();
-        let mimeType = 'audio/mpeg';
-        if (fileExt === '.flac') mimeType = 'audio/flac';
-        if (fileExt === '.m4b') mimeType = 'audio/mp4';
+// Audio tracks of a folder as track references (null for an unknown source)
+async function getFolderTrackRefs(source, folderPath) {
+    if (source === 'local') {
+        return (musicFilesCache || [])
+            .filter(file => file.folderPath === folderPath && isOnlineLibraryPath(file.relativePath))
+            .map(localTrackRef);
+    }
+    const collection = getCollection(source);
+    if (!collection) {
+        return null;
+    }
+    const listing = await getCollectionListing(collection);
+    return listing
+        .filter(file => file.mediaType === 'audio' && file.folderPath === folderPath)
+        .map(file => collectionTrackRef(collection, file));
+}
 
-        const metadata = await parseFile(filePath, { mimeType, duration: true, skipCovers: false });
+// Loudness analysis for volume normalization - ReplayGain tags when a file has them, otherwise an
+// EBU R128 measurement with ffmpeg. Results are kept in the library database next to the parsed tags.
+// The background job covers the local library (LOUDNESS_ANALYSIS=false turns it off) and the
+// collections in LOUDNESS_COLLECTIONS (e.g. analog,digital - each file is downloaded once to measure it);
+// tracks the player asks for are analyzed first, whatever their source.
+const loudnessCollections = (process.env.LOUDNESS_COLLECTIONS || '').split(',').map(id => id.trim()).filter(Boolean);
+// Tracks requested through /api/loudness, analyzed before the background backlog (key -> track)
+const loudnessRequests = new Map();
+// Tracks that couldn't be analyzed in this run (key -> version) - retried after a restart or once they change
+const loudnessSkipped = new Map();
+let loudnessPromise = null;
+// Held back until startup has checked for ffmpeg, so untagged files aren't skipped as unmeasurable
+let loudnessJobReady = false;
+
+// Track and album gain of a track from the stored analysis, or null when it hasn't been analyzed at
+// its current version. Album values come from the tags, or from the folder's tracks once all of them
+// have been analyzed (albumGain is null until then).
+function getStoredLoudness(track, folderTracks) {
+    const stored = new Map(libraryDb.getFolderLoudness(track.source, track.folderPath)
+        .map(row => [row.relativePath, row]));
+    const row = stored.get(track.relativePath);
+    if (!row || row.version !== track.version) {
+        return null;
+    }
 
-        // Get artwork as base64
-        let artwork = null;
-        if (metadata.common.picture && metadata.common.picture.length > 0) {
-            const picture = metadata.common.picture[0];
-            const picData = Buffer.isBuffer(picture.data) ? picture.data : Buffer.from(picture.data);
-            artwork = `data:${picture.format};base64,${picData.toString('base64')}`;
+    let album = row.albumGain !== null ? { albumGain: row.albumGain, albumPeak: row.albumPeak } : null;
+    if (!album) {
+        const albumRows = folderTracks.map(folderTrack => stored.get(folderTrack.relativePath));
+        if (albumRows.every((albumRow, i) => albumRow && albumRow.version === folderTracks[i].version)) {
+            album = albumGainFromTracks(albumRows);
         }
+    }
 
-        const result = {
-            title: metadata.common.title || '',
-            artist: metadata.common.artist || 'Unknown Artist',
-            album: metadata.common.album || 'Unknown Album',
-            duration: formatDuration(metadata.format.duration),
-            artwork
-        };
+    return {
+        method: row.method,
+        trackGain: row.trackGain,
+        trackPeak: row.trackPeak,
+        albumGain: album ? album.albumGain : null,
+        albumPeak: album ? album.albumPeak : null
+    };
+}
 
-        // Cache the result
-        metadataCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-        });
+// Whether a track needs no analysis - done at its current version (pass the stored version when it's
+// already at hand), or skipped in this run
+function isLoudnessCurrent(track, storedVersion = libraryDb.getLoudnessVersion(track.source, track.relativePath)) {
+    return storedVersion === track.version || loudnessSkipped.get(`${track.source}/${track.relativePath}`) === track.version;
+}
 
-        res.json(result);
-    } catch (err) {
-        console.error('Error fetching song metadata:', err.message);
-        res.json({ title: '', artist: 'Unknown Artist', album: 'Unknown Album', duration: '', artwork: null });
+// Queue tracks for analysis ahead of everything requested earlier
+function requestLoudness(tracks) {
+    const earlier = [...loudnessRequests];
+    loudnessRequests.clear();
+    for (const track of [...tracks, ...earlier.map(([, track]) => track)]) {
+        const key = `${track.source}/${track.relativePath}`;
+        if (!loudnessRequests.has(key)) {
+            loudnessRequests.set(key, track);
+        }
     }
-});
+    analyzeLoudness();
+}
 
-// API endpoint for single B2 song metadata (for incremental loading)
-app.get('/api/b2-song-metadata/:folder', async (req, res) => {
-    try {
-        const folderName = req.params.folder;
-        const relativePath = req.query.path;
+// Background backlog - local tracks and those of LOUDNESS_COLLECTIONS without a current analysis
+async function findTracksNeedingLoudness() {
+    if (process.env.LOUDNESS_ANALYSIS === 'false') {
+        return [];
+    }
 
-        if (!relativePath) {
-            return res.status(400).json({ error: 'Missing path parameter' });
+    const tracks = [];
+    if (musicFilesCache) {
+        const storedVersions = libraryDb.getLoudnessVersions('local');
+        for (const file of musicFilesCache) {
+            const track = localTrackRef(file);
+            if (isOnlineLibraryPath(file.relativePath) && !isLoudnessCurrent(track, storedVersions.get(track.relativePath))) {
+                tracks.push(track);
+            }
+        }
+    }
+    for (const id of loudnessCollections) {
+        const collection = getCollection(id);
+        if (!collection) continue;
+        try {
+            const storedVersions = libraryDb.getLoudnessVersions(id);
+            for (const file of await getCollectionListing(collection)) {
+                const track = collectionTrackRef(collection, file);
+                if (file.mediaType === 'audio' && !isLoudnessCurrent(track, storedVersions.get(track.relativePath))) {
+                    tracks.push(track);
+                }
+            }
+        } catch (err) {
+            console.error(`Loudness analysis: could not list ${id}:`, err.message);
         }
+    }
+    return tracks;
+}
 
-        const b2FilePath = `${folderName}/${relativePath}`;
+// Analyze one track and store the result - false when it can't be analyzed right now
+async function analyzeTrackLoudness(track) {
+    const key = `${track.source}/${track.relativePath}`;
+    const collection = track.source === 'local' ? null : getCollection(track.source);
+    try {
+        const filePath = await getTrackFilePath(track);
+        const mimeType = audioMimeType(track.relativePath);
 
-        // Check in-memory cache first (use same key format as /b2metadata endpoint for sharing)
-        const cacheKey = b2FilePath;
-        const cachedData = metadataCache.get(cacheKey);
-        if (isCacheValid(cachedData)) {
-            return res.json(cachedData.data);
+        // ReplayGain tags are in the header, so a collection file only needs its first few MB for them
+        let metadata;
+        if (filePath) {
+            metadata = await parseFile(filePath, { mimeType, skipCovers: true });
+        } else {
+            const stream = await collection.storage.read(collection.objectName(track.relativePath), { start: 0, end: 10 * 1024 * 1024 - 1 });
+            metadata = await parseBuffer(await readToBuffer(stream), { mimeType, skipCovers: true });
         }
 
-        // Check persistent disk cache
-        const diskCached = await loadB2MetadataFromDisk(b2FilePath);
-        if (diskCached) {
-            // Also populate in-memory cache
-            metadataCache.set(cacheKey, diskCached);
-            return res.json(diskCached.data);
+        let loudness = replayGainFromTags(metadata.common);
+        let method = 'tags';
+        if (!loudness) {
+            if (!transcoder.available) {
+                loudnessSkipped.set(key, track.version);
+                return false;
+            }
+            // Measure the whole file - streamed from storage when there's no local copy
+            const input = filePath || await collection.storage.read(collection.objectName(track.relativePath));
+            loudness = gainFromLoudness(await measureLoudness({ ffmpegPath: transcoder.ffmpegPath, input }));
+            method = 'ebur128';
         }
 
-        await b2.authorize();
+        libraryDb.setLoudness({
+            ...loudness,
+            source: track.source,
+            relativePath: track.relativePath,
+            folderPath: track.folderPath,
+            version: track.version,
+            method,
+            duration: metadata.format.duration
+        });
+        return true;
+    } catch (err) {
+        console.error(`Loudness analysis failed for ${key}:`, err.message);
+        loudnessSkipped.set(key, track.version);
+        return false;
+    }
+}
+
+// Analyze the tracks the player asked for, then the backlog - one file at a time, in the background
+function analyzeLoudness() {
+    if (loudnessPromise || !loudnessJobReady) return loudnessPromise;
 
-        // Only download first 10MB for metadata extraction (metadata is at start of file)
-        const METADATA_CHUNK_SIZE = 10 * 1024 * 1024;
-        const downloadResponse = await b2.downloadFileByName({
-            bucketName: bucketName,
-            fileName: b2FilePath,
-            responseType: 'arraybuffer',
-            axios: {
-                headers: {
-                    'Range': `bytes=0-${METADATA_CHUNK_SIZE - 1}`
+    loudnessPromise = (async () => {
+        const analyzeRequested = async () => {
+            for (const [key, track] of loudnessRequests) {
+                loudnessRequests.delete(key);
+                if (!isLoudnessCurrent(track)) {
+                    await analyzeTrackLoudness(track);
                 }
             }
-        });
+        };
 
-        let buffer;
-        const rawData = downloadResponse.data;
-        if (rawData instanceof ArrayBuffer) {
-            buffer = Buffer.from(rawData);
-        } else if (rawData && rawData.type === 'Buffer' && Array.isArray(rawData.data)) {
-            buffer = Buffer.from(rawData.data);
-        } else {
-            buffer = Buffer.from(rawData);
+        await analyzeRequested();
+        // Loop so files added while a batch is analyzed are picked up too
+        let pending;
+        while ((pending = await findTracksNeedingLoudness()).length > 0) {
+            console.log(`Analyzing loudness of ${pending.length} tracks...`);
+            const analyzeStart = Date.now();
+            let analyzed = 0;
+            for (let i = 0; i < pending.length; i++) {
+                await analyzeRequested();
+                // Requested tracks may have covered this one already
+                if (!isLoudnessCurrent(pending[i]) && await analyzeTrackLoudness(pending[i])) {
+                    analyzed++;
+                }
+                if ((i + 1) % 100 === 0) {
+                    console.log(`Analyzed loudness of ${i + 1}/${pending.length} tracks`);
+                }
+            }
+            console.log(`Loudness analysis complete: ${analyzed} of ${pending.length} tracks in ${((Date.now() - analyzeStart) / 1000).toFixed(2)}s`);
+            await analyzeRequested();
         }
+    })().catch(err => {
+        console.error('Loudness analysis failed:', err.message);
+    }).finally(() => {
+        loudnessPromise = null;
+        // Requests that came in as the job was finishing
+        if (loudnessRequests.size > 0) {
+            analyzeLoudness();
+        }
+    });
 
-        const fileExt = extname(relativePath).toLowerCase();
-
-        let mimeType = 'audio/mpeg';
-        if (fileExt === '.flac') mimeType = 'audio/flac';
-        if (fileExt === '.m4b') mimeType = 'audio/mp4';
+    return loudnessPromise;
+}
 
-        const metadata = await parseBuffer(buffer, { mimeType, duration: true, skipCovers: false });
+// Loudness of a track for volume normalization, e.g. /api/loudness?source=analog&path=Artist/Album/01.flac
+// Returns status "ready" with the gains (dB) and peaks, "pending" while the track (and the rest of
+// its folder, for the album gain) is queued for analysis, or "unavailable" when it can't be analyzed
+app.get('/api/loudness', async (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
 
-        let artwork = null;
-        if (metadata.common.picture && metadata.common.picture.length > 0) {
-            const picture = metadata.common.picture[0];
-            const picData = Buffer.isBuffer(picture.data) ? picture.data : Buffer.from(picture.data);
-            artwork = `data:${picture.format};base64,${picData.toString('base64')}`;
+    try {
+        const folderPath = relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '';
+        const folderTracks = await getFolderTrackRefs(source, folderPath);
+        const track = folderTracks.find(folderTrack => folderTrack.relativePath === relativePath);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
         }
 
-        const result = {
-            title: metadata.common.title || '',
-            artist: metadata.common.artist || 'Unknown Artist',
-            album: metadata.common.album || 'Unknown Album',
-            duration: formatDuration(metadata.format.duration),
-            artwork
-        };
-
-        // Cache the result in memory
-        metadataCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-        });
+        const loudness = getStoredLoudness(track, folderTracks);
+        if (loudness) {
+            if (loudness.albumGain === null) {
+                // Finish the rest of the album so its gain becomes available
+                const remaining = folderTracks.filter(folderTrack => !isLoudnessCurrent(folderTrack));
+                if (remaining.length > 0) {
+                    requestLoudness(remaining);
+                }
+            }
+            return res.json({ success: true, status: 'ready', ...loudness });
+        }
 
-        // Also save to persistent disk cache
-        saveB2MetadataToDisk(b2FilePath, result);
+        if (loudnessSkipped.get(`${source}/${relativePath}`) === track.version) {
+            return res.json({ success: true, status: 'unavailable' });
+        }
 
-        res.json(result);
+        // The requested track first, then the rest of its folder
+        requestLoudness([track, ...folderTracks.filter(folderTrack => folderTrack !== track && !isLoudnessCurrent(folderTrack))]);
+        res.json({ success: true, status: 'pending' });
     } catch (err) {
-        console.error('Error fetching B2 song metadata:', err.message);
-        res.json({ title: '', artist: 'Unknown Artist', album: 'Unknown Album', duration: '', artwork: null });
+        console.error('Error getting loudness:', err.message);
+        res.status(500).json({ success: false, error: 'Failed to get loudness' });
     }
 });
 
-// Rescan B2 bucket folder (clear cache to force fresh fetch)
-app.get('/rescan-b2/:folder', async (req, res) => {
-    try {
-        const folderName = req.params.folder;
+// Peak waveforms for the player's seek bar - decoded with ffmpeg on first request and cached as JSON
+// with the thumbnails (.thumbs/<source>/<path>.waveform.json), along with the version of the file they
+// were made from, so a changed file gets a new one
+const pendingWaveforms = new Map();
+// Bins sent when a request doesn't ask for a number
+const DEFAULT_WAVEFORM_BINS = 1000;
 
-        // Validate folder name
-        if (folderName !== 'analog' && folderName !== 'live' && folderName !== 'digital') {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid folder',
-                message: 'Folder must be "analog", "live", or "digital"'
-            });
+function getWaveformCachePath(track) {
+    return join(musicStaticPath, '.thumbs', track.source, `${track.relativePath}.waveform.json`);
+}
+
+// Waveform of a track ({ version, duration, peaks }) - from the cache, or generated (once, however
+// many requests are waiting for it)
+async function getWaveform(track) {
+    const cachePath = getWaveformCachePath(track);
+    try {
+        const cached = JSON.parse(await promises.readFile(cachePath, 'utf8'));
+        if (cached.version === track.version) {
+            return cached;
         }
+    } catch {
+        // Not generated yet
+    }
 
-        console.log(`Manual B2 rescan triggered for folder: ${folderName}`);
+    const key = `${track.source}/${track.relativePath}`;
+    if (!pendingWaveforms.has(key)) {
+        pendingWaveforms.set(key, generateWaveform(track, cachePath).finally(() => {
+            pendingWaveforms.delete(key);
+        }));
+    }
+    return pendingWaveforms.get(key);
+}
 
-        // Clear the cache for this folder
-        const folderCacheKey = folderName;
-        folderListingCache.delete(folderCacheKey);
-        console.log(`✓ Cleared cache for folder: ${folderName}`);
+async function generateWaveform(track, cachePath) {
+    if (!transcoder.available) {
+        const err = new Error('ffmpeg was not found');
+        err.status = 503;
+        throw err;
+    }
 
-        res.json({
-            success: true,
-            folder: folderName,
-            message: `B2 cache cleared for ${folderName}. Fresh data will be fetched on next page load.`
-        });
+    const key = `${track.source}/${track.relativePath}`;
+    console.log(`Generating waveform for ${key}`);
+    const generateStart = Date.now();
+
+    // Decode the local copy when there is one, otherwise stream the file from storage
+    let input = await getTrackFilePath(track);
+    if (!input) {
+        const collection = getCollection(track.source);
+        input = await collection.storage.read(collection.objectName(track.relativePath));
+    }
+    const { duration, peaks } = await computeWaveform({ ffmpegPath: transcoder.ffmpegPath, input, bins: WAVEFORM_BINS });
+    const waveform = { version: track.version, duration, peaks };
+
+    try {
+        await promises.mkdir(dirname(cachePath), { recursive: true });
+        const tempPath = `${cachePath}.${process.pid}.tmp`;
+        await promises.writeFile(tempPath, JSON.stringify(waveform));
+        await promises.rename(tempPath, cachePath);
     } catch (err) {
-        console.error('B2 rescan failed:', err);
-        res.status(500).json({
-            success: false,
-            error: 'B2 rescan failed',
-            message: err.message
-        });
+        console.error(`Error caching waveform for ${key}:`, err.message);
+    }
+    console.log(`✓ Generated waveform for ${key} in ${((Date.now() - generateStart) / 1000).toFixed(2)}s`);
+    return waveform;
+}
+
+// Peak waveform of a track for the seek bar, e.g. /api/waveform?source=live&path=1994/set.flac&bins=2000
+// Returns { duration, peaks } with bins (100-4000, default 1000) peaks from 0 to 255
+app.get('/api/waveform', async (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    const bins = Math.min(WAVEFORM_BINS, Math.max(MIN_WAVEFORM_BINS, parseInt(req.query.bins) || DEFAULT_WAVEFORM_BINS));
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
     }
-});
 
-// API endpoint to get all files for search
-app.get('/api/all-files', async (req, res) => {
     try {
-        if (!musicFilesCache) {
-            res.status(503).json({
-                success: false,
-                error: 'Music library not yet scanned'
-            });
-            return;
+        const folderPath = relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '';
+        const track = (await getFolderTrackRefs(source, folderPath)).find(folderTrack => folderTrack.relativePath === relativePath);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
         }
 
-        // Return all files with necessary metadata for search
-        const files = musicFilesCache.map(fileInfo => ({
-            fileName: fileInfo.fileName,
-            relativePath: fileInfo.relativePath,
-            folderPath: fileInfo.folderPath
-        }));
-
+        const waveform = await getWaveform(track);
         res.json({
             success: true,
-            files: files,
-            total: files.length
+            duration: waveform.duration,
+            peaks: reducePeaks(waveform.peaks, bins)
         });
     } catch (err) {
-        console.error('Failed to get all files:', err);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to retrieve files'
-        });
+        console.error(`Waveform error for ${source}/${relativePath}:`, err.message);
+        if (err.status === 503) {
+            return res.status(503).json({ success: false, error: 'Waveforms are unavailable - ffmpeg was not found' });
+        }
+        res.status(500).json({ success: false, error: 'Failed to generate waveform' });
     }
 });
 
-// API endpoint to get all files from a B2 folder for search functionality
-app.get('/api/all-b2-files/:folder', async (req, res) => {
-    try {
-        const folderName = req.params.folder;
+// CUE sheets next to single-file rips (a live show or a whole album in one FLAC) - parsed when the
+// library is scanned or a collection is listed, and attached to the audio files they describe as
+// cueTracks ([{ title, performer, start }]), so each track gets its own row and the player can
+// seek and skip between them
+const MAX_CUE_SHEET_BYTES = 256 * 1024;
+// Parsed sheets by source/path, with the version of the file they were read from
+const cueSheetCache = new Map();
+
+// Parsed sheet of a CUE file (null when it can't be read) - read(file) resolves to its bytes and
+// is only called when the file is new or changed
+async function readCueSheet(source, file, read) {
+    const key = `${source}/${file.relativePath}`;
+    const version = fileVersion(file);
+    const cached = cueSheetCache.get(key);
+    if (cached && cached.version === version) {
+        return cached.sheet;
+    }
 
-        // Validate folder name (only allow 'analog', 'live', or 'digital')
-        if (folderName !== 'analog' && folderName !== 'live' && folderName !== 'digital') {
-            res.status(400).json({
-                success: false,
-                error: 'Invalid folder name. Must be "analog", "live", or "digital".'
-            });
-            return;
+    let sheet = null;
+    if (file.size <= MAX_CUE_SHEET_BYTES) {
+        try {
+            sheet = parseCueSheet(decodeCueSheet(await read(file)));
+        } catch (err) {
+            console.error(`Error reading CUE sheet ${key}:`, err.message);
         }
+    }
+    cueSheetCache.set(key, { version, sheet });
+    return sheet;
+}
 
-        // Check if B2 credentials are configured
-        if (!process.env.B2_APPLICATION_KEY_ID || !process.env.B2_APPLICATION_KEY || !process.env.B2_BUCKET_NAME ||
-            process.env.B2_APPLICATION_KEY_ID === '' || process.env.B2_APPLICATION_KEY === '' || process.env.B2_BUCKET_NAME === '') {
-            res.status(503).json({
-                success: false,
-                error: 'B2 credentials not configured'
-            });
-            return;
+// Set cueTracks on the audio files described by a list of sheets ([{ file, sheet }]), and clear
+// it on the rest
+function attachCueTracks(audioFiles, sheets) {
+    const filesByFolder = new Map();
+    for (const file of audioFiles) {
+        delete file.cueTracks;
+        if (!filesByFolder.has(file.folderPath)) filesByFolder.set(file.folderPath, []);
+        filesByFolder.get(file.folderPath).push(file);
+    }
+
+    for (const { file: cueFile, sheet } of sheets) {
+        const folderFiles = filesByFolder.get(cueFile.folderPath);
+        if (!sheet || !folderFiles) continue;
+        const matches = cueTracksByAudioFile(sheet, cueFile.fileName, folderFiles.map(file => file.fileName));
+        for (const file of folderFiles) {
+            // The first sheet found for a file wins
+            if (matches.has(file.fileName) && !file.cueTracks) {
+                file.cueTracks = matches.get(file.fileName);
+            }
         }
+    }
+}
 
-        await b2.authorize();
+// Attach the local sheets read so far to the library cache (called whenever it's rebuilt)
+function attachLocalCueTracks() {
+    if (!musicFilesCache || !cueFilesCache) return;
+    attachCueTracks(musicFilesCache, cueFilesCache.map(file => ({
+        file,
+        sheet: cueSheetCache.get(`local/${file.relativePath}`)?.sheet
+    })));
+}
 
-        // Check cache first for folder listings (reuse same cache as handleB2FolderEndpoint)
-        const folderCacheKey = folderName;
-        const cachedFolderData = folderListingCache.get(folderCacheKey);
-        let b2Files;
+// Read the new or changed CUE sheets of the local library and attach them
+async function loadLocalCueSheets() {
+    for (const file of cueFilesCache || []) {
+        await readCueSheet('local', file, () => promises.readFile(file.fullPath));
+    }
+    attachLocalCueTracks();
+}
 
-        if (isCacheValid(cachedFolderData)) {
-            console.log(`✓ Cache hit for API folder listing: ${folderName}`);
-            // Remove fullB2Path for API response (not needed)
-            b2Files = cachedFolderData.data.map(file => ({
-                fileName: file.fileName,
-                relativePath: file.relativePath,
-                folderPath: file.folderPath
-            }));
-        } else {
-            console.log(`✗ Cache miss for API folder listing: ${folderName}`);
+// Read the CUE sheets of a collection listing (from the mirror when they're mirrored) and attach
+// them to its audio entries
+async function attachCollectionCueTracks(collection, entries) {
+    const sheets = [];
+    for (const file of entries.filter(entry => entry.mediaType === 'cue')) {
+        const sheet = await readCueSheet(collection.id, file, async () => {
+            const mirroredFile = b2Mirror.getMirroredFile(`${collection.id}/${file.relativePath}`);
+            if (mirroredFile) {
+                return promises.readFile(mirroredFile.path);
+            }
+            return readToBuffer(await collection.storage.read(collection.objectName(file.relativePath)));
+        });
+        sheets.push({ file, sheet });
+    }
+    if (sheets.length > 0) {
+        attachCueTracks(entries.filter(entry => entry.mediaType === 'audio'), sheets);
+    }
+}
 
-            const bucket = await b2.getBucket({ bucketName });
-            const bucketId = bucket.data.buckets[0].bucketId;
+// A file's CUE sheet tracks in the shape of a saved split (null when it has no sheet) - from the
+// library cache, or the cached listing of a collection
+function cueSplit(source, relativePath) {
+    const files = source === 'local' ? musicFilesCache : folderListingCache.get(source)?.data;
+    const file = (files || []).find(entry => entry.relativePath === relativePath);
+    if (!file?.cueTracks) {
+        return null;
+    }
+    return { origin: 'cue', discogsReleaseId: null, duration: file.tags?.duration || null, tracks: file.cueTracks, updatedAt: null };
+}
 
-            const response = await b2.listFileNames({
-                bucketId: bucketId,
-                startFileName: `${folderName}/`,
-                prefix: `${folderName}/`,
-                maxFileCount: 10000
-            });
+// Splitting continuous recordings (a whole vinyl side in one file) into virtual tracks - boundaries
+// are proposed from the silent gaps, optionally aligned to the side's tracklist on Discogs, and kept
+// in the library database. The file itself is never cut: the player seeks between the tracks, and
+// they can be exported as a CUE sheet or written into the file as chapter markers.
 
-            // Parse B2 files and extract directory structure (audio, images, videos)
-            const b2FilesWithFullPath = [];
-            for (const file of response.data.files) {
-                const mediaType = getMediaType(file.fileName);
-                if (mediaType && file.fileName !== `${folderName}/`) {
-                    // Remove the folderName prefix to get the relative path
-                    const relativePath = file.fileName.substring(folderName.length + 1);
-                    const fileName = relativePath.split('/').pop();
-                    const folderPath = relativePath.includes('/')
-                        ? relativePath.substring(0, relativePath.lastIndexOf('/'))
-                        : '';
-
-                    b2FilesWithFullPath.push({
-                        fileName: fileName,
-                        relativePath: relativePath,
-                        folderPath: folderPath,
-                        fullB2Path: file.fileName,
-                        mediaType: mediaType
-                    });
-                }
-            }
+// Track reference for a file of a source (null when there is no such track)
+async function findTrackRef(source, relativePath) {
+    const folderPath = relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '';
+    const folderTracks = await getFolderTrackRefs(source, folderPath);
+    return folderTracks?.find(folderTrack => folderTrack.relativePath === relativePath) || null;
+}
 
-            // Cache the folder listing (with fullB2Path for handleB2FolderEndpoint compatibility)
-            folderListingCache.set(folderCacheKey, {
-                data: b2FilesWithFullPath,
-                timestamp: Date.now()
-            });
-            console.log(`✓ Cached API folder listing for: ${folderName} (${b2FilesWithFullPath.length} files)`);
+// Virtual tracks from a request body - [{ title, start }] sorted by start, the first at 0 (null when invalid)
+function normalizeSplitTracks(tracks, duration) {
+    if (!Array.isArray(tracks) || tracks.length === 0) {
+        return null;
+    }
+    const normalized = tracks.map(track => ({
+        title: String(track?.title ?? '').trim().substring(0, 500),
+        start: Number(track?.start)
+    }));
+    if (normalized.some(track => !Number.isFinite(track.start) || track.start < 0 || (duration && track.start >= duration))) {
+        return null;
+    }
+    normalized.sort((a, b) => a.start - b.start);
+    normalized[0].start = 0;
+    return normalized;
+}
+
+// CUE sheet text for a split - the album and artist come from the request, as the player shows them
+function splitCueSheet(relativePath, split, { performer, title } = {}) {
+    return formatCueSheet({
+        fileName: relativePath.substring(relativePath.lastIndexOf('/') + 1),
+        performer,
+        title,
+        tracks: split.tracks
+    });
+}
+
+app.use('/api/splits', express.json());
+
+// Propose virtual tracks for a recording - POST { source, path, releaseId?, side?, noiseDb?, minSilence? }
+// With a Discogs release id the tracks of the side (A, B...) are aligned to its tracklist. Nothing is
+// stored - the proposal is returned for review and saved with PUT /api/splits
+app.post('/api/splits/analyze', async (req, res) => {
+    const { source = 'local', path: relativePath, releaseId, side } = req.body || {};
+    const noiseDb = Math.min(-10, Math.max(-90, Number(req.body?.noiseDb) || DEFAULT_NOISE_DB));
+    const minSilence = Math.min(10, Math.max(0.2, Number(req.body?.minSilence) || DEFAULT_MIN_SILENCE_SECONDS));
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+    if (releaseId !== undefined && releaseId !== null && releaseId !== '' && !/^\d+$/.test(String(releaseId))) {
+        return res.status(400).json({ success: false, error: 'releaseId must be a Discogs release number' });
+    }
+    if (!transcoder.available) {
+        return res.status(503).json({ success: false, error: 'Splitting is unavailable - ffmpeg was not found' });
+    }
 
-            // Remove fullB2Path for API response
-            b2Files = b2FilesWithFullPath.map(file => ({
-                fileName: file.fileName,
-                relativePath: file.relativePath,
-                folderPath: file.folderPath
-            }));
+    try {
+        const track = await findTrackRef(source, relativePath);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
         }
 
-        res.json({
-            success: true,
-            files: b2Files,
-            total: b2Files.length,
-            folder: folderName
-        });
+        // The side's tracklist first, so a bad release id fails before the file is decoded
+        let release = null;
+        let tracklist = null;
+        if (releaseId) {
+            const { ok, status, data } = await fetchDiscogs(`https://api.discogs.com/releases/${releaseId}`);
+            if (!ok) {
+                return res.status(status === 404 ? 404 : 502).json({ success: false, error: data?.message || 'Discogs release could not be loaded' });
+            }
+            const sideLetter = side ? String(side).trim().toUpperCase() : null;
+            tracklist = tracklistForSide(data.tracklist, sideLetter);
+            if (tracklist.length === 0) {
+                return res.status(400).json({ success: false, error: sideLetter ? `The release has no tracks on side ${sideLetter}` : 'The release has no tracklist' });
+            }
+            release = { id: data.id, title: data.title, artist: (data.artists || []).map(artist => artist.name).join(', '), side: sideLetter };
+        }
+
+        console.log(`Detecting silences in ${source}/${relativePath} (${noiseDb}dB, ${minSilence}s)`);
+        const analyzeStart = Date.now();
+        let input = await getTrackFilePath(track);
+        if (!input) {
+            const collection = getCollection(source);
+            input = await collection.storage.read(collection.objectName(relativePath));
+        }
+        const { duration, silences } = await detectSilences({ ffmpegPath: transcoder.ffmpegPath, input, noiseDb, minSilence });
+        const tracks = tracklist ? alignToTracklist(silences, duration, tracklist) : proposeTracks(silences, duration);
+        console.log(`✓ Found ${silences.length} silences and ${tracks.length} tracks in ${source}/${relativePath} in ${((Date.now() - analyzeStart) / 1000).toFixed(2)}s`);
+
+        res.json({ success: true, origin: release ? 'discogs' : 'silence', release, duration, silences, tracks });
     } catch (err) {
-        console.error('Failed to get B2 files:', err);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to retrieve B2 files'
-        });
+        console.error(`Split analysis failed for ${source}/${relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to analyze the recording' });
     }
 });
 
-// Helper function to determine media type from file extension
-function getMediaType(fileName) {
-    const lowerFileName = fileName.toLowerCase();
-    const audioExtensions = ['.mp3', '.flac', '.m4b'];
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif', '.bmp', '.heic'];
-    const videoExtensions = ['.mp4', '.webm', '.ogv', '.mov', '.avi', '.mkv'];
+// Stored virtual tracks of a recording, e.g. /api/splits?source=local&path=Artist/LP/side-a.flac -
+// or the tracks of its CUE sheet (origin 'cue') when it hasn't been split in the app.
+// Returns { split: null } for a recording that has neither
+app.get('/api/splits', (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    res.json({ success: true, split: libraryDb.getSplit(source, relativePath) || cueSplit(source, relativePath) });
+});
 
-    for (const ext of audioExtensions) {
-        if (lowerFileName.endsWith(ext)) return 'audio';
+// Save virtual tracks - PUT { source, path, tracks: [{ title, start }], duration?, origin?, releaseId? }
+app.put('/api/splits', async (req, res) => {
+    const { source = 'local', path: relativePath, origin = 'manual', releaseId } = req.body || {};
+    const duration = Number(req.body?.duration) > 0 ? Number(req.body.duration) : null;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
     }
-    for (const ext of imageExtensions) {
-        if (lowerFileName.endsWith(ext)) return 'image';
+    if (!['silence', 'discogs', 'manual'].includes(origin)) {
+        return res.status(400).json({ success: false, error: 'origin must be silence, discogs or manual' });
     }
-    for (const ext of videoExtensions) {
-        if (lowerFileName.endsWith(ext)) return 'video';
+    const tracks = normalizeSplitTracks(req.body?.tracks, duration);
+    if (!tracks) {
+        return res.status(400).json({ success: false, error: 'tracks must be a list of { title, start } within the recording' });
     }
-    return null;
-}
 
-// Helper function to build directory structure
-function buildDirectoryStructure(musicFiles) {
-    const structure = new Map();
+    try {
+        if (!await findTrackRef(source, relativePath)) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
+        }
+        libraryDb.setSplit({ source, relativePath, origin, discogsReleaseId: parseInt(releaseId) || null, duration, tracks });
+        console.log(`Saved ${tracks.length} virtual tracks for ${source}/${relativePath}`);
+        res.json({ success: true, split: libraryDb.getSplit(source, relativePath) });
+    } catch (err) {
+        console.error(`Failed to save split for ${source}/${relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to save tracks' });
+    }
+});
 
-    // Initialize root directory
-    if (!structure.has('__root__')) {
-        structure.set('__root__', { files: [], subdirs: new Set() });
+app.delete('/api/splits', (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
     }
+    if (!libraryDb.deleteSplit(source, relativePath)) {
+        return res.status(404).json({ success: false, error: 'The recording has not been split' });
+    }
+    console.log(`Removed virtual tracks for ${source}/${relativePath}`);
+    res.json({ success: true });
+});
 
-    musicFiles.forEach(fileInfo => {
-        const parts = fileInfo.folderPath ? fileInfo.folderPath.split('/') : [];
+// CUE sheet download for a split recording, e.g. /api/splits/cue?source=local&path=LP/side-a.flac&performer=...&title=...
+app.get('/api/splits/cue', (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    const split = libraryDb.getSplit(source, relativePath);
+    if (!split) {
+        return res.status(404).json({ success: false, error: 'The recording has not been split' });
+    }
+    const cueName = relativePath.substring(relativePath.lastIndexOf('/') + 1).replace(/\.[^.]+$/, '') + '.cue';
+    res.attachment(cueName);
+    res.type('application/x-cue');
+    res.send(splitCueSheet(relativePath, split, req.query));
+});
 
-        if (parts.length === 0) {
-            // Files in root directory
-            structure.get('__root__').files.push(fileInfo);
-        } else {
-            // Files in subdirectories
-            const topLevel = parts[0];
+// Write a split into the library - POST { source, path, format, performer?, title?, overwrite? } where
+// format is 'cue' (a CUE sheet next to the file) or 'chapters' (chapter markers in the file's tags).
+// An existing CUE sheet - usually the one that came with the rip - is only replaced with overwrite: true.
+// Only files that can be edited in place (see tagFilePath)
+app.post('/api/splits/export', async (req, res) => {
+    const { source = 'local', path: relativePath, format, performer, title, overwrite = false } = req.body || {};
+    if (typeof source !== 'string' || typeof relativePath !== 'string' || !relativePath || typeof format !== 'string' || !['cue', 'chapters'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'path and a format of cue or chapters are required' });
+    }
+    if ([performer, title].some(value => value != null && typeof value !== 'string')) {
+        return res.status(400).json({ success: false, error: 'performer and title must be text' });
+    }
 
-            // Add top-level directory to root's subdirs
-            structure.get('__root__').subdirs.add(topLevel);
+    try {
+        const split = libraryDb.getSplit(source, relativePath);
+        if (!split) {
+            return res.status(404).json({ success: false, error: 'The recording has not been split' });
+        }
+        const filePath = tagFilePath(source, relativePath);
+        if (!filePath) {
+            return res.status(400).json({ success: false, error: 'Splits can only be written for local files' });
+        }
 
-            // Track top-level directory
-            if (!structure.has(topLevel)) {
+        if (format === 'cue') {
+            const cuePath = filePath.replace(/\.[^./\\]+$/, '') + '.cue';
+            const cueRelativePath = relativePath.replace(/\.[^./]+$/, '') + '.cue';
+            try {
+                await promises.writeFile(cuePath, splitCueSheet(relativePath, split, { performer, title }), { flag: overwrite === true ? 'w' : 'wx' });
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+                return res.status(409).json({ success: false, error: `${cueRelativePath.split('/').pop()} already exists`, path: cueRelativePath });
+            }
+            console.log(`Wrote CUE sheet for ${source}/${relativePath} to ${cuePath}`);
+            return res.json({ success: true, path: cueRelativePath });
+        }
+
+        if (!canWriteChapters(filePath)) {
+            return res.status(400).json({ success: false, error: 'Chapters can only be written to MP3 and FLAC files' });
+        }
+        // Each chapter runs to the start of the next - the last to the end of the recording
+        const duration = split.duration || (await parseFile(filePath, { duration: true, skipCovers: true })).format.duration;
+        const chapters = split.tracks.map((track, i) => ({
+            title: track.title,
+            start: track.start,
+            end: i + 1 < split.tracks.length ? split.tracks[i + 1].start : duration
+        }));
+        await writeChapters(filePath, chapters);
+        console.log(`Wrote ${chapters.length} chapters to ${source}/${relativePath}`);
+        await forgetFileTags(source, [{ relativePath, filePath }]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error(`Failed to export split of ${source}/${relativePath}:`, err.message);
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ success: false, error: err.message });
+    }
+});
+
+// Read parts of a track with readParts(read, size), where read(position, length) resolves to a
+// Buffer of the file's bytes - from its local or mirrored copy, or otherwise with ranged reads
+// from storage rather than downloading it
+async function readTrackParts(track, readParts) {
+    const filePath = await getTrackFilePath(track);
+    if (filePath) {
+        const handle = await promises.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            return await readParts(async (position, length) => {
+                const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                return buffer.subarray(0, bytesRead);
+            }, size);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    const collection = getCollection(track.source);
+    const objectName = collection.objectName(track.relativePath);
+    return readParts(async (position, length) => {
+        if (position >= track.size) return Buffer.alloc(0);
+        return readToBuffer(await collection.storage.read(objectName, { start: position, end: Math.min(track.size, position + length) - 1 }));
+    }, track.size);
+}
+
+// Audiobooks - .m4b files get a chapter list, a resume position kept on the server (so a book
+// continues where it was left in another browser or on another device) and named bookmarks
+function isAudiobookPath(relativePath) {
+    return relativePath.toLowerCase().endsWith('.m4b');
+}
+
+// Chapters by source/path, with the version of the file they were read from
+const bookChaptersCache = new Map();
+
+// Chapters of a book ([{ title, start }], empty when it has none) - its Nero chapters, or its
+// chapter track when it has a local copy
+async function getBookChapters(track) {
+    const key = `${track.source}/${track.relativePath}`;
+    const cached = bookChaptersCache.get(key);
+    if (cached && cached.version === track.version) {
+        return cached.chapters;
+    }
+
+    let chapters = await readTrackParts(track, readNeroChapters);
+    if (!chapters) {
+        const filePath = await getTrackFilePath(track);
+        if (filePath) {
+            const metadata = await parseFile(filePath, { mimeType: 'audio/mp4', includeChapters: true, skipCovers: true });
+            chapters = chaptersFromMetadata(metadata.format);
+        }
+    }
+
+    chapters = normalizeChapters(chapters || []);
+    bookChaptersCache.set(key, { version: track.version, chapters });
+    return chapters;
+}
+
+// Source and path of a book from a request (query or body) - sends the error and returns null
+// when they aren't valid
+function bookFromRequest(req, res) {
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const source = params.source || 'local';
+    const relativePath = params.path;
+    // A repeated query parameter arrives as an array and a JSON body can hold anything
+    if (typeof relativePath !== 'string' || !relativePath) {
+        res.status(400).json({ success: false, error: 'path is required' });
+        return null;
+    }
+    if (typeof source !== 'string' || (source !== 'local' && !getCollection(source))) {
+        res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+        return null;
+    }
+    if (!isAudiobookPath(relativePath)) {
+        res.status(400).json({ success: false, error: 'Only .m4b audiobooks have chapters and bookmarks' });
+        return null;
+    }
+    return { source, relativePath };
+}
+
+app.use('/api/books', express.json());
+
+// Chapters, resume position and bookmarks of an audiobook, e.g. /api/books?source=local&path=Author/Book.m4b
+// Returns { chapters: [{ title, start }], position: { position, duration, updatedAt } or null, bookmarks }
+app.get('/api/books', async (req, res) => {
+    const book = bookFromRequest(req, res);
+    if (!book) return;
+
+    try {
+        const track = await findTrackRef(book.source, book.relativePath);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Book not found' });
+        }
+
+        // A book whose chapters can't be read still has a position and bookmarks
+        let chapters = [];
+        try {
+            chapters = await getBookChapters(track);
+        } catch (err) {
+            console.error(`Error reading chapters of ${book.source}/${book.relativePath}:`, err.message);
+        }
+
+        res.json({
+            success: true,
+            chapters,
+            position: libraryDb.getBookPosition(book.source, book.relativePath),
+            bookmarks: libraryDb.getBookmarks(book.source, book.relativePath)
+        });
+    } catch (err) {
+        console.error(`Failed to load book ${book.source}/${book.relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to load the book' });
+    }
+});
+
+// Remember where a book was left - PUT { source, path, position, duration? } (seconds)
+app.put('/api/books/position', async (req, res) => {
+    const book = bookFromRequest(req, res);
+    if (!book) return;
+    const position = Number(req.body.position);
+    if (!Number.isFinite(position) || position < 0) {
+        return res.status(400).json({ success: false, error: 'position must be a number of seconds' });
+    }
+    const duration = Number(req.body.duration) > 0 ? Number(req.body.duration) : null;
+
+    try {
+        if (!await findTrackRef(book.source, book.relativePath)) {
+            return res.status(404).json({ success: false, error: 'Book not found' });
+        }
+        libraryDb.setBookPosition({ ...book, position, duration });
+        res.json({ success: true, position: libraryDb.getBookPosition(book.source, book.relativePath) });
+    } catch (err) {
+        console.error(`Failed to save the position in ${book.source}/${book.relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to save the position' });
+    }
+});
+
+// Add a bookmark - POST { source, path, position, name } - returns the new bookmark
+app.post('/api/books/bookmarks', async (req, res) => {
+    const book = bookFromRequest(req, res);
+    if (!book) return;
+    const position = Number(req.body.position);
+    const name = String(req.body.name ?? '').trim().substring(0, 200);
+    if (!Number.isFinite(position) || position < 0 || !name) {
+        return res.status(400).json({ success: false, error: 'position and name are required' });
+    }
+
+    try {
+        if (!await findTrackRef(book.source, book.relativePath)) {
+            return res.status(404).json({ success: false, error: 'Book not found' });
+        }
+        const bookmark = libraryDb.addBookmark({ ...book, position, name });
+        console.log(`Added bookmark "${name}" to ${book.source}/${book.relativePath}`);
+        res.json({ success: true, bookmark });
+    } catch (err) {
+        console.error(`Failed to add bookmark to ${book.source}/${book.relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to add the bookmark' });
+    }
+});
+
+app.delete('/api/books/bookmarks/:id', (req, res) => {
+    if (!libraryDb.deleteBookmark(parseInt(req.params.id))) {
+        return res.status(404).json({ success: false, error: 'Bookmark not found' });
+    }
+    res.json({ success: true });
+});
+
+// Encoder delay and padding by source/path, with the version of the file they were read from
+const gaplessInfoCache = new Map();
+
+// Encoder delay and padding of a track for gapless playback, e.g. /api/gapless?source=live&path=1994/01.mp3
+// Returns { delay, padding, duration } in seconds - all null for files without them (lossless files)
+app.get('/api/gapless', async (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+
+    try {
+        const track = await findTrackRef(source, relativePath);
+        if (!track) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
+        }
+
+        const key = `${source}/${relativePath}`;
+        let cached = gaplessInfoCache.get(key);
+        if (!cached || cached.version !== track.version) {
+            cached = { version: track.version, info: await readTrackParts(track, (read, size) => readGaplessInfo(read, size, relativePath)) };
+            gaplessInfoCache.set(key, cached);
+        }
+        res.json({ success: true, delay: null, padding: null, duration: null, ...cached.info });
+    } catch (err) {
+        console.error(`Failed to read gapless info of ${source}/${relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to read the encoder delay' });
+    }
+});
+
+// Equalizer presets - named settings of the player's DSP chain, used for a track, a folder or a
+// whole collection, so every side of one turntable session gets the same correction
+app.use('/api/dsp', express.json());
+
+function dspPresetIdParam(req) {
+    const id = parseInt(req.params.id);
+    return Number.isInteger(id) ? id : null;
+}
+
+// All presets - [{ id, name, settings, updatedAt }]
+app.get('/api/dsp/presets', (req, res) => {
+    res.json({ success: true, presets: libraryDb.listDspPresets() });
+});
+
+// Create a preset - POST { name, settings } - returns the new preset
+app.post('/api/dsp/presets', (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ success: false, error: 'A preset needs a name' });
+    }
+    let settings;
+    try {
+        settings = normalizeDspSettings(req.body.settings);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const preset = libraryDb.createDspPreset(name, settings);
+    console.log(`Created equalizer preset "${name}"`);
+    res.status(201).json({ success: true, preset });
+});
+
+// Rename a preset and/or replace its settings - PUT { name?, settings? }
+app.put('/api/dsp/presets/:id', (req, res) => {
+    const id = dspPresetIdParam(req);
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : null;
+    if (name === '') {
+        return res.status(400).json({ success: false, error: 'A preset needs a name' });
+    }
+    let settings = null;
+    try {
+        if (req.body?.settings !== undefined) settings = normalizeDspSettings(req.body.settings);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    if (!libraryDb.updateDspPreset(id, { name, settings })) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+    }
+    res.json({ success: true, preset: libraryDb.getDspPreset(id) });
+});
+
+// Delete a preset - it stops being used everywhere it was assigned
+app.delete('/api/dsp/presets/:id', (req, res) => {
+    if (!libraryDb.deleteDspPreset(dspPresetIdParam(req))) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+    }
+    res.json({ success: true });
+});
+
+// Preset for a track, e.g. /api/dsp?source=analog&path=Artist/Album/side-a.flac - the one that
+// applies ({ scope, path, preset } or null) and the preset ids assigned to the track, its folder
+// and its collection
+app.get('/api/dsp', (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+
+    const { applied, ...assignments } = libraryDb.getDspAssignments(source, relativePath);
+    res.json({ success: true, applied, assignments });
+});
+
+// Use a preset for a track, folder or collection - PUT { scope, source, path, presetId } where path
+// is the track's or folder's (ignored for a collection) and a null presetId removes the assignment
+app.put('/api/dsp/assignments', (req, res) => {
+    const { scope, presetId = null } = req.body || {};
+    const source = req.body?.source || 'local';
+    const path = scope === 'collection' ? '' : String(req.body?.path ?? '').replace(/^\/+|\/+$/g, '');
+    if (!DSP_SCOPES.includes(scope)) {
+        return res.status(400).json({ success: false, error: `scope must be one of ${DSP_SCOPES.join(', ')}` });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+    if (scope !== 'collection' && !path) {
+        return res.status(400).json({ success: false, error: `path is required for a ${scope}` });
+    }
+    if (presetId !== null && !libraryDb.getDspPreset(presetId)) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+    }
+
+    libraryDb.setDspAssignment({ scope, source, path, presetId });
+    console.log(presetId === null
+        ? `Removed the equalizer preset of ${scope} ${source}/${path}`
+        : `Using equalizer preset ${presetId} for ${scope} ${source}/${path}`);
+    res.json({ success: true });
+});
+
+// Turntable speeds a speed correction converts between (33 1/3, 45 and 78 rpm), and the range of
+// its fine pitch adjustment in percent - a turntable's pitch fader
+const RPM_SPEEDS = ['33', '45', '78'];
+const MAX_PITCH_PERCENT = 8;
+
+app.use('/api/speed', express.json());
+
+// Speed correction of a track, e.g. /api/speed?source=analog&path=Artist/Album/side-a.flac -
+// { rpmFrom, rpmTo, pitch } or null when it plays as recorded
+app.get('/api/speed', (req, res) => {
+    const source = req.query.source || 'local';
+    const relativePath = req.query.path;
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+
+    res.json({ success: true, correction: libraryDb.getSpeedCorrection(source, relativePath) });
+});
+
+// Store a track's speed correction - PUT { source, path, rpmFrom, rpmTo, pitch } where rpmFrom and
+// rpmTo are both RPM_SPEEDS or both null, and pitch is in percent. No conversion and no pitch
+// change removes it.
+app.put('/api/speed', async (req, res) => {
+    const source = req.body?.source || 'local';
+    const relativePath = req.body?.path;
+    const { rpmFrom = null, rpmTo = null } = req.body || {};
+    const pitch = Number(req.body?.pitch ?? 0);
+    if (!relativePath) {
+        return res.status(400).json({ success: false, error: 'path is required' });
+    }
+    if (source !== 'local' && !getCollection(source)) {
+        return res.status(400).json({ success: false, error: `source must be one of ${validSourcesText()}` });
+    }
+    if ((rpmFrom === null) !== (rpmTo === null) || (rpmFrom !== null && (!RPM_SPEEDS.includes(rpmFrom) || !RPM_SPEEDS.includes(rpmTo)))) {
+        return res.status(400).json({ success: false, error: `rpmFrom and rpmTo must both be one of ${RPM_SPEEDS.join(', ')}, or both null` });
+    }
+    if (!Number.isFinite(pitch) || Math.abs(pitch) > MAX_PITCH_PERCENT) {
+        return res.status(400).json({ success: false, error: `pitch must be a number from -${MAX_PITCH_PERCENT} to ${MAX_PITCH_PERCENT} (percent)` });
+    }
+
+    try {
+        if (!await findTrackRef(source, relativePath)) {
+            return res.status(404).json({ success: false, error: 'Track not found' });
+        }
+        // Converting a speed to itself is no conversion
+        const conversion = rpmFrom !== rpmTo;
+        libraryDb.setSpeedCorrection({
+            source,
+            relativePath,
+            rpmFrom: conversion ? rpmFrom : null,
+            rpmTo: conversion ? rpmTo : null,
+            pitch: Math.round(pitch * 10) / 10
+        });
+        const correction = libraryDb.getSpeedCorrection(source, relativePath);
+        console.log(correction
+            ? `Speed correction of ${source}/${relativePath}: ${correction.rpmFrom ? `${correction.rpmFrom} to ${correction.rpmTo} rpm, ` : ''}pitch ${correction.pitch}%`
+            : `Removed the speed correction of ${source}/${relativePath}`);
+        res.json({ success: true, correction });
+    } catch (err) {
+        console.error(`Failed to save the speed correction of ${source}/${relativePath}:`, err.message);
+        res.status(500).json({ success: false, error: 'Failed to save the speed correction' });
+    }
+});
+
+// Skip macOS/Windows metadata files and the thumbnail cache when scanning or watching
+function isIgnoredMediaEntry(name) {
+    return name.startsWith('._') || name.startsWith('.__') ||
+        name === '.DS_Store' || name.toLowerCase() === 'desktop.ini' ||
+        name.toLowerCase() === 'thumbs.db' || name === '.thumbs';
+}
+
+// Build the cached file info for a local media file in a music root (null if it isn't a supported media type)
+function buildLocalFileInfo(fullPath, root, stats) {
+    // Local scans group images, videos and CUE sheets under plural keys
+    const mediaType = { audio: 'audio', image: 'images', video: 'videos', cue: 'cues' }[getMediaType(fullPath)];
+    if (!mediaType) {
+        return null;
+    }
+
+    // Library path - the path in the root, prefixed with the root's id
+    const relativePath = root.relativePathOf(fullPath);
+    // Extract folder name (empty string if in root)
+    const folderPath = relativePath.includes('/')
+        ? relativePath.substring(0, relativePath.lastIndexOf('/'))
+        : '';
+
+    return {
+        fullPath,
+        relativePath,
+        fileName: relativePath.split('/').pop(),
+        folderPath,
+        size: stats.size,
+        modified: stats.mtime,
+        mediaType: mediaType
+    };
+}
+
+// Helper function to recursively find all media files in a music root
+async function findMediaFiles(root, dir = root.path, filesByType = { audio: [], images: [], videos: [], cues: [] }) {
+    const items = await promises.readdir(dir);
+
+    for (const item of items) {
+        // Skip metadata files BEFORE trying to stat them
+        if (isIgnoredMediaEntry(item)) {
+            continue;
+        }
+
+        const fullPath = join(dir, item);
+        const stats = await promises.stat(fullPath);
+
+        if (stats.isDirectory()) {
+            await findMediaFiles(root, fullPath, filesByType);
+        } else if (stats.isFile()) {
+            const fileInfo = buildLocalFileInfo(fullPath, root, stats);
+            if (fileInfo) {
+                filesByType[fileInfo.mediaType].push(fileInfo);
+            }
+        }
+    }
+
+    return filesByType;
+}
+
+// Legacy function for backward compatibility
+async function findMusicFiles(root) {
+    const result = await findMediaFiles(root);
+    return result.audio;
+}
+
+// Rescan endpoint
+app.get('/rescan', async (req, res) => {
+    try {
+        console.log('Manual rescan triggered');
+        await scanMusicFiles();
+        res.json({
+            success: true,
+            fileCount: musicFilesCache ? musicFilesCache.length : 0,
+            message: 'Rescan completed successfully'
+        });
+    } catch (err) {
+        console.error('Rescan failed:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Rescan failed',
+            message: err.message
+        });
+    }
+});
+
+// Music roots with whether each one is plugged in
+app.get('/api/music-roots', (req, res) => {
+    res.json(musicRoots.map(root => ({
+        id: root.id,
+        label: root.label,
+        path: root.path,
+        online: root.online,
+        audioFiles: (musicFilesCache || []).filter(file => root.owns(file.relativePath)).length
+    })));
+});
+
+// Library change notifications - pushed to connected browsers when the watcher updates the index
+app.get('/api/library-events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 10000\n\n');
+    libraryEventClients.add(res);
+
+    // Comment line keeps proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        libraryEventClients.delete(res);
+    });
+});
+
+// Send an event to every connected browser
+function broadcastLibraryEvent(eventName, data) {
+    const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of libraryEventClients) {
+        client.write(message);
+    }
+}
+
+// API endpoint for single local song metadata (for incremental loading)
+app.get('/api/song-metadata', async (req, res) => {
+    try {
+        const relativePath = req.query.path;
+        if (!relativePath) {
+            return res.status(400).json({ error: 'Missing path parameter' });
+        }
+
+        // Check cache first
+        const cacheKey = `local-song-meta:${relativePath}`;
+        const cachedData = metadataCache.get(cacheKey);
+        if (isCacheValid(cachedData)) {
+            return res.json(cachedData.data);
+        }
+
+        const filePath = resolveLocalPath(relativePath);
+        if (!filePath) {
+            return res.status(404).json({ error: 'Unknown music root' });
+        }
+        const mimeType = audioMimeType(filePath);
+
+        const stats = await promises.stat(filePath);
+        const version = fileVersion({ size: stats.size, modified: stats.mtime });
+        const metadata = await parseFile(filePath, { mimeType, duration: true, skipCovers: isArtworkKnown('local', relativePath, version) });
+
+        // Link to the artwork instead of inlining it
+        const artwork = await getTrackArtwork('local', relativePath, version, metadata.common.picture);
+
+        const result = {
+            title: metadata.common.title || '',
+            artist: metadata.common.artist || 'Unknown Artist',
+            album: metadata.common.album || 'Unknown Album',
+            duration: formatDuration(metadata.format.duration),
+            artwork,
+            // Tag fields used by the browse views
+            albumArtist: metadata.common.albumartist,
+            genre: metadata.common.genre?.[0],
+            year: metadata.common.year,
+            trackNumber: metadata.common.track?.no,
+            discNumber: metadata.common.disk?.no
+        };
+
+        // Cache the result
+        metadataCache.set(cacheKey, {
+            data: result,
+            timestamp: Date.now()
+        });
+
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching song metadata:', err.message);
+        res.json({ title: '', artist: 'Unknown Artist', album: 'Unknown Album', duration: '', artwork: null });
+    }
+});
+
+// API endpoint for single B2 song metadata (for incremental loading)
+app.get('/api/b2-song-metadata/:folder', async (req, res) => {
+    try {
+        const folderName = req.params.folder;
+        const collection = getCollection(folderName);
+        const relativePath = req.query.path;
+
+        if (!collection) {
+            return res.status(404).json({ error: 'Unknown collection' });
+        }
+        if (!relativePath) {
+            return res.status(400).json({ error: 'Missing path parameter' });
+        }
+
+        const b2FilePath = `${folderName}/${relativePath}`;
+
+        // Check in-memory cache first (use same key format as /b2metadata endpoint for sharing)
+        const cacheKey = b2FilePath;
+        const cachedData = metadataCache.get(cacheKey);
+        if (isCacheValid(cachedData)) {
+            return res.json(cachedData.data);
+        }
+
+        // Check persistent disk cache
+        const diskCached = await loadB2MetadataFromDisk(b2FilePath);
+        if (diskCached) {
+            // Also populate in-memory cache
+            metadataCache.set(cacheKey, diskCached);
+            return res.json(diskCached.data);
+        }
+
+        // Only download first 10MB for metadata extraction (metadata is at start of file)
+        const METADATA_CHUNK_SIZE = 10 * 1024 * 1024;
+        const buffer = await readToBuffer(await collection.storage.read(collection.objectName(relativePath), {
+            start: 0,
+            end: METADATA_CHUNK_SIZE - 1
+        }));
+
+        const mimeType = audioMimeType(relativePath);
+
+        const metadata = await parseBuffer(buffer, { mimeType, duration: true, skipCovers: false });
+
+        // Link to the artwork instead of inlining it
+        const artwork = await getTrackArtwork(folderName, relativePath, getCollectionFileVersion(folderName, relativePath), metadata.common.picture);
+
+        const result = {
+            title: metadata.common.title || '',
+            artist: metadata.common.artist || 'Unknown Artist',
+            album: metadata.common.album || 'Unknown Album',
+            duration: formatDuration(metadata.format.duration),
+            artwork,
+            // Tag fields used by the browse views
+            albumArtist: metadata.common.albumartist,
+            genre: metadata.common.genre?.[0],
+            year: metadata.common.year,
+            trackNumber: metadata.common.track?.no,
+            discNumber: metadata.common.disk?.no
+        };
+
+        // Cache the result in memory
+        metadataCache.set(cacheKey, {
+            data: result,
+            timestamp: Date.now()
+        });
+
+        // Also save to persistent disk cache
+        saveB2MetadataToDisk(b2FilePath, result);
+
+        // Make the tags searchable
+        updateB2SearchDocument(folderName, relativePath, result);
+
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching B2 song metadata:', err.message);
+        res.json({ title: '', artist: 'Unknown Artist', album: 'Unknown Album', duration: '', artwork: null });
+    }
+});
+
+// Disk path of a file whose tags can be edited - local library files and files in collections on
+// local storage (null for anything else, or a library file on an offline root)
+function tagFilePath(source, relativePath) {
+    if (source === 'local') {
+        const root = findMusicRoot(musicRoots, relativePath);
+        return root && root.online ? root.fullPathOf(relativePath) : null;
+    }
+    const collection = getCollection(source);
+    if (!collection || !(collection.storage instanceof LocalStorage)) {
+        return null;
+    }
+    return collection.storage.resolvePath(collection.objectName(relativePath));
+}
+
+// Library paths of the audio files directly in a folder (null when the source can't be edited)
+async function tagFolderFiles(source, dir) {
+    if (source === 'local') {
+        return (musicFilesCache || []).filter(file => file.folderPath === dir).map(file => file.relativePath);
+    }
+    const collection = getCollection(source);
+    if (!collection || !(collection.storage instanceof LocalStorage)) {
+        return null;
+    }
+    const listing = await getCollectionListing(collection);
+    return listing
+        .filter(file => file.mediaType === 'audio' && file.folderPath === dir)
+        .map(file => file.relativePath);
+}
+
+// Drop everything cached about files whose tags were just written - files is [{ relativePath, filePath }]
+async function forgetFileTags(source, files) {
+    if (files.length === 0) return;
+
+    if (source === 'local') {
+        // Re-read the files into the library database (their tags are parsed again in the background)
+        const changesByRoot = new Map();
+        for (const { relativePath, filePath } of files) {
+            metadataCache.delete(`local-song-meta:${relativePath}`);
+            const root = findMusicRoot(musicRoots, relativePath);
+            if (!changesByRoot.has(root)) changesByRoot.set(root, []);
+            changesByRoot.get(root).push({ path: filePath, event: 'change' });
+        }
+        for (const [root, changes] of changesByRoot) {
+            await applyLibraryChanges(root, changes);
+        }
+        return;
+    }
+
+    const collection = getCollection(source);
+    const listing = folderListingCache.get(collection.id);
+    const searchIndex = b2SearchIndexes.get(collection.id)?.index;
+    for (const { relativePath } of files) {
+        const key = `${collection.id}/${relativePath}`;
+        metadataCache.delete(key);
+        b2FileSizeCache.delete(key);
+        await promises.unlink(getB2MetadataCachePath(key)).catch(() => {});
+        await b2FileCache.remove(key);
+
+        // Keep the cached listing's size in step with the file, so ranges are served correctly
+        const file = await collection.storage.stat(collection.objectName(relativePath));
+        const index = isCacheValid(listing) && file ? listing.data.findIndex(entry => entry.relativePath === relativePath) : -1;
+        if (index !== -1) {
+            listing.data[index] = toListingEntry(collection, file);
+        }
+
+        // The old tags stop being searchable until the metadata is fetched again
+        const document = searchIndex?.documents.get(relativePath);
+        if (document) {
+            searchIndex.add(toSearchDocument(document, undefined));
+        }
+    }
+}
+
+// Tag editing - PUT { source, path, tags } for one file, { source, dir, tags } for a whole folder
+app.use('/api/tags', express.json());
+
+app.put('/api/tags', async (req, res) => {
+    const { source = 'local', path: relativePath, tags } = req.body || {};
+    if (typeof relativePath !== 'string' || !relativePath || !tags) {
+        return res.status(400).json({ success: false, error: 'Missing path or tags' });
+    }
+
+    let normalized;
+    try {
+        normalized = normalizeTags(tags);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    let filePath;
+    try {
+        filePath = tagFilePath(source, relativePath);
+        if (!filePath || !canWriteTags(filePath)) {
+            return res.status(400).json({ success: false, error: 'Tags can only be edited on local MP3, FLAC and M4B files' });
+        }
+        await writeTags(filePath, normalized);
+    } catch (err) {
+        console.error(`Failed to write tags to ${source}/${relativePath}:`, err.message);
+        return res.status(err.code === 'ENOENT' ? 404 : 500).json({ success: false, error: err.message });
+    }
+    console.log(`Wrote tags to ${source}/${relativePath}: ${Object.keys(normalized).join(', ')}`);
+
+    await forgetFileTags(source, [{ relativePath, filePath }]);
+    res.json({ success: true });
+});
+
+// Album-level fields (album, album artist, year, genre) for every audio file directly in a folder
+app.put('/api/tags/folder', async (req, res) => {
+    const { source = 'local', dir = '', tags } = req.body || {};
+
+    let normalized;
+    try {
+        normalized = normalizeTags(tags, ALBUM_TAG_FIELDS);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    if (Object.keys(normalized).length === 0) {
+        return res.status(400).json({ success: false, error: `Nothing to write - folders can be given ${ALBUM_TAG_FIELDS.join(', ')}` });
+    }
+
+    const relativePaths = await tagFolderFiles(source, dir);
+    if (!relativePaths) {
+        return res.status(400).json({ success: false, error: 'Tags can only be edited on local files' });
+    }
+
+    const written = [];
+    const failed = [];
+    for (const relativePath of relativePaths) {
+        const filePath = tagFilePath(source, relativePath);
+        if (!filePath || !canWriteTags(filePath)) {
+            failed.push({ path: relativePath, error: filePath ? 'Unsupported file type' : 'File is not available' });
+            continue;
+        }
+        try {
+            await writeTags(filePath, normalized);
+            written.push({ relativePath, filePath });
+        } catch (err) {
+            console.error(`Failed to write tags to ${source}/${relativePath}:`, err.message);
+            failed.push({ path: relativePath, error: err.message });
+        }
+    }
+    console.log(`Wrote ${Object.keys(normalized).join(', ')} to ${written.length} files in ${source}/${dir}`);
+
+    await forgetFileTags(source, written);
+    res.json({ success: failed.length === 0, updated: written.length, failed });
+});
+
+// Rescan B2 bucket folder (clear cache to force fresh fetch)
+// With ?dir=... only that folder is listed again and the rest of the cached listing is kept
+app.get('/rescan-b2/:folder', async (req, res) => {
+    try {
+        const folderName = req.params.folder;
+        const collection = getCollection(folderName);
+        const dir = (req.query.dir || '').replace(/^\/+|\/+$/g, '');
+
+        // Validate folder name
+        if (!collection) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid folder',
+                message: `Folder must be one of: ${cloudCollections.map(collection => collection.id).join(', ')}`
+            });
+        }
+
+        if (dir) {
+            console.log(`Manual B2 rescan triggered for folder: ${folderName}/${dir}`);
+            const listing = await refreshCollectionFolder(collection, dir);
+            return res.json({
+                success: true,
+                folder: folderName,
+                dir,
+                fileCount: listing.length,
+                message: `Listed ${folderName}/${dir} again`
+            });
+        }
+
+        console.log(`Manual B2 rescan triggered for folder: ${folderName}`);
+
+        // Clear the cache for this folder
+        const folderCacheKey = folderName;
+        folderListingCache.delete(folderCacheKey);
+        console.log(`✓ Cleared cache for folder: ${folderName}`);
+
+        res.json({
+            success: true,
+            folder: folderName,
+            message: `B2 cache cleared for ${folderName}. Fresh data will be fetched on next page load.`
+        });
+    } catch (err) {
+        console.error('B2 rescan failed:', err);
+        res.status(500).json({
+            success: false,
+            error: 'B2 rescan failed',
+            message: err.message
+        });
+    }
+});
+
+// API endpoint to get all files for search
+app.get('/api/all-files', async (req, res) => {
+    try {
+        if (!musicFilesCache) {
+            res.status(503).json({
+                success: false,
+                error: 'Music library not yet scanned'
+            });
+            return;
+        }
+
+        // Return all files with necessary metadata for search
+        const files = musicFilesCache.map(fileInfo => ({
+            fileName: fileInfo.fileName,
+            relativePath: fileInfo.relativePath,
+            folderPath: fileInfo.folderPath
+        }));
+
+        res.json({
+            success: true,
+            files: files,
+            total: files.length
+        });
+    } catch (err) {
+        console.error('Failed to get all files:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve files'
+        });
+    }
+});
+
+// Files requested per listing call - B2 bills listFileNames per 1,000 names returned and S3 returns
+// at most 1,000 keys per request, so smaller pages cost nothing extra and report progress more often
+const LISTING_PAGE_SIZE = 1000;
+
+// Collections being listed right now, with their progress (id -> { promise, folderPath, filesListed, pages, startedAt })
+const listingProgress = new Map();
+
+// Folder listing entry for a file in a collection (null for files that aren't audio, images or videos)
+function toListingEntry(collection, file) {
+    const mediaType = getMediaType(file.name);
+    if (!mediaType || file.name === collection.listPrefix) {
+        return null;
+    }
+
+    // Remove the collection prefix to get the relative path
+    const relativePath = collection.relativePathOf(file.name);
+    const fileName = relativePath.split('/').pop();
+    const folderPath = relativePath.includes('/')
+        ? relativePath.substring(0, relativePath.lastIndexOf('/'))
+        : '';
+
+    // Upload/modification time in milliseconds since epoch
+    const timestamp = file.modified || Date.now();
+
+    return {
+        fileName: fileName,
+        relativePath: relativePath,
+        folderPath: folderPath,
+        fullB2Path: file.name, // Keep the full B2 path for proxy URLs
+        mediaType: mediaType,
+        modified: new Date(timestamp),
+        size: file.size
+    };
+}
+
+// List every media file of a collection (or of one folder in it), following the storage cursor
+// page by page and counting progress as it goes
+async function listCollectionFiles(collection, folderPath, progress) {
+    const prefix = folderPath ? `${collection.listPrefix}${folderPath}/` : collection.listPrefix;
+    const entries = [];
+    let cursor = null;
+    do {
+        const response = await collection.storage.list(prefix, { cursor, limit: LISTING_PAGE_SIZE });
+        for (const file of response.files) {
+            const entry = toListingEntry(collection, file);
+            if (entry) {
+                entries.push(entry);
+            }
+        }
+        progress.pages++;
+        progress.filesListed += response.files.length;
+        cursor = response.nextCursor;
+        if (cursor) {
+            console.log(`Listing ${collection.id}${folderPath ? `/${folderPath}` : ''}: ${progress.filesListed} files so far...`);
+        }
+    } while (cursor);
+    await attachCollectionCueTracks(collection, entries);
+    return entries;
+}
+
+// Start (or join) a listing of a collection - only one runs per collection at a time, so a listing
+// of another folder (or of the whole collection) starts once the running one has finished
+function startCollectionListing(collection, folderPath, list) {
+    const running = listingProgress.get(collection.id);
+    if (running && running.folderPath === folderPath) {
+        return running.promise;
+    }
+    if (running) {
+        return running.promise.catch(() => {}).then(() => startCollectionListing(collection, folderPath, list));
+    }
+
+    const progress = { folderPath, filesListed: 0, pages: 0, startedAt: Date.now() };
+    progress.promise = list(progress).finally(() => {
+        listingProgress.delete(collection.id);
+    });
+    listingProgress.set(collection.id, progress);
+    return progress.promise;
+}
+
+// Shared folder listing of a collection (used by the folder pages, /api/all-b2-files, search and
+// /api/tracks) - listed in full the first time and after CACHE_TTL_MS, cached in between
+async function getCollectionListing(collection) {
+    const cached = folderListingCache.get(collection.id);
+    if (isCacheValid(cached) && !cached.offline) {
+        console.log(`✓ Cache hit for folder listing: ${collection.id}`);
+        return cached.data;
+    }
+
+    return startCollectionListing(collection, '', async (progress) => {
+        console.log(`✗ Cache miss for folder listing: ${collection.id}`);
+        const data = await listCollectionFiles(collection, '', progress);
+        folderListingCache.set(collection.id, {
+            data,
+            timestamp: Date.now()
+        });
+        console.log(`✓ Cached folder listing for: ${collection.id} (${data.length} media files, ${progress.filesListed} listed in ${progress.pages} pages)`);
+        return data;
+    });
+}
+
+// Re-list one folder of a collection and swap it into the cached listing, leaving the rest of the
+// collection alone (lists the whole collection when nothing is cached yet)
+async function refreshCollectionFolder(collection, folderPath) {
+    const cached = folderListingCache.get(collection.id);
+    if (!folderPath || !isCacheValid(cached) || cached.offline) {
+        folderListingCache.delete(collection.id);
+        return getCollectionListing(collection);
+    }
+
+    return startCollectionListing(collection, folderPath, async (progress) => {
+        const fresh = await listCollectionFiles(collection, folderPath, progress);
+        // Merged into the listing as it is now - it may have changed while this one waited its turn
+        const current = folderListingCache.get(collection.id) || cached;
+        const inFolder = (file) => file.relativePath.startsWith(`${folderPath}/`);
+        const data = [...current.data.filter(file => !inFolder(file)), ...fresh]
+            .sort((a, b) => (a.fullB2Path < b.fullB2Path ? -1 : a.fullB2Path > b.fullB2Path ? 1 : 0));
+        // The rest of the listing is as old as before, so keep its timestamp
+        folderListingCache.set(collection.id, {
+            data,
+            timestamp: current.timestamp
+        });
+        console.log(`✓ Refreshed ${collection.id}/${folderPath} (${fresh.length} media files)`);
+        return data;
+    });
+}
+
+// How long a folder page waits for a listing before showing its progress instead
+const LISTING_PAGE_WAIT_MS = 3000;
+
+// Page shown (and refreshed) while a collection is being listed for the first time
+function listingProgressPage(collection) {
+    const status = collectionListingStatus(collection);
+    const filesListed = status.listing ? status.listing.filesListed : 0;
+    return `<html>
+<head>
+    <title>analogarchivejs - ${collection.name}</title>
+    <link rel="stylesheet" href="styles.css">
+    <meta http-equiv="refresh" content="2">
+</head>
+<body>
+<div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.9); color: lime; padding: 30px 50px;
+            border: 2px solid lime; border-radius: 10px; font-size: 24px; text-align: center;">
+    Listing ${collection.name}... ${filesListed.toLocaleString()} files so far<br>
+    <span style="font-size: 14px; opacity: 0.7;">Page will refresh automatically</span>
+</div>
+</body>
+</html>`;
+}
+
+// Progress of a collection's listing for /api/listing-status and the listing page
+function collectionListingStatus(collection) {
+    const cached = folderListingCache.get(collection.id);
+    const progress = listingProgress.get(collection.id);
+    return {
+        folder: collection.id,
+        listed: !!isCacheValid(cached) && !cached.offline,
+        files: isCacheValid(cached) ? cached.data.length : 0,
+        listedAt: isCacheValid(cached) ? new Date(cached.timestamp) : null,
+        listing: progress ? {
+            folderPath: progress.folderPath,
+            filesListed: progress.filesListed,
+            pages: progress.pages,
+            elapsedMs: Date.now() - progress.startedAt
+        } : null
+    };
+}
+
+// Listing progress of a collection
+app.get('/api/listing-status/:folder', (req, res) => {
+    const collection = getCollection(req.params.folder);
+    if (!collection) {
+        return res.status(404).json({ error: 'Unknown collection' });
+    }
+    res.json(collectionListingStatus(collection));
+});
+
+// API endpoint to get all files from a B2 folder for search functionality
+app.get('/api/all-b2-files/:folder', async (req, res) => {
+    try {
+        const folderName = req.params.folder;
+        const collection = getCollection(folderName);
+
+        // Validate folder name (only configured collections)
+        if (!collection) {
+            res.status(400).json({
+                success: false,
+                error: `Invalid folder name. Must be one of: ${cloudCollections.map(c => c.id).join(', ')}.`
+            });
+            return;
+        }
+
+        // Check if B2 credentials are configured
+        if (!collection.configured) {
+            res.status(503).json({
+                success: false,
+                error: 'Storage credentials not configured'
+            });
+            return;
+        }
+
+        // Shared with handleB2FolderEndpoint (waits for a listing that's already running) - a listing
+        // from the mirror is used as is while B2 is unreachable
+        const cached = folderListingCache.get(folderName);
+        const listing = isCacheValid(cached) && cached.offline ? cached.data : await getCollectionListing(collection);
+        // Remove fullB2Path for API response (not needed) - CUE sheets aren't songs of their own
+        const b2Files = listing.filter(file => file.mediaType !== 'cue').map(file => ({
+            fileName: file.fileName,
+            relativePath: file.relativePath,
+            folderPath: file.folderPath
+        }));
+
+        res.json({
+            success: true,
+            files: b2Files,
+            total: b2Files.length,
+            folder: folderName
+        });
+    } catch (err) {
+        console.error('Failed to get B2 files:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve B2 files'
+        });
+    }
+});
+
+// Search indexes - the local index is rebuilt whenever the library cache is replaced,
+// B2 indexes whenever their folder listing is refreshed
+const localSearchIndex = { index: new SearchIndex(), source: null };
+const b2SearchIndexes = new Map();
+
+// Search document for a file (path fields plus whatever tags are known)
+function toSearchDocument(file, tags) {
+    return {
+        fileName: file.fileName,
+        relativePath: file.relativePath,
+        folderPath: file.folderPath,
+        tags
+    };
+}
+
+// Local search index, built from the library cache (tags come from the library database)
+function getLocalSearchIndex() {
+    if (localSearchIndex.source !== musicFilesCache) {
+        const buildStart = Date.now();
+        localSearchIndex.index.rebuild(musicFilesCache.map(file => toSearchDocument(file, file.tags)));
+        localSearchIndex.source = musicFilesCache;
+        console.log(`Built local search index: ${localSearchIndex.index.size} files in ${Date.now() - buildStart}ms`);
+    }
+    return localSearchIndex.index;
+}
+
+// B2 search index for a folder, built from the cached folder listing and the metadata fetched so far
+// Returns null when the folder hasn't been listed yet
+async function getB2SearchIndex(folderName) {
+    const listing = folderListingCache.get(folderName);
+    if (!isCacheValid(listing)) {
+        return null;
+    }
+
+    let entry = b2SearchIndexes.get(folderName);
+    if (!entry || entry.source !== listing) {
+        const buildStart = Date.now();
+        const tracks = await attachCachedB2Tags(folderName, listing.data.filter(file => file.mediaType === 'audio'));
+        entry = { index: new SearchIndex(), source: listing };
+        entry.index.rebuild(tracks.map(track => toSearchDocument(track, track.tags)));
+        b2SearchIndexes.set(folderName, entry);
+        console.log(`Built ${folderName} search index: ${entry.index.size} files in ${Date.now() - buildStart}ms`);
+    }
+    return entry.index;
+}
+
+// Add freshly fetched B2 metadata to the folder's search index (if it has been built)
+function updateB2SearchDocument(folderName, relativePath, metadata) {
+    const entry = b2SearchIndexes.get(folderName);
+    const document = entry?.index.documents.get(relativePath);
+    if (document) {
+        entry.index.add(toSearchDocument(document, b2TagsFromMetadata(metadata)));
+    }
+}
+
+// Full-text search over file names, folder paths and tags
+// e.g. /api/search?q=artist:pixies year:1987..1990&source=local&offset=0&limit=50
+app.get('/api/search', async (req, res) => {
+    try {
+        const query = req.query.q || '';
+        const source = req.query.source || 'local';
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+        let index;
+        if (source === 'local') {
+            if (!musicFilesCache) {
+                res.status(503).json({
+                    success: false,
+                    error: 'Music library not yet scanned'
+                });
+                return;
+            }
+            index = getLocalSearchIndex();
+        } else if (getCollection(source)) {
+            index = await getB2SearchIndex(source);
+            if (!index) {
+                res.status(503).json({
+                    success: false,
+                    error: `The ${source} folder hasn't been listed yet`
+                });
+                return;
+            }
+        } else {
+            res.status(400).json({
+                success: false,
+                error: `Invalid source. Must be ${validSourcesText()}.`
+            });
+            return;
+        }
+
+        const searchStart = Date.now();
+        const { total, results, words } = index.search(query, { offset, limit });
+
+        res.json({
+            success: true,
+            query,
+            source,
+            total,
+            offset,
+            limit,
+            words,
+            results: results.map(result => ({
+                fileName: result.fileName,
+                relativePath: result.relativePath,
+                folderPath: result.folderPath,
+                title: result.tags?.title,
+                artist: result.tags?.artist,
+                album: result.tags?.album,
+                year: result.tags?.year,
+                score: result.score
+            })),
+            took: Date.now() - searchStart
+        });
+    } catch (err) {
+        console.error('Search failed:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Search failed'
+        });
+    }
+});
+
+// Every audio file under a folder, including subfolders not shown on the page - used by "Shuffle folder"
+// e.g. /api/tracks?source=live&dir=1994/Phish
+app.get('/api/tracks', (req, res) => {
+    const source = req.query.source || 'local';
+    const dir = (req.query.dir || '').replace(/^\/+|\/+$/g, '');
+
+    let files;
+    if (source === 'local') {
+        if (!musicFilesCache) {
+            res.status(503).json({
+                success: false,
+                error: 'Music library not yet scanned'
+            });
+            return;
+        }
+        files = musicFilesCache;
+    } else if (getCollection(source)) {
+        const listing = folderListingCache.get(source);
+        if (!isCacheValid(listing)) {
+            res.status(503).json({
+                success: false,
+                error: `The ${source} folder hasn't been listed yet`
+            });
+            return;
+        }
+        files = listing.data.filter(file => file.mediaType === 'audio');
+    } else {
+        res.status(400).json({
+            success: false,
+            error: `Invalid source. Must be ${validSourcesText()}.`
+        });
+        return;
+    }
+
+    const tracks = files
+        .filter(file => !dir || file.relativePath.startsWith(`${dir}/`))
+        .map(file => ({
+            fileName: file.fileName,
+            relativePath: file.relativePath,
+            folderPath: file.folderPath
+        }))
+        .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+    res.json({ success: true, source, dir, tracks });
+});
+
+// Helper function to determine media type from file extension
+function getMediaType(fileName) {
+    const lowerFileName = fileName.toLowerCase();
+    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif', '.bmp', '.heic'];
+    const videoExtensions = ['.mp4', '.webm', '.ogv', '.mov', '.avi', '.mkv'];
+
+    if (isAudioFile(lowerFileName)) return 'audio';
+    for (const ext of imageExtensions) {
+        if (lowerFileName.endsWith(ext)) return 'image';
+    }
+    for (const ext of videoExtensions) {
+        if (lowerFileName.endsWith(ext)) return 'video';
+    }
+    // Not played themselves - they split the audio file next to them into tracks
+    if (lowerFileName.endsWith('.cue')) return 'cue';
+    return null;
+}
+
+// Helper function to build directory structure
+function buildDirectoryStructure(musicFiles) {
+    const structure = new Map();
+
+    // Initialize root directory
+    if (!structure.has('__root__')) {
+        structure.set('__root__', { files: [], subdirs: new Set() });
+    }
+
+    musicFiles.forEach(fileInfo => {
+        const parts = fileInfo.folderPath ? fileInfo.folderPath.split('/') : [];
+
+        if (parts.length === 0) {
+            // Files in root directory
+            structure.get('__root__').files.push(fileInfo);
+        } else {
+            // Files in subdirectories
+            const topLevel = parts[0];
+
+            // Add top-level directory to root's subdirs
+            structure.get('__root__').subdirs.add(topLevel);
+
+            // Track top-level directory
+            if (!structure.has(topLevel)) {
                 structure.set(topLevel, { files: [], subdirs: new Set(), hasChildren: parts.length > 1 });
             }
 
-            // Track that this top-level has subdirectories if needed
-            if (parts.length > 1) {
-                structure.get(topLevel).hasChildren = true;
+            // Track that this top-level has subdirectories if needed
+            if (parts.length > 1) {
+                structure.get(topLevel).hasChildren = true;
+            }
+
+            // For all subdirectory paths (including top-level)
+            for (let i = 1; i <= parts.length; i++) {
+                const currentPath = parts.slice(0, i).join('/');
+                if (!structure.has(currentPath)) {
+                    structure.set(currentPath, { files: [], subdirs: new Set() });
+                }
+
+                // Add files that are directly in this path
+                if (i === parts.length) {
+                    structure.get(currentPath).files.push(fileInfo);
+                }
+
+                // Track subdirectories
+                if (i < parts.length) {
+                    const nextPath = parts.slice(0, i + 1).join('/');
+                    structure.get(currentPath).subdirs.add(parts[i]);
+                }
+            }
+        }
+    });
+
+    return structure;
+}
+
+// Helper function to get N most recent songs from a file list
+function getMostRecentSongs(files, limit = 5) {
+    const startTime = Date.now();
+    // Filter only audio files, get the N most recent, then sort those by filename
+    const audioFiles = files.filter(f => !f.mediaType || f.mediaType === 'audio');
+    const result = audioFiles
+        .sort((a, b) => b.modified.getTime() - a.modified.getTime())
+        .slice(0, limit)
+        .sort((a, b) => a.fileName.localeCompare(b.fileName));
+    console.log(`getMostRecentSongs took ${Date.now() - startTime}ms for ${files.length} files`);
+    return result;
+}
+
+// Helper function to build breadcrumb path for a file
+function buildFileBreadcrumb(relativePath) {
+    const parts = relativePath.split('/');
+    const fileName = parts[parts.length - 1];
+    const folders = parts.slice(0, -1);
+
+    if (folders.length === 0) {
+        return fileName;
+    }
+
+    return folders.join(' / ') + ' / ' + fileName;
+}
+
+// Helper function to format duration in mm:ss
+function formatDuration(seconds) {
+    if (!seconds || isNaN(seconds)) return '';
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Helper function to get metadata for recent local songs
+async function getRecentSongsWithMetadata(songs, musicPath) {
+    const startTime = Date.now();
+    const songsWithMetadata = await Promise.all(songs.map(async (song) => {
+        try {
+            const filePath = join(musicPath, song.relativePath);
+            const mimeType = audioMimeType(filePath);
+
+            const metadata = await parseFile(filePath, { mimeType, duration: true, skipCovers: false });
+            const artwork = await getTrackArtwork('local', song.relativePath, null, metadata.common.picture);
+
+            return {
+                ...song,
+                title: metadata.common.title || song.fileName,
+                artist: metadata.common.artist || '',
+                album: metadata.common.album || '',
+                duration: formatDuration(metadata.format.duration),
+                artwork
+            };
+        } catch (err) {
+            console.error(`Error getting metadata for ${song.fileName}:`, err.message);
+            return {
+                ...song,
+                title: song.fileName,
+                artist: '',
+                album: '',
+                duration: '',
+                artwork: null
+            };
+        }
+    }));
+    console.log(`getRecentSongsWithMetadata took ${Date.now() - startTime}ms for ${songs.length} songs`);
+    return songsWithMetadata;
+}
+
+// Helper function to get metadata for recent B2 songs
+async function getRecentB2SongsWithMetadata(songs, folderName) {
+    const startTime = Date.now();
+    const songsWithMetadata = await Promise.all(songs.map(async (song) => {
+        try {
+            const collection = getCollection(folderName);
+            const buffer = await readToBuffer(await collection.storage.read(collection.objectName(song.relativePath)));
+
+            const mimeType = audioMimeType(song.relativePath);
+
+            const metadata = await parseBuffer(buffer, { mimeType, duration: true, skipCovers: false });
+            const artwork = await getTrackArtwork(folderName, song.relativePath, getCollectionFileVersion(folderName, song.relativePath), metadata.common.picture);
+
+            return {
+                ...song,
+                title: metadata.common.title || song.fileName,
+                artist: metadata.common.artist || '',
+                album: metadata.common.album || '',
+                duration: formatDuration(metadata.format.duration),
+                artwork
+            };
+        } catch (err) {
+            console.error(`Error getting B2 metadata for ${song.fileName}:`, err.message);
+            return {
+                ...song,
+                title: song.fileName,
+                artist: '',
+                album: '',
+                duration: '',
+                artwork: null
+            };
+        }
+    }));
+    console.log(`getRecentB2SongsWithMetadata took ${Date.now() - startTime}ms for ${songs.length} songs`);
+    return songsWithMetadata;
+}
+
+// Sources listed in the top nav source selector
+const PAGE_SOURCES = [
+    { id: 'local', href: '/', icon: '&#x1F4BF;', name: 'Local Music', location: 'On Device', status: 'local' },
+    ...cloudCollections.map(collection => (
+        { id: collection.id, href: `/${collection.id}`, icon: '&#x2601;', name: collection.name, location: 'Cloud Storage', status: 'online' }
+    )),
+    { id: 'playlists', href: '/playlists', icon: '&#x1F3B6;', name: 'Playlists', location: 'Saved Playlists', status: 'local' }
+];
+
+// Page header shared by all endpoints (top nav, source selector and loading overlay)
+function pageHeader(title, activeSource, breadcrumbHtml) {
+    const active = PAGE_SOURCES.find(source => source.id === activeSource) || PAGE_SOURCES[0];
+    const options = PAGE_SOURCES.map(source => `
+                <a href="${source.href}" class="source-selector-option${source.id === active.id ? ' active' : ''}">
+                    <span class="source-option-icon">${source.icon}</span>
+                    <span class="source-option-text">
+                        <span class="source-option-name">${source.name}</span>
+                        <span class="source-option-location">${source.location}</span>
+                    </span>
+                    <span class="source-option-status ${source.status}" data-source="${source.id}">&#x25CF;</span>
+                </a>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>analogarchivejs - ${title}</title>
+    <link rel="stylesheet" href="styles.css">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="cloud-collections" content="${cloudCollections.map(collection => collection.id).join(',')}">
+</head>
+<body>
+<nav class="top-nav">
+    <div class="top-nav-left">
+        <div class="source-selector" id="sourceSelector">
+            <button class="source-selector-button" id="sourceSelectorButton">
+                <span class="source-selector-icon">${active.icon}</span>
+                <span class="source-selector-text">${active.name}</span>
+                <span class="source-selector-arrow">&#x25BC;</span>
+            </button>
+            <div class="source-selector-dropdown">${options}
+            </div>
+        </div>
+    </div>
+    <div class="breadcrumb">${breadcrumbHtml}</div>
+    <div class="top-nav-right">
+        <a href="https://stuffedanimalwar.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Stuffed Animal War</a>
+        <a href="https://marginalwayskateparkfoundation.org" class="nav-external-link" target="_blank" rel="noopener noreferrer">Marginal Way</a>
+        <a href="https://skatecreteordie.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Skate Crete or Die</a>
+    </div>
+</nav>
+<div id="endpointLoadingOverlay" class="endpoint-loading-overlay">
+    <div class="endpoint-loading-content">
+        <div class="endpoint-loading-spinner">&#9679;</div>
+        <div class="endpoint-loading-text">Downloading track information...</div>
+    </div>
+</div>
+<div class="container">
+`;
+}
+
+// Page header for the local music endpoint
+function localPageHeader(title, breadcrumbHtml) {
+    return pageHeader(title, 'local', breadcrumbHtml);
+}
+
+// Page footer for the local music endpoint (page scripts and incremental metadata loading)
+function localPageFooter() {
+    return `</div>
+<script src="/discogs-service.js"></script>
+<script src="/audio-handler.js"></script>
+<script src="/playlist-manager.js"></script>
+<script>
+    // Source selector dropdown
+    (function() {
+        const selector = document.getElementById('sourceSelector');
+        const button = document.getElementById('sourceSelectorButton');
+
+        if (selector && button) {
+            button.addEventListener('click', function(e) {
+                e.stopPropagation();
+                selector.classList.toggle('open');
+            });
+
+            // Close dropdown when clicking outside
+            document.addEventListener('click', function(e) {
+                if (!selector.contains(e.target)) {
+                    selector.classList.remove('open');
+                }
+            });
+        }
+
+        // Show loading overlay when switching endpoints
+        const endpointOptions = document.querySelectorAll('.source-selector-option');
+        endpointOptions.forEach(option => {
+            option.addEventListener('click', function(e) {
+                // Don't show overlay if clicking the current endpoint
+                if (option.classList.contains('active')) {
+                    return;
+                }
+
+                // Show loading overlay
+                const overlay = document.getElementById('endpointLoadingOverlay');
+                if (overlay) {
+                    overlay.classList.add('active');
+                }
+
+                // Store state to persist across navigation
+                sessionStorage.setItem('endpointSwitching', 'true');
+            });
+        });
+
+        // Check cloud connectivity status
+        async function updateCloudStatus() {
+            try {
+                const response = await fetch('/api/cloud-status');
+                const data = await response.json();
+
+                // Update all cloud endpoint status indicators
+                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
+                cloudStatuses.forEach(status => {
+                    if (!status.classList.contains('local')) {
+                        const collectionStatus = data.collections && data.collections[status.dataset.source];
+                        if (collectionStatus ? collectionStatus.online : data.online) {
+                            status.className = 'source-option-status online';
+                        } else {
+                            status.className = 'source-option-status offline';
+                        }
+                    }
+                });
+            } catch (error) {
+                // If fetch fails, mark as offline
+                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
+                cloudStatuses.forEach(status => {
+                    if (!status.classList.contains('local')) {
+                        status.className = 'source-option-status offline';
+                    }
+                });
+            }
+        }
+
+        // Check status on load
+        updateCloudStatus();
+
+        // Check status every 30 seconds
+        setInterval(updateCloudStatus, 30000);
+    })();
+
+    // Check if we should show loading overlay on page load
+    (function() {
+        const overlay = document.getElementById('endpointLoadingOverlay');
+        if (sessionStorage.getItem('endpointSwitching') === 'true' && overlay) {
+            overlay.classList.add('active');
+        }
+    })();
+
+    // Helper to clean unprintable characters from ID3 metadata
+    function cleanMetadataText(text) {
+        if (!text) return '';
+        var result = '';
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            // Keep printable characters (32-126) and extended chars (160+)
+            if ((code >= 32 && code < 127) || code > 159) {
+                result += text[i];
+            }
+        }
+        return result.trim();
+    }
+
+    function initLocalPage() {
+        audioHandler.initializePage();
+
+        // Hide loading overlay after page is fully loaded
+        const overlay = document.getElementById('endpointLoadingOverlay');
+        if (overlay) {
+            // Wait a bit for files to load, then hide overlay
+            setTimeout(() => {
+                overlay.classList.remove('active');
+                sessionStorage.removeItem('endpointSwitching');
+            }, 500);
+        }
+
+        // Load metadata for local subdirectory songs one at a time
+        loadLocalSongMetadata();
+
+        // Incrementally load metadata for recent songs
+        loadRecentSongsMetadata();
+    }
+
+    // Initialize immediately - script is at end of HTML after all song rows
+    initLocalPage();
+
+    // Load metadata for local songs in subdirectories
+    async function loadLocalSongMetadata() {
+        const songRows = document.querySelectorAll('.local-song-row');
+        for (const row of songRows) {
+            const link = row.querySelector('a.link[data-audio-type="local"]');
+            if (!link) continue;
+
+            const metadataUrl = link.dataset.metadataUrl;
+            if (!metadataUrl) continue;
+
+            try {
+                const response = await fetch(metadataUrl);
+                const metadata = await response.json();
+
+                // Match the format used by audio-handler's updateLinkDisplay
+                var artist = cleanMetadataText(metadata.artist) || 'Unknown Artist';
+                var album = cleanMetadataText(metadata.album) || 'Unknown Album';
+                var title = cleanMetadataText(metadata.title) || link.dataset.filename;
+
+                // Store original content for restoration later
+                if (!link.dataset.originalContent) {
+                    link.dataset.originalContent = link.innerHTML;
+                }
+
+                // Update link content to match played song format: Artist Album Title
+                link.innerHTML = artist + ' ' + album + ' ' + title;
+
+                // Add artwork thumbnail if available
+                if (metadata.artwork) {
+                    var artwork = metadata.artwork;
+                    var img = document.createElement('img');
+                    img.className = 'song-artwork-thumb';
+                    img.src = artwork;
+                    img.alt = '';
+                    img.style.cssText = 'width: 50px; height: 50px; object-fit: cover; margin-left: auto; border-radius: 4px;';
+                    link.appendChild(img);
+                    link.style.display = 'flex';
+                    link.style.alignItems = 'center';
+                }
+            } catch (err) {
+                // Silently fail if metadata can't be loaded
+            }
+        }
+    }
+
+    // Load metadata for recent songs sequentially
+    async function loadRecentSongsMetadata() {
+        const section = document.querySelector('.recent-songs-section');
+        if (!section) return;
+
+        const source = section.dataset.source;
+        const folder = section.dataset.folder;
+        const items = section.querySelectorAll('.recent-song-item[data-loading="true"]');
+
+        // Helper to load single item
+        async function loadItemMetadata(item) {
+            const path = item.dataset.path;
+            if (!path) return;
+
+            try {
+                let url;
+                if (source === 'b2' && folder) {
+                    url = '/api/b2-song-metadata/' + folder + '?path=' + encodeURIComponent(path);
+                } else {
+                    url = '/api/song-metadata?path=' + encodeURIComponent(path);
+                }
+
+                const response = await fetch(url);
+                const data = await response.json();
+
+                // Update the item with metadata
+                const artworkPlaceholder = item.querySelector('.recent-song-artwork-placeholder');
+                const titleEl = item.querySelector('.recent-song-title');
+                const artistEl = item.querySelector('.recent-song-artist');
+                const albumEl = item.querySelector('.recent-song-album');
+                const durationEl = item.querySelector('.recent-song-duration');
+
+                // Update artwork
+                if (data.artwork && artworkPlaceholder) {
+                    const img = document.createElement('img');
+                    img.className = 'recent-song-artwork';
+                    img.src = data.artwork;
+                    img.alt = '';
+                    artworkPlaceholder.replaceWith(img);
+                } else if (artworkPlaceholder) {
+                    artworkPlaceholder.classList.remove('loading-pulse');
+                }
+
+                // Update title (use metadata title or keep filename)
+                if (data.title && titleEl) {
+                    titleEl.textContent = cleanMetadataText(data.title);
+                }
+
+                // Update artist
+                if (artistEl) {
+                    artistEl.classList.remove('loading-text');
+                    artistEl.textContent = cleanMetadataText(data.artist) || '';
+                }
+
+                // Update album
+                if (albumEl) {
+                    albumEl.textContent = cleanMetadataText(data.album) || '';
+                }
+
+                // Update duration
+                if (durationEl) {
+                    durationEl.classList.remove('loading-text');
+                    durationEl.textContent = data.duration || '';
+                }
+
+                // Mark as loaded
+                item.dataset.loading = 'false';
+
+            } catch (err) {
+                console.error('Failed to load metadata for:', path, err);
+                item.dataset.loading = 'false';
+            }
+        }
+
+        // Load items sequentially to avoid overwhelming the server
+        for (const item of Array.from(items)) {
+            await loadItemMetadata(item);
+        }
+    }
+</script>
+</body></html>`;
+}
+
+// Page header for a B2 folder endpoint
+function b2PageHeader(folderName, breadcrumbHtml) {
+    return pageHeader(getCollection(folderName).name, folderName, breadcrumbHtml);
+}
+
+// Page footer for a B2 folder endpoint
+function b2PageFooter() {
+    return `</div>
+<script src="/discogs-service.js"></script>
+<script src="/audio-handler.js"></script>
+<script src="/playlist-manager.js"></script>
+<script>
+    // Source selector dropdown
+    (function() {
+        const selector = document.getElementById('sourceSelector');
+        const button = document.getElementById('sourceSelectorButton');
+
+        if (selector && button) {
+            button.addEventListener('click', function(e) {
+                e.stopPropagation();
+                selector.classList.toggle('open');
+            });
+
+            // Close dropdown when clicking outside
+            document.addEventListener('click', function(e) {
+                if (!selector.contains(e.target)) {
+                    selector.classList.remove('open');
+                }
+            });
+        }
+
+        // Show loading overlay when switching endpoints
+        const endpointOptions = document.querySelectorAll('.source-selector-option');
+        endpointOptions.forEach(option => {
+            option.addEventListener('click', function(e) {
+                // Don't show overlay if clicking the current endpoint
+                if (option.classList.contains('active')) {
+                    return;
+                }
+
+                // Show loading overlay
+                const overlay = document.getElementById('endpointLoadingOverlay');
+                if (overlay) {
+                    overlay.classList.add('active');
+                }
+
+                // Store state to persist across navigation
+                sessionStorage.setItem('endpointSwitching', 'true');
+            });
+        });
+
+        // Check cloud connectivity status
+        async function updateCloudStatus() {
+            try {
+                const response = await fetch('/api/cloud-status');
+                const data = await response.json();
+
+                // Update all cloud endpoint status indicators
+                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
+                cloudStatuses.forEach(status => {
+                    if (!status.classList.contains('local')) {
+                        const collectionStatus = data.collections && data.collections[status.dataset.source];
+                        if (collectionStatus ? collectionStatus.online : data.online) {
+                            status.className = 'source-option-status online';
+                        } else {
+                            status.className = 'source-option-status offline';
+                        }
+                    }
+                });
+            } catch (error) {
+                // If fetch fails, mark as offline
+                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
+                cloudStatuses.forEach(status => {
+                    if (!status.classList.contains('local')) {
+                        status.className = 'source-option-status offline';
+                    }
+                });
+            }
+        }
+
+        // Check status on load
+        updateCloudStatus();
+
+        // Check status every 30 seconds
+        setInterval(updateCloudStatus, 30000);
+    })();
+
+    // Helper to clean unprintable characters from ID3 metadata
+    function cleanMetadataText(text) {
+        if (!text) return '';
+        var result = '';
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            // Keep printable characters (32-126) and extended chars (160+)
+            if ((code >= 32 && code < 127) || code > 159) {
+                result += text[i];
             }
+        }
+        return result.trim();
+    }
 
-            // For all subdirectory paths (including top-level)
-            for (let i = 1; i <= parts.length; i++) {
-                const currentPath = parts.slice(0, i).join('/');
-                if (!structure.has(currentPath)) {
-                    structure.set(currentPath, { files: [], subdirs: new Set() });
+    // Initialize search functionality for B2 pages
+    function initB2Page() {
+        audioHandler.initializePage();
+
+        // Hide loading overlay after page is fully loaded
+        const overlay = document.getElementById('endpointLoadingOverlay');
+        if (overlay) {
+            // Wait a bit for files to load, then hide overlay
+            setTimeout(() => {
+                overlay.classList.remove('active');
+                sessionStorage.removeItem('endpointSwitching');
+            }, 500);
+        }
+
+        // Load metadata for B2 subdirectory songs one at a time
+        loadB2SongMetadata();
+
+        // Incrementally load metadata for recent songs
+        loadRecentSongsMetadata();
+    }
+
+    // Load metadata for B2 songs in subdirectories
+    async function loadB2SongMetadata() {
+        const songRows = document.querySelectorAll('.b2-song-row');
+        for (const row of songRows) {
+            const link = row.querySelector('a.link[data-audio-type="b2"]');
+            if (!link) continue;
+
+            const metadataUrl = link.dataset.metadataUrl;
+            if (!metadataUrl) continue;
+
+            try {
+                const response = await fetch(metadataUrl);
+                const metadata = await response.json();
+
+                // Match the format used by audio-handler's updateLinkDisplay
+                var artist = cleanMetadataText(metadata.artist) || 'Unknown Artist';
+                var album = cleanMetadataText(metadata.album) || 'Unknown Album';
+                var title = cleanMetadataText(metadata.title) || link.dataset.filename;
+
+                // Store original content for restoration later
+                if (!link.dataset.originalContent) {
+                    link.dataset.originalContent = link.innerHTML;
+                }
+
+                // Update link content to match played song format: Artist Album Title
+                link.innerHTML = artist + ' ' + album + ' ' + title;
+
+                // Add artwork thumbnail if available
+                if (metadata.artwork) {
+                    var artwork = metadata.artwork;
+                    var img = document.createElement('img');
+                    img.className = 'song-artwork-thumb';
+                    img.src = artwork;
+                    img.alt = '';
+                    img.style.cssText = 'width: 50px; height: 50px; object-fit: cover; margin-left: auto; border-radius: 4px;';
+                    link.appendChild(img);
+                    link.style.display = 'flex';
+                    link.style.alignItems = 'center';
+                }
+            } catch (err) {
+                // Silently fail if metadata can't be loaded
+            }
+        }
+    }
+
+    // Initialize immediately - script is at end of HTML after all song rows
+    initB2Page();
+
+    // Load metadata for recent songs sequentially
+    async function loadRecentSongsMetadata() {
+        const section = document.querySelector('.recent-songs-section');
+        if (!section) return;
+
+        const source = section.dataset.source;
+        const folder = section.dataset.folder;
+        const items = section.querySelectorAll('.recent-song-item[data-loading="true"]');
+
+        // Helper to load single item
+        async function loadItemMetadata(item) {
+            const path = item.dataset.path;
+            if (!path) return;
+
+            try {
+                let url;
+                if (source === 'b2' && folder) {
+                    url = '/api/b2-song-metadata/' + folder + '?path=' + encodeURIComponent(path);
+                } else {
+                    url = '/api/song-metadata?path=' + encodeURIComponent(path);
+                }
+
+                const response = await fetch(url);
+                const data = await response.json();
+
+                // Update the item with metadata
+                const artworkPlaceholder = item.querySelector('.recent-song-artwork-placeholder');
+                const titleEl = item.querySelector('.recent-song-title');
+                const artistEl = item.querySelector('.recent-song-artist');
+                const albumEl = item.querySelector('.recent-song-album');
+                const durationEl = item.querySelector('.recent-song-duration');
+
+                // Update artwork
+                if (data.artwork && artworkPlaceholder) {
+                    const img = document.createElement('img');
+                    img.className = 'recent-song-artwork';
+                    img.src = data.artwork;
+                    img.alt = '';
+                    artworkPlaceholder.replaceWith(img);
+                } else if (artworkPlaceholder) {
+                    artworkPlaceholder.classList.remove('loading-pulse');
+                }
+
+                // Update title (use metadata title or keep filename)
+                if (data.title && titleEl) {
+                    titleEl.textContent = cleanMetadataText(data.title);
+                }
+
+                // Update artist
+                if (artistEl) {
+                    artistEl.classList.remove('loading-text');
+                    artistEl.textContent = cleanMetadataText(data.artist) || '';
+                }
+
+                // Update album
+                if (albumEl) {
+                    albumEl.textContent = cleanMetadataText(data.album) || '';
+                }
+
+                // Update duration
+                if (durationEl) {
+                    durationEl.classList.remove('loading-text');
+                    durationEl.textContent = data.duration || '';
                 }
 
-                // Add files that are directly in this path
-                if (i === parts.length) {
-                    structure.get(currentPath).files.push(fileInfo);
-                }
+                // Mark as loaded
+                item.dataset.loading = 'false';
+
+            } catch (err) {
+                console.error('Failed to load metadata for:', path, err);
+                item.dataset.loading = 'false';
+            }
+        }
+
+        // Load items sequentially to avoid overwhelming B2 on first load
+        // (cached loads will be fast on subsequent visits)
+        for (const item of Array.from(items)) {
+            await loadItemMetadata(item);
+        }
+    }
+</script>
+</body></html>`;
+}
+
+// Rows for the tracks of a file with a CUE sheet - one per track, each playing the file from the
+// track's INDEX 01. linkAttributes are the data attributes of the file's own row; the rows are left
+// out of the metadata loaders, which would replace the track titles with the file's tags
+function cueSongRowsHtml(file, linkAttributes, directUrl) {
+    const fileDuration = file.tags?.duration;
+    return file.cueTracks.map((track, index) => {
+        const next = file.cueTracks[index + 1];
+        const duration = (next ? next.start : fileDuration) - track.start;
+        return `
+                <div class="song-row cue-song-row" data-path="${file.relativePath}">
+                    <a class="link"
+                       ${linkAttributes}
+                       data-cue-start="${track.start}">
+                    <span class="cue-song-number">${String(index + 1).padStart(2, '0')}</span>
+                    <span class="cue-song-title">${escapeHtml(track.title)}</span>
+                    <span class="cue-song-artist" style="font-size: 12px; opacity: 0.7; margin-left: 8px;">${escapeHtml(track.performer || '')}</span>
+                    <span class="cue-song-duration" style="font-size: 11px; opacity: 0.6; margin-left: 8px;">${duration > 0 ? formatDuration(duration) : ''}</span>
+                    </a>
+                    <a class="direct-link" href="${directUrl}" title="Direct link to file">&#128279;</a>
+                    <button class="add-to-playlist" title="Add to queue or playlist">&#x2795;</button>
+                </div>`;
+    }).join('');
+}
+
+// Song row for a local audio file (picked up by the playlist and loadLocalSongMetadata)
+function localSongRowHtml(fileInfo) {
+    const encodedPath = fileInfo.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+    const directUrl = `/music/${encodedPath}`;
+    const metadataUrl = `/localmetadata/${encodedPath}`;
+    const linkAttributes = `data-filename="${fileInfo.fileName}"
+                       data-folder="${fileInfo.folderPath}"
+                       data-relative-path="${fileInfo.relativePath}"
+                       data-metadata-url="${metadataUrl}"
+                       data-audio-type="local"`;
+
+    if (fileInfo.cueTracks) {
+        return cueSongRowsHtml(fileInfo, linkAttributes, directUrl);
+    }
+
+    return `
+                <div class="song-row local-song-row" data-path="${fileInfo.relativePath}">
+                    <a class="link"
+                       ${linkAttributes}>
+                    <span class="local-song-title">${fileInfo.fileName}</span>
+                    <span class="local-song-artist" style="font-size: 12px; opacity: 0.7; margin-left: 8px;"></span>
+                    <span class="local-song-duration" style="font-size: 11px; opacity: 0.6; margin-left: 8px;"></span>
+                    </a>
+                    <a class="direct-link" href="${directUrl}" title="Direct link to file">&#128279;</a>
+                    <button class="add-to-playlist" title="Add to queue or playlist">&#x2795;</button>
+                </div>`;
+}
+
+// Song row for a B2 audio file (picked up by the playlist and loadB2SongMetadata)
+function b2SongRowHtml(folderName, file) {
+    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
+    const metadataUrl = `/b2metadata/${folderName}/${encodedPath}`;
+    const linkAttributes = `data-filename="${file.fileName}"
+                           data-folder="${file.folderPath}"
+                           data-relative-path="${file.relativePath}"
+                           data-proxy-url="${proxyUrl}"
+                           data-metadata-url="${metadataUrl}"
+                           data-audio-type="b2"`;
 
-                // Track subdirectories
-                if (i < parts.length) {
-                    const nextPath = parts.slice(0, i + 1).join('/');
-                    structure.get(currentPath).subdirs.add(parts[i]);
-                }
-            }
-        }
-    });
+    if (file.cueTracks) {
+        return cueSongRowsHtml(file, linkAttributes, proxyUrl);
+    }
 
-    return structure;
+    return `
+                    <div class="song-row b2-song-row" data-path="${file.relativePath}">
+                        <a class="link"
+                           ${linkAttributes}>
+                        <span class="b2-song-title">${file.fileName}</span>
+                        <span class="b2-song-artist" style="font-size: 12px; opacity: 0.7; margin-left: 8px;"></span>
+                        <span class="b2-song-duration" style="font-size: 11px; opacity: 0.6; margin-left: 8px;"></span>
+                        </a>
+                        <a class="direct-link" href="${proxyUrl}" title="Direct link to file">&#128279;</a>
+                        <button class="add-to-playlist" title="Add to queue or playlist">&#x2795;</button>
+                    </div>`;
 }
 
-// Helper function to get N most recent songs from a file list
-function getMostRecentSongs(files, limit = 5) {
-    const startTime = Date.now();
-    // Filter only audio files, get the N most recent, then sort those by filename
-    const audioFiles = files.filter(f => !f.mediaType || f.mediaType === 'audio');
-    const result = audioFiles
-        .sort((a, b) => b.modified.getTime() - a.modified.getTime())
-        .slice(0, limit)
-        .sort((a, b) => a.fileName.localeCompare(b.fileName));
-    console.log(`getMostRecentSongs took ${Date.now() - startTime}ms for ${files.length} files`);
-    return result;
+// Escape tag text for HTML output (tags come from user files and can contain anything)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Helper function to build breadcrumb path for a file
-function buildFileBreadcrumb(relativePath) {
-    const parts = relativePath.split('/');
-    const fileName = parts[parts.length - 1];
-    const folders = parts.slice(0, -1);
+// URL of a browse view page, e.g. /analog?view=artists&artist=Pixies
+function browseUrl(basePath, view, params = {}) {
+    return `${basePath}?${new URLSearchParams({ view, ...params })}`;
+}
 
-    if (folders.length === 0) {
-        return fileName;
+// Folders / Artists / Albums / Genres / Years tabs shown at the top of a source
+function browseTabsHtml(basePath, activeView) {
+    let html = '<div class="browse-tabs">';
+    html += `<a href="${basePath}" class="browse-tab${activeView ? '' : ' active'}">Folders</a>`;
+    for (const [view, config] of Object.entries(BROWSE_VIEWS)) {
+        html += `<a href="${browseUrl(basePath, view)}" class="browse-tab${activeView === view ? ' active' : ''}">${config.label}</a>`;
     }
+    html += '</div>';
+    return html;
+}
 
-    return folders.join(' / ') + ' / ' + fileName;
+// "Shuffle folder" action - plays every audio file under the folder, subfolders included (see /api/tracks)
+function shuffleFolderButtonHtml(source, dir) {
+    return `<div class="folder-actions">
+        <button class="shuffle-folder-button" data-source="${source}" data-dir="${escapeHtml(dir)}" title="Shuffle every song in this folder and its subfolders">&#x1F500; Shuffle folder</button>
+    </div>`;
 }
 
-// Helper function to format duration in mm:ss
-function formatDuration(seconds) {
-    if (!seconds || isNaN(seconds)) return '';
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+// Label of the group selected in a browse query, or null when only the group list is shown
+function browseSelectionLabel(view, query) {
+    if (view === 'years') {
+        if (query.decade) return query.decade;
+        if (query.year !== undefined) return query.year === 'unknown' ? BROWSE_VIEWS.years.unknown : query.year;
+        return null;
+    }
+    if (view === 'albums' && query.album !== undefined) {
+        return query.albumArtist ? `${query.album} - ${query.albumArtist}` : query.album;
+    }
+    return query[BROWSE_VIEWS[view].param] ?? null;
 }
 
-// Helper function to get metadata for recent local songs
-async function getRecentSongsWithMetadata(songs, musicPath) {
-    const startTime = Date.now();
-    const songsWithMetadata = await Promise.all(songs.map(async (song) => {
-        try {
-            const filePath = join(musicPath, song.relativePath);
-            const fileExt = extname(filePath).toLowerCase();
-            let mimeType = 'audio/mpeg';
-            if (fileExt === '.flac') mimeType = 'audio/flac';
-            if (fileExt === '.m4b') mimeType = 'audio/mp4';
+// Build a tag browse page for a source: the list of groups, or the songs in the selected group
+// Returns { title, breadcrumbHtml, html } - song rows come from songRowHtml so the player and
+// metadata loaders treat them exactly like the rows in the folder view
+function buildBrowsePage({ basePath, sourceName, view, query, tracks, songRowHtml, metadataLoader, note = '' }) {
+    const config = BROWSE_VIEWS[view];
+    query = browseSelection(query);
+    const selectionLabel = browseSelectionLabel(view, query);
+
+    let breadcrumbHtml = `<a href="${basePath}" class="breadcrumb-link">${sourceName}</a>`;
+    breadcrumbHtml += selectionLabel === null
+        ? ` / <span class="breadcrumb-current">${config.label}</span>`
+        : ` / <a href="${browseUrl(basePath, view)}" class="breadcrumb-link">${config.label}</a> / <span class="breadcrumb-current">${escapeHtml(selectionLabel)}</span>`;
+
+    let html = browseTabsHtml(basePath, view);
+    if (note) {
+        html += `<div class="browse-note">${note}</div>`;
+    }
 
-            const metadata = await parseFile(filePath, { mimeType, duration: true, skipCovers: false });
+    if (selectionLabel === null) {
+        const groups = listBrowseGroups(tracks, view);
 
-            // Get artwork as base64
-            let artwork = null;
-            if (metadata.common.picture && metadata.common.picture.length > 0) {
-                const picture = metadata.common.picture[0];
-                const picData = Buffer.isBuffer(picture.data) ? picture.data : Buffer.from(picture.data);
-                artwork = `data:${picture.format};base64,${picData.toString('base64')}`;
+        // Years view also offers whole decades
+        if (view === 'years') {
+            const decades = listDecades(groups);
+            if (decades.length > 0) {
+                html += '<div class="media-section directory-section"><h2 class="section-header">Decades</h2>';
+                for (const decade of decades) {
+                    html += `
+            <div class="song-row folder-row">
+                <a href="${browseUrl(basePath, view, { decade: decade.label })}" class="folder-link">${decade.label} <span class="browse-count">(${decade.count})</span></a>
+            </div>`;
+                }
+                html += '</div>';
             }
-
-            return {
-                ...song,
-                title: metadata.common.title || song.fileName,
-                artist: metadata.common.artist || '',
-                album: metadata.common.album || '',
-                duration: formatDuration(metadata.format.duration),
-                artwork
-            };
-        } catch (err) {
-            console.error(`Error getting metadata for ${song.fileName}:`, err.message);
-            return {
-                ...song,
-                title: song.fileName,
-                artist: '',
-                album: '',
-                duration: '',
-                artwork: null
-            };
         }
-    }));
-    console.log(`getRecentSongsWithMetadata took ${Date.now() - startTime}ms for ${songs.length} songs`);
-    return songsWithMetadata;
-}
 
-// Helper function to get metadata for recent B2 songs
-async function getRecentB2SongsWithMetadata(songs, folderName) {
-    const startTime = Date.now();
-    const songsWithMetadata = await Promise.all(songs.map(async (song) => {
-        try {
-            await b2.authorize();
-            const b2FilePath = `${folderName}/${song.relativePath}`;
-            const downloadResponse = await b2.downloadFileByName({
-                bucketName: bucketName,
-                fileName: b2FilePath,
-                responseType: 'arraybuffer'
-            });
+        html += `<div class="media-section directory-section"><h2 class="section-header">${config.label}</h2>`;
+        if (groups.length === 0) {
+            html += '<div class="browse-empty">No songs found</div>';
+        }
+        for (const group of groups) {
+            const sublabel = group.sublabel && view !== 'years'
+                ? ` <span class="browse-sublabel">${escapeHtml(group.sublabel)}</span>`
+                : '';
+            html += `
+            <div class="song-row folder-row">
+                <a href="${escapeHtml(browseUrl(basePath, view, group.params))}" class="folder-link">${escapeHtml(group.label)}${sublabel} <span class="browse-count">(${group.count})</span></a>
+            </div>`;
+        }
+        html += '</div>';
 
-            // Convert response to buffer
-            let buffer;
-            const rawData = downloadResponse.data;
-            if (rawData instanceof ArrayBuffer) {
-                buffer = Buffer.from(rawData);
-            } else if (rawData && rawData.type === 'Buffer' && Array.isArray(rawData.data)) {
-                buffer = Buffer.from(rawData.data);
-            } else {
-                buffer = Buffer.from(rawData);
-            }
+        return { title: config.label, breadcrumbHtml, html };
+    }
 
-            const fileExt = extname(song.relativePath).toLowerCase();
+    const matchingTracks = filterBrowseTracks(tracks, view, query);
+    html += `<div class="media-section audio-section"><h2 class="section-header">Songs <button id="refreshSongMeta" onclick="${metadataLoader}()" style="margin-left: 10px; padding: 2px 8px; font-size: 11px; cursor: pointer; background: #333; color: #0f0; border: 1px solid #0f0; border-radius: 4px;" title="Refresh ID3 metadata">&#x21bb; ID3</button></h2>`;
+    if (matchingTracks.length === 0) {
+        html += '<div class="browse-empty">No songs found</div>';
+    }
+    for (const track of matchingTracks) {
+        html += songRowHtml(track);
+    }
+    html += '</div>';
 
-            let mimeType = 'audio/mpeg';
-            if (fileExt === '.flac') mimeType = 'audio/flac';
-            if (fileExt === '.m4b') mimeType = 'audio/mp4';
+    return { title: `${config.label} - ${escapeHtml(selectionLabel)}`, breadcrumbHtml, html };
+}
 
-            const metadata = await parseBuffer(buffer, { mimeType, duration: true, skipCovers: false });
+// Tag fields of a cached B2 metadata response (as returned by /b2metadata or /api/b2-song-metadata)
+function b2TagsFromMetadata(data) {
+    return {
+        title: data.title,
+        artist: data.artist,
+        album: data.album,
+        albumArtist: data.albumArtist,
+        genre: data.genre,
+        year: data.year,
+        trackNumber: data.trackNumber,
+        discNumber: data.discNumber
+    };
+}
 
-            let artwork = null;
-            if (metadata.common.picture && metadata.common.picture.length > 0) {
-                const picture = metadata.common.picture[0];
-                const picData = Buffer.isBuffer(picture.data) ? picture.data : Buffer.from(picture.data);
-                artwork = `data:${picture.format};base64,${picData.toString('base64')}`;
+// Attach cached ID3 tags to B2 files for the browse views and search
+// B2 files are only tagged once their metadata has been fetched (folder views load it in the background)
+async function attachCachedB2Tags(folderName, b2Files) {
+    const BATCH_SIZE = 50;
+    const tracks = [];
+
+    for (let i = 0; i < b2Files.length; i += BATCH_SIZE) {
+        const batch = b2Files.slice(i, i + BATCH_SIZE);
+        const batchTracks = await Promise.all(batch.map(async (file) => {
+            const b2FilePath = `${folderName}/${file.relativePath}`;
+            let cached = metadataCache.get(b2FilePath);
+            if (!isCacheValid(cached)) {
+                cached = await loadB2MetadataFromDisk(b2FilePath);
             }
+            return { ...file, tags: cached ? b2TagsFromMetadata(cached.data) : null };
+        }));
+        tracks.push(...batchTracks);
+    }
 
-            return {
-                ...song,
-                title: metadata.common.title || song.fileName,
-                artist: metadata.common.artist || '',
-                album: metadata.common.album || '',
-                duration: formatDuration(metadata.format.duration),
-                artwork
-            };
-        } catch (err) {
-            console.error(`Error getting B2 metadata for ${song.fileName}:`, err.message);
-            return {
-                ...song,
-                title: song.fileName,
-                artist: '',
-                album: '',
-                duration: '',
-                artwork: null
-            };
-        }
-    }));
-    console.log(`getRecentB2SongsWithMetadata took ${Date.now() - startTime}ms for ${songs.length} songs`);
-    return songsWithMetadata;
+    return tracks;
 }
 
 // Original local music endpoint with directory navigation
@@ -1565,14 +4295,36 @@ app.get('/', async (req,res) =>{
 <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
             background: rgba(0, 0, 0, 0.9); color: lime; padding: 30px 50px;
             border: 2px solid lime; border-radius: 10px; font-size: 24px; text-align: center;">
-    No music folder found<br>
-    <span style="font-size: 14px; opacity: 0.7;">Create a "${directoryPathMusic}" directory or symlink</span>
+    No music found<br>
+    ${musicRoots.map(root => `<span style="font-size: 14px; opacity: 0.7;">${root.online
+        ? `${root.label}: no music files in "${root.path}"`
+        : `${root.label}: "${root.path}" not found or empty - create it, mount the drive or add a symlink`}</span>`).join('<br>')}
 </div>
 </body>
 </html>`);
             return;
         }
 
+        // Tag browse views (?view=artists|albums|genres|years)
+        const browseView = req.query.view;
+        if (BROWSE_VIEWS[browseView]) {
+            const page = buildBrowsePage({
+                basePath: '/',
+                sourceName: 'Local Music',
+                view: browseView,
+                query: req.query,
+                tracks: musicFiles,
+                songRowHtml: localSongRowHtml,
+                metadataLoader: 'loadLocalSongMetadata',
+                note: libraryTagPromise ? 'Still reading tags - some songs are listed under Unknown for now' : ''
+            });
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.write(localPageHeader(page.title, page.breadcrumbHtml));
+            res.write(page.html);
+            res.end(localPageFooter());
+            return;
+        }
+
         // Get current directory from query parameter
         const currentPath = req.query.dir || '';
 
@@ -1616,6 +4368,10 @@ app.get('/', async (req,res) =>{
         currentContent.subdirs.sort();
         currentContent.files.sort((a, b) => a.fileName.localeCompare(b.fileName));
 
+        // Unplugged roots are still listed at the top level, marked offline
+        const offlineRoots = currentPath === '' ? musicRoots.filter(root => root.id && !root.online) : [];
+        const currentRoot = currentPath ? findMusicRoot(musicRoots, `${currentPath}/`) : null;
+
         // Send header immediately
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
 
@@ -1628,86 +4384,24 @@ app.get('/', async (req,res) =>{
         pathParts.forEach((part, index) => {
             buildPath += (buildPath ? '/' : '') + part;
             const isLast = index === pathParts.length - 1;
+            const label = index === 0 ? localFolderLabel(part) : part;
             if (isLast) {
-                breadcrumbHtml += ` / <span class="breadcrumb-current">${part}</span>`;
+                breadcrumbHtml += ` / <span class="breadcrumb-current">${label}</span>`;
             } else {
-                breadcrumbHtml += ` / <a href="/?dir=${encodeURIComponent(buildPath)}" class="breadcrumb-link">${part}</a>`;
+                breadcrumbHtml += ` / <a href="/?dir=${encodeURIComponent(buildPath)}" class="breadcrumb-link">${label}</a>`;
             }
         });
 
         // Send HTML head right away
-        res.write(`<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>analogarchivejs - ${currentPath || 'Local Music'}</title>
-    <link rel="stylesheet" href="styles.css">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body>
-<nav class="top-nav">
-    <div class="top-nav-left">
-        <div class="source-selector" id="sourceSelector">
-            <button class="source-selector-button" id="sourceSelectorButton">
-                <span class="source-selector-icon">&#x1F4BF;</span>
-                <span class="source-selector-text">Local Music</span>
-                <span class="source-selector-arrow">&#x25BC;</span>
-            </button>
-            <div class="source-selector-dropdown">
-                <a href="/" class="source-selector-option active">
-                    <span class="source-option-icon">&#x1F4BF;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Local Music</span>
-                        <span class="source-option-location">On Device</span>
-                    </span>
-                    <span class="source-option-status local">&#x25CF;</span>
-                </a>
-                <a href="/analog" class="source-selector-option">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Analog</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-                <a href="/live" class="source-selector-option">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Live</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-                <a href="/digital" class="source-selector-option">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Digital</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-            </div>
-        </div>
-    </div>
-    <div class="breadcrumb">${breadcrumbHtml}</div>
-    <div class="top-nav-right">
-        <a href="https://stuffedanimalwar.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Stuffed Animal War</a>
-        <a href="https://marginalwayskateparkfoundation.org" class="nav-external-link" target="_blank" rel="noopener noreferrer">Marginal Way</a>
-        <a href="https://skatecreteordie.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Skate Crete or Die</a>
-    </div>
-</nav>
-<div id="endpointLoadingOverlay" class="endpoint-loading-overlay">
-    <div class="endpoint-loading-content">
-        <div class="endpoint-loading-spinner">&#9679;</div>
-        <div class="endpoint-loading-text">Downloading track information...</div>
-    </div>
-</div>
-<div class="container">
-`);
+        res.write(localPageHeader(currentPath || 'Local Music', breadcrumbHtml));
 
-        // Add recent songs section if we're at the root (renders immediately, metadata loads async)
+        // Add browse tabs and recent songs section if we're at the root (renders immediately, metadata loads async)
         let chunk = '';
+        if (currentRoot && !currentRoot.online) {
+            chunk += `<div class="offline-root-notice">&#9888; ${currentRoot.label} is offline - plug in or mount ${currentRoot.path} to play it</div>`;
+        }
         if (currentPath === '') {
+            chunk += browseTabsHtml('/', null);
             const recentSongs = getMostRecentSongs(musicFiles, 7);
             if (recentSongs.length > 0) {
                 chunk += '<div class="recent-songs-section" data-source="local">';
@@ -1738,6 +4432,7 @@ app.get('/', async (req,res) =>{
                             <span class="recent-song-duration"></span>
                         </a>
                         <a class="direct-link" href="${directUrl}" title="Direct link to file">&#128279;</a>
+                        <button class="add-to-playlist" title="Add to queue or playlist">&#x2795;</button>
                     </div>`;
                 }
 
@@ -1745,8 +4440,13 @@ app.get('/', async (req,res) =>{
             }
         }
 
+        if (currentContent.subdirs.length > 0 || currentContent.files.some(f => !f.mediaType || f.mediaType === 'audio')) {
+            chunk += shuffleFolderButtonHtml('local', currentPath);
+        }
+
         // Stream subdirectories first
-        if (currentContent.subdirs.length > 0) {
+        const hasDirectories = currentContent.subdirs.length > 0 || offlineRoots.length > 0;
+        if (hasDirectories) {
             chunk += '<div class="media-section directory-section"><h2 class="section-header">Directories</h2>';
         }
         for (const subdir of currentContent.subdirs) {
@@ -1754,11 +4454,17 @@ app.get('/', async (req,res) =>{
             chunk += `
             <div class="song-row folder-row">
                 <a href="/?dir=${encodeURIComponent(subdirPath)}" class="folder-link">
-                ${subdir}
+                ${currentPath ? subdir : localFolderLabel(subdir)}
                 </a>
             </div>`;
         }
-        if (currentContent.subdirs.length > 0) {
+        for (const root of offlineRoots) {
+            chunk += `
+            <div class="song-row folder-row offline-root" title="${root.path}">
+                <span class="folder-link">${root.label} <span class="offline-root-status">offline</span></span>
+            </div>`;
+        }
+        if (hasDirectories) {
             chunk += '</div>';
         }
 
@@ -1782,25 +4488,7 @@ app.get('/', async (req,res) =>{
         if (audioFiles.length > 0) {
             chunk += '<div class="media-section audio-section"><h2 class="section-header">Songs <button id="refreshSongMeta" onclick="loadLocalSongMetadata()" style="margin-left: 10px; padding: 2px 8px; font-size: 11px; cursor: pointer; background: #333; color: #0f0; border: 1px solid #0f0; border-radius: 4px;" title="Refresh ID3 metadata">&#x21bb; ID3</button></h2>';
             for (let i = 0; i < audioFiles.length; i++) {
-                const fileInfo = audioFiles[i];
-                const encodedPath = fileInfo.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
-                const directUrl = `/music/${encodedPath}`;
-                const metadataUrl = `/localmetadata/${encodedPath}`;
-
-                chunk += `
-                <div class="song-row local-song-row" data-path="${fileInfo.relativePath}">
-                    <a class="link"
-                       data-filename="${fileInfo.fileName}"
-                       data-folder="${fileInfo.folderPath}"
-                       data-relative-path="${fileInfo.relativePath}"
-                       data-metadata-url="${metadataUrl}"
-                       data-audio-type="local">
-                    <span class="local-song-title">${fileInfo.fileName}</span>
-                    <span class="local-song-artist" style="font-size: 12px; opacity: 0.7; margin-left: 8px;"></span>
-                    <span class="local-song-duration" style="font-size: 11px; opacity: 0.6; margin-left: 8px;"></span>
-                    </a>
-                    <a class="direct-link" href="${directUrl}" title="Direct link to file">&#128279;</a>
-                </div>`;
+                chunk += localSongRowHtml(audioFiles[i]);
 
                 if (i % 50 === 0 && chunk.length > 0) {
                     res.write(chunk);
@@ -1863,270 +4551,378 @@ app.get('/', async (req,res) =>{
                 </div>`;
 
                 if (i % 10 === 0 && chunk.length > 0) {
-                    res.write(chunk);
-                    chunk = '';
-                }
-            }
-            chunk += '</div></div>';
-        }
-
-        // Write any remaining chunk
-        if (chunk.length > 0) {
-            res.write(chunk);
-        }
-
-        // Send footer
-        res.write(`</div>
-<script src="/discogs-service.js"></script>
-<script src="/audio-handler.js"></script>
-<script>
-    // Source selector dropdown
-    (function() {
-        const selector = document.getElementById('sourceSelector');
-        const button = document.getElementById('sourceSelectorButton');
-
-        if (selector && button) {
-            button.addEventListener('click', function(e) {
-                e.stopPropagation();
-                selector.classList.toggle('open');
-            });
-
-            // Close dropdown when clicking outside
-            document.addEventListener('click', function(e) {
-                if (!selector.contains(e.target)) {
-                    selector.classList.remove('open');
-                }
-            });
-        }
-
-        // Show loading overlay when switching endpoints
-        const endpointOptions = document.querySelectorAll('.source-selector-option');
-        endpointOptions.forEach(option => {
-            option.addEventListener('click', function(e) {
-                // Don't show overlay if clicking the current endpoint
-                if (option.classList.contains('active')) {
-                    return;
-                }
-
-                // Show loading overlay
-                const overlay = document.getElementById('endpointLoadingOverlay');
-                if (overlay) {
-                    overlay.classList.add('active');
+                    res.write(chunk);
+                    chunk = '';
                 }
+            }
+            chunk += '</div></div>';
+        }
 
-                // Store state to persist across navigation
-                sessionStorage.setItem('endpointSwitching', 'true');
-            });
-        });
+        // Write any remaining chunk
+        if (chunk.length > 0) {
+            res.write(chunk);
+        }
 
-        // Check cloud connectivity status
-        async function updateCloudStatus() {
-            try {
-                const response = await fetch('/api/cloud-status');
-                const data = await response.json();
+        // Send footer
+        res.write(localPageFooter());
 
-                // Update all cloud endpoint status indicators
-                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
-                cloudStatuses.forEach(status => {
-                    if (!status.classList.contains('local')) {
-                        if (data.online) {
-                            status.className = 'source-option-status online';
-                        } else {
-                            status.className = 'source-option-status offline';
-                        }
-                    }
-                });
-            } catch (error) {
-                // If fetch fails, mark as offline
-                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
-                cloudStatuses.forEach(status => {
-                    if (!status.classList.contains('local')) {
-                        status.className = 'source-option-status offline';
-                    }
-                });
-            }
-        }
+        res.end();
+    } catch (err) {
+        console.error(err);
+        res.writeHead(500);
+        res.end('Internal Server Error');
+    }
+});
 
-        // Check status on load
-        updateCloudStatus();
+// Playlists - named, server-stored track lists that can mix local files and B2 folders
+const PLAYLIST_SOURCES = ['local', ...cloudCollections.map(collection => collection.id)];
 
-        // Check status every 30 seconds
-        setInterval(updateCloudStatus, 30000);
-    })();
+// Display label for a local file: "Artist - Title" from its tags, or the file name
+function localTrackLabel(file) {
+    if (!file.tags?.title) return file.fileName;
+    return file.tags.artist ? `${file.tags.artist} - ${file.tags.title}` : file.tags.title;
+}
 
-    // Check if we should show loading overlay on page load
-    (function() {
-        const overlay = document.getElementById('endpointLoadingOverlay');
-        if (sessionStorage.getItem('endpointSwitching') === 'true' && overlay) {
-            overlay.classList.add('active');
-        }
-    })();
+// Local audio files by relative path (for looking up tags and resolving imported entries)
+function localFilesByPath() {
+    return new Map((musicFilesCache || []).map(file => [file.relativePath, file]));
+}
 
-    // Helper to clean unprintable characters from ID3 metadata
-    function cleanMetadataText(text) {
-        if (!text) return '';
-        var result = '';
-        for (var i = 0; i < text.length; i++) {
-            var code = text.charCodeAt(i);
-            // Keep printable characters (32-126) and extended chars (160+)
-            if ((code >= 32 && code < 127) || code > 159) {
-                result += text[i];
-            }
+// Validate tracks sent by the client - returns the cleaned list, or null if any track is invalid
+// Local tracks get their title and duration from the library index
+function parsePlaylistTracks(tracks) {
+    if (!Array.isArray(tracks)) return null;
+
+    const localFiles = localFilesByPath();
+    const cleaned = [];
+    for (const track of tracks) {
+        if (!track || !PLAYLIST_SOURCES.includes(track.source) ||
+            typeof track.relativePath !== 'string' || track.relativePath === '') {
+            return null;
         }
-        return result.trim();
+        const localFile = track.source === 'local' ? localFiles.get(track.relativePath) : null;
+        cleaned.push({
+            source: track.source,
+            relativePath: track.relativePath,
+            title: localFile ? localTrackLabel(localFile) : (typeof track.title === 'string' ? track.title : null),
+            duration: localFile?.tags?.duration ?? (Number.isFinite(track.duration) ? track.duration : null)
+        });
     }
+    return cleaned;
+}
 
-    function initLocalPage() {
-        audioHandler.initializePage();
+// URL a playlist track is streamed from (absolute when an origin is given, for exported files)
+function playlistTrackUrl(track, origin = '') {
+    const encodedPath = track.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+    return track.source === 'local'
+        ? `${origin}/music/${encodedPath}`
+        : `${origin}/b2proxy/${track.source}/${encodedPath}`;
+}
 
-        // Hide loading overlay after page is fully loaded
-        const overlay = document.getElementById('endpointLoadingOverlay');
-        if (overlay) {
-            // Wait a bit for files to load, then hide overlay
-            setTimeout(() => {
-                overlay.classList.remove('active');
-                sessionStorage.removeItem('endpointSwitching');
-            }, 500);
+// Map an imported playlist location back to a track
+// Understands URLs exported by this server and file paths that end in a path from the local library
+function resolvePlaylistLocation(location, localFiles) {
+    let path = location.trim();
+
+    if (/^https?:\/\//i.test(path)) {
+        let pathname;
+        try {
+            pathname = new URL(path).pathname;
+        } catch (err) {
+            return null;
+        }
+        const parts = pathname.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+        if (parts[0] === 'music' && parts.length > 1) {
+            return { source: 'local', relativePath: parts.slice(1).join('/') };
+        }
+        if (parts[0] === 'b2proxy' && PLAYLIST_SOURCES.includes(parts[1]) && parts[1] !== 'local' && parts.length > 2) {
+            return { source: parts[1], relativePath: parts.slice(2).join('/') };
         }
+        return null;
+    }
 
-        // Load metadata for local subdirectory songs one at a time
-        loadLocalSongMetadata();
+    if (/^file:\/\//i.test(path)) {
+        try {
+            path = decodeURIComponent(new URL(path).pathname);
+        } catch (err) {
+            return null;
+        }
+    }
 
-        // Incrementally load metadata for recent songs
-        loadRecentSongsMetadata();
+    // Plain file path (absolute, relative or Windows) - match the longest library path it ends with
+    const segments = path.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+    for (let i = 0; i < segments.length; i++) {
+        const candidate = segments.slice(i).join('/');
+        if (localFiles.has(candidate)) {
+            return { source: 'local', relativePath: candidate };
+        }
     }
+    return null;
+}
 
-    // Initialize immediately - script is at end of HTML after all song rows
-    initLocalPage();
+// Playlist id from the route, or null when it isn't a number
+function playlistIdParam(req) {
+    const id = parseInt(req.params.id);
+    return Number.isInteger(id) ? id : null;
+}
 
-    // Load metadata for local songs in subdirectories
-    async function loadLocalSongMetadata() {
-        const songRows = document.querySelectorAll('.local-song-row');
-        for (const row of songRows) {
-            const link = row.querySelector('a.link[data-audio-type="local"]');
-            if (!link) continue;
+app.use('/api/playlists', express.json({ limit: '5mb' }));
 
-            const metadataUrl = link.dataset.metadataUrl;
-            if (!metadataUrl) continue;
+// List all playlists
+app.get('/api/playlists', (req, res) => {
+    res.json({ success: true, playlists: libraryDb.listPlaylists() });
+});
 
-            try {
-                const response = await fetch(metadataUrl);
-                const metadata = await response.json();
+// Create a playlist - body: { name, tracks? }
+app.post('/api/playlists', (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const tracks = parsePlaylistTracks(req.body?.tracks || []);
+    if (!name || !tracks) {
+        res.status(400).json({ success: false, error: 'A playlist needs a name and valid tracks' });
+        return;
+    }
 
-                // Match the format used by audio-handler's updateLinkDisplay
-                var artist = cleanMetadataText(metadata.artist) || 'Unknown Artist';
-                var album = cleanMetadataText(metadata.album) || 'Unknown Album';
-                var title = cleanMetadataText(metadata.title) || link.dataset.filename;
+    const id = libraryDb.createPlaylist(name, tracks);
+    console.log(`Created playlist "${name}" (${tracks.length} tracks)`);
+    res.status(201).json({ success: true, id });
+});
 
-                // Store original content for restoration later
-                if (!link.dataset.originalContent) {
-                    link.dataset.originalContent = link.innerHTML;
-                }
+// Import an M3U/M3U8 or XSPF file - raw file contents as the body, ?name= and ?format= are optional
+app.post('/api/playlists/import', express.text({ type: () => true, limit: '5mb' }), (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        res.status(400).json({ success: false, error: 'Empty playlist file' });
+        return;
+    }
 
-                // Update link content to match played song format: Artist Album Title
-                link.innerHTML = artist + ' ' + album + ' ' + title;
+    // Same rule as renaming: a name that is given must not be blank
+    const requestedName = typeof req.query.name === 'string' ? req.query.name.trim() : null;
+    if (requestedName === '') {
+        res.status(400).json({ success: false, error: 'Invalid playlist name' });
+        return;
+    }
 
-                // Add artwork thumbnail if available
-                if (metadata.artwork) {
-                    var artwork = metadata.artwork.startsWith('data:') ? metadata.artwork : 'data:image/jpeg;base64,' + metadata.artwork;
-                    var img = document.createElement('img');
-                    img.className = 'song-artwork-thumb';
-                    img.src = artwork;
-                    img.alt = '';
-                    img.style.cssText = 'width: 50px; height: 50px; object-fit: cover; margin-left: auto; border-radius: 4px;';
-                    link.appendChild(img);
-                    link.style.display = 'flex';
-                    link.style.alignItems = 'center';
-                }
-            } catch (err) {
-                // Silently fail if metadata can't be loaded
-            }
+    const format = req.query.format === 'xspf' ? 'xspf' : (req.query.format ? 'm3u' : null);
+    const { name, entries } = parsePlaylist(req.body, format);
+
+    const localFiles = localFilesByPath();
+    const tracks = [];
+    const skipped = [];
+    for (const entry of entries) {
+        const track = resolvePlaylistLocation(entry.location, localFiles);
+        if (track) {
+            tracks.push({ ...track, title: entry.title, duration: entry.duration });
+        } else {
+            skipped.push(entry.location);
         }
     }
 
-    // Load metadata for recent songs sequentially
-    async function loadRecentSongsMetadata() {
-        const section = document.querySelector('.recent-songs-section');
-        if (!section) return;
+    if (tracks.length === 0) {
+        res.status(400).json({ success: false, error: 'None of the playlist entries were found in the library', skipped });
+        return;
+    }
 
-        const source = section.dataset.source;
-        const folder = section.dataset.folder;
-        const items = section.querySelectorAll('.recent-song-item[data-loading="true"]');
+    const playlistName = requestedName || name?.trim() || 'Imported Playlist';
+    const id = libraryDb.createPlaylist(playlistName, parsePlaylistTracks(tracks));
+    console.log(`Imported playlist "${playlistName}": ${tracks.length} tracks, ${skipped.length} not found`);
+    res.status(201).json({ success: true, id, added: tracks.length, skipped });
+});
 
-        // Helper to load single item
-        async function loadItemMetadata(item) {
-            const path = item.dataset.path;
-            if (!path) return;
+// Get a playlist with its tracks
+app.get('/api/playlists/:id', (req, res) => {
+    const playlist = libraryDb.getPlaylist(playlistIdParam(req));
+    if (!playlist) {
+        res.status(404).json({ success: false, error: 'Playlist not found' });
+        return;
+    }
+    res.json({ success: true, playlist });
+});
 
-            try {
-                let url;
-                if (source === 'b2' && folder) {
-                    url = '/api/b2-song-metadata/' + folder + '?path=' + encodeURIComponent(path);
-                } else {
-                    url = '/api/song-metadata?path=' + encodeURIComponent(path);
-                }
+// Rename a playlist and/or replace its tracks (reorder, remove) - body: { name?, tracks? }
+app.put('/api/playlists/:id', (req, res) => {
+    const id = playlistIdParam(req);
+    if (!libraryDb.getPlaylist(id)) {
+        res.status(404).json({ success: false, error: 'Playlist not found' });
+        return;
+    }
 
-                const response = await fetch(url);
-                const data = await response.json();
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : null;
+    const tracks = req.body?.tracks !== undefined ? parsePlaylistTracks(req.body.tracks) : undefined;
+    if (name === '' || tracks === null) {
+        res.status(400).json({ success: false, error: 'Invalid playlist name or tracks' });
+        return;
+    }
 
-                // Update the item with metadata
-                const artworkPlaceholder = item.querySelector('.recent-song-artwork-placeholder');
-                const titleEl = item.querySelector('.recent-song-title');
-                const artistEl = item.querySelector('.recent-song-artist');
-                const albumEl = item.querySelector('.recent-song-album');
-                const durationEl = item.querySelector('.recent-song-duration');
+    if (name) libraryDb.renamePlaylist(id, name);
+    if (tracks) libraryDb.setPlaylistTracks(id, tracks);
+    res.json({ success: true });
+});
 
-                // Update artwork
-                if (data.artwork && artworkPlaceholder) {
-                    const img = document.createElement('img');
-                    img.className = 'recent-song-artwork';
-                    img.src = data.artwork.startsWith('data:') ? data.artwork : 'data:image/jpeg;base64,' + data.artwork;
-                    img.alt = '';
-                    artworkPlaceholder.replaceWith(img);
-                } else if (artworkPlaceholder) {
-                    artworkPlaceholder.classList.remove('loading-pulse');
-                }
+// Delete a playlist
+app.delete('/api/playlists/:id', (req, res) => {
+    if (!libraryDb.deletePlaylist(playlistIdParam(req))) {
+        res.status(404).json({ success: false, error: 'Playlist not found' });
+        return;
+    }
+    res.json({ success: true });
+});
 
-                // Update title (use metadata title or keep filename)
-                if (data.title && titleEl) {
-                    titleEl.textContent = cleanMetadataText(data.title);
-                }
+// Append tracks - body: { tracks: [{ source, relativePath, title? }] }
+app.post('/api/playlists/:id/tracks', (req, res) => {
+    const tracks = parsePlaylistTracks(req.body?.tracks);
+    if (!tracks || tracks.length === 0) {
+        res.status(400).json({ success: false, error: 'Invalid tracks' });
+        return;
+    }
+    if (!libraryDb.addPlaylistTracks(playlistIdParam(req), tracks)) {
+        res.status(404).json({ success: false, error: 'Playlist not found' });
+        return;
+    }
+    res.json({ success: true, added: tracks.length });
+});
 
-                // Update artist
-                if (artistEl) {
-                    artistEl.classList.remove('loading-text');
-                    artistEl.textContent = cleanMetadataText(data.artist) || '';
-                }
+// Remove the track at a position
+app.delete('/api/playlists/:id/tracks/:position', (req, res) => {
+    const id = playlistIdParam(req);
+    const playlist = libraryDb.getPlaylist(id);
+    const position = parseInt(req.params.position);
+    if (!playlist || !playlist.tracks[position]) {
+        res.status(404).json({ success: false, error: 'Track not found' });
+        return;
+    }
 
-                // Update album
-                if (albumEl) {
-                    albumEl.textContent = cleanMetadataText(data.album) || '';
-                }
+    playlist.tracks.splice(position, 1);
+    libraryDb.setPlaylistTracks(id, playlist.tracks);
+    res.json({ success: true });
+});
 
-                // Update duration
-                if (durationEl) {
-                    durationEl.classList.remove('loading-text');
-                    durationEl.textContent = data.duration || '';
-                }
+// Export as M3U8 (default) or XSPF with absolute URLs, so other players can stream from this server
+app.get('/api/playlists/:id/export', (req, res) => {
+    const playlist = libraryDb.getPlaylist(playlistIdParam(req));
+    if (!playlist) {
+        res.status(404).json({ success: false, error: 'Playlist not found' });
+        return;
+    }
 
-                // Mark as loaded
-                item.dataset.loading = 'false';
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const tracks = playlist.tracks.map(track => ({
+        location: playlistTrackUrl(track, origin),
+        title: track.title,
+        duration: track.duration
+    }));
+    const isXspf = req.query.format === 'xspf';
+    const fileName = `${playlist.name.replace(/[\\/:*?"<>|]/g, '_')}.${isXspf ? 'xspf' : 'm3u8'}`;
 
-            } catch (err) {
-                console.error('Failed to load metadata for:', path, err);
-                item.dataset.loading = 'false';
+    res.set('Content-Type', isXspf ? 'application/xspf+xml; charset=utf-8' : 'audio/x-mpegurl; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.send(isXspf ? toXSPF(playlist.name, tracks) : toM3U8(playlist.name, tracks));
+});
+
+// Song row for a playlist track - the link works with the sticky player like any other song row
+function playlistTrackRowHtml(track, position, isMissing) {
+    const isLocal = track.source === 'local';
+    const encodedPath = track.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+    const fileName = track.relativePath.split('/').pop();
+    const folderPath = track.relativePath.includes('/') ? track.relativePath.substring(0, track.relativePath.lastIndexOf('/')) : '';
+    const collection = getCollection(track.source);
+    const sourceName = isLocal ? 'Local' : (collection ? collection.name : track.source);
+    const streamUrl = playlistTrackUrl(track);
+    const linkData = isLocal
+        ? `data-metadata-url="/localmetadata/${encodedPath}"
+                       data-audio-type="local"`
+        : `data-proxy-url="${streamUrl}"
+                       data-metadata-url="/b2metadata/${track.source}/${encodedPath}"
+                       data-audio-type="b2"`;
+
+    return `
+                <div class="song-row playlist-track${isMissing ? ' playlist-track-missing' : ''}" draggable="true"
+                     data-position="${position}"
+                     data-source="${escapeHtml(track.source)}"
+                     data-relative-path="${escapeHtml(track.relativePath)}"
+                     data-title="${escapeHtml(track.title || '')}">
+                    <span class="playlist-drag-handle" title="Drag to reorder">&#9776;</span>
+                    <a class="link"
+                       data-filename="${escapeHtml(fileName)}"
+                       data-folder="${escapeHtml(folderPath)}"
+                       data-relative-path="${escapeHtml(track.relativePath)}"
+                       ${linkData}>
+                    <span class="playlist-track-title">${escapeHtml(track.title || fileName)}</span>
+                    <span class="playlist-track-source">${sourceName}${isMissing ? ' - missing' : ''}</span>
+                    </a>
+                    <a class="direct-link" href="${streamUrl}" title="Direct link to file">&#128279;</a>
+                    <button class="playlist-track-remove" title="Remove from playlist">&#10005;</button>
+                </div>`;
+}
+
+// Playlist pages - /playlists lists all playlists, /playlists?id= shows one playlist
+app.get('/playlists', (req, res) => {
+    try {
+        const id = req.query.id !== undefined ? parseInt(req.query.id) : null;
+        let breadcrumbHtml;
+        let title;
+        let html;
+
+        if (id === null) {
+            const playlists = libraryDb.listPlaylists();
+            title = 'Playlists';
+            breadcrumbHtml = '<span class="breadcrumb-current">Playlists</span>';
+
+            html = `
+            <div class="playlist-toolbar">
+                <form class="playlist-create-form">
+                    <input type="text" name="name" class="playlist-name-input" placeholder="New playlist name" required>
+                    <button type="submit" class="playlist-button">Create</button>
+                </form>
+                <label class="playlist-button playlist-import-button" title="Import an M3U, M3U8 or XSPF playlist">
+                    Import M3U8 / XSPF
+                    <input type="file" class="playlist-import-input" accept=".m3u,.m3u8,.xspf" hidden>
+                </label>
+            </div>
+            <div class="media-section directory-section"><h2 class="section-header">Playlists</h2>`;
+            if (playlists.length === 0) {
+                html += '<div class="browse-empty">No playlists yet - create one above or use &#x2795; on any song</div>';
+            }
+            for (const playlist of playlists) {
+                html += `
+            <div class="song-row folder-row">
+                <a href="/playlists?id=${playlist.id}" class="folder-link">${escapeHtml(playlist.name)} <span class="browse-count">(${playlist.trackCount})</span></a>
+            </div>`;
+            }
+            html += '</div>';
+        } else {
+            const playlist = libraryDb.getPlaylist(id);
+            if (!playlist) {
+                res.writeHead(404, { 'Content-Type': 'text/html' });
+                res.end('Playlist not found');
+                return;
             }
-        }
 
-        // Load items sequentially to avoid overwhelming the server
-        for (const item of Array.from(items)) {
-            await loadItemMetadata(item);
+            const localFiles = localFilesByPath();
+            title = escapeHtml(playlist.name);
+            breadcrumbHtml = `<a href="/playlists" class="breadcrumb-link">Playlists</a> / <span class="breadcrumb-current">${escapeHtml(playlist.name)}</span>`;
+
+            html = `
+            <div class="playlist-toolbar playlist-header" data-playlist-id="${playlist.id}">
+                <h2 class="playlist-title">${escapeHtml(playlist.name)}</h2>
+                <button class="playlist-button playlist-rename-button">Rename</button>
+                <a class="playlist-button" href="/api/playlists/${playlist.id}/export?format=m3u8">Export M3U8</a>
+                <a class="playlist-button" href="/api/playlists/${playlist.id}/export?format=xspf">Export XSPF</a>
+                <button class="playlist-button playlist-delete-button">Delete</button>
+            </div>
+            <div class="media-section audio-section playlist-tracks" data-playlist-id="${playlist.id}"><h2 class="section-header">Songs <span class="browse-count">(${playlist.tracks.length})</span></h2>`;
+            if (playlist.tracks.length === 0) {
+                html += '<div class="browse-empty">This playlist is empty - use &#x2795; on any song to add it here</div>';
+            }
+            playlist.tracks.forEach((track, position) => {
+                const isMissing = track.source === 'local' && musicFilesCache !== null && !localFiles.has(track.relativePath);
+                html += playlistTrackRowHtml(track, position, isMissing);
+            });
+            html += '</div>';
         }
-    }
-</script>
-</body></html>`);
 
-        res.end();
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.write(pageHeader(title, 'playlists', breadcrumbHtml));
+        res.write(html);
+        res.end(localPageFooter());
     } catch (err) {
         console.error(err);
         res.writeHead(500);
@@ -2134,24 +4930,43 @@ app.get('/', async (req,res) =>{
     }
 });
 
-app.get('/analog', async (req, res) => {
-    await handleB2FolderEndpoint('analog', req, res);
-});
+// One page per cloud collection (/analog, /live, ...)
+for (const collection of cloudCollections) {
+    app.get(`/${collection.id}`, async (req, res) => {
+        await handleB2FolderEndpoint(collection.id, req, res);
+    });
+}
 
-app.get('/live', async (req, res) => {
-    await handleB2FolderEndpoint('live', req, res);
-});
+// Folder listing built from the B2 mirror, in the same shape as the listing from B2
+function getMirroredFolderListing(folderName) {
+    const b2Files = [];
+    for (const file of b2Mirror.listFolder(folderName)) {
+        const relativePath = file.fileName.substring(folderName.length + 1);
+        b2Files.push({
+            fileName: relativePath.split('/').pop(),
+            relativePath: relativePath,
+            folderPath: relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '',
+            fullB2Path: file.fileName,
+            mediaType: getMediaType(file.fileName),
+            modified: new Date(file.uploadTimestamp || Date.now()),
+            size: file.size
+        });
+    }
+    return b2Files;
+}
 
-app.get('/digital', async (req, res) => {
-    await handleB2FolderEndpoint('digital', req, res);
-});
+// Banner for B2 folder pages rendered from the mirror
+function offlineMirrorNoticeHtml() {
+    const lastSynced = b2Mirror.manifest.lastSynced;
+    return `<div class="offline-mirror-notice">&#9729; Offline - playing the local mirror${lastSynced ? ` (last synced ${new Date(lastSynced).toLocaleString()})` : ''}</div>`;
+}
 
 // Shared function for B2 folder endpoints with enhanced search support and directory structure
 async function handleB2FolderEndpoint(folderName, req, res) {
+    const collection = getCollection(folderName);
     try {
         // Check if B2 credentials are configured
-        if (!process.env.B2_APPLICATION_KEY_ID || !process.env.B2_APPLICATION_KEY || !process.env.B2_BUCKET_NAME ||
-            process.env.B2_APPLICATION_KEY_ID === '' || process.env.B2_APPLICATION_KEY === '' || process.env.B2_BUCKET_NAME === '') {
+        if (!collection.configured) {
             res.writeHead(500, { 'Content-Type': 'text/html' });
             res.end(`
                 <html>
@@ -2161,12 +4976,11 @@ async function handleB2FolderEndpoint(folderName, req, res) {
                 </head>
                 <body>
                     <div class="container">
-                        <h1>B2 Configuration Missing</h1>
-                        <p>Backblaze B2 credentials are not configured. Please set the following environment variables:</p>
+                        <h1>Storage Configuration Missing</h1>
+                        <p>${collection.storage.label} is not configured for ${collection.name}. Please set the following environment variables
+                        (or the settings of the collection in collections.json):</p>
                         <ul>
-                            <li>B2_APPLICATION_KEY_ID</li>
-                            <li>B2_APPLICATION_KEY</li>
-                            <li>B2_BUCKET_NAME</li>
+                            ${collection.storage.settingNames.map(name => `<li>${name}</li>`).join('')}
                         </ul>
                     </div>
                 </body>
@@ -2177,10 +4991,15 @@ async function handleB2FolderEndpoint(folderName, req, res) {
 
         // Check internet connectivity before attempting to use B2
         console.log('Checking B2 connectivity...');
-        const connectivity = await checkB2Connectivity();
-        
+        const connectivity = await checkB2Connectivity(collection);
+        let servingMirror = false;
+
         if (!connectivity.connected) {
-            if (connectivity.isNetworkError) {
+            if (connectivity.isNetworkError && b2Mirror.hasFolder(folderName)) {
+                // No internet gateway, but the folder has been mirrored - browse the local copy
+                console.log(`No internet gateway - serving the mirrored copy of /${folderName}`);
+                servingMirror = true;
+            } else if (connectivity.isNetworkError) {
                 // Show friendly offline page for network errors (no internet gateway)
                 console.log(`No internet gateway - showing offline page for /${folderName}`);
                 res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -2198,9 +5017,9 @@ async function handleB2FolderEndpoint(folderName, req, res) {
                     </head>
                     <body>
                         <div class="container">
-                            <h1>B2 Authentication Error</h1>
-                            <p>Unable to connect to Backblaze B2: ${connectivity.error}</p>
-                            <p>Please check your B2 credentials and try again.</p>
+                            <h1>Storage Connection Error</h1>
+                            <p>Unable to connect to ${collection.storage.label}: ${connectivity.error}</p>
+                            <p>Please check the credentials and settings of ${collection.name} and try again.</p>
                             <p><a href="/">Back to Local Music</a></p>
                         </div>
                     </body>
@@ -2210,68 +5029,64 @@ async function handleB2FolderEndpoint(folderName, req, res) {
             }
         }
         
-        console.log('✓ B2 connection successful');
-
-        await b2.authorize();
+        if (!servingMirror) {
+            console.log('✓ B2 connection successful');
+        }
 
         // Check cache first for folder listings
         const folderCacheKey = folderName;
-        const cachedFolderData = folderListingCache.get(folderCacheKey);
         let b2Files;
 
-        if (isCacheValid(cachedFolderData)) {
-            console.log(`✓ Cache hit for folder listing: ${folderName}`);
-            b2Files = cachedFolderData.data;
-        } else {
-            console.log(`✗ Cache miss for folder listing: ${folderName}`);
-
-            const bucket = await b2.getBucket({ bucketName });
-            const bucketId = bucket.data.buckets[0].bucketId;
-            console.log(`Using bucket ID: ${bucketId}`);
-
-            const response = await b2.listFileNames({
-                bucketId: bucketId,
-                startFileName: `${folderName}/`,
-                prefix: `${folderName}/`,
-                maxFileCount: 10000
+        if (servingMirror) {
+            b2Files = getMirroredFolderListing(folderName);
+            await attachCollectionCueTracks(collection, b2Files);
+            // Cached as an offline listing so /api/tracks and search work, and replaced once B2 is reachable again
+            folderListingCache.set(folderCacheKey, {
+                data: b2Files,
+                timestamp: Date.now(),
+                offline: true
             });
-
-            console.log(`Found ${response.data.files.length} files in ${folderName} folder`);
-
-            // Parse B2 files and extract directory structure (audio, images, videos)
-            b2Files = [];
-            for (const file of response.data.files) {
-                const mediaType = getMediaType(file.fileName);
-                if (mediaType && file.fileName !== `${folderName}/`) {
-                    // Remove the folderName prefix to get the relative path
-                    const relativePath = file.fileName.substring(folderName.length + 1);
-                    const fileName = relativePath.split('/').pop();
-                    const folderPath = relativePath.includes('/')
-                        ? relativePath.substring(0, relativePath.lastIndexOf('/'))
-                        : '';
-
-                    // B2 uploadTimestamp is in milliseconds since epoch
-                    const timestamp = file.uploadTimestamp || Date.now();
-
-                    b2Files.push({
-                        fileName: fileName,
-                        relativePath: relativePath,
-                        folderPath: folderPath,
-                        fullB2Path: file.fileName, // Keep the full B2 path for proxy URLs
-                        mediaType: mediaType,
-                        modified: new Date(timestamp),
-                        size: file.contentLength || 0
-                    });
-                }
+        } else {
+            // Shared with /api/all-b2-files - a large collection takes a while to list the first time,
+            // so after a few seconds show the progress instead of a page that hangs
+            const listing = getCollectionListing(collection);
+            b2Files = await Promise.race([
+                listing,
+                new Promise(resolve => setTimeout(resolve, LISTING_PAGE_WAIT_MS, null))
+            ]);
+            if (!b2Files) {
+                listing.catch(err => console.error(`Failed to list ${folderName}:`, err.message));
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(listingProgressPage(collection));
+                return;
             }
-            console.log(`Parsed ${b2Files.length} media files from B2`);
+        }
 
-            // Cache the folder listing
-            folderListingCache.set(folderCacheKey, {
-                data: b2Files,
-                timestamp: Date.now()
+        // Tag browse views (?view=artists|albums|genres|years) - built from already fetched metadata
+        const browseView = req.query.view;
+        if (BROWSE_VIEWS[browseView]) {
+            const tracks = await attachCachedB2Tags(folderName, b2Files.filter(f => f.mediaType === 'audio'));
+            const taggedCount = tracks.filter(track => track.tags).length;
+            const page = buildBrowsePage({
+                basePath: `/${folderName}`,
+                sourceName: collection.name,
+                view: browseView,
+                query: req.query,
+                tracks,
+                songRowHtml: (file) => b2SongRowHtml(folderName, file),
+                metadataLoader: 'loadB2SongMetadata',
+                note: taggedCount < tracks.length
+                    ? `Tags loaded for ${taggedCount} of ${tracks.length} songs - the rest are listed under Unknown until their folder has been opened`
+                    : ''
             });
-            console.log(`✓ Cached folder listing for: ${folderName} (${b2Files.length} files)`);
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.write(b2PageHeader(folderName, page.breadcrumbHtml));
+            if (servingMirror) {
+                res.write(offlineMirrorNoticeHtml());
+            }
+            res.write(page.html);
+            res.end(b2PageFooter());
+            return;
         }
 
         // Get the current directory from query parameter (relative to the folderName root)
@@ -2291,7 +5106,7 @@ async function handleB2FolderEndpoint(folderName, req, res) {
         }
 
         // Build breadcrumb navigation
-        const folderDisplayName = folderName.charAt(0).toUpperCase() + folderName.slice(1);
+        const folderDisplayName = collection.name;
         let breadcrumbHtml = currentDir
             ? `<a href="/${folderName}" class="breadcrumb-link">${folderDisplayName}</a>`
             : `<span class="breadcrumb-current">${folderDisplayName}</span>`;
@@ -2312,76 +5127,14 @@ async function handleB2FolderEndpoint(folderName, req, res) {
 
         // Start HTML response
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.write(`<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>analogarchivejs - ${folderName.charAt(0).toUpperCase() + folderName.slice(1)}</title>
-    <link rel="stylesheet" href="styles.css">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body>
-<nav class="top-nav">
-    <div class="top-nav-left">
-        <div class="source-selector" id="sourceSelector">
-            <button class="source-selector-button" id="sourceSelectorButton">
-                <span class="source-selector-icon">&#x2601;</span>
-                <span class="source-selector-text">${folderName.charAt(0).toUpperCase() + folderName.slice(1)}</span>
-                <span class="source-selector-arrow">&#x25BC;</span>
-            </button>
-            <div class="source-selector-dropdown">
-                <a href="/" class="source-selector-option">
-                    <span class="source-option-icon">&#x1F4BF;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Local Music</span>
-                        <span class="source-option-location">On Device</span>
-                    </span>
-                    <span class="source-option-status local">&#x25CF;</span>
-                </a>
-                <a href="/analog" class="source-selector-option${folderName === 'analog' ? ' active' : ''}">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Analog</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-                <a href="/live" class="source-selector-option${folderName === 'live' ? ' active' : ''}">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Live</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-                <a href="/digital" class="source-selector-option${folderName === 'digital' ? ' active' : ''}">
-                    <span class="source-option-icon">&#x2601;</span>
-                    <span class="source-option-text">
-                        <span class="source-option-name">Digital</span>
-                        <span class="source-option-location">Cloud Storage</span>
-                    </span>
-                    <span class="source-option-status online">&#x25CF;</span>
-                </a>
-            </div>
-        </div>
-    </div>
-    <div class="breadcrumb">${breadcrumbHtml}</div>
-    <div class="top-nav-right">
-        <a href="https://stuffedanimalwar.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Stuffed Animal War</a>
-        <a href="https://marginalwayskateparkfoundation.org" class="nav-external-link" target="_blank" rel="noopener noreferrer">Marginal Way</a>
-        <a href="https://skatecreteordie.com" class="nav-external-link" target="_blank" rel="noopener noreferrer">Skate Crete or Die</a>
-    </div>
-</nav>
-<div id="endpointLoadingOverlay" class="endpoint-loading-overlay">
-    <div class="endpoint-loading-content">
-        <div class="endpoint-loading-spinner">&#9679;</div>
-        <div class="endpoint-loading-text">Downloading track information...</div>
-    </div>
-</div>
-<div class="container">`);
+        res.write(b2PageHeader(folderName, breadcrumbHtml));
+        if (servingMirror) {
+            res.write(offlineMirrorNoticeHtml());
+        }
 
-        // Add recent songs section if we're at the root (renders immediately, metadata loads async)
+        // Add browse tabs and recent songs section if we're at the root (renders immediately, metadata loads async)
         if (currentDir === '') {
+            res.write(browseTabsHtml(`/${folderName}`, null));
             const recentSongs = getMostRecentSongs(b2Files, 7);
             if (recentSongs.length > 0) {
                 const formatDate = (date) => date.toLocaleDateString();
@@ -2412,429 +5165,430 @@ async function handleB2FolderEndpoint(folderName, req, res) {
                                 <div class="recent-song-meta">
                                     <span>${formatDate(song.modified)}</span>
                                 </div>
-                            </div>
-                            <span class="recent-song-duration"></span>
-                        </a>
-                        <a class="direct-link" href="${proxyUrl}" title="Direct link to file">&#128279;</a>
-                    </div>`);
-                }
-
-                res.write('</div></div>');
-            }
-        }
-
-        // Render subdirectories (folders)
-        if (currentDirData.subdirs && currentDirData.subdirs.size > 0) {
-            res.write('<div class="media-section directory-section"><h2 class="section-header">Directories</h2>');
-            const sortedSubdirs = Array.from(currentDirData.subdirs).sort();
-            for (const subdir of sortedSubdirs) {
-                const subdirPath = currentDir ? `${currentDir}/${subdir}` : subdir;
-                const folderUrl = `/${folderName}?dir=${encodeURIComponent(subdirPath)}`;
-                res.write(`
-                <div class="folder-row">
-                    <a href="${folderUrl}" class="folder-link">${subdir}</a>
-                </div>`);
-            }
-            res.write('</div>');
-        }
-
-        // Render files in the current directory - separate by media type
-        if (currentDirData.files && currentDirData.files.length > 0) {
-            const audioFiles = currentDirData.files.filter(f => !f.mediaType || f.mediaType === 'audio');
-            const imageFiles = currentDirData.files.filter(f => f.mediaType === 'image');
-            const videoFiles = currentDirData.files.filter(f => f.mediaType === 'video');
-
-            // Render audio files
-            if (audioFiles.length > 0) {
-                res.write('<div class="media-section audio-section"><h2 class="section-header">Songs <button id="refreshSongMeta" onclick="loadB2SongMetadata()" style="margin-left: 10px; padding: 2px 8px; font-size: 11px; cursor: pointer; background: #333; color: #0f0; border: 1px solid #0f0; border-radius: 4px;" title="Refresh ID3 metadata">&#x21bb; ID3</button></h2>');
-                for (const file of audioFiles) {
-                    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
-                    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
-                    const metadataUrl = `/b2metadata/${folderName}/${encodedPath}`;
-
-                    res.write(`
-                    <div class="song-row b2-song-row" data-path="${file.relativePath}">
-                        <a class="link"
-                           data-filename="${file.fileName}"
-                           data-folder="${file.folderPath}"
-                           data-relative-path="${file.relativePath}"
-                           data-proxy-url="${proxyUrl}"
-                           data-metadata-url="${metadataUrl}"
-                           data-audio-type="b2">
-                        <span class="b2-song-title">${file.fileName}</span>
-                        <span class="b2-song-artist" style="font-size: 12px; opacity: 0.7; margin-left: 8px;"></span>
-                        <span class="b2-song-duration" style="font-size: 11px; opacity: 0.6; margin-left: 8px;"></span>
-                        </a>
-                        <a class="direct-link" href="${proxyUrl}" title="Direct link to file">&#128279;</a>
-                    </div>`);
-                }
-                res.write('</div>');
-            }
-
-            // Render image gallery
-            if (imageFiles.length > 0) {
-                res.write('<div class="media-section image-section"><h2 class="section-header">Images</h2><div class="image-gallery">');
-                for (const file of imageFiles) {
-                    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
-                    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
-                    const thumbUrl = `/thumb/${folderName}/${encodedPath}`;
-
-                    res.write(`
-                    <div class="image-item" data-media-type="image">
-                        <a href="${proxyUrl}" target="_blank" class="image-link">
-                            <img src="${thumbUrl}" alt="${file.fileName}" loading="lazy">
-                            <div class="image-filename">${file.fileName}</div>
-                        </a>
-                    </div>`);
-                }
-                res.write('</div></div>');
-            }
-
-            // Render video players
-            if (videoFiles.length > 0) {
-                res.write('<div class="media-section video-section"><h2 class="section-header">Videos</h2><div class="video-gallery">');
-                const videoPoster = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 150"><rect fill="#333" width="200" height="150"/><g transform="translate(100, 75)"><rect x="-40" y="-20" width="60" height="40" fill="#666" rx="4"/><circle cx="-10" cy="0" r="12" fill="#888"/><circle cx="-10" cy="0" r="8" fill="#555"/><polygon points="20,-10 35,0 20,10" fill="#888"/></g><text x="100" y="130" text-anchor="middle" font-size="12" fill="#888">Click to play</text></svg>');
-
-                for (const file of videoFiles) {
-                    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
-                    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
-
-                    // Determine proper video MIME type
-                    const videoExt = file.fileName.split('.').pop().toLowerCase();
-                    let videoMimeType = 'video/mp4'; // default
-                    if (videoExt === 'mov') videoMimeType = 'video/quicktime';
-                    else if (videoExt === 'webm') videoMimeType = 'video/webm';
-                    else if (videoExt === 'ogv') videoMimeType = 'video/ogg';
-                    else if (videoExt === 'avi') videoMimeType = 'video/x-msvideo';
-                    else if (videoExt === 'mkv') videoMimeType = 'video/x-matroska';
-
-                    res.write(`
-                    <div class="video-item" data-media-type="video">
-                        <video controls preload="metadata" poster="${videoPoster}" crossorigin="anonymous">
-                            <source src="${proxyUrl}" type="${videoMimeType}">
-                            Your browser does not support the video tag.
-                        </video>
-                        <div class="video-filename">${file.fileName}</div>
-                    </div>`);
-                }
-                res.write('</div></div>');
-            }
-        }
-
-        res.write(`</div>
-<script src="/discogs-service.js"></script>
-<script src="/audio-handler.js"></script>
-<script>
-    // Source selector dropdown
-    (function() {
-        const selector = document.getElementById('sourceSelector');
-        const button = document.getElementById('sourceSelectorButton');
-
-        if (selector && button) {
-            button.addEventListener('click', function(e) {
-                e.stopPropagation();
-                selector.classList.toggle('open');
-            });
-
-            // Close dropdown when clicking outside
-            document.addEventListener('click', function(e) {
-                if (!selector.contains(e.target)) {
-                    selector.classList.remove('open');
-                }
-            });
-        }
-
-        // Show loading overlay when switching endpoints
-        const endpointOptions = document.querySelectorAll('.source-selector-option');
-        endpointOptions.forEach(option => {
-            option.addEventListener('click', function(e) {
-                // Don't show overlay if clicking the current endpoint
-                if (option.classList.contains('active')) {
-                    return;
-                }
-
-                // Show loading overlay
-                const overlay = document.getElementById('endpointLoadingOverlay');
-                if (overlay) {
-                    overlay.classList.add('active');
-                }
-
-                // Store state to persist across navigation
-                sessionStorage.setItem('endpointSwitching', 'true');
-            });
-        });
-
-        // Check cloud connectivity status
-        async function updateCloudStatus() {
-            try {
-                const response = await fetch('/api/cloud-status');
-                const data = await response.json();
-
-                // Update all cloud endpoint status indicators
-                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
-                cloudStatuses.forEach(status => {
-                    if (!status.classList.contains('local')) {
-                        if (data.online) {
-                            status.className = 'source-option-status online';
-                        } else {
-                            status.className = 'source-option-status offline';
-                        }
-                    }
-                });
-            } catch (error) {
-                // If fetch fails, mark as offline
-                const cloudStatuses = document.querySelectorAll('.source-option-status.online, .source-option-status.offline');
-                cloudStatuses.forEach(status => {
-                    if (!status.classList.contains('local')) {
-                        status.className = 'source-option-status offline';
-                    }
-                });
-            }
-        }
-
-        // Check status on load
-        updateCloudStatus();
-
-        // Check status every 30 seconds
-        setInterval(updateCloudStatus, 30000);
-    })();
-
-    // Helper to clean unprintable characters from ID3 metadata
-    function cleanMetadataText(text) {
-        if (!text) return '';
-        var result = '';
-        for (var i = 0; i < text.length; i++) {
-            var code = text.charCodeAt(i);
-            // Keep printable characters (32-126) and extended chars (160+)
-            if ((code >= 32 && code < 127) || code > 159) {
-                result += text[i];
+                            </div>
+                            <span class="recent-song-duration"></span>
+                        </a>
+                        <a class="direct-link" href="${proxyUrl}" title="Direct link to file">&#128279;</a>
+                        <button class="add-to-playlist" title="Add to queue or playlist">&#x2795;</button>
+                    </div>`);
+                }
+
+                res.write('</div></div>');
             }
         }
-        return result.trim();
-    }
-
-    // Initialize search functionality for B2 pages
-    function initB2Page() {
-        audioHandler.initializePage();
 
-        // Hide loading overlay after page is fully loaded
-        const overlay = document.getElementById('endpointLoadingOverlay');
-        if (overlay) {
-            // Wait a bit for files to load, then hide overlay
-            setTimeout(() => {
-                overlay.classList.remove('active');
-                sessionStorage.removeItem('endpointSwitching');
-            }, 500);
+        if ((currentDirData.subdirs && currentDirData.subdirs.size > 0) ||
+            currentDirData.files.some(f => f.mediaType === 'audio')) {
+            res.write(shuffleFolderButtonHtml(folderName, currentDir));
         }
 
-        // Load metadata for B2 subdirectory songs one at a time
-        loadB2SongMetadata();
+        // Render subdirectories (folders)
+        if (currentDirData.subdirs && currentDirData.subdirs.size > 0) {
+            res.write('<div class="media-section directory-section"><h2 class="section-header">Directories</h2>');
+            const sortedSubdirs = Array.from(currentDirData.subdirs).sort();
+            for (const subdir of sortedSubdirs) {
+                const subdirPath = currentDir ? `${currentDir}/${subdir}` : subdir;
+                const folderUrl = `/${folderName}?dir=${encodeURIComponent(subdirPath)}`;
+                res.write(`
+                <div class="folder-row">
+                    <a href="${folderUrl}" class="folder-link">${subdir}</a>
+                </div>`);
+            }
+            res.write('</div>');
+        }
 
-        // Incrementally load metadata for recent songs
-        loadRecentSongsMetadata();
-    }
+        // Render files in the current directory - separate by media type
+        if (currentDirData.files && currentDirData.files.length > 0) {
+            const audioFiles = currentDirData.files.filter(f => !f.mediaType || f.mediaType === 'audio');
+            const imageFiles = currentDirData.files.filter(f => f.mediaType === 'image');
+            const videoFiles = currentDirData.files.filter(f => f.mediaType === 'video');
 
-    // Load metadata for B2 songs in subdirectories
-    async function loadB2SongMetadata() {
-        const songRows = document.querySelectorAll('.b2-song-row');
-        for (const row of songRows) {
-            const link = row.querySelector('a.link[data-audio-type="b2"]');
-            if (!link) continue;
+            // Render audio files
+            if (audioFiles.length > 0) {
+                res.write('<div class="media-section audio-section"><h2 class="section-header">Songs <button id="refreshSongMeta" onclick="loadB2SongMetadata()" style="margin-left: 10px; padding: 2px 8px; font-size: 11px; cursor: pointer; background: #333; color: #0f0; border: 1px solid #0f0; border-radius: 4px;" title="Refresh ID3 metadata">&#x21bb; ID3</button></h2>');
+                for (const file of audioFiles) {
+                    res.write(b2SongRowHtml(folderName, file));
+                }
+                res.write('</div>');
+            }
 
-            const metadataUrl = link.dataset.metadataUrl;
-            if (!metadataUrl) continue;
+            // Render image gallery
+            if (imageFiles.length > 0) {
+                res.write('<div class="media-section image-section"><h2 class="section-header">Images</h2><div class="image-gallery">');
+                for (const file of imageFiles) {
+                    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+                    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
+                    const thumbUrl = `/thumb/${folderName}/${encodedPath}`;
 
-            try {
-                const response = await fetch(metadataUrl);
-                const metadata = await response.json();
+                    res.write(`
+                    <div class="image-item" data-media-type="image">
+                        <a href="${proxyUrl}" target="_blank" class="image-link">
+                            <img src="${thumbUrl}" alt="${file.fileName}" loading="lazy">
+                            <div class="image-filename">${file.fileName}</div>
+                        </a>
+                    </div>`);
+                }
+                res.write('</div></div>');
+            }
 
-                // Match the format used by audio-handler's updateLinkDisplay
-                var artist = cleanMetadataText(metadata.artist) || 'Unknown Artist';
-                var album = cleanMetadataText(metadata.album) || 'Unknown Album';
-                var title = cleanMetadataText(metadata.title) || link.dataset.filename;
+            // Render video players
+            if (videoFiles.length > 0) {
+                res.write('<div class="media-section video-section"><h2 class="section-header">Videos</h2><div class="video-gallery">');
+                const videoPoster = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 150"><rect fill="#333" width="200" height="150"/><g transform="translate(100, 75)"><rect x="-40" y="-20" width="60" height="40" fill="#666" rx="4"/><circle cx="-10" cy="0" r="12" fill="#888"/><circle cx="-10" cy="0" r="8" fill="#555"/><polygon points="20,-10 35,0 20,10" fill="#888"/></g><text x="100" y="130" text-anchor="middle" font-size="12" fill="#888">Click to play</text></svg>');
 
-                // Store original content for restoration later
-                if (!link.dataset.originalContent) {
-                    link.dataset.originalContent = link.innerHTML;
-                }
+                for (const file of videoFiles) {
+                    const encodedPath = file.relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+                    const proxyUrl = `/b2proxy/${folderName}/${encodedPath}`;
 
-                // Update link content to match played song format: Artist Album Title
-                link.innerHTML = artist + ' ' + album + ' ' + title;
+                    // Determine proper video MIME type
+                    const videoExt = file.fileName.split('.').pop().toLowerCase();
+                    let videoMimeType = 'video/mp4'; // default
+                    if (videoExt === 'mov') videoMimeType = 'video/quicktime';
+                    else if (videoExt === 'webm') videoMimeType = 'video/webm';
+                    else if (videoExt === 'ogv') videoMimeType = 'video/ogg';
+                    else if (videoExt === 'avi') videoMimeType = 'video/x-msvideo';
+                    else if (videoExt === 'mkv') videoMimeType = 'video/x-matroska';
 
-                // Add artwork thumbnail if available
-                if (metadata.artwork) {
-                    var artwork = metadata.artwork.startsWith('data:') ? metadata.artwork : 'data:image/jpeg;base64,' + metadata.artwork;
-                    var img = document.createElement('img');
-                    img.className = 'song-artwork-thumb';
-                    img.src = artwork;
-                    img.alt = '';
-                    img.style.cssText = 'width: 50px; height: 50px; object-fit: cover; margin-left: auto; border-radius: 4px;';
-                    link.appendChild(img);
-                    link.style.display = 'flex';
-                    link.style.alignItems = 'center';
+                    res.write(`
+                    <div class="video-item" data-media-type="video">
+                        <video controls preload="metadata" poster="${videoPoster}" crossorigin="anonymous">
+                            <source src="${proxyUrl}" type="${videoMimeType}">
+                            Your browser does not support the video tag.
+                        </video>
+                        <div class="video-filename">${file.fileName}</div>
+                    </div>`);
                 }
-            } catch (err) {
-                // Silently fail if metadata can't be loaded
+                res.write('</div></div>');
             }
         }
+
+        res.write(b2PageFooter());
+        res.end();
+    } catch (err) {
+        console.error(`Error fetching ${folderName} folder:`, err);
+        res.writeHead(500);
+        res.end('Internal Server Error');
     }
+}
 
-    // Initialize immediately - script is at end of HTML after all song rows
-    initB2Page();
+// Whether a library path is on a music root that's currently reachable
+function isOnlineLibraryPath(relativePath) {
+    const root = findMusicRoot(musicRoots, relativePath);
+    return !!root && root.online;
+}
 
-    // Load metadata for recent songs sequentially
-    async function loadRecentSongsMetadata() {
-        const section = document.querySelector('.recent-songs-section');
-        if (!section) return;
+// Populate the media caches from the library database (instant, no disk walk) - files on offline
+// roots stay in the database but are left out until the root is back
+function loadLibraryFromDatabase() {
+    const loadStart = Date.now();
+    const mediaFiles = libraryDb.getAllFiles();
+    const withFullPath = (files) => files
+        .filter(file => isOnlineLibraryPath(file.relativePath))
+        .map(file => ({ ...file, fullPath: resolveLocalPath(file.relativePath) }));
+    musicFilesCache = withFullPath(mediaFiles.audio);
+    imageFilesCache = withFullPath(mediaFiles.images);
+    videoFilesCache = withFullPath(mediaFiles.videos);
+    cueFilesCache = withFullPath(mediaFiles.cues);
+    attachLocalCueTracks();
+    console.log(`Loaded library index: ${musicFilesCache.length} audio, ${imageFilesCache.length} images, ${videoFilesCache.length} videos in ${Date.now() - loadStart}ms`);
+}
 
-        const source = section.dataset.source;
-        const folder = section.dataset.folder;
-        const items = section.querySelectorAll('.recent-song-item[data-loading="true"]');
+// Parse the tags stored in the library database for a single audio file
+async function parseLibraryTags(relativePath) {
+    const filePath = resolveLocalPath(relativePath);
+    const mimeType = audioMimeType(filePath);
+
+    const metadata = await parseFile(filePath, { mimeType, skipCovers: true });
+    return {
+        title: metadata.common.title,
+        artist: metadata.common.artist,
+        album: metadata.common.album,
+        albumArtist: metadata.common.albumartist,
+        genre: metadata.common.genre?.[0],
+        year: metadata.common.year,
+        trackNumber: metadata.common.track?.no,
+        discNumber: metadata.common.disk?.no,
+        duration: metadata.format.duration
+    };
+}
 
-        // Helper to load single item
-        async function loadItemMetadata(item) {
-            const path = item.dataset.path;
-            if (!path) return;
+// Parse tags for new or changed audio files in the background
+function parseMissingLibraryTags() {
+    if (libraryTagPromise) return libraryTagPromise;
+
+    libraryTagPromise = (async () => {
+        // Loop so files added by the watcher while a batch is being parsed are picked up too
+        // (files on offline roots wait until the root is back)
+        let pending;
+        while ((pending = libraryDb.getFilesNeedingTags().filter(isOnlineLibraryPath)).length > 0) {
+            console.log(`Parsing tags for ${pending.length} new or changed audio files...`);
+            const parseStart = Date.now();
+            for (let i = 0; i < pending.length; i++) {
+                const relativePath = pending[i];
+                try {
+                    libraryDb.updateTags(relativePath, await parseLibraryTags(relativePath));
+                } catch (err) {
+                    // Store empty tags so an unreadable file isn't retried on every scan
+                    console.error(`Error parsing tags for ${relativePath}:`, err.message);
+                    libraryDb.updateTags(relativePath, null);
+                }
 
-            try {
-                let url;
-                if (source === 'b2' && folder) {
-                    url = '/api/b2-song-metadata/' + folder + '?path=' + encodeURIComponent(path);
-                } else {
-                    url = '/api/song-metadata?path=' + encodeURIComponent(path);
+                // Periodically refresh the caches so parsed tags show up while a large library is processed
+                if ((i + 1) % 500 === 0) {
+                    console.log(`Parsed tags for ${i + 1}/${pending.length} files`);
+                    loadLibraryFromDatabase();
                 }
+            }
+            loadLibraryFromDatabase();
+            console.log(`Tag parsing complete: ${pending.length} files in ${((Date.now() - parseStart) / 1000).toFixed(2)}s`);
+        }
+        // Then measure the new files
+        analyzeLoudness();
+    })().catch(err => {
+        console.error('Tag parsing failed:', err.message);
+    }).finally(() => {
+        libraryTagPromise = null;
+    });
 
-                const response = await fetch(url);
-                const data = await response.json();
+    return libraryTagPromise;
+}
 
-                // Update the item with metadata
-                const artworkPlaceholder = item.querySelector('.recent-song-artwork-placeholder');
-                const titleEl = item.querySelector('.recent-song-title');
-                const artistEl = item.querySelector('.recent-song-artist');
-                const albumEl = item.querySelector('.recent-song-album');
-                const durationEl = item.querySelector('.recent-song-duration');
+// Whether a music root is reachable - a root the library has files from must not be empty, so an
+// unplugged drive's leftover mount point doesn't empty its part of the library
+function checkMusicRoot(root) {
+    return root.checkOnline({ expectFiles: libraryDb.hasFiles(root.prefix) });
+}
 
-                // Update artwork
-                if (data.artwork && artworkPlaceholder) {
-                    const img = document.createElement('img');
-                    img.className = 'recent-song-artwork';
-                    img.src = data.artwork.startsWith('data:') ? data.artwork : 'data:image/jpeg;base64,' + data.artwork;
-                    img.alt = '';
-                    artworkPlaceholder.replaceWith(img);
-                } else if (artworkPlaceholder) {
-                    artworkPlaceholder.classList.remove('loading-pulse');
-                }
+// Reconcile the library database with the music roots - only new or changed files are re-parsed
+function scanMusicFiles() {
+    if (libraryScanPromise) return libraryScanPromise;
 
-                // Update title (use metadata title or keep filename)
-                if (data.title && titleEl) {
-                    titleEl.textContent = cleanMetadataText(data.title);
+    libraryScanPromise = (async () => {
+        console.log('Scanning media directories...');
+        const scanStart = Date.now();
+        try {
+            // Diff against the stored index using size and mtime
+            const storedStats = libraryDb.getFileStats();
+            const upserts = [];
+            let foundCount = 0;
+
+            // Each root is scanned on its own, so an unplugged drive doesn't empty the rest of the library
+            for (const root of musicRoots) {
+                let mediaFiles = null;
+                if (await checkMusicRoot(root)) {
+                    try {
+                        mediaFiles = await findMediaFiles(root);
+                    } catch (err) {
+                        console.error(`Failed to scan ${root.label} (${root.path}):`, err.message);
+                        root.online = false;
+                    }
+                } else {
+                    console.error(`Music root ${root.label} (${root.path}) not found or not mounted - showing it as offline. Please create it, mount it or add a symlink.`);
                 }
 
-                // Update artist
-                if (artistEl) {
-                    artistEl.classList.remove('loading-text');
-                    artistEl.textContent = cleanMetadataText(data.artist) || '';
+                if (!mediaFiles) {
+                    // Keep the offline root's files in the database for when it's plugged back in
+                    for (const path of storedStats.keys()) {
+                        if (root.owns(path)) storedStats.delete(path);
+                    }
+                    continue;
                 }
 
-                // Update album
-                if (albumEl) {
-                    albumEl.textContent = cleanMetadataText(data.album) || '';
+                const foundFiles = [...mediaFiles.audio, ...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.cues];
+                foundCount += foundFiles.length;
+                for (const file of foundFiles) {
+                    const stored = storedStats.get(file.relativePath);
+                    if (!stored || stored.size !== file.size || stored.mtimeMs !== file.modified.getTime()) {
+                        upserts.push(file);
+                    }
+                    storedStats.delete(file.relativePath);
                 }
+            }
+            // Whatever is left is gone from its root (or its root was removed from music-roots.json)
+            const removedPaths = Array.from(storedStats.keys());
 
-                // Update duration
-                if (durationEl) {
-                    durationEl.classList.remove('loading-text');
-                    durationEl.textContent = data.duration || '';
-                }
+            libraryDb.applyScan(upserts, removedPaths);
+            loadLibraryFromDatabase();
+            await loadLocalCueSheets();
 
-                // Mark as loaded
-                item.dataset.loading = 'false';
+            const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(2);
+            console.log(`Scan complete: ${foundCount} files, ${upserts.length} new or changed, ${removedPaths.length} removed in ${scanDuration}s`);
 
-            } catch (err) {
-                console.error('Failed to load metadata for:', path, err);
-                item.dataset.loading = 'false';
+            parseMissingLibraryTags();
+        } catch (err) {
+            console.error('Failed to scan media directories:', err.message);
+            // Keep serving whatever the library database already has
+            if (!musicFilesCache) {
+                musicFilesCache = [];
+                imageFilesCache = [];
+                videoFilesCache = [];
+                cueFilesCache = [];
             }
         }
+    })().finally(() => {
+        libraryScanPromise = null;
+    });
 
-        // Load items sequentially to avoid overwhelming B2 on first load
-        // (cached loads will be fast on subsequent visits)
-        for (const item of Array.from(items)) {
-            await loadItemMetadata(item);
+    return libraryScanPromise;
+}
+
+// Update single library entries from a batch of watcher events on a root instead of rescanning everything
+async function applyLibraryChanges(root, changes) {
+    // A drive being unplugged shows up as everything on it being deleted - hide the root instead
+    if (!await checkMusicRoot(root)) {
+        await checkMusicRoots();
+        return;
+    }
+
+    const upserts = [];
+    const removedPaths = [];
+    const removedFolders = [];
+
+    for (const { path, event } of changes) {
+        const relativePath = root.relativePathOf(path);
+        if (event === 'unlinkDir') {
+            removedFolders.push(relativePath);
+        } else if (event === 'unlink') {
+            removedPaths.push(relativePath);
+        } else {
+            try {
+                const stats = await promises.stat(path);
+                const fileInfo = stats.isFile() ? buildLocalFileInfo(path, root, stats) : null;
+                if (fileInfo) {
+                    upserts.push(fileInfo);
+                }
+            } catch (err) {
+                // File vanished before we could stat it
+                removedPaths.push(relativePath);
+            }
         }
     }
-</script>
-</body></html>`);
-        res.end();
-    } catch (err) {
-        console.error(`Error fetching ${folderName} folder:`, err);
-        res.writeHead(500);
-        res.end('Internal Server Error');
+
+    const removedCount = libraryDb.applyScan(upserts, removedPaths, removedFolders);
+    if (upserts.length === 0 && removedCount === 0) {
+        return;
     }
+
+    // Patch the caches in place - replaced entries are removed first, then re-added
+    if (musicFilesCache) {
+        const replaced = new Set([...removedPaths, ...upserts.map(file => file.relativePath)]);
+        const keep = (file) => !replaced.has(file.relativePath) &&
+            !removedFolders.some(folder => file.relativePath.startsWith(`${folder}/`));
+        musicFilesCache = musicFilesCache.filter(keep);
+        imageFilesCache = imageFilesCache.filter(keep);
+        videoFilesCache = videoFilesCache.filter(keep);
+        cueFilesCache = cueFilesCache.filter(keep);
+
+        const cacheByType = { audio: musicFilesCache, images: imageFilesCache, videos: videoFilesCache, cues: cueFilesCache };
+        for (const file of upserts) {
+            cacheByType[file.mediaType].push(file);
+        }
+        await loadLocalCueSheets();
+    }
+
+    console.log(`Library watcher: ${upserts.length} added or updated, ${removedCount} removed`);
+    broadcastLibraryEvent('library-changed', {
+        changed: upserts.length,
+        removed: removedCount,
+        audioFiles: musicFilesCache ? musicFilesCache.length : 0
+    });
+
+    parseMissingLibraryTags();
 }
 
-// Scan media files on server startup
-async function scanMusicFiles() {
-    console.log('Scanning media directory...');
-    const scanStart = Date.now();
-    try {
-        // Check if media directory exists
-        try {
-            await promises.access(directoryPathMusic);
-        } catch (err) {
-            console.error(`Media directory "${directoryPathMusic}" not found. Please create it or add a symlink.`);
-            musicFilesCache = [];
-            imageFilesCache = [];
-            videoFilesCache = [];
-            return;
+// Watch each music root for changes (set LIBRARY_WATCH=false to disable, e.g. on very slow storage)
+const libraryWatchers = new Map(process.env.LIBRARY_WATCH === 'false' ? [] : musicRoots.map(root => [root, new LibraryWatcher(root.path, {
+    onChanges: (changes) => applyLibraryChanges(root, changes),
+    isIgnored: isIgnoredMediaEntry,
+    debounceMs: parseInt(process.env.LIBRARY_WATCH_DEBOUNCE_MS) || 2000
+})]));
+
+// How often to look for music roots being unplugged or plugged back in
+const MUSIC_ROOT_CHECK_MS = (parseInt(process.env.MUSIC_ROOT_CHECK_SECONDS) || 30) * 1000;
+let musicRootCheckPromise = null;
+
+// Re-check which roots are reachable - a root that went offline is hidden (its files stay in the
+// library database), one that came back is watched again and rescanned
+function checkMusicRoots() {
+    if (musicRootCheckPromise) return musicRootCheckPromise;
+
+    musicRootCheckPromise = (async () => {
+        const returned = [];
+        let changed = false;
+        for (const root of musicRoots) {
+            const wasOnline = root.online;
+            if (await checkMusicRoot(root) === wasOnline) continue;
+
+            console.log(`Music root ${root.label} (${root.path}) is ${root.online ? 'back online' : 'offline'}`);
+            changed = true;
+            if (root.online) {
+                returned.push(root);
+            }
         }
+        if (!changed || !musicFilesCache) return;
+
+        const countFiles = () => musicFilesCache.length + imageFilesCache.length + videoFilesCache.length;
+        const before = countFiles();
+        loadLibraryFromDatabase();
+        const after = countFiles();
+        broadcastLibraryEvent('library-changed', {
+            changed: Math.max(0, after - before),
+            removed: Math.max(0, before - after),
+            audioFiles: musicFilesCache.length
+        });
 
-        const mediaFiles = await findMediaFiles(directoryPathMusic);
-        musicFilesCache = mediaFiles.audio;
-        imageFilesCache = mediaFiles.images;
-        videoFilesCache = mediaFiles.videos;
+        // The old watcher lost track of a remounted directory - start a fresh one, then pick up
+        // whatever changed while the root was away
+        for (const root of returned) {
+            const watcher = libraryWatchers.get(root);
+            if (watcher) {
+                await watcher.close();
+                watcher.start();
+            }
+        }
+        if (returned.length > 0) {
+            scanMusicFiles();
+        }
+    })().catch(err => {
+        console.error('Music root check failed:', err.message);
+    }).finally(() => {
+        musicRootCheckPromise = null;
+    });
 
-        const totalFiles = musicFilesCache.length + imageFilesCache.length + videoFilesCache.length;
-        const scanDuration = ((Date.now() - scanStart) / 1000).toFixed(2);
-        console.log(`Scan complete: ${musicFilesCache.length} audio, ${imageFilesCache.length} images, ${videoFilesCache.length} videos (${totalFiles} total) in ${scanDuration}s`);
-    } catch (err) {
-        console.error('Failed to scan media directory:', err.message);
-        musicFilesCache = [];
-        imageFilesCache = [];
-        videoFilesCache = [];
-    }
+    return musicRootCheckPromise;
 }
 
 // Create HTTPS server and start listening
 createServer(options, app).listen(port, async () => {
     console.log(`Server listening on https://localhost:${port}`);
-    console.log(`Server listening on https://localhost:${port}/analog`);
-    console.log(`Server listening on https://localhost:${port}/live`);
-    console.log(`Server listening on https://localhost:${port}/digital`);
+    for (const collection of cloudCollections) {
+        console.log(`Server listening on https://localhost:${port}/${collection.id}`);
+    }
 
-    // Scan music directory on startup
+    // Serve the stored library index immediately, then reconcile with the disk in the background
+    // (an empty index means first run, so keep showing the scanning page until the walk finishes)
+    await Promise.all(musicRoots.map(root => checkMusicRoot(root)));
+    await artworkCache.load();
+    if (libraryDb.hasFiles()) {
+        loadLibraryFromDatabase();
+    }
     scanMusicFiles();
-});
 
-async function extractArtwork(filePath) {
-    const fileExt = extname(filePath).toLowerCase();
-    let mimeType;
-    if (fileExt === '.flac') {
-        mimeType = 'audio/flac';
-    } else if (fileExt === '.m4b') {
-        mimeType = 'audio/mp4';
+    for (const watcher of libraryWatchers.values()) {
+        watcher.start();
+    }
+    setInterval(checkMusicRoots, MUSIC_ROOT_CHECK_MS);
+
+    if (await transcoder.checkAvailable()) {
+        console.log(`Transcoding enabled (${transcoder.ffmpegPath})`);
     } else {
-        mimeType = 'audio/mpeg';
-    }
-    const metadata = await parseFile(filePath, { mimeType });
-    if(metadata.common.picture===undefined){
-        return "";
-    }else {
-        const picture = metadata.common.picture[0];
-        // Ensure picture.data is a Buffer before converting to base64
-        if (Buffer.isBuffer(picture.data)) {
-            return picture.data.toString('base64');
-        } else {
-            return Buffer.from(picture.data).toString('base64');
-        }
+        console.log('ffmpeg not found - transcoding and loudness measurement disabled, only original files will be streamed');
+    }
+    loudnessJobReady = true;
+    analyzeLoudness();
+
+    if (b2Mirror.enabled) {
+        console.log(`B2 mirror enabled for ${b2Mirror.folders.join(', ')} (${b2Mirror.mirrorDir})`);
+        b2Mirror.start();
     }
-}
\ No newline at end of file
+});
@@ -0,0 +1,726 @@
+/**
+ * Persistent Library Database
+ * Stores every scanned media file (path, size, mtime and parsed tags) in SQLite so the
+ * library can be served instantly on startup and reconciled against the disk in the background
+ */
+import Database from 'better-sqlite3';
+import {mkdirSync} from 'fs';
+import {dirname} from 'path';
+
+// Schema migrations - applied in order, tracked with PRAGMA user_version
+const MIGRATIONS = [
+    `CREATE TABLE files (
+        relative_path TEXT PRIMARY KEY,
+        file_name TEXT NOT NULL,
+        folder_path TEXT NOT NULL,
+        media_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        mtime_ms INTEGER NOT NULL,
+        tags_parsed_at INTEGER,
+        title TEXT,
+        artist TEXT,
+        album TEXT,
+        album_artist TEXT,
+        genre TEXT,
+        year INTEGER,
+        track_number INTEGER,
+        disc_number INTEGER,
+        duration REAL
+    );
+    CREATE INDEX files_media_type ON files (media_type);`,
+    // User playlists - tracks reference a source ('local' or a B2 folder) and a path within it
+    `CREATE TABLE playlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE playlist_tracks (
+        playlist_id INTEGER NOT NULL REFERENCES playlists (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        title TEXT,
+        duration REAL,
+        PRIMARY KEY (playlist_id, position)
+    );`,
+    // Loudness of local and collection tracks for volume normalization - gains in dB relative to
+    // -18 LUFS, peaks as linear amplitude; version is the file's size and mtime when it was analyzed
+    `CREATE TABLE loudness (
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        folder_path TEXT NOT NULL,
+        version TEXT NOT NULL,
+        method TEXT NOT NULL,
+        analyzed_at INTEGER NOT NULL,
+        track_gain REAL NOT NULL,
+        track_peak REAL,
+        album_gain REAL,
+        album_peak REAL,
+        duration REAL,
+        PRIMARY KEY (source, relative_path)
+    );
+    CREATE INDEX loudness_folder ON loudness (source, folder_path);`,
+    // Virtual tracks inside one recording (e.g. a vinyl side split on its silences) - tracks is a
+    // JSON array of { title, start } in seconds; origin says how they were found ('silence',
+    // 'discogs' or 'manual') and duration is the length of the whole recording
+    `CREATE TABLE track_splits (
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        origin TEXT NOT NULL,
+        discogs_release_id INTEGER,
+        duration REAL,
+        tracks TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (source, relative_path)
+    );`,
+    // Audiobook listening state - where each book was left (seconds) and its named bookmarks
+    `CREATE TABLE book_positions (
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        position REAL NOT NULL,
+        duration REAL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (source, relative_path)
+    );
+    CREATE TABLE book_bookmarks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        position REAL NOT NULL,
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX book_bookmarks_book ON book_bookmarks (source, relative_path);`,
+    // Equalizer presets of the player - settings is the JSON described in dsp-settings.js - and
+    // where they're used: scope 'track' (path is the track's), 'folder' (the folder's, applying to
+    // its subfolders too) or 'collection' (path is empty)
+    `CREATE TABLE dsp_presets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        settings TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE dsp_assignments (
+        scope TEXT NOT NULL,
+        source TEXT NOT NULL,
+        path TEXT NOT NULL,
+        preset_id INTEGER NOT NULL REFERENCES dsp_presets (id) ON DELETE CASCADE,
+        PRIMARY KEY (scope, source, path)
+    );`,
+    // Speed corrections of recordings made at the wrong speed - rpm_from and rpm_to ('33', '45' or
+    // '78') convert between turntable speeds, pitch is a fine adjustment in percent for drift
+    `CREATE TABLE speed_corrections (
+        source TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        rpm_from TEXT,
+        rpm_to TEXT,
+        pitch REAL NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (source, relative_path)
+    );`
+];
+
+export class LibraryDatabase {
+    constructor(dbPath) {
+        mkdirSync(dirname(dbPath), { recursive: true });
+        this.db = new Database(dbPath);
+        // WAL keeps reads fast while the background reconcile is writing
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+
+        this.statements = {
+            anyFile: this.db.prepare(
+                'SELECT 1 FROM files WHERE substr(relative_path, 1, length(@prefix)) = @prefix LIMIT 1'),
+            allFiles: this.db.prepare('SELECT * FROM files'),
+            fileStats: this.db.prepare('SELECT relative_path, size, mtime_ms FROM files'),
+            upsertFile: this.db.prepare(`
+                INSERT INTO files (relative_path, file_name, folder_path, media_type, size, mtime_ms, tags_parsed_at)
+                VALUES (@relativePath, @fileName, @folderPath, @mediaType, @size, @mtimeMs, NULL)
+                ON CONFLICT (relative_path) DO UPDATE SET
+                    file_name = excluded.file_name,
+                    folder_path = excluded.folder_path,
+                    media_type = excluded.media_type,
+                    size = excluded.size,
+                    mtime_ms = excluded.mtime_ms,
+                    tags_parsed_at = NULL`),
+            deleteFile: this.db.prepare('DELETE FROM files WHERE relative_path = ?'),
+            deleteFolder: this.db.prepare(
+                'DELETE FROM files WHERE substr(relative_path, 1, length(@prefix)) = @prefix'),
+            filesNeedingTags: this.db.prepare(
+                `SELECT relative_path FROM files WHERE media_type = 'audio' AND tags_parsed_at IS NULL`),
+            updateTags: this.db.prepare(`
+                UPDATE files SET
+                    title = @title, artist = @artist, album = @album, album_artist = @albumArtist,
+                    genre = @genre, year = @year, track_number = @trackNumber, disc_number = @discNumber,
+                    duration = @duration, tags_parsed_at = @parsedAt
+                WHERE relative_path = @relativePath`),
+            listPlaylists: this.db.prepare(`
+                SELECT p.id, p.name, p.created_at, p.updated_at, COUNT(t.position) AS track_count
+                FROM playlists p LEFT JOIN playlist_tracks t ON t.playlist_id = p.id
+                GROUP BY p.id ORDER BY p.name COLLATE NOCASE`),
+            getPlaylist: this.db.prepare('SELECT * FROM playlists WHERE id = ?'),
+            playlistTracks: this.db.prepare(
+                'SELECT * FROM playlist_tracks WHERE playlist_id = ? ORDER BY position'),
+            insertPlaylist: this.db.prepare(
+                'INSERT INTO playlists (name, created_at, updated_at) VALUES (@name, @now, @now)'),
+            renamePlaylist: this.db.prepare(
+                'UPDATE playlists SET name = @name, updated_at = @now WHERE id = @id'),
+            touchPlaylist: this.db.prepare('UPDATE playlists SET updated_at = @now WHERE id = @id'),
+            deletePlaylist: this.db.prepare('DELETE FROM playlists WHERE id = ?'),
+            clearPlaylistTracks: this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?'),
+            insertPlaylistTrack: this.db.prepare(`
+                INSERT INTO playlist_tracks (playlist_id, position, source, relative_path, title, duration)
+                VALUES (@playlistId, @position, @source, @relativePath, @title, @duration)`),
+            loudnessVersions: this.db.prepare('SELECT relative_path, version FROM loudness WHERE source = ?'),
+            loudnessVersion: this.db.prepare('SELECT version FROM loudness WHERE source = ? AND relative_path = ?'),
+            folderLoudness: this.db.prepare('SELECT * FROM loudness WHERE source = ? AND folder_path = ?'),
+            upsertLoudness: this.db.prepare(`
+                INSERT INTO loudness (source, relative_path, folder_path, version, method, analyzed_at,
+                    track_gain, track_peak, album_gain, album_peak, duration)
+                VALUES (@source, @relativePath, @folderPath, @version, @method, @analyzedAt,
+                    @trackGain, @trackPeak, @albumGain, @albumPeak, @duration)
+                ON CONFLICT (source, relative_path) DO UPDATE SET
+                    folder_path = excluded.folder_path,
+                    version = excluded.version,
+                    method = excluded.method,
+                    analyzed_at = excluded.analyzed_at,
+                    track_gain = excluded.track_gain,
+                    track_peak = excluded.track_peak,
+                    album_gain = excluded.album_gain,
+                    album_peak = excluded.album_peak,
+                    duration = excluded.duration`),
+            getSplit: this.db.prepare('SELECT * FROM track_splits WHERE source = ? AND relative_path = ?'),
+            upsertSplit: this.db.prepare(`
+                INSERT INTO track_splits (source, relative_path, origin, discogs_release_id, duration, tracks, updated_at)
+                VALUES (@source, @relativePath, @origin, @discogsReleaseId, @duration, @tracks, @updatedAt)
+                ON CONFLICT (source, relative_path) DO UPDATE SET
+                    origin = excluded.origin,
+                    discogs_release_id = excluded.discogs_release_id,
+                    duration = excluded.duration,
+                    tracks = excluded.tracks,
+                    updated_at = excluded.updated_at`),
+            deleteSplit: this.db.prepare('DELETE FROM track_splits WHERE source = ? AND relative_path = ?'),
+            getBookPosition: this.db.prepare('SELECT * FROM book_positions WHERE source = ? AND relative_path = ?'),
+            upsertBookPosition: this.db.prepare(`
+                INSERT INTO book_positions (source, relative_path, position, duration, updated_at)
+                VALUES (@source, @relativePath, @position, @duration, @updatedAt)
+                ON CONFLICT (source, relative_path) DO UPDATE SET
+                    position = excluded.position,
+                    duration = COALESCE(excluded.duration, book_positions.duration),
+                    updated_at = excluded.updated_at`),
+            bookmarks: this.db.prepare(
+                'SELECT * FROM book_bookmarks WHERE source = ? AND relative_path = ? ORDER BY position, id'),
+            getBookmark: this.db.prepare('SELECT * FROM book_bookmarks WHERE id = ?'),
+            insertBookmark: this.db.prepare(`
+                INSERT INTO book_bookmarks (source, relative_path, position, name, created_at)
+                VALUES (@source, @relativePath, @position, @name, @createdAt)`),
+            deleteBookmark: this.db.prepare('DELETE FROM book_bookmarks WHERE id = ?'),
+            listDspPresets: this.db.prepare('SELECT * FROM dsp_presets ORDER BY name COLLATE NOCASE, id'),
+            getDspPreset: this.db.prepare('SELECT * FROM dsp_presets WHERE id = ?'),
+            insertDspPreset: this.db.prepare(`
+                INSERT INTO dsp_presets (name, settings, created_at, updated_at)
+                VALUES (@name, @settings, @now, @now)`),
+            updateDspPreset: this.db.prepare(`
+                UPDATE dsp_presets SET
+                    name = COALESCE(@name, name),
+                    settings = COALESCE(@settings, settings),
+                    updated_at = @now
+                WHERE id = @id`),
+            deleteDspPreset: this.db.prepare('DELETE FROM dsp_presets WHERE id = ?'),
+            dspAssignments: this.db.prepare('SELECT * FROM dsp_assignments WHERE source = ?'),
+            upsertDspAssignment: this.db.prepare(`
+                INSERT INTO dsp_assignments (scope, source, path, preset_id)
+                VALUES (@scope, @source, @path, @presetId)
+                ON CONFLICT (scope, source, path) DO UPDATE SET preset_id = excluded.preset_id`),
+            deleteDspAssignment: this.db.prepare(
+                'DELETE FROM dsp_assignments WHERE scope = @scope AND source = @source AND path = @path'),
+            getSpeedCorrection: this.db.prepare('SELECT * FROM speed_corrections WHERE source = ? AND relative_path = ?'),
+            upsertSpeedCorrection: this.db.prepare(`
+                INSERT INTO speed_corrections (source, relative_path, rpm_from, rpm_to, pitch, updated_at)
+                VALUES (@source, @relativePath, @rpmFrom, @rpmTo, @pitch, @updatedAt)
+                ON CONFLICT (source, relative_path) DO UPDATE SET
+                    rpm_from = excluded.rpm_from,
+                    rpm_to = excluded.rpm_to,
+                    pitch = excluded.pitch,
+                    updated_at = excluded.updated_at`),
+            deleteSpeedCorrection: this.db.prepare('DELETE FROM speed_corrections WHERE source = ? AND relative_path = ?')
+        };
+    }
+
+    /**
+     * Bring the schema up to date
+     */
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[i]);
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+        }
+    }
+
+    /**
+     * Convert a database row to the file info shape used by the scan caches
+     */
+    rowToFileInfo(row) {
+        return {
+            relativePath: row.relative_path,
+            fileName: row.file_name,
+            folderPath: row.folder_path,
+            mediaType: row.media_type,
+            size: row.size,
+            modified: new Date(row.mtime_ms),
+            tags: row.tags_parsed_at ? {
+                title: row.title,
+                artist: row.artist,
+                album: row.album,
+                albumArtist: row.album_artist,
+                genre: row.genre,
+                year: row.year,
+                trackNumber: row.track_number,
+                discNumber: row.disc_number,
+                duration: row.duration
+            } : null
+        };
+    }
+
+    /**
+     * Whether the index has been populated by a previous scan - with a prefix, whether it has any
+     * files under it (e.g. a music root's 'usb1/')
+     */
+    hasFiles(prefix = '') {
+        return this.statements.anyFile.get({ prefix }) !== undefined;
+    }
+
+    /**
+     * All indexed files, grouped the same way findMediaFiles() groups them
+     */
+    getAllFiles() {
+        const filesByType = { audio: [], images: [], videos: [], cues: [] };
+        for (const row of this.statements.allFiles.iterate()) {
+            const fileInfo = this.rowToFileInfo(row);
+            if (filesByType[fileInfo.mediaType]) {
+                filesByType[fileInfo.mediaType].push(fileInfo);
+            }
+        }
+        return filesByType;
+    }
+
+    /**
+     * Map of relative path -> { size, mtimeMs } used to detect changed files
+     */
+    getFileStats() {
+        const stats = new Map();
+        for (const row of this.statements.fileStats.iterate()) {
+            stats.set(row.relative_path, { size: row.size, mtimeMs: row.mtime_ms });
+        }
+        return stats;
+    }
+
+    /**
+     * Apply the result of a scan (or a batch of watcher events) in a single transaction
+     * Upserted files have their tags cleared so they get re-parsed
+     * Returns the number of removed rows
+     */
+    applyScan(upserts, removedPaths, removedFolders = []) {
+        return this.db.transaction(() => {
+            let removedCount = 0;
+            for (const file of upserts) {
+                this.statements.upsertFile.run({
+                    relativePath: file.relativePath,
+                    fileName: file.fileName,
+                    folderPath: file.folderPath,
+                    mediaType: file.mediaType,
+                    size: file.size,
+                    mtimeMs: file.modified.getTime()
+                });
+            }
+            for (const relativePath of removedPaths) {
+                removedCount += this.statements.deleteFile.run(relativePath).changes;
+            }
+            for (const folderPath of removedFolders) {
+                removedCount += this.statements.deleteFolder.run({ prefix: `${folderPath}/` }).changes;
+            }
+            return removedCount;
+        })();
+    }
+
+    /**
+     * Relative paths of audio files whose tags have not been parsed yet
+     */
+    getFilesNeedingTags() {
+        return this.statements.filesNeedingTags.all().map(row => row.relative_path);
+    }
+
+    /**
+     * Store parsed tags for a file (pass null tags to mark a file as unparseable)
+     */
+    updateTags(relativePath, tags) {
+        this.statements.updateTags.run({
+            relativePath,
+            title: tags?.title ?? null,
+            artist: tags?.artist ?? null,
+            album: tags?.album ?? null,
+            albumArtist: tags?.albumArtist ?? null,
+            genre: tags?.genre ?? null,
+            year: tags?.year ?? null,
+            trackNumber: tags?.trackNumber ?? null,
+            discNumber: tags?.discNumber ?? null,
+            duration: tags?.duration ?? null,
+            parsedAt: Date.now()
+        });
+    }
+
+    /**
+     * All playlists with their track counts, sorted by name
+     */
+    listPlaylists() {
+        return this.statements.listPlaylists.all().map(row => ({
+            id: row.id,
+            name: row.name,
+            trackCount: row.track_count,
+            createdAt: new Date(row.created_at),
+            updatedAt: new Date(row.updated_at)
+        }));
+    }
+
+    /**
+     * A playlist with its tracks in order, or null if it doesn't exist
+     */
+    getPlaylist(id) {
+        const row = this.statements.getPlaylist.get(id);
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            createdAt: new Date(row.created_at),
+            updatedAt: new Date(row.updated_at),
+            tracks: this.statements.playlistTracks.all(id).map(track => ({
+                position: track.position,
+                source: track.source,
+                relativePath: track.relative_path,
+                title: track.title,
+                duration: track.duration
+            }))
+        };
+    }
+
+    /**
+     * Create a playlist (optionally with tracks) and return its id
+     */
+    createPlaylist(name, tracks = []) {
+        return this.db.transaction(() => {
+            const id = Number(this.statements.insertPlaylist.run({ name, now: Date.now() }).lastInsertRowid);
+            this.insertPlaylistTracks(id, tracks, 0);
+            return id;
+        })();
+    }
+
+    renamePlaylist(id, name) {
+        return this.statements.renamePlaylist.run({ id, name, now: Date.now() }).changes > 0;
+    }
+
+    deletePlaylist(id) {
+        return this.statements.deletePlaylist.run(id).changes > 0;
+    }
+
+    /**
+     * Replace all tracks of a playlist (used for reordering and removing tracks)
+     */
+    setPlaylistTracks(id, tracks) {
+        return this.db.transaction(() => {
+            if (this.statements.touchPlaylist.run({ id, now: Date.now() }).changes === 0) {
+                return false;
+            }
+            this.statements.clearPlaylistTracks.run(id);
+            this.insertPlaylistTracks(id, tracks, 0);
+            return true;
+        })();
+    }
+
+    /**
+     * Append tracks to the end of a playlist
+     */
+    addPlaylistTracks(id, tracks) {
+        return this.db.transaction(() => {
+            if (this.statements.touchPlaylist.run({ id, now: Date.now() }).changes === 0) {
+                return false;
+            }
+            const existing = this.statements.playlistTracks.all(id);
+            this.insertPlaylistTracks(id, tracks, existing.length);
+            return true;
+        })();
+    }
+
+    insertPlaylistTracks(playlistId, tracks, startPosition) {
+        tracks.forEach((track, index) => {
+            this.statements.insertPlaylistTrack.run({
+                playlistId,
+                position: startPosition + index,
+                source: track.source,
+                relativePath: track.relativePath,
+                title: track.title ?? null,
+                duration: track.duration ?? null
+            });
+        });
+    }
+
+    /**
+     * Map of relative path -> analyzed version for every track of a source with stored loudness
+     */
+    getLoudnessVersions(source) {
+        const versions = new Map();
+        for (const row of this.statements.loudnessVersions.iterate(source)) {
+            versions.set(row.relative_path, row.version);
+        }
+        return versions;
+    }
+
+    /**
+     * Analyzed version of one track (undefined when it has no stored loudness)
+     */
+    getLoudnessVersion(source, relativePath) {
+        return this.statements.loudnessVersion.get(source, relativePath)?.version;
+    }
+
+    /**
+     * Stored loudness of the tracks in one folder of a source
+     */
+    getFolderLoudness(source, folderPath) {
+        return this.statements.folderLoudness.all(source, folderPath).map(row => ({
+            relativePath: row.relative_path,
+            version: row.version,
+            method: row.method,
+            analyzedAt: new Date(row.analyzed_at),
+            trackGain: row.track_gain,
+            trackPeak: row.track_peak,
+            albumGain: row.album_gain,
+            albumPeak: row.album_peak,
+            duration: row.duration
+        }));
+    }
+
+    /**
+     * Store the loudness of a track (replacing what was stored for an older version of it)
+     */
+    setLoudness(loudness) {
+        this.statements.upsertLoudness.run({
+            source: loudness.source,
+            relativePath: loudness.relativePath,
+            folderPath: loudness.folderPath,
+            version: loudness.version,
+            method: loudness.method,
+            analyzedAt: Date.now(),
+            trackGain: loudness.trackGain,
+            trackPeak: loudness.trackPeak ?? null,
+            albumGain: loudness.albumGain ?? null,
+            albumPeak: loudness.albumPeak ?? null,
+            duration: loudness.duration ?? null
+        });
+    }
+
+    /**
+     * Virtual tracks of a recording, or null when it hasn't been split
+     */
+    getSplit(source, relativePath) {
+        const row = this.statements.getSplit.get(source, relativePath);
+        if (!row) {
+            return null;
+        }
+        return {
+            origin: row.origin,
+            discogsReleaseId: row.discogs_release_id,
+            duration: row.duration,
+            tracks: JSON.parse(row.tracks),
+            updatedAt: new Date(row.updated_at)
+        };
+    }
+
+    /**
+     * Store the virtual tracks of a recording (replacing any earlier split)
+     */
+    setSplit(split) {
+        this.statements.upsertSplit.run({
+            source: split.source,
+            relativePath: split.relativePath,
+            origin: split.origin,
+            discogsReleaseId: split.discogsReleaseId ?? null,
+            duration: split.duration ?? null,
+            tracks: JSON.stringify(split.tracks),
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Forget the virtual tracks of a recording - returns whether it had any
+     */
+    deleteSplit(source, relativePath) {
+        return this.statements.deleteSplit.run(source, relativePath).changes > 0;
+    }
+
+    /**
+     * Where a book was left - { position, duration, updatedAt }, or null when it hasn't been played
+     */
+    getBookPosition(source, relativePath) {
+        const row = this.statements.getBookPosition.get(source, relativePath);
+        if (!row) {
+            return null;
+        }
+        return { position: row.position, duration: row.duration, updatedAt: new Date(row.updated_at) };
+    }
+
+    /**
+     * Remember where a book was left (keeping the stored duration when none is given)
+     */
+    setBookPosition({ source, relativePath, position, duration }) {
+        this.statements.upsertBookPosition.run({
+            source,
+            relativePath,
+            position,
+            duration: duration ?? null,
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Bookmarks of a book in the order they appear in it
+     */
+    getBookmarks(source, relativePath) {
+        return this.statements.bookmarks.all(source, relativePath).map(row => this.rowToBookmark(row));
+    }
+
+    rowToBookmark(row) {
+        return { id: row.id, position: row.position, name: row.name, createdAt: new Date(row.created_at) };
+    }
+
+    /**
+     * Add a named bookmark to a book and return it
+     */
+    addBookmark({ source, relativePath, position, name }) {
+        const id = Number(this.statements.insertBookmark.run({ source, relativePath, position, name, createdAt: Date.now() }).lastInsertRowid);
+        return this.rowToBookmark(this.statements.getBookmark.get(id));
+    }
+
+    deleteBookmark(id) {
+        return this.statements.deleteBookmark.run(id).changes > 0;
+    }
+
+    /**
+     * All equalizer presets, sorted by name
+     */
+    listDspPresets() {
+        return this.statements.listDspPresets.all().map(row => this.rowToDspPreset(row));
+    }
+
+    /**
+     * A preset, or null if it doesn't exist
+     */
+    getDspPreset(id) {
+        const row = this.statements.getDspPreset.get(id);
+        return row ? this.rowToDspPreset(row) : null;
+    }
+
+    rowToDspPreset(row) {
+        return { id: row.id, name: row.name, settings: JSON.parse(row.settings), updatedAt: new Date(row.updated_at) };
+    }
+
+    /**
+     * Create a preset and return it
+     */
+    createDspPreset(name, settings) {
+        const id = Number(this.statements.insertDspPreset.run({ name, settings: JSON.stringify(settings), now: Date.now() }).lastInsertRowid);
+        return this.getDspPreset(id);
+    }
+
+    /**
+     * Rename a preset and/or replace its settings (null leaves either as it is) - returns whether it exists
+     */
+    updateDspPreset(id, { name = null, settings = null }) {
+        return this.statements.updateDspPreset.run({
+            id,
+            name,
+            settings: settings ? JSON.stringify(settings) : null,
+            now: Date.now()
+        }).changes > 0;
+    }
+
+    /**
+     * Delete a preset, along with everywhere it was used
+     */
+    deleteDspPreset(id) {
+        return this.statements.deleteDspPreset.run(id).changes > 0;
+    }
+
+    /**
+     * Presets assigned to a track, to its folder and to its collection - { track, folder,
+     * collection } preset ids (null where none is) - and the one that applies to it: the track's
+     * own, else the nearest folder's up the tree, else the collection's, as { scope, path, preset }
+     */
+    getDspAssignments(source, relativePath) {
+        const assigned = new Map(this.statements.dspAssignments.all(source).map(row => [`${row.scope}:${row.path}`, row.preset_id]));
+        const folderPath = relativePath.includes('/') ? relativePath.substring(0, relativePath.lastIndexOf('/')) : '';
+
+        const candidates = [{ scope: 'track', path: relativePath }];
+        for (let folder = folderPath; folder; folder = folder.includes('/') ? folder.substring(0, folder.lastIndexOf('/')) : '') {
+            candidates.push({ scope: 'folder', path: folder });
+        }
+        candidates.push({ scope: 'collection', path: '' });
+        const match = candidates.find(candidate => assigned.has(`${candidate.scope}:${candidate.path}`));
+
+        return {
+            track: assigned.get(`track:${relativePath}`) ?? null,
+            folder: folderPath ? assigned.get(`folder:${folderPath}`) ?? null : null,
+            collection: assigned.get('collection:') ?? null,
+            applied: match ? { ...match, preset: this.getDspPreset(assigned.get(`${match.scope}:${match.path}`)) } : null
+        };
+    }
+
+    /**
+     * Use a preset for a track, folder or collection - a null preset id removes the assignment
+     */
+    setDspAssignment({ scope, source, path, presetId }) {
+        if (presetId === null) {
+            this.statements.deleteDspAssignment.run({ scope, source, path });
+        } else {
+            this.statements.upsertDspAssignment.run({ scope, source, path, presetId });
+        }
+    }
+
+    /**
+     * Speed correction of a track - { rpmFrom, rpmTo, pitch, updatedAt } - or null when it plays as recorded
+     */
+    getSpeedCorrection(source, relativePath) {
+        const row = this.statements.getSpeedCorrection.get(source, relativePath);
+        if (!row) {
+            return null;
+        }
+        return { rpmFrom: row.rpm_from, rpmTo: row.rpm_to, pitch: row.pitch, updatedAt: new Date(row.updated_at) };
+    }
+
+    /**
+     * Store a track's speed correction - one without an RPM conversion or pitch change is removed
+     */
+    setSpeedCorrection({ source, relativePath, rpmFrom, rpmTo, pitch }) {
+        if (!rpmFrom && !pitch) {
+            this.statements.deleteSpeedCorrection.run(source, relativePath);
+            return;
+        }
+        this.statements.upsertSpeedCorrection.run({
+            source,
+            relativePath,
+            rpmFrom: rpmFrom || null,
+            rpmTo: rpmFrom ? rpmTo : null,
+            pitch,
+            updatedAt: Date.now()
+        });
+    }
+
+    close() {
+        this.db.close();
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Library Watcher
+ * Watches a music root (including symlinked subtrees) and reports debounced
+ * batches of file changes so the library index can be updated incrementally
+ */
+import chokidar from 'chokidar';
+import {basename} from 'path';
+
+export class LibraryWatcher {
+    constructor(rootDir, { onChanges, isIgnored = () => false, debounceMs = 2000, maxWaitMs = 30000 } = {}) {
+        this.rootDir = rootDir;
+        this.onChanges = onChanges;
+        this.isIgnored = isIgnored;
+        this.debounceMs = debounceMs;
+        this.maxWaitMs = maxWaitMs;
+        // Latest event per path - a file added then removed within one batch ends up as 'unlink'
+        this.pending = new Map();
+        this.debounceTimer = null;
+        this.batchStartTime = 0;
+        // Batches are applied one at a time
+        this.flushChain = Promise.resolve();
+        this.watcher = null;
+    }
+
+    /**
+     * Start watching - existing files are not reported (the startup scan handles those)
+     */
+    start() {
+        this.watcher = chokidar.watch(this.rootDir, {
+            ignoreInitial: true,
+            followSymlinks: true,
+            ignored: (path) => path !== this.rootDir && this.isIgnored(basename(path)),
+            // Don't report a file until it has stopped growing (large copies over USB/network)
+            awaitWriteFinish: { stabilityThreshold: 2000, pollInterval: 500 }
+        });
+
+        for (const event of ['add', 'change', 'unlink', 'unlinkDir']) {
+            this.watcher.on(event, (path) => this.queue(event, path));
+        }
+        this.watcher.on('ready', () => console.log(`Watching ${this.rootDir} for library changes`));
+        this.watcher.on('error', (err) => console.error('Library watcher error:', err.message));
+    }
+
+    /**
+     * Queue an event and (re)start the debounce timer
+     */
+    queue(event, path) {
+        this.pending.set(path, event);
+
+        if (!this.debounceTimer) {
+            this.batchStartTime = Date.now();
+        }
+        clearTimeout(this.debounceTimer);
+
+        // Flush after a quiet period, but never hold a batch longer than maxWaitMs during a long copy
+        const waited = Date.now() - this.batchStartTime;
+        const delay = Math.max(0, Math.min(this.debounceMs, this.maxWaitMs - waited));
+        this.debounceTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Hand the pending batch to the change handler
+     */
+    flush() {
+        this.debounceTimer = null;
+        if (this.pending.size === 0) return this.flushChain;
+
+        const changes = Array.from(this.pending, ([path, event]) => ({ path, event }));
+        this.pending.clear();
+
+        this.flushChain = this.flushChain.then(() => this.onChanges(changes)).catch(err => {
+            console.error('Failed to apply library changes:', err.message);
+        });
+        return this.flushChain;
+    }
+
+    async close() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+        if (this.watcher) {
+            await this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Loudness
+ * EBU R128 loudness measurement with ffmpeg's ebur128 filter, turned into ReplayGain 2.0 style
+ * gains (relative to -18 LUFS) so quiet vinyl transfers and hot digital masters play at the
+ * same volume. Files that already carry ReplayGain tags use those instead of being measured.
+ * Album values are derived from the tracks of a folder.
+ */
+import {spawn} from 'child_process';
+
+// ReplayGain 2.0 reference level
+export const REFERENCE_LUFS = -18;
+
+/**
+ * Measure a file (path) or stream with ffmpeg - resolves to { integrated (LUFS), peak (linear true peak) }
+ */
+export function measureLoudness({ ffmpegPath = 'ffmpeg', input }) {
+    return new Promise((resolve, reject) => {
+        const inputIsStream = typeof input !== 'string';
+        const ffmpeg = spawn(ffmpegPath, [
+            '-hide_banner', '-nostats',
+            '-i', inputIsStream ? 'pipe:0' : input,
+            '-map', '0:a:0',
+            '-filter:a', 'ebur128=peak=true',
+            '-f', 'null', '-'
+        ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+        // The summary comes at the end of stderr - only keep the tail
+        let output = '';
+        ffmpeg.stderr.on('data', (data) => {
+            output = (output + data.toString()).slice(-4096);
+        });
+
+        if (inputIsStream) {
+            input.pipe(ffmpeg.stdin);
+            input.on('error', (err) => {
+                ffmpeg.kill('SIGKILL');
+                reject(err);
+            });
+        }
+        // ffmpeg stops reading once it has what it needs - that's not an error
+        ffmpeg.stdin.on('error', () => {});
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (inputIsStream && !input.destroyed) {
+                input.destroy();
+            }
+            const summary = output.substring(output.lastIndexOf('Summary:'));
+            const integrated = summary.match(/I:\s+(-?[\d.]+|-inf) LUFS/);
+            const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+            if (code !== 0 || !integrated) {
+                reject(new Error(`ffmpeg exited with code ${code}: ${output.trim().split('\n').pop()}`));
+                return;
+            }
+            resolve({
+                // Digital silence measures as -inf (and -70 LUFS is the gate anyway)
+                integrated: integrated[1] === '-inf' ? -70 : parseFloat(integrated[1]),
+                peak: !peak || peak[1] === '-inf' ? 0 : Math.pow(10, parseFloat(peak[1]) / 20)
+            });
+        });
+    });
+}
+
+/**
+ * Track gain and peak for a measurement
+ */
+export function gainFromLoudness({ integrated, peak }) {
+    return { trackGain: round(REFERENCE_LUFS - integrated), trackPeak: round(peak, 6) };
+}
+
+/**
+ * ReplayGain values from music-metadata's common tags, or null when the file has no track gain
+ */
+export function replayGainFromTags(common) {
+    if (!common?.replaygain_track_gain) {
+        return null;
+    }
+    return {
+        trackGain: round(common.replaygain_track_gain.dB),
+        trackPeak: common.replaygain_track_peak ? round(common.replaygain_track_peak.ratio, 6) : null,
+        albumGain: common.replaygain_album_gain ? round(common.replaygain_album_gain.dB) : null,
+        albumPeak: common.replaygain_album_peak ? round(common.replaygain_album_peak.ratio, 6) : null
+    };
+}
+
+/**
+ * Album gain and peak from its tracks ({ trackGain, trackPeak, duration }) - the loudness of the
+ * album played through is the duration-weighted energy average of the tracks' loudness
+ */
+export function albumGainFromTracks(tracks) {
+    let energy = 0;
+    let totalDuration = 0;
+    let albumPeak = 0;
+    for (const track of tracks) {
+        const duration = track.duration || 1;
+        const integrated = REFERENCE_LUFS - track.trackGain;
+        energy += duration * Math.pow(10, integrated / 10);
+        totalDuration += duration;
+        albumPeak = Math.max(albumPeak, track.trackPeak || 0);
+    }
+    if (totalDuration === 0) {
+        return null;
+    }
+    const integrated = 10 * Math.log10(energy / totalDuration);
+    return { albumGain: round(REFERENCE_LUFS - integrated), albumPeak: round(albumPeak, 6) };
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
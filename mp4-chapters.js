@@ -0,0 +1,104 @@
+/**
+ * MP4 Chapters
+ * Chapter lists of M4B audiobooks. Audiobook tools usually write the chapters twice: as a Nero chpl
+ * atom in moov/udta, and as a QuickTime chapter track (a text track whose samples are the titles).
+ * The chpl atom is found by walking atom headers with a few small reads, so a book on cloud storage
+ * (where moov is often at the very end) never has to be downloaded for it. Chapter tracks, which
+ * music-metadata reads, cover files without one. Times are in seconds.
+ */
+
+// Nero chapter starts are in 100 nanosecond units
+const NERO_TIME_SCALE = 10000000;
+// Largest atom header - size, type and a 64-bit size
+const ATOM_HEADER_BYTES = 16;
+// Up to 255 chapters with titles of up to 255 bytes
+const MAX_CHPL_BYTES = 256 * 264;
+
+/**
+ * Nero chapters of an MP4 file of a given size - read(position, length) resolves to a Buffer of the
+ * file's bytes from position (shorter at the end of the file). Resolves to [{ title, start }], or
+ * null when the file has no chpl atom
+ */
+export async function readNeroChapters(read, size) {
+    const moov = await findAtom(read, 0, size, 'moov');
+    const udta = moov && await findAtom(read, moov.contentStart, moov.end, 'udta');
+    const chpl = udta && await findAtom(read, udta.contentStart, udta.end, 'chpl');
+    if (!chpl) {
+        return null;
+    }
+    return parseChpl(await read(chpl.contentStart, Math.min(chpl.end - chpl.contentStart, MAX_CHPL_BYTES)));
+}
+
+/**
+ * Position of the first atom of a type between start and end of an MP4 file (read as for
+ * readNeroChapters) - { contentStart, end } or null
+ */
+export async function findAtom(read, start, end, type) {
+    let position = start;
+    while (position + 8 <= end) {
+        const header = await read(position, ATOM_HEADER_BYTES);
+        if (header.length < 8) return null;
+
+        let atomSize = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (atomSize === 1) {
+            // 64-bit size follows the type
+            if (header.length < 16) return null;
+            atomSize = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (atomSize === 0) {
+            // The last atom of the file runs to its end
+            atomSize = end - position;
+        }
+        if (atomSize < headerSize) return null;
+
+        if (header.toString('latin1', 4, 8) === type) {
+            return { contentStart: position + headerSize, end: Math.min(end, position + atomSize) };
+        }
+        position += atomSize;
+    }
+    return null;
+}
+
+// Chapters from the content of a chpl atom - version and flags, 4 reserved bytes from version 1,
+// a chapter count, then each chapter's 64-bit start and length-prefixed UTF-8 title
+function parseChpl(buffer) {
+    if (buffer.length < 5) return null;
+    let offset = buffer.readUInt8(0) > 0 ? 8 : 4;
+    if (offset >= buffer.length) return null;
+    const count = buffer.readUInt8(offset++);
+
+    const chapters = [];
+    for (let i = 0; i < count && offset + 9 <= buffer.length; i++) {
+        const start = Number(buffer.readBigUInt64BE(offset)) / NERO_TIME_SCALE;
+        const titleLength = buffer.readUInt8(offset + 8);
+        offset += 9;
+        chapters.push({ title: buffer.toString('utf8', offset, Math.min(buffer.length, offset + titleLength)), start });
+        offset += titleLength;
+    }
+    return chapters;
+}
+
+/**
+ * Chapters from music-metadata's format (parsed with includeChapters) - [{ title, start }]
+ */
+export function chaptersFromMetadata(format) {
+    return (format.chapters || []).map(chapter => ({
+        title: chapter.title,
+        start: chapter.timeScale ? chapter.start / chapter.timeScale : (chapter.sampleOffset || 0) / (format.sampleRate || 1)
+    }));
+}
+
+/**
+ * Chapters sorted by start, with a title for each - an empty list for a book with a single chapter
+ */
+export function normalizeChapters(chapters) {
+    const normalized = chapters
+        .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0)
+        .sort((a, b) => a.start - b.start)
+        .map((chapter, i) => ({
+            title: (chapter.title || '').replace(/\0/g, '').trim() || `Chapter ${i + 1}`,
+            start: Math.round(chapter.start * 1000) / 1000
+        }));
+    return normalized.length > 1 ? normalized : [];
+}
@@ -0,0 +1,109 @@
+/**
+ * Music Roots
+ * The local directories the library is built from - e.g. the internal SD card, a USB drive and
+ * a NAS mount. They are declared in music-roots.json (or the file named by MUSIC_ROOTS_CONFIG)
+ * as an id, a label and a path; each root's files are listed under its id (usb1/Artist/song.mp3)
+ * so the roots show up as top-level folders. Without a config file MUSIC_DIRECTORY is the only
+ * root and paths have no prefix, as before.
+ */
+import {existsSync, promises, readFileSync} from 'fs';
+import {dirname, relative, resolve, sep} from 'path';
+
+export class MusicRoot {
+    constructor({ id, label, path }) {
+        // '' for the single MUSIC_DIRECTORY root
+        this.id = id;
+        this.label = label;
+        this.path = path;
+        // Updated by checkOnline() - an unplugged drive or unmounted share is offline
+        this.online = false;
+    }
+
+    /**
+     * Prefix of the root's library paths ('' for the single MUSIC_DIRECTORY root)
+     */
+    get prefix() {
+        return this.id ? `${this.id}/` : '';
+    }
+
+    /**
+     * Whether a library path belongs to this root
+     */
+    owns(relativePath) {
+        return relativePath.startsWith(this.prefix);
+    }
+
+    /**
+     * Library path of a file on disk inside the root
+     */
+    relativePathOf(fullPath) {
+        return `${this.prefix}${relative(this.path, fullPath).split(sep).join('/')}`;
+    }
+
+    /**
+     * Disk path of a library path, or null when it would point outside the root
+     */
+    fullPathOf(relativePath) {
+        const fullPath = resolve(this.path, relativePath.substring(this.prefix.length));
+        return fullPath.startsWith(this.path + sep) ? fullPath : null;
+    }
+
+    /**
+     * Check that the root's directory can be read and update online. With expectFiles (the library
+     * has files from this root) an empty directory is offline too - a drive unplugged from a
+     * static mount point (fstab) leaves the empty mount directory behind
+     */
+    async checkOnline({ expectFiles = false } = {}) {
+        try {
+            const stats = await promises.stat(this.path);
+            await promises.access(this.path);
+            this.online = stats.isDirectory() && (!expectFiles || (await promises.readdir(this.path)).length > 0);
+        } catch (err) {
+            this.online = false;
+        }
+        return this.online;
+    }
+}
+
+/**
+ * Read the root list - throws when the config file is invalid, so a typo stops the server
+ * instead of dropping a drive from the library
+ */
+export function loadMusicRoots(configPath, { musicDirectory = './music', baseDir = process.cwd() } = {}) {
+    if (!existsSync(configPath)) {
+        return [new MusicRoot({ id: '', label: 'Local Music', path: resolve(baseDir, musicDirectory) })];
+    }
+
+    const declared = JSON.parse(readFileSync(configPath, 'utf8'));
+    if (!Array.isArray(declared) || declared.length === 0) {
+        throw new Error(`${configPath} must contain an array of music roots`);
+    }
+
+    const roots = [];
+    for (const entry of declared) {
+        const id = String(entry.id || '');
+        if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+            throw new Error(`Invalid music root id "${id}" - use lowercase letters, digits, "-" and "_"`);
+        }
+        if (roots.some(root => root.id === id)) {
+            throw new Error(`Music root id "${id}" is used twice`);
+        }
+        if (!entry.path) {
+            throw new Error(`Music root "${id}" has no path`);
+        }
+        roots.push(new MusicRoot({
+            id,
+            label: entry.label || id,
+            // Relative paths are resolved against the config file's directory
+            path: resolve(dirname(configPath), entry.path)
+        }));
+    }
+    return roots;
+}
+
+/**
+ * Root a library path belongs to (null when none does)
+ */
+export function findMusicRoot(roots, relativePath) {
+    return roots.find(root => root.owns(relativePath)) || null;
+}
@@ -0,0 +1,128 @@
+/**
+ * Playlist import/export formats
+ * Writes playlists as M3U8 or XSPF and reads entries back from either format.
+ * Entries are { location, title, duration } - mapping a location back to a library
+ * track is left to the caller, which knows the music folder and B2 folders.
+ */
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Playlist as an extended M3U file (UTF-8)
+ * tracks are { location, title, duration } with duration in seconds (or null)
+ */
+export function toM3U8(name, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+    for (const track of tracks) {
+        const duration = track.duration ? Math.round(track.duration) : -1;
+        lines.push(`#EXTINF:${duration},${track.title || ''}`);
+        lines.push(track.location);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Playlist as an XSPF document
+ */
+export function toXSPF(name, tracks) {
+    const trackXml = tracks.map(track => {
+        let xml = '    <track>\n';
+        xml += `      <location>${escapeXml(track.location)}</location>\n`;
+        if (track.title) xml += `      <title>${escapeXml(track.title)}</title>\n`;
+        if (track.duration) xml += `      <duration>${Math.round(track.duration * 1000)}</duration>\n`;
+        xml += '    </track>\n';
+        return xml;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${escapeXml(name)}</title>
+  <trackList>
+${trackXml}  </trackList>
+</playlist>
+`;
+}
+
+/**
+ * Read an M3U/M3U8 file - returns { name, entries }
+ */
+export function parseM3U(text) {
+    let name = null;
+    let pending = {};
+    const entries = [];
+
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.substring('#PLAYLIST:'.length).trim();
+        } else if (line.startsWith('#EXTINF:')) {
+            // #EXTINF:123,Artist - Title
+            const match = line.match(/^#EXTINF:(-?[\d.]+)[^,]*,?(.*)$/);
+            if (match) {
+                const duration = parseFloat(match[1]);
+                pending = { duration: duration > 0 ? duration : null, title: match[2].trim() || null };
+            }
+        } else if (!line.startsWith('#')) {
+            entries.push({ location: line, title: pending.title || null, duration: pending.duration || null });
+            pending = {};
+        }
+    }
+
+    return { name, entries };
+}
+
+/**
+ * Read an XSPF file - returns { name, entries }
+ */
+export function parseXSPF(text) {
+    const tag = (xml, name) => {
+        const match = xml.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`));
+        return match ? unescapeXml(match[1].trim()) : null;
+    };
+
+    const trackListStart = text.indexOf('<trackList');
+    const header = trackListStart >= 0 ? text.substring(0, trackListStart) : text;
+    const entries = [];
+
+    for (const match of text.matchAll(/<track>([\s\S]*?)<\/track>/g)) {
+        const location = tag(match[1], 'location');
+        if (!location) continue;
+        const duration = parseInt(tag(match[1], 'duration'));
+        entries.push({
+            location,
+            title: tag(match[1], 'title'),
+            duration: duration > 0 ? duration / 1000 : null
+        });
+    }
+
+    return { name: tag(header, 'title'), entries };
+}
+
+/**
+ * Read a playlist file, detecting the format from the content when none is given
+ */
+export function parsePlaylist(text, format = null) {
+    const isXspf = format ? format === 'xspf' : /<playlist[\s>]/.test(text);
+    return isXspf ? parseXSPF(text) : parseM3U(text);
+}
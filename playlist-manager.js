@@ -0,0 +1,364 @@
+/**
+ * Playlist Manager
+ * Add-to-queue/playlist menu for every song row, plus create/import/rename/delete and
+ * drag reordering on the /playlists pages. Playlists are stored on the server (/api/playlists).
+ * All handlers are delegated from the document so they keep working after folder navigation
+ * replaces the page content.
+ */
+class PlaylistManager {
+    constructor() {
+        this.menu = null;
+        this.draggedRow = null;
+
+        document.addEventListener('click', (e) => this.handleClick(e));
+        document.addEventListener('submit', (e) => this.handleSubmit(e));
+        document.addEventListener('change', (e) => this.handleChange(e));
+        document.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        document.addEventListener('dragover', (e) => this.handleDragOver(e));
+        document.addEventListener('drop', (e) => this.handleDrop(e));
+        document.addEventListener('dragend', () => this.handleDragEnd());
+    }
+
+    /**
+     * Call the playlist API and return the JSON response (throws on errors)
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: options.headers || (options.body ? { 'Content-Type': 'application/json' } : undefined)
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+
+    /**
+     * Track reference for a song link - { source, relativePath, title }
+     * B2 links carry their folder in the proxy URL (/b2proxy/:folder/...)
+     */
+    trackFromLink(link) {
+        const source = link.dataset.audioType === 'b2'
+            ? (link.dataset.proxyUrl || '').split('/')[2]
+            : 'local';
+        return {
+            source,
+            relativePath: link.dataset.relativePath,
+            title: link.dataset.filename
+        };
+    }
+
+    handleClick(e) {
+        const addButton = e.target.closest('.add-to-playlist');
+        if (addButton) {
+            e.preventDefault();
+            e.stopPropagation();
+            const row = addButton.closest('.song-row, .recent-song-item');
+            const link = row ? row.querySelector('.link') : null;
+            if (link) {
+                this.menuLink = link;
+                this.showAddMenu(addButton, this.trackFromLink(link));
+            }
+            return;
+        }
+
+        const queueItem = e.target.closest('.queue-menu-item');
+        if (queueItem) {
+            e.preventDefault();
+            this.addToQueue(queueItem.dataset.queueAction === 'next');
+            return;
+        }
+
+        const menuItem = e.target.closest('.playlist-menu-item');
+        if (menuItem) {
+            e.preventDefault();
+            this.addToPlaylist(menuItem);
+            return;
+        }
+
+        // Clicking anywhere else closes the menu
+        if (this.menu && !e.target.closest('.playlist-menu')) {
+            this.closeMenu();
+        }
+
+        if (e.target.closest('.playlist-track-remove')) {
+            e.preventDefault();
+            this.removeTrack(e.target.closest('.playlist-track'));
+        } else if (e.target.closest('.playlist-rename-button')) {
+            this.renamePlaylist();
+        } else if (e.target.closest('.playlist-delete-button')) {
+            this.deletePlaylist();
+        }
+    }
+
+    /**
+     * Show the queue actions and the list of playlists next to an add button
+     */
+    async showAddMenu(button, track) {
+        this.closeMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'playlist-menu';
+        menu.innerHTML = `
+            <button class="playlist-menu-item queue-menu-item" data-queue-action="next">Play next</button>
+            <button class="playlist-menu-item queue-menu-item" data-queue-action="end">Add to queue</button>
+            <div class="playlist-menu-playlists"><div class="playlist-menu-loading">Loading playlists...</div></div>`;
+        const rect = button.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        menu.style.left = `${Math.max(10, rect.right + window.scrollX - 220)}px`;
+        document.body.appendChild(menu);
+        this.menu = menu;
+        this.menuTrack = track;
+        this.menuButton = button;
+
+        try {
+            const data = await this.request('/api/playlists');
+            if (this.menu !== menu) return;
+
+            const playlistsElement = menu.querySelector('.playlist-menu-playlists');
+            playlistsElement.innerHTML = '';
+            for (const playlist of data.playlists) {
+                const item = document.createElement('button');
+                item.className = 'playlist-menu-item';
+                item.dataset.playlistId = playlist.id;
+                item.textContent = `${playlist.name} (${playlist.trackCount})`;
+                playlistsElement.appendChild(item);
+            }
+            const newItem = document.createElement('button');
+            newItem.className = 'playlist-menu-item playlist-menu-new';
+            newItem.textContent = '+ New playlist...';
+            playlistsElement.appendChild(newItem);
+        } catch (error) {
+            console.error('Failed to load playlists:', error);
+            menu.querySelector('.playlist-menu-playlists').innerHTML = '<div class="playlist-menu-loading">Playlists unavailable</div>';
+        }
+    }
+
+    closeMenu() {
+        if (this.menu) {
+            this.menu.remove();
+            this.menu = null;
+        }
+    }
+
+    /**
+     * Add the menu's song to the play queue (see AudioHandler.addToQueue)
+     */
+    addToQueue(playNext) {
+        const link = this.menuLink;
+        const button = this.menuButton;
+        this.closeMenu();
+
+        if (link && typeof audioHandler !== 'undefined') {
+            audioHandler.addToQueue(link, playNext);
+            this.flashButton(button, '✓');
+        }
+    }
+
+    /**
+     * Add the menu's track to the chosen playlist (or to a new one)
+     */
+    async addToPlaylist(menuItem) {
+        const track = this.menuTrack;
+        const button = this.menuButton;
+        this.closeMenu();
+
+        try {
+            if (menuItem.classList.contains('playlist-menu-new')) {
+                const name = prompt('New playlist name:');
+                if (!name || !name.trim()) return;
+                await this.request('/api/playlists', {
+                    method: 'POST',
+                    body: JSON.stringify({ name: name.trim(), tracks: [track] })
+                });
+            } else {
+                await this.request(`/api/playlists/${menuItem.dataset.playlistId}/tracks`, {
+                    method: 'POST',
+                    body: JSON.stringify({ tracks: [track] })
+                });
+            }
+            this.flashButton(button, '✓');
+        } catch (error) {
+            console.error('Failed to add to playlist:', error);
+            this.flashButton(button, '✗');
+        }
+    }
+
+    // Briefly show a result on an add button
+    flashButton(button, text) {
+        if (!button) return;
+        const original = button.innerHTML;
+        button.textContent = text;
+        setTimeout(() => {
+            button.innerHTML = original;
+        }, 1500);
+    }
+
+    handleSubmit(e) {
+        const form = e.target.closest('.playlist-create-form');
+        if (!form) return;
+        e.preventDefault();
+
+        const name = form.elements.name.value.trim();
+        if (!name) return;
+
+        this.request('/api/playlists', { method: 'POST', body: JSON.stringify({ name }) })
+            .then(data => {
+                window.location.href = `/playlists?id=${data.id}`;
+            })
+            .catch(error => alert(`Could not create playlist: ${error.message}`));
+    }
+
+    /**
+     * Import the chosen M3U8/XSPF file
+     */
+    async handleChange(e) {
+        const input = e.target.closest('.playlist-import-input');
+        if (!input || !input.files.length) return;
+
+        const file = input.files[0];
+        const extension = file.name.split('.').pop().toLowerCase();
+        const params = new URLSearchParams({ format: extension === 'xspf' ? 'xspf' : 'm3u' });
+        const name = file.name.replace(/\.[^.]+$/, '').trim();
+        if (name) params.set('name', name);
+
+        try {
+            const data = await this.request(`/api/playlists/import?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+                body: await file.text()
+            });
+            if (data.skipped.length > 0) {
+                alert(`Imported ${data.added} tracks. ${data.skipped.length} entries were not found in the library:\n\n` +
+                    data.skipped.slice(0, 20).join('\n') + (data.skipped.length > 20 ? '\n...' : ''));
+            }
+            window.location.href = `/playlists?id=${data.id}`;
+        } catch (error) {
+            alert(`Import failed: ${error.message}`);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    currentPlaylistId() {
+        const header = document.querySelector('.playlist-header');
+        return header ? header.dataset.playlistId : null;
+    }
+
+    async renamePlaylist() {
+        const id = this.currentPlaylistId();
+        const titleElement = document.querySelector('.playlist-title');
+        const name = prompt('Playlist name:', titleElement ? titleElement.textContent : '');
+        if (!id || !name || !name.trim()) return;
+
+        try {
+            await this.request(`/api/playlists/${id}`, { method: 'PUT', body: JSON.stringify({ name: name.trim() }) });
+            if (titleElement) titleElement.textContent = name.trim();
+            const breadcrumbCurrent = document.querySelector('.breadcrumb .breadcrumb-current');
+            if (breadcrumbCurrent) breadcrumbCurrent.textContent = name.trim();
+        } catch (error) {
+            alert(`Rename failed: ${error.message}`);
+        }
+    }
+
+    async deletePlaylist() {
+        const id = this.currentPlaylistId();
+        if (!id || !confirm('Delete this playlist?')) return;
+
+        try {
+            await this.request(`/api/playlists/${id}`, { method: 'DELETE' });
+            window.location.href = '/playlists';
+        } catch (error) {
+            alert(`Delete failed: ${error.message}`);
+        }
+    }
+
+    async removeTrack(row) {
+        const id = this.currentPlaylistId();
+        if (!id || !row) return;
+
+        try {
+            await this.request(`/api/playlists/${id}/tracks/${row.dataset.position}`, { method: 'DELETE' });
+            row.remove();
+            this.afterTracksChanged();
+        } catch (error) {
+            alert(`Remove failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renumber the rows and let the player pick up the new order
+     */
+    afterTracksChanged() {
+        document.querySelectorAll('.playlist-track').forEach((row, index) => {
+            row.dataset.position = index;
+        });
+        if (typeof audioHandler !== 'undefined') {
+            audioHandler.indexAllLinks();
+            if (audioHandler.currentAudio) {
+                audioHandler.updatePlaylistToCurrentPage();
+            }
+        }
+    }
+
+    // Drag reordering of playlist tracks
+    handleDragStart(e) {
+        const row = e.target.closest && e.target.closest('.playlist-track');
+        if (!row) return;
+        this.draggedRow = row;
+        row.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.position);
+    }
+
+    handleDragOver(e) {
+        if (!this.draggedRow) return;
+        const row = e.target.closest('.playlist-track');
+        if (!row || row === this.draggedRow) return;
+        e.preventDefault();
+
+        // Insert above or below depending on which half of the row the pointer is over
+        const rect = row.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        row.parentNode.insertBefore(this.draggedRow, after ? row.nextSibling : row);
+    }
+
+    async handleDrop(e) {
+        if (!this.draggedRow) return;
+        e.preventDefault();
+        await this.saveOrder();
+    }
+
+    handleDragEnd() {
+        if (this.draggedRow) {
+            this.draggedRow.classList.remove('dragging');
+            this.draggedRow = null;
+        }
+    }
+
+    /**
+     * Save the order of the rows on the page
+     */
+    async saveOrder() {
+        const id = this.currentPlaylistId();
+        if (!id) return;
+
+        const tracks = Array.from(document.querySelectorAll('.playlist-track')).map(row => ({
+            source: row.dataset.source,
+            relativePath: row.dataset.relativePath,
+            title: row.dataset.title || null
+        }));
+
+        try {
+            await this.request(`/api/playlists/${id}`, { method: 'PUT', body: JSON.stringify({ tracks }) });
+            this.afterTracksChanged();
+        } catch (error) {
+            alert(`Could not save the new order: ${error.message}`);
+            window.location.reload();
+        }
+    }
+}
+
+// Global instance
+const playlistManager = new PlaylistManager();
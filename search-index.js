@@ -0,0 +1,258 @@
+/**
+ * Search Index
+ * In-memory inverted index over file names, folder paths and parsed tags, used by /api/search.
+ * Every word is indexed per field so results can be ranked (a title match beats a folder match),
+ * matched by prefix ("floy" finds "Floyd") and filtered by field ("artist:pixies", "year:1978..1985").
+ */
+
+// Indexed fields and their ranking weight
+const FIELD_WEIGHTS = {
+    title: 5,
+    artist: 4,
+    album: 3,
+    albumArtist: 3,
+    fileName: 2,
+    genre: 2,
+    folderPath: 1
+};
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+const ALL_FIELDS_MASK = (1 << FIELDS.length) - 1;
+
+// Field filter names accepted in queries (lowercase) -> indexed field
+const FIELD_FILTERS = {
+    title: 'title',
+    artist: 'artist',
+    album: 'album',
+    albumartist: 'albumArtist',
+    genre: 'genre',
+    file: 'fileName',
+    filename: 'fileName',
+    folder: 'folderPath',
+    path: 'folderPath'
+};
+
+/**
+ * Split text into lowercase words with accents removed ("Björk - Jóga.mp3" -> ["bjork", "joga", "mp3"])
+ */
+export function tokenize(text) {
+    if (text === null || text === undefined) return [];
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Parse a query into words (optionally limited to one field) and a year range
+ * e.g. 'artist:"pink floyd" year:1970..1979 live' ->
+ *   { words: [{ text: 'pink', mask }, { text: 'floyd', mask }, { text: 'live', mask }], year: { min: 1970, max: 1979 } }
+ */
+export function parseQuery(query) {
+    const words = [];
+    let year = null;
+    const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+        const filterName = (match[1] || match[3] || '').toLowerCase();
+        const value = match[2] ?? match[4] ?? match[5] ?? match[6];
+
+        if (filterName === 'year') {
+            // year:1978, year:1978..1985, year:1978.. or year:..1985
+            const range = value.match(/^(\d{4})?(\.\.)?(\d{4})?$/);
+            if (range && (range[1] || range[3])) {
+                year = {
+                    min: range[1] ? parseInt(range[1]) : -Infinity,
+                    max: range[3] ? parseInt(range[3]) : (range[2] ? Infinity : parseInt(range[1]))
+                };
+                continue;
+            }
+        }
+
+        const field = FIELD_FILTERS[filterName];
+        const mask = field ? 1 << FIELDS.indexOf(field) : ALL_FIELDS_MASK;
+        // Unknown filters ("foo:bar") are searched as plain text
+        const text = field ? value : match[0];
+        for (const word of tokenize(text)) {
+            words.push({ text: word, mask });
+        }
+    }
+
+    return { words, year };
+}
+
+export class SearchIndex {
+    constructor() {
+        // relativePath -> document (file info with optional tags)
+        this.documents = new Map();
+        // word -> Map(relativePath -> bitmask of the fields containing the word)
+        this.postings = new Map();
+        // Sorted word list for prefix lookups, rebuilt lazily after words are added or removed
+        this.sortedWords = null;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Replace the whole index with a new list of documents
+     */
+    rebuild(documents) {
+        this.documents.clear();
+        this.postings.clear();
+        this.sortedWords = null;
+        for (const document of documents) {
+            this.add(document);
+        }
+    }
+
+    /**
+     * Add (or replace) a document - { relativePath, fileName, folderPath, tags }
+     */
+    add(document) {
+        const id = document.relativePath;
+        if (this.documents.has(id)) {
+            this.remove(id);
+        }
+        this.documents.set(id, document);
+
+        FIELDS.forEach((field, fieldIndex) => {
+            const value = field === 'fileName' || field === 'folderPath' ? document[field] : document.tags?.[field];
+            for (const word of tokenize(value)) {
+                let posting = this.postings.get(word);
+                if (!posting) {
+                    posting = new Map();
+                    this.postings.set(word, posting);
+                    this.sortedWords = null;
+                }
+                posting.set(id, (posting.get(id) || 0) | (1 << fieldIndex));
+            }
+        });
+    }
+
+    /**
+     * Remove a document by relative path
+     */
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return;
+        this.documents.delete(id);
+
+        for (const field of FIELDS) {
+            const value = field === 'fileName' || field === 'folderPath' ? document[field] : document.tags?.[field];
+            for (const word of tokenize(value)) {
+                const posting = this.postings.get(word);
+                if (!posting) continue;
+                posting.delete(id);
+                if (posting.size === 0) {
+                    this.postings.delete(word);
+                    this.sortedWords = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Indexed words starting with a prefix (binary search in the sorted word list)
+     */
+    wordsWithPrefix(prefix) {
+        if (!this.sortedWords) {
+            this.sortedWords = Array.from(this.postings.keys()).sort();
+        }
+
+        let low = 0;
+        let high = this.sortedWords.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedWords[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const words = [];
+        for (let i = low; i < this.sortedWords.length && this.sortedWords[i].startsWith(prefix); i++) {
+            words.push(this.sortedWords[i]);
+        }
+        return words;
+    }
+
+    /**
+     * Score every document matching one query word - Map(relativePath -> score)
+     * Exact word matches count double compared to prefix matches
+     */
+    scoreWord({ text, mask }) {
+        const scores = new Map();
+        for (const word of this.wordsWithPrefix(text)) {
+            const exactBonus = word === text ? 2 : 1;
+            for (const [id, fieldBits] of this.postings.get(word)) {
+                const bits = fieldBits & mask;
+                if (!bits) continue;
+
+                let score = 0;
+                FIELDS.forEach((field, fieldIndex) => {
+                    if (bits & (1 << fieldIndex)) score += FIELD_WEIGHTS[field];
+                });
+                score *= exactBonus;
+
+                if (score > (scores.get(id) || 0)) {
+                    scores.set(id, score);
+                }
+            }
+        }
+        return scores;
+    }
+
+    /**
+     * Search the index - every word must match (in any field, or in its filter field)
+     * Returns { total, results, words } where results are documents with a score, best first
+     */
+    search(query, { offset = 0, limit = 50 } = {}) {
+        const { words, year } = parseQuery(query);
+        if (words.length === 0 && !year) {
+            return { total: 0, results: [], words: [] };
+        }
+
+        let scores = null;
+        // Start with the rarest word so the intersection stays small
+        const wordScores = words.map(word => this.scoreWord(word)).sort((a, b) => a.size - b.size);
+        for (const current of wordScores) {
+            if (scores === null) {
+                scores = current;
+                continue;
+            }
+            const combined = new Map();
+            for (const [id, score] of scores) {
+                if (current.has(id)) {
+                    combined.set(id, score + current.get(id));
+                }
+            }
+            scores = combined;
+        }
+
+        // Year-only queries match every document, then get filtered below
+        if (scores === null) {
+            scores = new Map(Array.from(this.documents.keys(), id => [id, 0]));
+        }
+
+        let matches = [];
+        for (const [id, score] of scores) {
+            const document = this.documents.get(id);
+            if (year) {
+                const documentYear = parseInt(document.tags?.year);
+                if (!documentYear || documentYear < year.min || documentYear > year.max) continue;
+            }
+            matches.push({ document, score });
+        }
+
+        matches.sort((a, b) => b.score - a.score ||
+            a.document.relativePath.localeCompare(b.document.relativePath));
+
+        return {
+            total: matches.length,
+            results: matches.slice(offset, offset + limit).map(({ document, score }) => ({ ...document, score })),
+            words: Array.from(new Set(words.map(word => word.text)))
+        };
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Silence Split
+ * Proposes track boundaries inside a continuous recording (a whole vinyl side) from the gaps of
+ * silence between songs, found with ffmpeg's silencedetect filter. With the side's tracklist from
+ * Discogs, the boundaries are aligned to the listed track durations instead: the expected
+ * boundaries are scaled to the length of the recording and moved to the nearest silence.
+ */
+import {spawn} from 'child_process';
+
+// Defaults for what counts as a gap - quieter than NOISE_DB for at least MIN_SILENCE_SECONDS
+// (surface noise on vinyl sits well above digital silence)
+export const DEFAULT_NOISE_DB = -45;
+export const DEFAULT_MIN_SILENCE_SECONDS = 1.5;
+
+// Tracks shorter than this are merged into the previous one (clicks and quiet passages)
+const MIN_TRACK_SECONDS = 20;
+// How far before the end of a gap a track starts, so the first note isn't clipped
+const PRE_ROLL_SECONDS = 0.5;
+// Gaps this close to the start or end of the recording are lead-in and run-out, not boundaries
+const EDGE_SECONDS = 2;
+
+/**
+ * Find the silent gaps in a file (path) or stream - resolves to { duration, silences: [{ start, end }] }
+ */
+export function detectSilences({ ffmpegPath = 'ffmpeg', input, noiseDb = DEFAULT_NOISE_DB, minSilence = DEFAULT_MIN_SILENCE_SECONDS }) {
+    return new Promise((resolve, reject) => {
+        const inputIsStream = typeof input !== 'string';
+        const ffmpeg = spawn(ffmpegPath, [
+            '-hide_banner',
+            '-i', inputIsStream ? 'pipe:0' : input,
+            '-map', '0:a:0',
+            '-filter:a', `silencedetect=noise=${noiseDb}dB:d=${minSilence}`,
+            '-f', 'null', '-'
+        ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+        const silences = [];
+        let openStart = null;
+        let duration = 0;
+        let lastLine = '';
+        let pending = '';
+        const parseLine = (line) => {
+            let match;
+            if ((match = line.match(/silence_start: (-?[\d.]+)/))) {
+                openStart = Math.max(0, parseFloat(match[1]));
+            } else if ((match = line.match(/silence_end: (-?[\d.]+)/)) && openStart !== null) {
+                silences.push({ start: openStart, end: parseFloat(match[1]) });
+                openStart = null;
+            } else if ((match = line.match(/Duration: (\d+):(\d+):([\d.]+)/))) {
+                duration = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+            } else if ((match = line.match(/time=(\d+):(\d+):([\d.]+)/))) {
+                // Streams don't always have a duration in the header - the final progress line does
+                duration = Math.max(duration, parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]));
+            }
+            if (line.trim()) lastLine = line.trim();
+        };
+        ffmpeg.stderr.on('data', (data) => {
+            const lines = (pending + data.toString()).split(/[\r\n]/);
+            pending = lines.pop();
+            lines.forEach(parseLine);
+        });
+
+        if (inputIsStream) {
+            input.pipe(ffmpeg.stdin);
+            input.on('error', (err) => {
+                ffmpeg.kill('SIGKILL');
+                reject(err);
+            });
+        }
+        // ffmpeg stops reading once it has what it needs - that's not an error
+        ffmpeg.stdin.on('error', () => {});
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (inputIsStream && !input.destroyed) {
+                input.destroy();
+            }
+            parseLine(pending);
+            if (code !== 0) {
+                reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+                return;
+            }
+            // A recording that ends in silence never reports its end
+            if (openStart !== null && duration > openStart) {
+                silences.push({ start: openStart, end: duration });
+            }
+            resolve({ duration, silences });
+        });
+    });
+}
+
+// Start of the track following a gap
+function trackStartAfter(silence) {
+    return Math.max(silence.start, silence.end - PRE_ROLL_SECONDS);
+}
+
+// Gaps that can separate two tracks (not the lead-in or run-out)
+function innerSilences(silences, duration) {
+    return silences.filter(silence => silence.start > EDGE_SECONDS && silence.end < duration - EDGE_SECONDS);
+}
+
+/**
+ * Track starts from the silent gaps alone - returns [{ title, start }], the first starting at 0
+ */
+export function proposeTracks(silences, duration) {
+    const starts = [0];
+    for (const silence of innerSilences(silences, duration)) {
+        const start = trackStartAfter(silence);
+        if (start - starts[starts.length - 1] >= MIN_TRACK_SECONDS && duration - start >= MIN_TRACK_SECONDS) {
+            starts.push(start);
+        }
+    }
+    return starts.map((start, i) => ({ title: `Track ${i + 1}`, start }));
+}
+
+/**
+ * Track starts for a known tracklist ([{ title, duration (seconds or null) }]) - returns
+ * [{ title, start, matched }], where matched says whether the boundary landed on a gap
+ */
+export function alignToTracklist(silences, duration, tracklist) {
+    if (tracklist.length === 0) {
+        return proposeTracks(silences, duration);
+    }
+    const inner = innerSilences(silences, duration);
+    const boundaries = [];
+
+    if (tracklist.every(track => track.duration > 0)) {
+        // Scale the listed durations to the music between the lead-in and the run-out - a side
+        // recorded slightly fast or slow, or with long gaps, still lines up
+        const leadIn = silences.find(silence => silence.start <= EDGE_SECONDS);
+        const runOut = silences.find(silence => silence.end >= duration - EDGE_SECONDS);
+        const musicStart = leadIn ? leadIn.end : 0;
+        const musicEnd = runOut ? runOut.start : duration;
+        const listedTotal = tracklist.reduce((sum, track) => sum + track.duration, 0);
+        const scale = (musicEnd - musicStart) / listedTotal;
+        const tolerance = Math.max(8, (musicEnd - musicStart) * 0.04);
+
+        let expected = musicStart;
+        let previous = 0;
+        for (let i = 0; i < tracklist.length - 1; i++) {
+            expected += tracklist[i].duration * scale;
+            // The gap nearest to where the listed durations say the track should start
+            let best = null;
+            for (const silence of inner) {
+                const start = trackStartAfter(silence);
+                const distance = Math.abs((silence.start + silence.end) / 2 - expected);
+                if (start > previous && distance <= tolerance && (!best || distance < best.distance)) {
+                    best = { start, distance };
+                }
+            }
+            const start = best ? best.start : Math.max(expected, previous + 1);
+            boundaries.push({ start, matched: !!best });
+            previous = start;
+        }
+    } else {
+        // Without durations, the longest gaps (as many as there are boundaries) are the best guess
+        const longest = [...inner]
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+            .slice(0, tracklist.length - 1)
+            .sort((a, b) => a.start - b.start);
+        for (const silence of longest) {
+            boundaries.push({ start: trackStartAfter(silence), matched: true });
+        }
+        // Not enough gaps - the remaining tracks share what's left of the side evenly
+        const last = boundaries.length > 0 ? boundaries[boundaries.length - 1].start : 0;
+        const missing = tracklist.length - 1 - boundaries.length;
+        for (let i = 1; i <= missing; i++) {
+            boundaries.push({ start: last + (duration - last) * i / (missing + 1), matched: false });
+        }
+    }
+
+    return tracklist.map((track, i) => ({
+        title: track.title,
+        start: i === 0 ? 0 : boundaries[i - 1].start,
+        matched: i === 0 ? true : boundaries[i - 1].matched
+    }));
+}
+
+/**
+ * Seconds from a Discogs duration ("4:35" or "1:02:10"), or null when it isn't listed
+ */
+export function parseDiscogsDuration(text) {
+    if (!text || !/^\d+(:\d{1,2}){1,2}$/.test(text.trim())) {
+        return null;
+    }
+    return text.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Side letter of a generic side title ("Side A", "side 2", "SideB") - sides 1-4 map to A-D
+ */
+export function sideFromTitle(title) {
+    const match = (title || '').trim().match(/^side\s*([a-d1-4]|one|two)$/i);
+    if (!match) return null;
+    const side = match[1].toUpperCase();
+    return { '1': 'A', '2': 'B', '3': 'C', '4': 'D', ONE: 'A', TWO: 'B' }[side] || side;
+}
+
+/**
+ * Tracks of a Discogs release's tracklist on one side ("A" matches positions A, A1, A2...) -
+ * the whole tracklist when no side is given. Returns [{ position, title, duration }]
+ */
+export function tracklistForSide(tracklist, side) {
+    const tracks = (tracklist || [])
+        // Index tracks group sub-tracks (e.g. a suite) that play as one
+        .filter(track => track.type_ === 'track' || track.type_ === 'index' || !track.type_)
+        .map(track => ({ position: track.position || '', title: track.title, duration: parseDiscogsDuration(track.duration) }));
+    if (!side) {
+        return tracks;
+    }
+    return tracks.filter(track => new RegExp(`^${side}\\d*[a-z]?$`, 'i').test(track.position.replace(/[\s.-]/g, '')));
+}
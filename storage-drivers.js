@@ -0,0 +1,476 @@
+/**
+ * Storage Drivers
+ * Where a cloud collection's files live. Every driver offers the same four operations, so the
+ * proxy, metadata, thumbnail, listing and mirror code work the same against any of them:
+ *
+ *   head()                          - resolves when the store is reachable and the credentials work
+ *   list(prefix, { cursor, limit }) - up to limit files under prefix, in name order, as
+ *                                     { files, nextCursor } (nextCursor is null after the last page)
+ *   stat(name)                      - one file, or null when it doesn't exist
+ *   read(name, { start, end })      - readable stream of the file, or of an inclusive byte range
+ *
+ * Files are { name, size, modified (ms since epoch), version, sha1 } - version changes whenever
+ * the content does (B2 file ID, S3 ETag, local size and mtime), sha1 is null when the store
+ * doesn't know it. Errors for missing files carry status 404.
+ *
+ * B2Storage uses the backblaze-b2 client, S3Storage signs requests itself (AWS Signature V4) for
+ * any S3-compatible service (MinIO, Wasabi, Cloudflare R2, AWS) and LocalStorage serves a
+ * directory such as a NAS mount.
+ */
+import {createReadStream, promises} from 'fs';
+import {createHash, createHmac} from 'crypto';
+import http from 'http';
+import https from 'https';
+import {join, relative, resolve, sep} from 'path';
+
+// Error for a file that isn't in the store
+function notFoundError(name) {
+    const err = new Error(`File not found: ${name}`);
+    err.status = 404;
+    return err;
+}
+
+/**
+ * Collect a read() stream into a Buffer
+ */
+export async function readToBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+export class B2Storage {
+    constructor({ client, bucketName, applicationKeyId, applicationKey }) {
+        // backblaze-b2 client - shared by every bucket using the same key
+        this.client = client;
+        this.bucketName = bucketName;
+        this.applicationKeyId = applicationKeyId;
+        this.applicationKey = applicationKey;
+        this.bucketId = null;
+    }
+
+    get label() {
+        return 'Backblaze B2';
+    }
+
+    // Environment variables (or collections.json settings) the driver needs
+    get settingNames() {
+        return ['B2_APPLICATION_KEY_ID', 'B2_APPLICATION_KEY', 'B2_BUCKET_NAME'];
+    }
+
+    get configured() {
+        return !!(this.bucketName && this.applicationKeyId && this.applicationKey);
+    }
+
+    async head() {
+        await this.client.authorize();
+    }
+
+    /**
+     * Bucket ID for listFileNames (authorizes first)
+     */
+    async getBucketId() {
+        await this.client.authorize();
+        if (!this.bucketId) {
+            const bucket = await this.client.getBucket({ bucketName: this.bucketName });
+            this.bucketId = bucket.data.buckets[0].bucketId;
+        }
+        return this.bucketId;
+    }
+
+    toFile(file) {
+        // Large files keep their SHA1 in fileInfo, and unverified uploads prefix it
+        let sha1 = file.contentSha1;
+        if (sha1 && sha1.startsWith('unverified:')) {
+            sha1 = sha1.substring('unverified:'.length);
+        }
+        if (!sha1 || sha1 === 'none') {
+            sha1 = (file.fileInfo && file.fileInfo.large_file_sha1) || null;
+        }
+        return {
+            name: file.fileName,
+            size: file.contentLength || 0,
+            modified: file.uploadTimestamp || null,
+            version: file.fileId,
+            sha1
+        };
+    }
+
+    async list(prefix, { cursor = null, limit = 1000 } = {}) {
+        const bucketId = await this.getBucketId();
+        const response = await this.client.listFileNames({
+            bucketId: bucketId,
+            startFileName: cursor || prefix,
+            prefix: prefix,
+            maxFileCount: limit
+        });
+        return {
+            files: response.data.files.map(file => this.toFile(file)),
+            nextCursor: response.data.nextFileName || null
+        };
+    }
+
+    async stat(name) {
+        const { files } = await this.list(name, { cursor: name, limit: 1 });
+        return files[0] && files[0].name === name ? files[0] : null;
+    }
+
+    async read(name, { start, end } = {}) {
+        await this.client.authorize();
+        try {
+            const fileData = await this.client.downloadFileByName({
+                bucketName: this.bucketName,
+                fileName: name,
+                responseType: 'stream',  // Stream to avoid loading entire file in memory
+                axios: start !== undefined ? {
+                    headers: {
+                        'Range': `bytes=${start}-${end !== undefined ? end : ''}`
+                    }
+                } : {}
+            });
+            return fileData.data;
+        } catch (err) {
+            if (err.response) {
+                err.status = err.response.status;
+            }
+            throw err;
+        }
+    }
+}
+
+// SHA256 of an empty request body
+const EMPTY_SHA256 = createHash('sha256').update('').digest('hex');
+
+// URI encoding used by Signature V4 (RFC 3986 - also escapes !'()*)
+function s3Encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Text of every <tag> element in an XML response, entities decoded
+function xmlValues(xml, tag) {
+    const values = [];
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        values.push(match[1]
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+            .replace(/&amp;/g, '&'));
+    }
+    return values;
+}
+
+export class S3Storage {
+    constructor({ endpoint, region = 'us-east-1', bucketName, accessKeyId, secretAccessKey, pathStyle = true }) {
+        // e.g. https://s3.us-west-1.wasabisys.com, https://<account>.r2.cloudflarestorage.com, http://nas:9000
+        this.endpoint = endpoint ? new URL(endpoint) : null;
+        this.region = region;
+        this.bucketName = bucketName;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        // Path-style URLs (endpoint/bucket/key) work with MinIO, R2 and Wasabi; false uses bucket.endpoint/key
+        this.pathStyle = pathStyle;
+    }
+
+    get label() {
+        return 'S3 storage';
+    }
+
+    // Environment variables (or collections.json settings) the driver needs
+    get settingNames() {
+        return ['S3_ENDPOINT', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY', 'S3_BUCKET_NAME'];
+    }
+
+    get configured() {
+        return !!(this.endpoint && this.bucketName && this.accessKeyId && this.secretAccessKey);
+    }
+
+    get host() {
+        return this.pathStyle ? this.endpoint.host : `${this.bucketName}.${this.endpoint.host}`;
+    }
+
+    /**
+     * Request path of an object ('' for the bucket itself), URI-encoded
+     */
+    objectPath(name = '') {
+        const key = name.split('/').map(s3Encode).join('/');
+        return this.pathStyle ? `/${s3Encode(this.bucketName)}/${key}` : `/${key}`;
+    }
+
+    /**
+     * Signature V4 headers for a request without a body
+     */
+    signRequest(method, path, query = {}, headers = {}, date = new Date()) {
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.substring(0, 8);
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+        const allHeaders = {
+            ...headers,
+            'host': this.host,
+            'x-amz-content-sha256': EMPTY_SHA256,
+            'x-amz-date': amzDate
+        };
+        const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+        const signedHeaders = headerNames.join(';');
+
+        const canonicalRequest = [
+            method,
+            path,
+            Object.keys(query).sort().map(key => `${s3Encode(key)}=${s3Encode(String(query[key]))}`).join('&'),
+            headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+            signedHeaders,
+            EMPTY_SHA256
+        ].join('\n');
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        let key = `AWS4${this.secretAccessKey}`;
+        for (const part of [dateStamp, this.region, 's3', 'aws4_request']) {
+            key = createHmac('sha256', key).update(part).digest();
+        }
+        const signature = createHmac('sha256', key).update(stringToSign).digest('hex');
+
+        return {
+            ...allHeaders,
+            'authorization': `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    /**
+     * Send a signed request - resolves with the response once its status is OK, rejects with
+     * the S3 error code and status otherwise. The timeout covers waiting for the response and,
+     * unless streaming, reading its body - a streamed file may pause for as long as its player does
+     */
+    request(method, path, { query = {}, headers = {}, streaming = false } = {}) {
+        const queryString = Object.keys(query).map(key => `${s3Encode(key)}=${s3Encode(String(query[key]))}`).join('&');
+        const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+        return new Promise((resolvePromise, reject) => {
+            const req = transport.request({
+                method,
+                protocol: this.endpoint.protocol,
+                hostname: this.pathStyle ? this.endpoint.hostname : `${this.bucketName}.${this.endpoint.hostname}`,
+                port: this.endpoint.port || undefined,
+                path: queryString ? `${path}?${queryString}` : path,
+                headers: this.signRequest(method, path, query, headers),
+                timeout: 30000
+            }, async (response) => {
+                if (response.statusCode < 300) {
+                    if (streaming) req.setTimeout(0);
+                    resolvePromise(response);
+                    return;
+                }
+                const body = method === 'HEAD' ? '' : (await readToBuffer(response).catch(() => Buffer.alloc(0))).toString();
+                const code = xmlValues(body, 'Code')[0] || `HTTP ${response.statusCode}`;
+                const err = new Error(`S3 ${method} ${path} failed: ${xmlValues(body, 'Message')[0] || code}`);
+                err.status = response.statusCode;
+                err.s3Code = code;
+                reject(err);
+            });
+            req.on('timeout', () => req.destroy(new Error('S3 request timeout')));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    async head() {
+        const response = await this.request('HEAD', this.objectPath());
+        response.resume();
+    }
+
+    async list(prefix, { cursor = null, limit = 1000 } = {}) {
+        // S3 returns at most 1000 keys per request, so larger limits take several requests
+        const files = [];
+        let nextCursor = cursor;
+        do {
+            const query = { 'list-type': 2, 'prefix': prefix, 'max-keys': Math.min(limit - files.length, 1000) };
+            if (nextCursor) {
+                query['continuation-token'] = nextCursor;
+            }
+            const response = await this.request('GET', this.objectPath(), { query });
+            const xml = (await readToBuffer(response)).toString();
+
+            for (const contents of xmlValues(xml, 'Contents')) {
+                const etag = (xmlValues(contents, 'ETag')[0] || '').replace(/"/g, '');
+                files.push({
+                    name: xmlValues(contents, 'Key')[0],
+                    size: parseInt(xmlValues(contents, 'Size')[0]) || 0,
+                    modified: Date.parse(xmlValues(contents, 'LastModified')[0]) || null,
+                    version: etag,
+                    sha1: null
+                });
+            }
+            nextCursor = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+        } while (nextCursor && files.length < limit);
+
+        return { files, nextCursor: nextCursor || null };
+    }
+
+    async stat(name) {
+        try {
+            const response = await this.request('HEAD', this.objectPath(name));
+            response.resume();
+            return {
+                name,
+                size: parseInt(response.headers['content-length']) || 0,
+                modified: Date.parse(response.headers['last-modified']) || null,
+                version: (response.headers['etag'] || '').replace(/"/g, ''),
+                sha1: null
+            };
+        } catch (err) {
+            if (err.status === 404) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async read(name, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined) {
+            headers['range'] = `bytes=${start}-${end !== undefined ? end : ''}`;
+        }
+        return await this.request('GET', this.objectPath(name), { headers, streaming: true });
+    }
+}
+
+// How long a local listing's names are kept for its next pages
+const LOCAL_LISTING_TTL_MS = 10 * 60 * 1000;
+
+export class LocalStorage {
+    constructor({ path }) {
+        this.root = path ? resolve(path) : null;
+        // Sorted file names of listings being paged through, by prefix - { names, createdAt }
+        this.listings = new Map();
+    }
+
+    get label() {
+        return 'local directory';
+    }
+
+    // Environment variables (or collections.json settings) the driver needs
+    get settingNames() {
+        return ['path (in collections.json)'];
+    }
+
+    get configured() {
+        return !!this.root;
+    }
+
+    /**
+     * Disk path of a file name, or null when it would point outside the directory
+     */
+    resolvePath(name) {
+        const path = resolve(this.root, name);
+        return path.startsWith(this.root + sep) ? path : null;
+    }
+
+    async head() {
+        const stats = await promises.stat(this.root);
+        if (!stats.isDirectory()) {
+            throw new Error(`${this.root} is not a directory`);
+        }
+    }
+
+    async toFile(name) {
+        const path = this.resolvePath(name);
+        const stats = path ? await promises.stat(path).catch(() => null) : null;
+        if (!stats || !stats.isFile()) {
+            return null;
+        }
+        return {
+            name,
+            size: stats.size,
+            modified: Math.floor(stats.mtimeMs),
+            version: `${stats.size}-${Math.floor(stats.mtimeMs)}`,
+            sha1: null
+        };
+    }
+
+    // Every file name under dir (relative to the root, "/"-separated), skipping hidden files
+    async walk(dir, names) {
+        const entries = await promises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const path = join(dir, entry.name);
+            let isDirectory = entry.isDirectory();
+            if (entry.isSymbolicLink()) {
+                const stats = await promises.stat(path).catch(() => null);
+                if (!stats) continue;
+                isDirectory = stats.isDirectory();
+            }
+            if (isDirectory) {
+                await this.walk(path, names);
+            } else {
+                names.push(relative(this.root, path).split(sep).join('/'));
+            }
+        }
+        return names;
+    }
+
+    // Sorted file names starting with prefix - walked from the prefix's folder on a listing's first
+    // page, and kept for the pages after it
+    async listNames(prefix, cursor) {
+        const now = Date.now();
+        for (const [key, listing] of this.listings) {
+            if (now - listing.createdAt > LOCAL_LISTING_TTL_MS) this.listings.delete(key);
+        }
+        const cached = this.listings.get(prefix);
+        if (cursor && cached) {
+            return cached.names;
+        }
+
+        const folder = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+        const dir = folder ? this.resolvePath(folder) : this.root;
+        const names = dir
+            ? (await this.walk(dir, []).catch(err => {
+                if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+                throw err;
+            })).filter(name => name.startsWith(prefix)).sort()
+            : [];
+        this.listings.set(prefix, { names, createdAt: now });
+        return names;
+    }
+
+    async list(prefix, { cursor = null, limit = 1000 } = {}) {
+        const allNames = await this.listNames(prefix, cursor);
+        let start = 0;
+        if (cursor) {
+            start = allNames.findIndex(name => name >= cursor);
+            if (start < 0) start = allNames.length;
+        }
+        const names = allNames.slice(start, start + limit);
+        const files = [];
+        for (const name of names) {
+            const file = await this.toFile(name);
+            if (file) files.push(file);
+        }
+        const nextCursor = start + limit < allNames.length ? allNames[start + limit] : null;
+        if (!nextCursor) {
+            this.listings.delete(prefix);
+        }
+        return { files, nextCursor };
+    }
+
+    async stat(name) {
+        return await this.toFile(name);
+    }
+
+    async read(name, { start, end } = {}) {
+        if (!await this.toFile(name)) {
+            throw notFoundError(name);
+        }
+        return createReadStream(this.resolvePath(name), { start, end });
+    }
+}
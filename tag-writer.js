@@ -0,0 +1,753 @@
+/**
+ * Tag Writer
+ * Writes edited tags back into local audio files - ID3v2.4 for MP3, Vorbis comments for FLAC
+ * and iTunes-style atoms for M4B. Only the edited fields are replaced: everything else in the
+ * tag (artwork, ReplayGain, chapters, other comments) is kept. When the new tag fits in the
+ * space of the old one plus its padding the file is patched in place; otherwise it is rewritten
+ * through a temporary file with fresh padding, so the next edit is cheap.
+ *
+ * Tags are { title, artist, album, albumArtist, year, genre, trackNumber, discNumber, composer, comment } -
+ * a field that is undefined is left alone, null or '' removes it.
+ *
+ * Chapter markers (e.g. the tracks of a vinyl side) can be written too - ID3v2 CHAP/CTOC frames for
+ * MP3 and CHAPTERxxx Vorbis comments for FLAC - replacing any chapters already in the file.
+ */
+import {createReadStream, promises} from 'fs';
+import {extname} from 'path';
+
+export const TAG_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'year', 'genre', 'trackNumber', 'discNumber', 'composer', 'comment'];
+// Fields shared by every track of an album (the ones bulk folder edits may set)
+export const ALBUM_TAG_FIELDS = ['album', 'albumArtist', 'year', 'genre'];
+
+// Padding left after a rewritten tag so later edits can be written in place
+const PADDING_BYTES = 4096;
+
+const WRITERS = {
+    '.mp3': writeId3Tags,
+    '.flac': writeFlacTags,
+    '.m4b': writeMp4Tags
+};
+
+/**
+ * Whether tags can be written to a file of this type
+ */
+export function canWriteTags(filePath) {
+    return extname(filePath).toLowerCase() in WRITERS;
+}
+
+/**
+ * Keep only known fields, as trimmed strings (null for removed fields)
+ * Throws when a track or disc number or the year isn't valid
+ */
+export function normalizeTags(tags, fields = TAG_FIELDS) {
+    const normalized = {};
+    for (const field of fields) {
+        if (!tags || tags[field] === undefined) continue;
+        const value = tags[field] === null ? '' : String(tags[field]).trim();
+        if ((field === 'trackNumber' || field === 'discNumber') && value && !/^\d+$/.test(value)) {
+            throw new Error(`${field} must be a number`);
+        }
+        if (field === 'year' && value && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+            throw new Error('year must be a year or a YYYY-MM-DD date');
+        }
+        normalized[field] = value || null;
+    }
+    return normalized;
+}
+
+// Writers for chapter markers - { title, start, end } with times in seconds
+const CHAPTER_WRITERS = {
+    '.mp3': writeId3Chapters,
+    '.flac': writeFlacChapters
+};
+
+/**
+ * Whether chapter markers can be written to a file of this type
+ */
+export function canWriteChapters(filePath) {
+    return extname(filePath).toLowerCase() in CHAPTER_WRITERS;
+}
+
+/**
+ * Write tags into a local MP3, FLAC or M4B file
+ */
+export async function writeTags(filePath, tags) {
+    const writer = WRITERS[extname(filePath).toLowerCase()];
+    if (!writer) {
+        throw new Error(`Tags can't be written to ${extname(filePath) || 'extensionless'} files`);
+    }
+    const normalized = normalizeTags(tags);
+    if (Object.keys(normalized).length === 0) return;
+    await writer(filePath, normalized);
+}
+
+/**
+ * Replace the chapter markers of a local MP3 or FLAC file (an empty list removes them)
+ */
+export async function writeChapters(filePath, chapters) {
+    const writer = CHAPTER_WRITERS[extname(filePath).toLowerCase()];
+    if (!writer) {
+        throw new Error(`Chapters can only be written to MP3 and FLAC files`);
+    }
+    await writer(filePath, chapters);
+}
+
+// File helpers
+
+async function readRange(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+async function writeInPlace(filePath, position, data, truncateAt = null) {
+    const handle = await promises.open(filePath, 'r+');
+    try {
+        await handle.write(data, 0, data.length, position);
+        if (truncateAt !== null) {
+            await handle.truncate(truncateAt);
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Replace bytes [start, end) of a file with data by writing a new copy next to it and renaming
+ * it over the original (so a failed write never leaves a half-written file behind)
+ */
+async function rewriteFile(filePath, start, end, data) {
+    const stats = await promises.stat(filePath);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tagtmp`;
+    const output = await promises.open(tempPath, 'w');
+    const copy = async (from, to) => {
+        if (from >= to) return;
+        for await (const chunk of createReadStream(filePath, { start: from, end: to - 1 })) {
+            await output.write(chunk);
+        }
+    };
+    try {
+        await copy(0, start);
+        await output.write(data);
+        await copy(end, stats.size);
+        await output.chmod(stats.mode & 0o7777);
+        await output.close();
+        await promises.rename(tempPath, filePath);
+    } catch (err) {
+        await output.close().catch(() => {});
+        await promises.unlink(tempPath).catch(() => {});
+        throw err;
+    }
+}
+
+// ID3v2 (MP3)
+
+// Tag fields and the ID3v2.4 text frames they are stored in (comment is a COMM frame)
+const ID3_TEXT_FRAMES = {
+    title: 'TIT2',
+    artist: 'TPE1',
+    album: 'TALB',
+    albumArtist: 'TPE2',
+    year: 'TDRC',
+    genre: 'TCON',
+    trackNumber: 'TRCK',
+    discNumber: 'TPOS',
+    composer: 'TCOM'
+};
+
+// ID3v2.3 frames that were renamed in v2.4 - the other v2.3 date frames are folded into TDRC
+const ID3V23_RENAMED_FRAMES = { TYER: 'TDRC', TORY: 'TDOR', IPLS: 'TIPL' };
+const ID3V23_DROPPED_FRAMES = new Set(['TDAT', 'TIME', 'TRDA', 'TSIZ', 'RVAD', 'EQUA']);
+
+function readSyncsafe(buffer, offset) {
+    return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+        ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+function syncsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+// Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+function removeUnsynchronisation(buffer) {
+    const output = [];
+    for (let i = 0; i < buffer.length; i++) {
+        output.push(buffer[i]);
+        if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+    }
+    return Buffer.from(output);
+}
+
+// Text of an ID3 text frame body (the first value when there are several)
+function decodeId3Text(body) {
+    const encoding = body[0];
+    let data = body.subarray(1);
+    let text;
+    if (encoding === 1 || encoding === 2) {
+        // UTF-16 with a byte order mark (1) or big-endian without one (2)
+        let bigEndian = encoding === 2;
+        if (encoding === 1 && ((data[0] === 0xfe && data[1] === 0xff) || (data[0] === 0xff && data[1] === 0xfe))) {
+            bigEndian = data[0] === 0xfe;
+            data = data.subarray(2);
+        }
+        const utf16 = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+        if (bigEndian) utf16.swap16();
+        text = utf16.toString('utf16le');
+    } else {
+        text = data.toString(encoding === 3 ? 'utf8' : 'latin1');
+    }
+    return text.split('\u0000')[0];
+}
+
+// Whether a COMM frame body has an empty description (the plain comment, not e.g. iTunNORM)
+function isPlainId3Comment(body) {
+    const encoding = body[0];
+    if (encoding === 1) {
+        // A BOM followed by the terminator, or just the terminator
+        return (body[4] === 0 && body[5] === 0) || (body[6] === 0 && body[7] === 0);
+    }
+    if (encoding === 2) {
+        return body[4] === 0 && body[5] === 0;
+    }
+    return body[4] === 0;
+}
+
+function id3Frame(id, body, flags = Buffer.alloc(2)) {
+    return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), flags, body]);
+}
+
+// UTF-8 text frame (encoding 3 is ID3v2.4 only)
+function id3TextFrame(id, text) {
+    return id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]));
+}
+
+// UTF-8 comment in English with an empty description
+function id3CommentFrame(text) {
+    return id3Frame('COMM', Buffer.concat([Buffer.from([3]), Buffer.from('eng', 'latin1'), Buffer.from([0]), Buffer.from(text, 'utf8')]));
+}
+
+/**
+ * Parse an ID3v2 tag at the start of a file into ID3v2.4 frames
+ * Returns { size, frames } where size is the tag's total length in the file (0 without a tag)
+ */
+async function readId3Tag(handle) {
+    const header = await readRange(handle, 0, 10);
+    if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+        return { size: 0, frames: [] };
+    }
+
+    const version = header[3];
+    const flags = header[5];
+    const tagSize = readSyncsafe(header, 6);
+    const hasFooter = version === 4 && (flags & 0x10) !== 0;
+    const size = 10 + tagSize + (hasFooter ? 10 : 0);
+
+    if (version === 2) {
+        throw new Error('ID3v2.2 tags are not supported - convert the tag to ID3v2.3 or v2.4 first');
+    }
+    if (version !== 3 && version !== 4) {
+        throw new Error(`Unknown ID3v2.${version} tag`);
+    }
+
+    let data = await readRange(handle, 10, tagSize);
+    // Tag-wide unsynchronisation (v2.4 marks it on each frame instead)
+    if (version === 3 && (flags & 0x80)) {
+        data = removeUnsynchronisation(data);
+    }
+
+    let offset = 0;
+    if (flags & 0x40) {
+        // Skip the extended header - it isn't written back (its CRC would no longer match)
+        offset = version === 3 ? 4 + data.readUInt32BE(0) : readSyncsafe(data, 0);
+    }
+
+    const frames = [];
+    while (offset + 10 <= data.length) {
+        const id = data.toString('latin1', offset, offset + 4);
+        if (!/^[A-Z0-9]{4}$/.test(id)) break; // Padding
+
+        const frameSize = version === 3 ? data.readUInt32BE(offset + 4) : readSyncsafe(data, offset + 4);
+        const frameFlags = data.subarray(offset + 8, offset + 10);
+        const body = data.subarray(offset + 10, offset + 10 + frameSize);
+        offset += 10 + frameSize;
+
+        if (version === 4) {
+            frames.push({ id, flags: Buffer.from(frameFlags), body: Buffer.from(body) });
+            continue;
+        }
+
+        // ID3v2.3 -> v2.4: compressed, encrypted and grouped frames have extra header data
+        // laid out differently in v2.4, so they can't be carried over
+        if (frameFlags[1] & 0xe0) continue;
+        if (ID3V23_DROPPED_FRAMES.has(id)) continue;
+        // The v2.3 status flags moved one bit to the right in v2.4
+        frames.push({
+            id: ID3V23_RENAMED_FRAMES[id] || id,
+            flags: Buffer.from([frameFlags[0] >> 1, 0]),
+            body: Buffer.from(body)
+        });
+    }
+
+    return { size, frames };
+}
+
+// Keep the "/total" part of a track or disc number frame
+function withId3Total(frames, id, value) {
+    const existing = frames.find(frame => frame.id === id && frame.flags[1] === 0);
+    const total = existing ? decodeId3Text(existing.body).split('/')[1] : null;
+    return total ? `${value}/${total}` : value;
+}
+
+/**
+ * Rewrite the ID3v2 tag of a file as v2.4 - edit(frames) returns the encoded frames to write
+ */
+async function updateId3Tag(filePath, edit) {
+    const handle = await promises.open(filePath, 'r');
+    let tag;
+    try {
+        tag = await readId3Tag(handle);
+    } finally {
+        await handle.close();
+    }
+
+    const frameData = Buffer.concat(edit(tag.frames));
+    const id3Header = (bodySize) => Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([4, 0, 0]), syncsafe(bodySize)]);
+
+    if (tag.size > 0 && frameData.length <= tag.size - 10) {
+        // Fits in the old tag - pad it out to the same length
+        const padding = Buffer.alloc(tag.size - 10 - frameData.length);
+        await writeInPlace(filePath, 0, Buffer.concat([id3Header(tag.size - 10), frameData, padding]));
+    } else {
+        const padding = Buffer.alloc(PADDING_BYTES);
+        await rewriteFile(filePath, 0, tag.size, Buffer.concat([id3Header(frameData.length + PADDING_BYTES), frameData, padding]));
+    }
+}
+
+async function writeId3Tags(filePath, tags) {
+    await updateId3Tag(filePath, (existing) => {
+        let frames = existing;
+        const added = [];
+        for (const [field, id] of Object.entries(ID3_TEXT_FRAMES)) {
+            if (!(field in tags)) continue;
+            let value = tags[field];
+            if (value && (field === 'trackNumber' || field === 'discNumber')) {
+                value = withId3Total(frames, id, value);
+            }
+            frames = frames.filter(frame => frame.id !== id);
+            if (value) added.push(id3TextFrame(id, value));
+        }
+        if ('comment' in tags) {
+            frames = frames.filter(frame => frame.id !== 'COMM' || !isPlainId3Comment(frame.body));
+            if (tags.comment) added.push(id3CommentFrame(tags.comment));
+        }
+        return [...added, ...frames.map(frame => id3Frame(frame.id, frame.body, frame.flags))];
+    });
+}
+
+// ID3v2 Chapter Frame Addendum - a CHAP frame per chapter (times in milliseconds, byte offsets
+// unused) with its title as a TIT2 subframe, listed in order by a top-level CTOC frame
+function id3ChapterFrames(chapters) {
+    const elementIds = chapters.map((chapter, i) => `chp${i + 1}`);
+    const cString = (text) => Buffer.concat([Buffer.from(text, 'latin1'), Buffer.from([0])]);
+    const chapFrames = chapters.map((chapter, i) => {
+        const times = Buffer.alloc(16, 0xff);
+        times.writeUInt32BE(Math.round(chapter.start * 1000), 0);
+        times.writeUInt32BE(Math.round(chapter.end * 1000), 4);
+        const subframes = chapter.title ? id3TextFrame('TIT2', chapter.title) : Buffer.alloc(0);
+        return id3Frame('CHAP', Buffer.concat([cString(elementIds[i]), times, subframes]));
+    });
+    // Flags: top-level and ordered
+    const toc = id3Frame('CTOC', Buffer.concat([cString('toc'), Buffer.from([0x03, chapters.length]), ...elementIds.map(cString)]));
+    return [toc, ...chapFrames];
+}
+
+async function writeId3Chapters(filePath, chapters) {
+    if (chapters.length > 255) {
+        throw new Error('An ID3 table of contents holds at most 255 chapters');
+    }
+    await updateId3Tag(filePath, (frames) => [
+        ...frames.filter(frame => frame.id !== 'CHAP' && frame.id !== 'CTOC').map(frame => id3Frame(frame.id, frame.body, frame.flags)),
+        ...(chapters.length > 0 ? id3ChapterFrames(chapters) : [])
+    ]);
+}
+
+// FLAC (Vorbis comments)
+
+// Tag fields and the Vorbis comment names they are stored in
+const VORBIS_FIELDS = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    album: 'ALBUM',
+    albumArtist: 'ALBUMARTIST',
+    year: 'DATE',
+    genre: 'GENRE',
+    trackNumber: 'TRACKNUMBER',
+    discNumber: 'DISCNUMBER',
+    composer: 'COMPOSER',
+    comment: 'COMMENT'
+};
+
+const FLAC_STREAMINFO = 0;
+const FLAC_PADDING = 1;
+const FLAC_VORBIS_COMMENT = 4;
+
+function parseVorbisComment(data) {
+    const vendorLength = data.readUInt32LE(0);
+    const vendor = data.toString('utf8', 4, 4 + vendorLength);
+    let offset = 4 + vendorLength;
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    const comments = [];
+    for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+        const length = data.readUInt32LE(offset);
+        comments.push(data.toString('utf8', offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return { vendor, comments };
+}
+
+function buildVorbisComment({ vendor, comments }) {
+    const parts = [];
+    const vendorData = Buffer.from(vendor, 'utf8');
+    const count = Buffer.alloc(4);
+    count.writeUInt32LE(comments.length);
+    parts.push(Buffer.alloc(4), vendorData, count);
+    parts[0].writeUInt32LE(vendorData.length);
+    for (const comment of comments) {
+        const data = Buffer.from(comment, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(data.length);
+        parts.push(length, data);
+    }
+    return Buffer.concat(parts);
+}
+
+function flacBlock(type, data, isLast) {
+    if (data.length > 0xffffff) {
+        throw new Error('FLAC metadata block is too large');
+    }
+    const header = Buffer.from([(isLast ? 0x80 : 0) | type, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff]);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Rewrite the Vorbis comments of a FLAC file - edit(comments) returns the new list of NAME=value comments
+ */
+async function updateFlacComments(filePath, edit) {
+    const handle = await promises.open(filePath, 'r');
+    let start;
+    let end;
+    const blocks = [];
+    try {
+        // Some taggers put an ID3v2 tag in front of the FLAC stream - leave it there
+        start = 0;
+        const id3Header = await readRange(handle, 0, 10);
+        if (id3Header.toString('latin1', 0, 3) === 'ID3') {
+            start = 10 + readSyncsafe(id3Header, 6) + ((id3Header[5] & 0x10) ? 10 : 0);
+        }
+        if ((await readRange(handle, start, 4)).toString('latin1') !== 'fLaC') {
+            throw new Error('Not a FLAC file');
+        }
+
+        let offset = start + 4;
+        let isLast = false;
+        while (!isLast) {
+            const header = await readRange(handle, offset, 4);
+            if (header.length < 4) {
+                throw new Error('Truncated FLAC metadata');
+            }
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7f;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+            // Padding is rebuilt - only its size matters
+            blocks.push({ type, data: type === FLAC_PADDING ? null : await readRange(handle, offset + 4, length) });
+            offset += 4 + length;
+        }
+        end = offset;
+    } finally {
+        await handle.close();
+    }
+
+    if (blocks[0]?.type !== FLAC_STREAMINFO) {
+        throw new Error('FLAC file has no STREAMINFO block');
+    }
+
+    let commentBlock = blocks.find(block => block.type === FLAC_VORBIS_COMMENT);
+    if (!commentBlock) {
+        commentBlock = { type: FLAC_VORBIS_COMMENT, data: buildVorbisComment({ vendor: 'analogarchivejs', comments: [] }) };
+        blocks.splice(1, 0, commentBlock);
+    }
+
+    const vorbis = parseVorbisComment(commentBlock.data);
+    vorbis.comments = edit(vorbis.comments);
+    commentBlock.data = buildVorbisComment(vorbis);
+
+    const kept = blocks.filter(block => block.type !== FLAC_PADDING);
+    const metadataSize = kept.reduce((sum, block) => sum + 4 + block.data.length, 0);
+    const available = end - start - 4;
+
+    // A padding block needs its own 4 byte header, unless the blocks fill the space exactly
+    let paddingSize = null;
+    if (metadataSize !== available) {
+        paddingSize = metadataSize + 4 <= available ? available - metadataSize - 4 : PADDING_BYTES;
+    }
+
+    const encoded = kept.map((block, i) => flacBlock(block.type, block.data, paddingSize === null && i === kept.length - 1));
+    if (paddingSize !== null) {
+        encoded.push(flacBlock(FLAC_PADDING, Buffer.alloc(paddingSize), true));
+    }
+    const metadata = Buffer.concat([Buffer.from('fLaC', 'latin1'), ...encoded]);
+
+    if (metadata.length === end - start) {
+        await writeInPlace(filePath, start, metadata);
+    } else {
+        await rewriteFile(filePath, start, end, metadata);
+    }
+}
+
+async function writeFlacTags(filePath, tags) {
+    await updateFlacComments(filePath, (existing) => {
+        let comments = existing;
+        for (const [field, name] of Object.entries(VORBIS_FIELDS)) {
+            if (!(field in tags)) continue;
+            comments = comments.filter(comment => comment.split('=')[0].toUpperCase() !== name);
+            if (tags[field]) comments.push(`${name}=${tags[field]}`);
+        }
+        return comments;
+    });
+}
+
+// Vorbis chapter extension - CHAPTER001=00:00:00.000 and CHAPTER001NAME=title
+function formatChapterTime(seconds) {
+    const milliseconds = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+async function writeFlacChapters(filePath, chapters) {
+    if (chapters.length > 999) {
+        throw new Error('At most 999 chapters can be written');
+    }
+    await updateFlacComments(filePath, (comments) => [
+        ...comments.filter(comment => !/^CHAPTER\d+(NAME)?=/i.test(comment)),
+        ...chapters.flatMap((chapter, i) => {
+            const name = `CHAPTER${String(i + 1).padStart(3, '0')}`;
+            return [`${name}=${formatChapterTime(chapter.start)}`, ...(chapter.title ? [`${name}NAME=${chapter.title}`] : [])];
+        })
+    ]);
+}
+
+// MP4 (M4B)
+
+// Tag fields and the iTunes metadata items (moov.udta.meta.ilst) they are stored in
+const MP4_TEXT_ITEMS = {
+    title: '©nam',
+    artist: '©ART',
+    album: '©alb',
+    albumArtist: 'aART',
+    year: '©day',
+    genre: '©gen',
+    composer: '©wrt',
+    comment: '©cmt'
+};
+// Track and disc numbers are stored as binary (number, total) pairs
+const MP4_NUMBER_ITEMS = { trackNumber: 'trkn', discNumber: 'disk' };
+
+// The child boxes of a box body - { type, start, end } offsets into buffer
+function parseMp4Boxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            throw new Error(`Invalid MP4 box "${type}"`);
+        }
+        boxes.push({ type, start: offset, headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function mp4Box(type, ...bodies) {
+    const body = Buffer.concat(bodies);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// A 'free' box of exactly size bytes
+function mp4FreeBox(size) {
+    return mp4Box('free', Buffer.alloc(size - 8));
+}
+
+// An ilst item holding one 'data' box (type 1 is UTF-8 text, 0 is binary)
+function mp4Item(type, dataType, value) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(dataType);
+    return mp4Box(type, mp4Box('data', header, value));
+}
+
+// The (number, total) pair stored in a trkn or disk item
+function readMp4Number(item) {
+    const data = parseMp4Boxes(item, 8).find(box => box.type === 'data');
+    if (!data || data.end - data.start < 8 + 8 + 6) return null;
+    const value = data.start + 16;
+    return { number: item.readUInt16BE(value + 2), total: item.readUInt16BE(value + 4) };
+}
+
+function buildIlst(ilst, tags) {
+    const items = parseMp4Boxes(ilst, 8).map(box => ({ type: box.type, data: ilst.subarray(box.start, box.end) }));
+    let kept = items;
+    const added = [];
+
+    for (const [field, type] of Object.entries(MP4_TEXT_ITEMS)) {
+        if (!(field in tags)) continue;
+        // The old numeric genre item would win over the text one in some players
+        kept = kept.filter(item => item.type !== type && !(field === 'genre' && item.type === 'gnre'));
+        if (tags[field]) added.push(mp4Item(type, 1, Buffer.from(tags[field], 'utf8')));
+    }
+    for (const [field, type] of Object.entries(MP4_NUMBER_ITEMS)) {
+        if (!(field in tags)) continue;
+        const existing = kept.find(item => item.type === type);
+        const total = existing ? readMp4Number(existing.data)?.total || 0 : 0;
+        kept = kept.filter(item => item.type !== type);
+        if (!tags[field]) continue;
+        // trkn has two trailing padding bytes, disk doesn't
+        const value = Buffer.alloc(type === 'trkn' ? 8 : 6);
+        value.writeUInt16BE(Math.min(Number(tags[field]), 0xffff), 2);
+        value.writeUInt16BE(total, 4);
+        added.push(mp4Item(type, 0, value));
+    }
+
+    return mp4Box('ilst', ...added, ...kept.map(item => item.data));
+}
+
+// Rebuild a container box with its child of type replaced (added at the end when it's missing)
+// prefixSize is the length of a full box's version and flags, which come before the children
+function replaceMp4Child(container, prefixSize, type, build) {
+    const headerSize = container.readUInt32BE(0) === 1 ? 16 : 8;
+    const bodyStart = headerSize + prefixSize;
+    const child = parseMp4Boxes(container, bodyStart).find(box => box.type === type);
+    const replacement = build(child ? container.subarray(child.start, child.end) : null);
+    const children = child
+        ? [container.subarray(bodyStart, child.start), replacement, container.subarray(child.end)]
+        : [container.subarray(bodyStart), replacement];
+    return mp4Box(container.toString('latin1', 4, 8), container.subarray(headerSize, bodyStart), ...children);
+}
+
+function buildMoov(moov, tags) {
+    return replaceMp4Child(moov, 0, 'udta', (udta) => {
+        return replaceMp4Child(udta || mp4Box('udta'), 0, 'meta', (meta) => {
+            if (!meta) {
+                // meta is a full box with an iTunes metadata ('mdir') handler
+                const handler = mp4Box('hdlr', Buffer.alloc(8), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9));
+                meta = mp4Box('meta', Buffer.alloc(4), handler);
+            }
+            return replaceMp4Child(meta, 4, 'ilst', (ilst) => buildIlst(ilst || mp4Box('ilst'), tags));
+        });
+    });
+}
+
+// Add delta to every chunk offset (stco/co64) that points at or after position
+function shiftMp4ChunkOffsets(moov, position, delta) {
+    const visit = (start, end) => {
+        for (const box of parseMp4Boxes(moov, start, end)) {
+            const body = box.start + box.headerSize;
+            if (['trak', 'mdia', 'minf', 'stbl'].includes(box.type)) {
+                visit(body, box.end);
+            } else if (box.type === 'stco') {
+                const count = moov.readUInt32BE(body + 4);
+                for (let i = 0; i < count; i++) {
+                    const at = body + 8 + i * 4;
+                    const offset = moov.readUInt32BE(at);
+                    if (offset < position) continue;
+                    if (offset + delta > 0xffffffff) {
+                        throw new Error('Chunk offsets would no longer fit in the MP4 stco table');
+                    }
+                    moov.writeUInt32BE(offset + delta, at);
+                }
+            } else if (box.type === 'co64') {
+                const count = moov.readUInt32BE(body + 4);
+                for (let i = 0; i < count; i++) {
+                    const at = body + 8 + i * 8;
+                    const offset = moov.readBigUInt64BE(at);
+                    if (offset >= BigInt(position)) moov.writeBigUInt64BE(offset + BigInt(delta), at);
+                }
+            }
+        }
+    };
+    visit(moov.readUInt32BE(0) === 1 ? 16 : 8, moov.length);
+}
+
+async function writeMp4Tags(filePath, tags) {
+    const handle = await promises.open(filePath, 'r');
+    let fileSize;
+    const topLevel = [];
+    let moov;
+    try {
+        fileSize = (await handle.stat()).size;
+        // Walk the top-level boxes by their headers - mdat is far too big to read
+        let offset = 0;
+        while (offset + 8 <= fileSize) {
+            const header = await readRange(handle, offset, 16);
+            let size = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            if (size === 1) {
+                size = Number(header.readBigUInt64BE(8));
+            } else if (size === 0) {
+                size = fileSize - offset;
+            }
+            if (size < 8) {
+                throw new Error(`Invalid MP4 box "${type}"`);
+            }
+            topLevel.push({ type, start: offset, end: Math.min(offset + size, fileSize) });
+            offset += size;
+        }
+
+        const moovBox = topLevel.find(box => box.type === 'moov');
+        if (!moovBox) {
+            throw new Error('Not an MP4 file (no moov box)');
+        }
+        moov = await readRange(handle, moovBox.start, moovBox.end - moovBox.start);
+    } finally {
+        await handle.close();
+    }
+
+    const moovIndex = topLevel.findIndex(box => box.type === 'moov');
+    const moovBox = topLevel[moovIndex];
+    const next = topLevel[moovIndex + 1];
+    let newMoov = buildMoov(moov, tags);
+    const delta = newMoov.length - moov.length;
+
+    // In place: moov is last in the file, or a free box after it can absorb the size change
+    if (!next) {
+        await writeInPlace(filePath, moovBox.start, newMoov, moovBox.start + newMoov.length);
+        return;
+    }
+    const free = next.type === 'free' || next.type === 'skip' ? next : null;
+    const room = (free ? free.end - free.start : 0) - delta;
+    if (room === 0 || room >= 8) {
+        const filler = room === 0 ? Buffer.alloc(0) : mp4FreeBox(room);
+        await writeInPlace(filePath, moovBox.start, Buffer.concat([newMoov, filler]));
+        return;
+    }
+
+    // Rewrite: media data after moov moves, so its chunk offsets have to move with it
+    if (topLevel.some(box => box.type === 'moof')) {
+        throw new Error('Fragmented MP4 files are not supported');
+    }
+    const end = free ? free.end : moovBox.end;
+    const shift = newMoov.length + PADDING_BYTES - (end - moovBox.start);
+    newMoov = Buffer.from(newMoov);
+    shiftMp4ChunkOffsets(newMoov, end, shift);
+    await rewriteFile(filePath, moovBox.start, end, Buffer.concat([newMoov, mp4FreeBox(PADDING_BYTES)]));
+}
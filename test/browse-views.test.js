@@ -0,0 +1,31 @@
+/**
+ * Browse View tests
+ * Selecting a group from the query, including the odd query shapes Express hands over.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {filterBrowseTracks, browseSelection} from '../browse-views.js';
+
+const TRACKS = [
+    { fileName: '02 B.mp3', tags: { artist: 'Pixies', album: 'Doolittle', trackNumber: 2, year: '1989' } },
+    { fileName: '01 A.mp3', tags: { artist: 'pixies ', album: 'Doolittle', trackNumber: 1, year: '1989' } },
+    { fileName: 'x.mp3', tags: { artist: 'Pink Floyd', album: 'Animals', year: '1977' } },
+    { fileName: 'untagged.mp3', tags: null }
+];
+
+test('filterBrowseTracks selects a group case-insensitively, in album order', () => {
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'artists', { artist: 'PIXIES' }).map(track => track.fileName), ['01 A.mp3', '02 B.mp3']);
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'artists', { artist: 'Unknown Artist' }).map(track => track.fileName), ['untagged.mp3']);
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'years', { decade: '1970s' }).map(track => track.fileName), ['x.mp3']);
+    assert.equal(filterBrowseTracks(TRACKS, 'artists', {}), null);
+});
+
+test('repeated or nested query parameters select by the first value instead of throwing', () => {
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'artists', { artist: ['Pink Floyd', 'Pixies'] }).map(track => track.fileName), ['x.mp3']);
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'albums', { album: ['Animals', 'x'], albumArtist: ['Pink Floyd'] }).map(track => track.fileName), ['x.mp3']);
+    assert.deepEqual(filterBrowseTracks(TRACKS, 'years', { decade: ['1980s', '1970s'] }).map(track => track.fileName), ['01 A.mp3', '02 B.mp3']);
+    assert.equal(filterBrowseTracks(TRACKS, 'artists', { artist: { x: 'Pixies' } }), null);
+    assert.deepEqual(browseSelection({ genre: ['Rock', 'Pop'], year: '1977' }), {
+        artist: undefined, album: undefined, albumArtist: undefined, genre: 'Rock', year: '1977', decade: undefined
+    });
+});
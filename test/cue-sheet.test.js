@@ -0,0 +1,88 @@
+/**
+ * CUE Sheet tests
+ * Times, text encodings, parsing sheets into tracks per audio file and writing sheets that read back.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {formatCueTime, parseCueTime, decodeCueSheet, parseCueSheet, cueTracksByAudioFile, formatCueSheet} from '../cue-sheet.js';
+
+test('CUE times are minutes, seconds and frames at 75 per second', () => {
+    assert.equal(formatCueTime(0), '00:00:00');
+    assert.equal(formatCueTime(61.5), '01:01:38');
+    // Minutes go past 99 on long recordings
+    assert.equal(formatCueTime(6000), '100:00:00');
+    assert.equal(parseCueTime('01:01:38'), 61.507);
+    assert.equal(parseCueTime('100:00:00'), 6000);
+    assert.equal(parseCueTime('1:2'), null);
+});
+
+test('CUE sheets are decoded as UTF-8, or Windows-1252 when they aren\'t valid UTF-8', () => {
+    assert.equal(decodeCueSheet(Buffer.from('﻿TITLE "Björk"', 'utf8')), 'TITLE "Björk"');
+    assert.equal(decodeCueSheet(Buffer.from([0x54, 0x49, 0x54, 0x4c, 0x45, 0x20, 0xe9])), 'TITLE é');
+});
+
+const SHEET = [
+    'REM GENRE Rock',
+    'PERFORMER "The Band"',
+    'TITLE "Live at the Hall"',
+    'FILE "Live at the Hall.wav" WAVE',
+    '  TRACK 01 AUDIO',
+    '    TITLE "Opener"',
+    '    INDEX 01 00:00:00',
+    '  TRACK 02 AUDIO',
+    '    TITLE "Second Song"',
+    '    PERFORMER "Guest"',
+    '    INDEX 00 04:10:00',
+    '    INDEX 01 04:12:37',
+    '  TRACK 03 AUDIO',
+    '    TITLE "No index"'
+].join('\r\n');
+
+test('parseCueSheet reads files and their tracks from INDEX 01, leaving out tracks without one', () => {
+    const sheet = parseCueSheet(SHEET);
+    assert.equal(sheet.performer, 'The Band');
+    assert.equal(sheet.title, 'Live at the Hall');
+    assert.equal(sheet.files.length, 1);
+    assert.equal(sheet.files[0].name, 'Live at the Hall.wav');
+    assert.deepEqual(sheet.files[0].tracks, [
+        { number: 1, title: 'Opener', performer: null, start: 0 },
+        { number: 2, title: 'Second Song', performer: 'Guest', start: 252.493 }
+    ]);
+});
+
+test('cueTracksByAudioFile matches FILE names to audio files, falling back to the name without the extension', () => {
+    const sheet = parseCueSheet(SHEET);
+    const tracks = cueTracksByAudioFile(sheet, 'Live at the Hall.cue', ['Live at the Hall.flac', 'other.flac']);
+    assert.deepEqual([...tracks.keys()], ['Live at the Hall.flac']);
+    assert.deepEqual(tracks.get('Live at the Hall.flac'), [
+        { title: 'Opener', performer: 'The Band', start: 0 },
+        { title: 'Second Song', performer: 'Guest', start: 252.493 }
+    ]);
+});
+
+test('cueTracksByAudioFile matches a single-FILE sheet by its own name, and skips single tracks', () => {
+    const sheet = parseCueSheet(SHEET.replace('Live at the Hall.wav', 'CDImage.wav'));
+    assert.deepEqual([...cueTracksByAudioFile(sheet, 'show.cue', ['show.flac']).keys()], ['show.flac']);
+
+    const single = parseCueSheet('FILE "a.flac" WAVE\n TRACK 01 AUDIO\n INDEX 01 00:00:00');
+    assert.equal(cueTracksByAudioFile(single, 'a.cue', ['a.flac']).size, 0);
+});
+
+test('formatCueSheet writes a sheet parseCueSheet reads back', () => {
+    const text = formatCueSheet({
+        fileName: 'side-a.flac',
+        performer: 'Artist',
+        title: 'Album "Deluxe"',
+        tracks: [{ title: 'One', start: 0 }, { title: 'Two', performer: 'Guest', start: 185.2 }]
+    });
+    assert.match(text, /^FILE "side-a\.flac" WAVE\r$/m);
+    assert.ok(text.endsWith('\r\n'));
+
+    const sheet = parseCueSheet(text);
+    assert.equal(sheet.title, "Album 'Deluxe'");
+    assert.deepEqual(sheet.files[0].tracks.map(track => [track.title, track.performer, track.start]), [
+        ['One', 'Artist', 0],
+        ['Two', 'Guest', 185.2]
+    ]);
+    assert.match(formatCueSheet({ fileName: 'x.mp3', tracks: [] }), /FILE "x\.mp3" MP3/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Playlist Format tests
+ * M3U8 and XSPF playlists written by the export and read back by the import, plus the looser
+ * files other players write.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {toM3U8, toXSPF, parseM3U, parseXSPF, parsePlaylist} from '../playlist-formats.js';
+
+const TRACKS = [
+    { location: 'Artist/Album/01 One.flac', title: 'Artist - One', duration: 185.4 },
+    { location: 'https://example.com/b2proxy/analog/Side%20A.flac', title: 'Rock & Roll <Live>', duration: null }
+];
+
+test('M3U8 playlists are written and read back', () => {
+    const text = toM3U8('Road Trip', TRACKS);
+    assert.ok(text.startsWith('#EXTM3U\n#PLAYLIST:Road Trip\n#EXTINF:185,Artist - One\n'));
+    assert.deepEqual(parseM3U(text), {
+        name: 'Road Trip',
+        entries: [
+            { location: TRACKS[0].location, title: 'Artist - One', duration: 185 },
+            { location: TRACKS[1].location, title: 'Rock & Roll <Live>', duration: null }
+        ]
+    });
+});
+
+test('parseM3U reads plain M3U files with a BOM, Windows line ends and no EXTINF lines', () => {
+    const { name, entries } = parseM3U('﻿# comment\r\nMusic\\a.mp3\r\n\r\n#EXTINF:-1 tvg-id="x",Title\r\nb.mp3\r\n');
+    assert.equal(name, null);
+    assert.deepEqual(entries, [
+        { location: 'Music\\a.mp3', title: null, duration: null },
+        { location: 'b.mp3', title: 'Title', duration: null }
+    ]);
+});
+
+test('XSPF playlists are written with escaped text and read back', () => {
+    const text = toXSPF('Mix & Match', TRACKS);
+    assert.match(text, /<title>Mix &amp; Match<\/title>/);
+    assert.match(text, /<title>Rock &amp; Roll &lt;Live&gt;<\/title>/);
+    assert.deepEqual(parseXSPF(text), {
+        name: 'Mix & Match',
+        entries: [
+            { location: TRACKS[0].location, title: 'Artist - One', duration: 185.4 },
+            { location: TRACKS[1].location, title: 'Rock & Roll <Live>', duration: null }
+        ]
+    });
+});
+
+test('parseXSPF reads CDATA and character references, and skips tracks without a location', () => {
+    const { entries } = parseXSPF(`<playlist><trackList>
+        <track><location><![CDATA[a&b.mp3]]></location><title>Caf&#233; &#x2013; Live</title></track>
+        <track><title>Missing</title></track>
+    </trackList></playlist>`);
+    assert.deepEqual(entries, [{ location: 'a&b.mp3', title: 'Café – Live', duration: null }]);
+});
+
+test('parsePlaylist detects the format from the content unless one is given', () => {
+    assert.equal(parsePlaylist(toXSPF('X', TRACKS)).name, 'X');
+    assert.equal(parsePlaylist(toM3U8('Y', TRACKS)).name, 'Y');
+    assert.equal(parsePlaylist('a.mp3\n', 'm3u').entries[0].location, 'a.mp3');
+});
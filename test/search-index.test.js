@@ -0,0 +1,85 @@
+/**
+ * Search Index tests
+ * Query parsing, prefix matching, field and year filters, ranking and keeping the index in step
+ * with added and removed files.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {tokenize, parseQuery, SearchIndex} from '../search-index.js';
+
+test('tokenize lowercases, strips accents and splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Björk - Jóga.mp3'), ['bjork', 'joga', 'mp3']);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize(1978), ['1978']);
+});
+
+test('parseQuery reads field filters, quoted phrases and year ranges', () => {
+    const { words, year } = parseQuery('artist:"pink floyd" year:1970..1979 live');
+    assert.deepEqual(words.map(word => word.text), ['pink', 'floyd', 'live']);
+    assert.equal(words[0].mask, words[1].mask);
+    assert.notEqual(words[0].mask, words[2].mask);
+    assert.deepEqual(year, { min: 1970, max: 1979 });
+
+    assert.deepEqual(parseQuery('year:1978').year, { min: 1978, max: 1978 });
+    assert.deepEqual(parseQuery('year:1978..').year, { min: 1978, max: Infinity });
+    assert.deepEqual(parseQuery('year:..1985').year, { min: -Infinity, max: 1985 });
+    // Unknown filters are searched as text
+    assert.deepEqual(parseQuery('foo:bar').words.map(word => word.text), ['foo', 'bar']);
+});
+
+function buildIndex() {
+    const index = new SearchIndex();
+    index.rebuild([
+        { relativePath: 'Pink Floyd/Animals/01 Dogs.flac', fileName: '01 Dogs.flac', folderPath: 'Pink Floyd/Animals',
+            tags: { title: 'Dogs', artist: 'Pink Floyd', album: 'Animals', year: '1977' } },
+        { relativePath: 'Pixies/Doolittle/01 Debaser.mp3', fileName: '01 Debaser.mp3', folderPath: 'Pixies/Doolittle',
+            tags: { title: 'Debaser', artist: 'Pixies', album: 'Doolittle', year: '1989' } },
+        { relativePath: 'Misc/Floyd Cramer - Last Date.mp3', fileName: 'Floyd Cramer - Last Date.mp3', folderPath: 'Misc',
+            tags: { title: 'Last Date', artist: 'Floyd Cramer', year: '1960' } },
+        { relativePath: 'Misc/dogs barking.wav', fileName: 'dogs barking.wav', folderPath: 'Misc' }
+    ]);
+    return index;
+}
+
+test('search matches word prefixes and ranks title matches above file name matches', () => {
+    const index = buildIndex();
+    const { total, results, words } = index.search('dog');
+    assert.equal(total, 2);
+    assert.deepEqual(results.map(result => result.relativePath), ['Pink Floyd/Animals/01 Dogs.flac', 'Misc/dogs barking.wav']);
+    assert.deepEqual(words, ['dog']);
+    assert.ok(results[0].score > results[1].score);
+});
+
+test('search needs every word, and field filters limit where a word may match', () => {
+    const index = buildIndex();
+    assert.deepEqual(index.search('floyd dogs').results.map(result => result.fileName), ['01 Dogs.flac']);
+    assert.deepEqual(index.search('artist:floyd').results.map(result => result.tags.artist).sort(), ['Floyd Cramer', 'Pink Floyd']);
+    assert.equal(index.search('title:floyd').total, 0);
+});
+
+test('search filters by year, also on its own', () => {
+    const index = buildIndex();
+    assert.deepEqual(index.search('year:1970..1990').results.map(result => result.tags.year), ['1977', '1989']);
+    assert.equal(index.search('floyd year:..1970').results[0].tags.artist, 'Floyd Cramer');
+    assert.equal(index.search('').total, 0);
+});
+
+test('removed and replaced documents are no longer found by their old words', () => {
+    const index = buildIndex();
+    index.remove('Misc/dogs barking.wav');
+    assert.equal(index.search('barking').total, 0);
+    index.add({ relativePath: 'Pixies/Doolittle/01 Debaser.mp3', fileName: '01 Debaser.mp3', folderPath: 'Pixies/Doolittle',
+        tags: { title: 'Debaser (Demo)', artist: 'Pixies' } });
+    assert.equal(index.size, 3);
+    assert.equal(index.search('doolittle').results[0].tags.title, 'Debaser (Demo)');
+    assert.equal(index.search('album:doolittle').total, 0);
+    assert.equal(index.search('demo').total, 1);
+});
+
+test('search pages through the results', () => {
+    const index = buildIndex();
+    const { total, results } = index.search('mp3', { offset: 1, limit: 1 });
+    assert.equal(total, 2);
+    // Equal scores are ordered by path
+    assert.deepEqual(results.map(result => result.fileName), ['01 Debaser.mp3']);
+});
@@ -0,0 +1,93 @@
+/**
+ * Silence Split tests
+ * Turning detected silences into track starts, with and without a Discogs tracklist. Detecting the
+ * silences needs ffmpeg and is not covered here.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {proposeTracks, alignToTracklist, parseDiscogsDuration, sideFromTitle, tracklistForSide} from '../silence-split.js';
+
+// A 20 minute side with a lead-in, three gaps between four songs and a run-out
+const DURATION = 1200;
+const SILENCES = [
+    { start: 0, end: 1.5 },
+    { start: 298, end: 301 },
+    { start: 600, end: 602 },
+    // A quiet passage 10 seconds into the third song - too short a track to split off
+    { start: 612, end: 614 },
+    { start: 899, end: 902 },
+    { start: 1195, end: 1200 }
+];
+
+test('proposeTracks starts a track before the end of each gap, skipping the edges and short tracks', () => {
+    assert.deepEqual(proposeTracks(SILENCES, DURATION), [
+        { title: 'Track 1', start: 0 },
+        { title: 'Track 2', start: 300.5 },
+        { title: 'Track 3', start: 601.5 },
+        { title: 'Track 4', start: 901.5 }
+    ]);
+    assert.deepEqual(proposeTracks([], DURATION), [{ title: 'Track 1', start: 0 }]);
+});
+
+test('alignToTracklist moves the listed durations, scaled to the side, to the nearest gaps', () => {
+    // Listed 2% short - the side was recorded slightly slow
+    const tracklist = [
+        { title: 'A1', duration: 294 },
+        { title: 'A2', duration: 294 },
+        { title: 'A3', duration: 294 },
+        { title: 'A4', duration: 290 }
+    ];
+    assert.deepEqual(alignToTracklist(SILENCES, DURATION, tracklist), [
+        { title: 'A1', start: 0, matched: true },
+        { title: 'A2', start: 300.5, matched: true },
+        { title: 'A3', start: 601.5, matched: true },
+        { title: 'A4', start: 901.5, matched: true }
+    ]);
+});
+
+test('alignToTracklist falls back to the expected start where no gap is near it', () => {
+    const tracks = alignToTracklist([], 600, [{ title: 'One', duration: 200 }, { title: 'Two', duration: 400 }]);
+    assert.deepEqual(tracks, [
+        { title: 'One', start: 0, matched: true },
+        { title: 'Two', start: 200, matched: false }
+    ]);
+});
+
+test('alignToTracklist uses the longest gaps without durations, and shares the rest evenly', () => {
+    const tracks = alignToTracklist(SILENCES, DURATION, [{ title: 'One' }, { title: 'Two' }, { title: 'Three' }]);
+    assert.deepEqual(tracks.map(track => track.start), [0, 300.5, 901.5]);
+
+    const missing = alignToTracklist([], 900, [{ title: 'One' }, { title: 'Two' }, { title: 'Three' }]);
+    assert.deepEqual(missing.map(track => [track.start, track.matched]), [[0, true], [300, false], [600, false]]);
+});
+
+test('parseDiscogsDuration reads m:ss and h:mm:ss', () => {
+    assert.equal(parseDiscogsDuration('4:35'), 275);
+    assert.equal(parseDiscogsDuration(' 1:02:10 '), 3730);
+    assert.equal(parseDiscogsDuration(''), null);
+    assert.equal(parseDiscogsDuration('4m35'), null);
+});
+
+test('sideFromTitle reads generic side titles', () => {
+    assert.equal(sideFromTitle('Side A'), 'A');
+    assert.equal(sideFromTitle('side 2'), 'B');
+    assert.equal(sideFromTitle('SideTwo'), 'B');
+    assert.equal(sideFromTitle('Side E'), null);
+    assert.equal(sideFromTitle('Dark Side of the Moon'), null);
+});
+
+test('tracklistForSide keeps the tracks and index tracks of one side', () => {
+    const tracklist = [
+        { position: 'A1', title: 'One', duration: '3:00', type_: 'track' },
+        { position: '', title: 'Side B', type_: 'heading' },
+        { position: 'B', title: 'Suite', duration: '', type_: 'index' },
+        { position: 'B-2', title: 'Two', duration: '4:00', type_: 'track' },
+        { position: 'AB1', title: 'Not a side', type_: 'track' }
+    ];
+    assert.deepEqual(tracklistForSide(tracklist, 'B'), [
+        { position: 'B', title: 'Suite', duration: null },
+        { position: 'B-2', title: 'Two', duration: 240 }
+    ]);
+    assert.equal(tracklistForSide(tracklist, null).length, 4);
+    assert.deepEqual(tracklistForSide(null, 'A'), []);
+});
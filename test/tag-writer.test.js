@@ -0,0 +1,385 @@
+/**
+ * Tag Writer tests
+ * Round trips through small generated MP3, FLAC and M4B files - the tags written are read back
+ * with music-metadata, and the audio (MPEG frames, FLAC frames, MP4 chunks) must be byte for byte
+ * what it was, whether the tag was patched in place or the file was rewritten.
+ */
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {promises} from 'fs';
+import {tmpdir} from 'os';
+import {join} from 'path';
+import {parseFile} from 'music-metadata';
+import {writeTags, writeChapters, normalizeTags} from '../tag-writer.js';
+
+// Generated files
+
+function syncsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+// ID3v2.3 text frame (Latin-1), with a plain 32-bit size
+function id3v23Frame(id, text) {
+    const body = Buffer.concat([Buffer.from([0]), Buffer.from(text, 'latin1')]);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32BE(body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+// MPEG 1 Layer III frames at 128 kbps and 44.1 kHz (417 bytes each) with numbered contents
+function mpegFrames(count) {
+    return Buffer.concat(Array.from({ length: count }, (_, i) => {
+        const frame = Buffer.alloc(417, i + 1);
+        frame.set([0xff, 0xfb, 0x90, 0x64]);
+        // Empty side information, so decoders don't read the fill as data
+        frame.fill(0, 4, 36);
+        return frame;
+    }));
+}
+
+function mp3File(frames, padding = 64) {
+    const body = Buffer.concat([...frames, Buffer.alloc(padding)]);
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([3, 0, 0]), syncsafe(body.length)]);
+    return Buffer.concat([header, body]);
+}
+
+function flacBlock(type, data, isLast) {
+    return Buffer.concat([Buffer.from([(isLast ? 0x80 : 0) | type, data.length >> 16, (data.length >> 8) & 0xff, data.length & 0xff]), data]);
+}
+
+function vorbisComment(comments) {
+    const parts = [Buffer.alloc(4), Buffer.from('test', 'utf8'), Buffer.alloc(4)];
+    parts[0].writeUInt32LE(4);
+    parts[2].writeUInt32LE(comments.length);
+    for (const comment of comments) {
+        const data = Buffer.from(comment, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(data.length);
+        parts.push(length, data);
+    }
+    return Buffer.concat(parts);
+}
+
+// STREAMINFO of 10 seconds of 16-bit stereo at 44.1 kHz
+function flacStreamInfo() {
+    const info = Buffer.alloc(34);
+    info.writeUInt16BE(4096, 0);
+    info.writeUInt16BE(4096, 2);
+    // Sample rate (20 bits), channels - 1 (3 bits), bits per sample - 1 (5 bits), total samples (36 bits)
+    const samples = 441000;
+    info.writeUInt32BE(((44100 << 12) | (1 << 9) | (15 << 4)) >>> 0, 10);
+    info.writeUInt32BE(samples, 14);
+    return info;
+}
+
+const FLAC_AUDIO = Buffer.from(Array.from({ length: 2000 }, (_, i) => (i * 7) & 0xff));
+
+function flacFile(comments, padding) {
+    return Buffer.concat([
+        Buffer.from('fLaC', 'latin1'),
+        flacBlock(0, flacStreamInfo(), false),
+        flacBlock(4, vorbisComment(comments), false),
+        flacBlock(1, Buffer.alloc(padding), true),
+        FLAC_AUDIO
+    ]);
+}
+
+function box(type, ...bodies) {
+    const body = Buffer.concat(bodies);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function fullBox(type, ...bodies) {
+    return box(type, Buffer.alloc(4), ...bodies);
+}
+
+function uint32s(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+    return buffer;
+}
+
+function mp4Item(type, text) {
+    return box(type, box('data', uint32s(1, 0), Buffer.from(text, 'utf8')));
+}
+
+// Chunks of numbered bytes in mdat - their contents are checked through the chunk offsets
+const MP4_CHUNKS = [Buffer.alloc(300, 0x11), Buffer.alloc(200, 0x22), Buffer.alloc(100, 0x33)];
+
+/**
+ * An M4B with one sound track whose three chunks are in mdat after moov - the chunk offset table
+ * is stco, or co64 with useCo64. A free box of freeSize follows moov when it's given.
+ */
+function m4bFile({ title, useCo64 = false, freeSize = 0 }) {
+    const build = (offsets) => {
+        const offsetTable = useCo64
+            ? fullBox('co64', uint32s(offsets.length), ...offsets.map(offset => uint32s(0, offset)))
+            : fullBox('stco', uint32s(offsets.length, ...offsets));
+        const sampleEntry = box('mp4a', Buffer.alloc(6), Buffer.from([0, 1]), Buffer.alloc(8),
+            Buffer.from([0, 2, 0, 16, 0, 0, 0, 0]), uint32s(44100 * 65536));
+        const stbl = box('stbl',
+            fullBox('stsd', uint32s(1), sampleEntry),
+            fullBox('stts', uint32s(1, 3, 1024)),
+            fullBox('stsc', uint32s(1, 1, 1, 1)),
+            fullBox('stsz', uint32s(0, 3, ...MP4_CHUNKS.map(chunk => chunk.length))),
+            offsetTable);
+        const mdhd = fullBox('mdhd', uint32s(0, 0, 44100, 3072), Buffer.from([0x55, 0xc4, 0, 0]));
+        const hdlr = fullBox('hdlr', uint32s(0), Buffer.from('soun', 'latin1'), Buffer.alloc(13));
+        const trak = box('trak',
+            fullBox('tkhd', uint32s(0, 0, 1, 0, 3072, 0, 0, 0, 0x01000000), Buffer.alloc(36 + 8)),
+            box('mdia', mdhd, hdlr, box('minf', fullBox('smhd', uint32s(0)), stbl)));
+        const meta = fullBox('meta', fullBox('hdlr', uint32s(0), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9)),
+            box('ilst', mp4Item('©nam', title), mp4Item('©ART', 'Narrator')));
+        const mvhd = fullBox('mvhd', uint32s(0, 0, 44100, 3072, 0x00010000), Buffer.from([1, 0]), Buffer.alloc(10 + 36 + 24), uint32s(2));
+        return box('moov', mvhd, trak, box('udta', meta));
+    };
+
+    const ftyp = box('ftyp', Buffer.from('M4B ', 'latin1'), uint32s(0), Buffer.from('M4B isomiso2', 'latin1'));
+    const free = freeSize ? box('free', Buffer.alloc(freeSize - 8)) : Buffer.alloc(0);
+    // The offsets depend on moov's size, which doesn't depend on their values
+    const moovSize = build([0, 0, 0]).length;
+    let offset = ftyp.length + moovSize + free.length + 8;
+    const offsets = MP4_CHUNKS.map(chunk => (offset += chunk.length) - chunk.length);
+    return Buffer.concat([ftyp, build(offsets), free, box('mdat', ...MP4_CHUNKS)]);
+}
+
+// Chunk offsets of an M4B's sound track, read from the file's stco or co64 box
+function mp4ChunkOffsets(file) {
+    for (const type of ['stco', 'co64']) {
+        const at = file.indexOf(type, 0, 'latin1');
+        if (at < 0) continue;
+        const count = file.readUInt32BE(at + 8);
+        return Array.from({ length: count }, (_, i) => type === 'stco'
+            ? file.readUInt32BE(at + 12 + i * 4)
+            : Number(file.readBigUInt64BE(at + 12 + i * 8)));
+    }
+    return [];
+}
+
+async function withFile(name, contents, run) {
+    const dir = await promises.mkdtemp(join(tmpdir(), 'tag-writer-'));
+    const path = join(dir, name);
+    try {
+        await promises.writeFile(path, contents);
+        await run(path);
+    } finally {
+        await promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// MP3
+
+test('MP3: an ID3v2.3 tag is converted to v2.4 in place, keeping the other frames', async () => {
+    const audio = mpegFrames(20);
+    const original = mp3File([id3v23Frame('TIT2', 'Old title'), id3v23Frame('TPE1', 'Artist'),
+        id3v23Frame('TYER', '1975'), id3v23Frame('TRCK', '3/12')], 256);
+    await withFile('song.mp3', Buffer.concat([original, audio]), async (path) => {
+        await writeTags(path, { title: 'New title', trackNumber: '4' });
+
+        const file = await promises.readFile(path);
+        assert.equal(file[3], 4, 'written as ID3v2.4');
+        assert.equal(file.length, original.length + audio.length, 'patched in place');
+        assert.deepEqual(file.subarray(original.length), audio);
+
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'New title');
+        assert.equal(common.artist, 'Artist');
+        assert.equal(common.year, 1975);
+        assert.deepEqual(common.track, { no: 4, of: 12 });
+    });
+});
+
+test('MP3: a tag that outgrows its padding is rewritten in front of the same audio', async () => {
+    const audio = mpegFrames(20);
+    const original = mp3File([id3v23Frame('TIT2', 'Title')], 0);
+    await withFile('song.mp3', Buffer.concat([original, audio]), async (path) => {
+        const comment = 'Needle drop, '.repeat(100);
+        await writeTags(path, { album: 'Album', comment });
+
+        const file = await promises.readFile(path);
+        const tagSize = 10 + ((file[6] << 21) | (file[7] << 14) | (file[8] << 7) | file[9]);
+        assert.ok(tagSize > original.length);
+        assert.deepEqual(file.subarray(tagSize), audio);
+
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'Title');
+        assert.equal(common.album, 'Album');
+        assert.deepEqual(common.comment.map(c => c.text), [comment.trim()]);
+    });
+});
+
+test('MP3: a file without a tag gets one, and removed fields are left out', async () => {
+    const audio = mpegFrames(10);
+    await withFile('song.mp3', audio, async (path) => {
+        await writeTags(path, { title: 'Title', artist: 'Artist' });
+        await writeTags(path, { artist: null });
+
+        const file = await promises.readFile(path);
+        assert.deepEqual(file.subarray(file.length - audio.length), audio);
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'Title');
+        assert.equal(common.artist, undefined);
+    });
+});
+
+test('MP3: chapters are written as CHAP frames with a table of contents', async () => {
+    const audio = mpegFrames(10);
+    await withFile('side.mp3', Buffer.concat([mp3File([id3v23Frame('TIT2', 'Side A')]), audio]), async (path) => {
+        await writeChapters(path, [
+            { title: 'First', start: 0, end: 90.5 },
+            { title: 'Second', start: 90.5, end: 200 }
+        ]);
+
+        const file = await promises.readFile(path);
+        assert.deepEqual(file.subarray(file.length - audio.length), audio);
+        const { native, common } = await parseFile(path);
+        assert.equal(common.title, 'Side A');
+        const frames = native['ID3v2.4'].map(tag => tag.id);
+        assert.equal(frames.filter(id => id === 'CHAP').length, 2);
+        assert.ok(frames.includes('CTOC'));
+        const second = native['ID3v2.4'].filter(tag => tag.id === 'CHAP')[1].value;
+        assert.equal(second.info.startTime, 90500);
+        assert.equal(second.info.endTime, 200000);
+        // The titles are TIT2 subframes of the CHAP frames
+        assert.ok(file.includes('Second', 0, 'utf8'));
+    });
+});
+
+// FLAC
+
+test('FLAC: comments are replaced within the padding, keeping the others', async () => {
+    const original = flacFile(['TITLE=Old', 'ARTIST=Artist', 'REPLAYGAIN_TRACK_GAIN=-3.2 dB'], 512);
+    await withFile('side.flac', original, async (path) => {
+        await writeTags(path, { title: 'New', year: '1979', trackNumber: '2' });
+
+        const file = await promises.readFile(path);
+        assert.equal(file.length, original.length, 'patched in place');
+        assert.deepEqual(file.subarray(file.length - FLAC_AUDIO.length), FLAC_AUDIO);
+
+        const { common, format } = await parseFile(path);
+        assert.equal(common.title, 'New');
+        assert.equal(common.artist, 'Artist');
+        assert.equal(common.year, 1979);
+        assert.equal(common.track.no, 2);
+        assert.equal(common.replaygain_track_gain.dB, -3.2);
+        assert.equal(format.duration, 10);
+    });
+});
+
+test('FLAC: comments that outgrow the padding are rewritten with fresh padding', async () => {
+    const original = flacFile(['TITLE=Title'], 0);
+    await withFile('side.flac', original, async (path) => {
+        const comment = 'Transferred from a first pressing. '.repeat(50);
+        await writeTags(path, { comment });
+
+        const file = await promises.readFile(path);
+        assert.ok(file.length > original.length);
+        assert.deepEqual(file.subarray(file.length - FLAC_AUDIO.length), FLAC_AUDIO);
+
+        const { common, format } = await parseFile(path);
+        assert.equal(common.title, 'Title');
+        assert.deepEqual(common.comment.map(c => c.text), [comment.trim()]);
+        assert.equal(format.duration, 10);
+
+        // The next edit fits in the new padding
+        const size = file.length;
+        await writeTags(path, { album: 'Album' });
+        assert.equal((await promises.readFile(path)).length, size);
+    });
+});
+
+test('FLAC: chapters replace the old CHAPTERxxx comments', async () => {
+    const original = flacFile(['TITLE=Side', 'CHAPTER001=00:00:00.000', 'CHAPTER001NAME=Old'], 256);
+    await withFile('side.flac', original, async (path) => {
+        await writeChapters(path, [{ title: 'One', start: 0 }, { title: 'Two', start: 3725.25 }]);
+
+        const file = await promises.readFile(path);
+        assert.deepEqual(file.subarray(file.length - FLAC_AUDIO.length), FLAC_AUDIO);
+        const { native } = await parseFile(path);
+        const comments = Object.fromEntries(native.vorbis.map(tag => [tag.id, tag.value]));
+        assert.equal(comments.TITLE, 'Side');
+        assert.equal(comments.CHAPTER001NAME, 'One');
+        assert.equal(comments.CHAPTER002, '01:02:05.250');
+        assert.equal(comments.CHAPTER002NAME, 'Two');
+    });
+});
+
+// M4B
+
+// The bytes each chunk offset points at must still be the chunk
+async function assertChunksIntact(path) {
+    const file = await promises.readFile(path);
+    const offsets = mp4ChunkOffsets(file);
+    assert.equal(offsets.length, MP4_CHUNKS.length);
+    offsets.forEach((offset, i) => {
+        assert.deepEqual(file.subarray(offset, offset + MP4_CHUNKS[i].length), MP4_CHUNKS[i], `chunk ${i + 1}`);
+    });
+}
+
+test('M4B: a larger moov before mdat shifts the stco chunk offsets', async () => {
+    await withFile('book.m4b', m4bFile({ title: 'Old' }), async (path) => {
+        await assertChunksIntact(path);
+        await writeTags(path, { title: 'A much longer title than before', album: 'Album', trackNumber: '1' });
+
+        await assertChunksIntact(path);
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'A much longer title than before');
+        assert.equal(common.artist, 'Narrator');
+        assert.equal(common.album, 'Album');
+        assert.equal(common.track.no, 1);
+    });
+});
+
+test('M4B: co64 chunk offsets are shifted too', async () => {
+    await withFile('book.m4b', m4bFile({ title: 'Old', useCo64: true }), async (path) => {
+        await writeTags(path, { title: 'New', comment: 'Chapter markers from the CD' });
+
+        await assertChunksIntact(path);
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'New');
+    });
+});
+
+test('M4B: a free box after moov absorbs the change without moving mdat', async () => {
+    const original = m4bFile({ title: 'Old', freeSize: 256 });
+    await withFile('book.m4b', original, async (path) => {
+        const offsetsBefore = mp4ChunkOffsets(original);
+        await writeTags(path, { title: 'A longer title', genre: 'Audiobook' });
+
+        const file = await promises.readFile(path);
+        assert.equal(file.length, original.length);
+        assert.deepEqual(mp4ChunkOffsets(file), offsetsBefore);
+        await assertChunksIntact(path);
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'A longer title');
+        assert.deepEqual(common.genre, ['Audiobook']);
+    });
+});
+
+test('M4B: the padding left by a rewrite takes the next edit in place', async () => {
+    await withFile('book.m4b', m4bFile({ title: 'Old' }), async (path) => {
+        await writeTags(path, { title: 'Rewritten' });
+        const offsets = mp4ChunkOffsets(await promises.readFile(path));
+        await writeTags(path, { title: 'Edited again', artist: 'Someone else' });
+
+        assert.deepEqual(mp4ChunkOffsets(await promises.readFile(path)), offsets);
+        await assertChunksIntact(path);
+        const { common } = await parseFile(path);
+        assert.equal(common.title, 'Edited again');
+        assert.equal(common.artist, 'Someone else');
+    });
+});
+
+// Tag values
+
+test('normalizeTags trims values, turns empty ones into removals and checks numbers', () => {
+    assert.deepEqual(normalizeTags({ title: '  Title ', artist: '', album: null, extra: 'x' }),
+        { title: 'Title', artist: null, album: null });
+    assert.throws(() => normalizeTags({ trackNumber: 'A1' }), /trackNumber must be a number/);
+    assert.throws(() => normalizeTags({ year: '79' }), /year must be/);
+    assert.deepEqual(normalizeTags({ year: '1979-06-01' }), { year: '1979-06-01' });
+});
@@ -0,0 +1,204 @@
+/**
+ * Transcoder
+ * Converts audio on the fly with a local ffmpeg binary for low-bandwidth streaming.
+ * Output is streamed straight to the response while being written to a segment file on disk -
+ * a segment is one (profile, file, start time) transcode, kept once it has completed so replays
+ * and range requests are served from disk. The cache is trimmed oldest-first to its size limit.
+ */
+import {spawn} from 'child_process';
+import {createWriteStream, promises} from 'fs';
+import {createHash} from 'crypto';
+import {join} from 'path';
+
+export const TRANSCODE_PROFILES = {
+    'opus-96': { label: 'Opus 96 kbps', codec: 'libopus', bitrate: '96k', format: 'ogg', extension: 'opus', contentType: 'audio/ogg' },
+    'opus-64': { label: 'Opus 64 kbps', codec: 'libopus', bitrate: '64k', format: 'ogg', extension: 'opus', contentType: 'audio/ogg' },
+    'aac-128': { label: 'AAC 128 kbps', codec: 'aac', bitrate: '128k', format: 'adts', extension: 'aac', contentType: 'audio/aac' },
+    'mp3-192': { label: 'MP3 192 kbps', codec: 'libmp3lame', bitrate: '192k', format: 'mp3', extension: 'mp3', contentType: 'audio/mpeg' },
+    'mp3-128': { label: 'MP3 128 kbps', codec: 'libmp3lame', bitrate: '128k', format: 'mp3', extension: 'mp3', contentType: 'audio/mpeg' },
+    // Not offered in the quality selector - originals the browser can't decode (APE, WavPack, ALAC)
+    // are played through it, so lossless files stay lossless
+    'flac': { label: 'FLAC', codec: 'flac', format: 'flac', extension: 'flac', contentType: 'audio/flac', fallback: true }
+};
+
+// Profile originals are played through when the browser can't decode them
+export const FALLBACK_PROFILE = 'flac';
+
+export class Transcoder {
+    constructor({ ffmpegPath = 'ffmpeg', cacheDir, maxCacheBytes = 2 * 1024 * 1024 * 1024 } = {}) {
+        this.ffmpegPath = ffmpegPath;
+        this.cacheDir = cacheDir;
+        this.maxCacheBytes = maxCacheBytes;
+        // Unknown until checkAvailable() has run
+        this.available = false;
+        // Trims run one at a time
+        this.trimChain = Promise.resolve();
+    }
+
+    /**
+     * Check that ffmpeg can be run (sets this.available)
+     */
+    checkAvailable() {
+        return new Promise((resolve) => {
+            const child = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+            child.on('error', () => {
+                this.available = false;
+                resolve(false);
+            });
+            child.on('close', (code) => {
+                this.available = code === 0;
+                resolve(this.available);
+            });
+        });
+    }
+
+    /**
+     * Disk path of a cached segment - key identifies the source file (e.g. "local/Artist/song.flac")
+     * and version its contents (size and modification time), so a replaced file is transcoded again
+     */
+    segmentPath(profileId, key, version, startTime) {
+        const hash = createHash('sha1').update(`${profileId}\u0000${key}\u0000${version}\u0000${startTime}`).digest('hex');
+        return join(this.cacheDir, profileId, `${hash}.${TRANSCODE_PROFILES[profileId].extension}`);
+    }
+
+    /**
+     * Path of a completed segment, or null when it hasn't been transcoded yet
+     */
+    async getCachedSegment(profileId, key, version, startTime) {
+        const path = this.segmentPath(profileId, key, version, startTime);
+        try {
+            await promises.access(path);
+            // Touch it so trimming removes the least recently played segments first
+            const now = new Date();
+            await promises.utimes(path, now, now);
+            return path;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Transcode input (a file path, or a readable stream piped to ffmpeg's stdin) into output,
+     * starting startTime seconds in. The output is also written to the segment cache and kept
+     * once ffmpeg finishes successfully. Returns a function that stops the transcode.
+     */
+    async transcode({ profileId, key, version, startTime = 0, input, output, onError }) {
+        const profile = TRANSCODE_PROFILES[profileId];
+        const inputIsStream = typeof input !== 'string';
+
+        const args = ['-hide_banner', '-loglevel', 'error'];
+        if (startTime > 0) {
+            args.push('-ss', String(startTime));
+        }
+        args.push(
+            '-i', inputIsStream ? 'pipe:0' : input,
+            // Drop embedded cover art and tags - only the audio is streamed
+            '-vn', '-map_metadata', '-1',
+            '-c:a', profile.codec,
+            ...(profile.bitrate ? ['-b:a', profile.bitrate] : []),
+            '-f', profile.format,
+            'pipe:1'
+        );
+
+        const segmentPath = this.segmentPath(profileId, key, version, startTime);
+        const tempPath = `${segmentPath}.${process.pid}.${Date.now()}.part`;
+        await promises.mkdir(join(this.cacheDir, profileId), { recursive: true });
+        const segmentFile = createWriteStream(tempPath);
+
+        const ffmpeg = spawn(this.ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        let stopped = false;
+        let errorOutput = '';
+
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            ffmpeg.kill('SIGKILL');
+            if (inputIsStream && !input.destroyed) {
+                input.destroy();
+            }
+            segmentFile.destroy();
+            promises.unlink(tempPath).catch(() => {});
+        };
+
+        if (inputIsStream) {
+            input.pipe(ffmpeg.stdin);
+            input.on('error', (err) => {
+                console.error('Transcode input error:', err.message);
+                stop();
+            });
+        }
+        // ffmpeg stops reading once it has what it needs - that's not an error
+        ffmpeg.stdin.on('error', () => {});
+
+        ffmpeg.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        // pipe() applies backpressure from both the response and the segment file, so nothing is buffered in memory
+        // (the segment file is ended below, once ffmpeg has exited cleanly)
+        ffmpeg.stdout.pipe(output);
+        ffmpeg.stdout.pipe(segmentFile, { end: false });
+
+        ffmpeg.on('error', (err) => {
+            console.error('Failed to start ffmpeg:', err.message);
+            stop();
+            if (onError) onError(err);
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (stopped) return;
+            if (code !== 0) {
+                console.error(`ffmpeg exited with code ${code} for ${key}: ${errorOutput.trim()}`);
+                stop();
+                if (onError) onError(new Error(`ffmpeg exited with code ${code}`));
+                return;
+            }
+
+            stopped = true;
+            segmentFile.end(async () => {
+                try {
+                    await promises.rename(tempPath, segmentPath);
+                    console.log(`Cached ${profileId} segment for ${key} from ${startTime}s`);
+                    this.trimCache();
+                } catch (err) {
+                    console.error('Failed to keep transcoded segment:', err.message);
+                }
+            });
+        });
+
+        return stop;
+    }
+
+    /**
+     * Delete the least recently used segments until the cache fits in maxCacheBytes
+     */
+    trimCache() {
+        this.trimChain = this.trimChain.then(async () => {
+            const segments = [];
+            for (const profileId of Object.keys(TRANSCODE_PROFILES)) {
+                const dir = join(this.cacheDir, profileId);
+                let names;
+                try {
+                    names = await promises.readdir(dir);
+                } catch (err) {
+                    continue;
+                }
+                for (const name of names) {
+                    if (name.endsWith('.part')) continue;
+                    const path = join(dir, name);
+                    const stats = await promises.stat(path).catch(() => null);
+                    if (stats) segments.push({ path, size: stats.size, mtime: stats.mtimeMs });
+                }
+            }
+
+            let total = segments.reduce((sum, segment) => sum + segment.size, 0);
+            segments.sort((a, b) => a.mtime - b.mtime);
+            for (const segment of segments) {
+                if (total <= this.maxCacheBytes) break;
+                await promises.unlink(segment.path).catch(() => {});
+                total -= segment.size;
+            }
+        }).catch((err) => console.error('Failed to trim transcode cache:', err.message));
+        return this.trimChain;
+    }
+}
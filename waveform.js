@@ -0,0 +1,128 @@
+/**
+ * Waveform
+ * Peak waveforms for the player's seek bar. ffmpeg decodes a track to low-rate mono PCM, which is
+ * reduced to the loudest sample of every few milliseconds while it streams through (so an hour-long
+ * set never sits in memory as audio), then to a fixed number of bins scaled to 0-255.
+ */
+import {spawn} from 'child_process';
+
+// Bins stored per track - requests for fewer are reduced from these
+export const WAVEFORM_BINS = 4000;
+export const MIN_WAVEFORM_BINS = 100;
+
+// Decode rate and the number of samples folded into each intermediate peak (8 ms)
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_PEAK = 64;
+
+/**
+ * Decode a file (path) or stream with ffmpeg and resolve to { duration (seconds), peaks (0-255) }
+ */
+export function computeWaveform({ ffmpegPath = 'ffmpeg', input, bins = WAVEFORM_BINS }) {
+    return new Promise((resolve, reject) => {
+        const inputIsStream = typeof input !== 'string';
+        const ffmpeg = spawn(ffmpegPath, [
+            '-hide_banner', '-nostats', '-loglevel', 'error',
+            '-i', inputIsStream ? 'pipe:0' : input,
+            '-map', '0:a:0',
+            '-ac', '1',
+            '-ar', String(SAMPLE_RATE),
+            '-f', 's16le',
+            'pipe:1'
+        ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        // Intermediate peaks, grown as needed
+        let peaks = new Uint16Array(65536);
+        let peakCount = 0;
+        let currentPeak = 0;
+        let samplesInPeak = 0;
+        let totalSamples = 0;
+        // An odd byte left over from the previous chunk
+        let carry = null;
+
+        const addPeak = (peak) => {
+            if (peakCount === peaks.length) {
+                const grown = new Uint16Array(peaks.length * 2);
+                grown.set(peaks);
+                peaks = grown;
+            }
+            peaks[peakCount++] = peak;
+        };
+
+        ffmpeg.stdout.on('data', (chunk) => {
+            if (carry) {
+                chunk = Buffer.concat([carry, chunk]);
+                carry = null;
+            }
+            const usable = chunk.length - (chunk.length % 2);
+            if (usable < chunk.length) {
+                carry = chunk.subarray(usable);
+            }
+
+            for (let offset = 0; offset < usable; offset += 2) {
+                const sample = Math.abs(chunk.readInt16LE(offset));
+                if (sample > currentPeak) currentPeak = sample;
+                if (++samplesInPeak === SAMPLES_PER_PEAK) {
+                    addPeak(currentPeak);
+                    currentPeak = 0;
+                    samplesInPeak = 0;
+                }
+            }
+            totalSamples += usable / 2;
+        });
+
+        let errorOutput = '';
+        ffmpeg.stderr.on('data', (data) => {
+            errorOutput = (errorOutput + data.toString()).slice(-2048);
+        });
+
+        if (inputIsStream) {
+            input.pipe(ffmpeg.stdin);
+            input.on('error', (err) => {
+                ffmpeg.kill('SIGKILL');
+                reject(err);
+            });
+        }
+        // ffmpeg stops reading once it has what it needs - that's not an error
+        ffmpeg.stdin.on('error', () => {});
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (inputIsStream && !input.destroyed) {
+                input.destroy();
+            }
+            if (code !== 0 || totalSamples === 0) {
+                reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim().split('\n').pop() || 'no audio decoded'}`));
+                return;
+            }
+            if (samplesInPeak > 0) {
+                addPeak(currentPeak);
+            }
+
+            const scaled = Array.from(peaks.subarray(0, peakCount), peak => Math.min(255, Math.round(peak / 128)));
+            resolve({
+                duration: totalSamples / SAMPLE_RATE,
+                peaks: reducePeaks(scaled, bins)
+            });
+        });
+    });
+}
+
+/**
+ * Reduce peaks to at most the given number of bins, keeping the loudest peak of each bin
+ */
+export function reducePeaks(peaks, bins) {
+    if (peaks.length <= bins) {
+        return peaks.slice();
+    }
+    const reduced = new Array(bins);
+    for (let bin = 0; bin < bins; bin++) {
+        const start = Math.floor(bin * peaks.length / bins);
+        const end = Math.floor((bin + 1) * peaks.length / bins);
+        let peak = 0;
+        for (let i = start; i < end; i++) {
+            if (peaks[i] > peak) peak = peaks[i];
+        }
+        reduced[bin] = peak;
+    }
+    return reduced;
+}